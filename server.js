@@ -687,11 +687,45 @@ app.use('/api/analysis', analysisRoutes);
 console.log('📊 Analysis routes registered at /api/analysis');
 console.log('   • User analytics and reporting');
 
+// Give jobs created before private jobs existed a visibility (one-off; the listing filters on it)
+import { migrateJobVisibility } from './src/services/jobInvitationService.js';
+migrateJobVisibility();
+
 // Start dashboard auto-sync scheduler
 import { startAutoSync } from './src/services/dashboardSyncService.js';
 startAutoSync();
 console.log('🔄 Dashboard auto-sync scheduler started');
 
+// Start saved-search daily digest scheduler
+import { startJobAlertDigests } from './src/services/savedSearchService.js';
+startJobAlertDigests();
+console.log('🔔 Job alert digest scheduler started');
+
+// Start job schedule sweep (at-risk / overdue flags)
+import { startScheduleSweep } from './src/services/jobScheduleService.js';
+startScheduleSweep();
+console.log('⏰ Job schedule sweep started');
+
+// Start archived job purge sweep (permanently removes jobs past the restore window)
+import { startArchivePurgeSweep } from './src/services/jobArchiveService.js';
+startArchivePurgeSweep();
+console.log('🗑️ Archived job purge sweep started');
+
+// Start quote expiry sweep (marks quotes past their validity date as expired)
+import { startQuoteExpirySweep } from './src/services/quoteValidityService.js';
+startQuoteExpirySweep();
+console.log('⌛ Quote expiry sweep started');
+
+// Start bid opening sweep (reveals sealed bids once their bid-close time passes)
+import { startBidOpeningSweep } from './src/services/sealedBidService.js';
+startBidOpeningSweep();
+console.log('🔓 Bid opening sweep started');
+
+// Start usage reservation sweep (releases quota reservations that were never committed)
+import { startUsageReservationSweep } from './src/services/usageMeteringService.js';
+startUsageReservationSweep();
+console.log('📊 Usage reservation sweep started');
+
 // NEW: Announcements routes (public for portal users)
 if (announcementsRoutes) {
     app.use('/api/announcements', announcementsRoutes);
@@ -1678,6 +1712,10 @@ async function sendWebPushNotification(userId, payload) {
 // Expose Socket.IO instance on express app so routes can emit real-time events
 app.set('io', io);
 
+// Conversation rooms: JWT handshake auth + real-time message delivery
+import { attachConversationRealtime } from './src/services/conversationRealtimeService.js';
+attachConversationRealtime(io);
+
 // Track online users, presence statuses, and active calls
 const onlineUsers = new Map(); // userId -> Set<socketId> (multiple devices per user)
 const userStatuses = new Map(); // userId -> 'online' | 'away' | 'busy' | 'offline'
@@ -2131,6 +2169,9 @@ app.use((error, req, res, next) => {
     if (error.message === 'Not allowed by CORS') {
         return res.status(403).json({ success: false, error: 'CORS policy violation', code: 'CORS_ERROR', timestamp });
     }
+    if (error.name === 'JobTransitionError') {
+        return res.status(409).json({ success: false, error: error.message, code: error.code, timestamp });
+    }
     if (error.name === 'ValidationError') {
         return res.status(400).json({ success: false, error: 'Validation failed', details: error.message, code: 'VALIDATION_ERROR', timestamp });
     }
@@ -2167,6 +2208,11 @@ io.on('connection', (socket) => {
     // User registers their identity after connecting
     socket.on('register', (userId) => {
         if (!userId) return;
+        // An authenticated socket can only register as its own user
+        if (socket.data.user && socket.data.user.userId !== userId) {
+            console.warn(`[SOCKET] Socket ${socket.id} authenticated as ${socket.data.user.userId} tried to register as ${userId}`);
+            return;
+        }
         addUserSocket(userId, socket.id);
         const previousStatus = userStatuses.get(userId);
         if (!previousStatus || previousStatus === 'offline') {
@@ -1,6 +1,26 @@
 import { adminDb, admin } from '../config/firebase.js';
 import { uploadMultipleFilesToFirebase } from '../middleware/upload.js';
 import { logUserActivity } from '../services/userActivityLogger.js';
+import { parseInvitees, resolveInvitees, createInvitations, canViewJob } from '../services/jobInvitationService.js';
+import {
+  LOCKED_STATES,
+  LISTABLE_STATES,
+  assertTransition,
+  buildTransitionUpdate,
+  initialStatusHistory,
+  sendTransitionError,
+  JobTransitionError
+} from '../services/jobLifecycle.js';
+import {
+  archiveJob,
+  getArchivedJob,
+  listArchivedJobs,
+  restoreJob as restoreArchivedJob,
+  RESTORE_WINDOW_DAYS
+} from '../services/jobArchiveService.js';
+import { getTemplate, markTemplateUsed, createDraftFromSource } from '../services/jobTemplateService.js';
+import { parseRevisionTags, applyRevisions, notifySupersededDrawings } from '../services/drawingRevisionService.js';
+import { parseBiddingOptions } from '../services/sealedBidService.js';
 
 // Create a new job
 export const createJob = async (req, res, next) => {
@@ -8,7 +28,20 @@ export const createJob = async (req, res, next) => {
     console.log('Creating job with data:', req.body);
     console.log('Files received:', req.files?.length || 0);
 
+    // Drawings can be tagged with a sheet number and revision letter
+    const { tags: revisionTags, error: revisionError } = parseRevisionTags(req.body, req.files);
+    if (revisionError) {
+      return res.status(400).json({ success: false, error: revisionError });
+    }
+
+    // Sealed-bid jobs hide quotes from the contractor until bidCloseAt
+    const { fields: biddingFields, error: biddingError } = parseBiddingOptions(req.body);
+    if (biddingError) {
+      return res.status(400).json({ success: false, error: biddingError });
+    }
+
     let attachments = [];
+    let drawingRevisions = [];
     
     // Handle multiple file uploads
     if (req.files && req.files.length > 0) {
@@ -24,9 +57,11 @@ export const createJob = async (req, res, next) => {
         attachments = uploadedFiles.map(file => ({
           name: file.name || file.originalname || 'Unknown File',
           url: file.url || file.downloadURL || '',
+          path: file.path || '',
           uploadedAt: file.uploadedAt || new Date().toISOString(),
           size: file.size || 0
         }));
+        ({ attachments, drawingRevisions } = applyRevisions({}, attachments, revisionTags, req.user));
         
         console.log('Files uploaded successfully:', attachments.length);
       } catch (uploadError) {
@@ -48,17 +83,46 @@ export const createJob = async (req, res, next) => {
       }
     }
 
+    // Private jobs are only visible to invited designers
+    const visibility = req.body.visibility === 'private' ? 'private' : 'public';
+    let invitedDesigners = [];
+    let unresolvedInvitees = [];
+    if (visibility === 'private') {
+      const resolved = await resolveInvitees(parseInvitees(req.body.invitees));
+      invitedDesigners = resolved.designers;
+      unresolvedInvitees = resolved.unresolved;
+      if (invitedDesigners.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'A private job needs at least one invited designer (user ID or registered designer email).',
+          unresolvedInvitees
+        });
+      }
+    }
+
+    // Jobs can be saved as a draft and published later
+    const status = req.body.status === 'draft' ? 'draft' : 'open';
+
     const jobData = {
       title: req.body.title?.trim() || '',
       description: req.body.description?.trim() || '',
       budget: req.body.budget?.trim() || '0',
       deadline: req.body.deadline || null,
       link: req.body.link?.trim() || '',
+      location: req.body.location?.trim() || '',
+      jobType: req.body.jobType?.trim() || '',
       skills: skills,
+      visibility,
+      biddingMode: 'open',
+      bidCloseAt: null,
+      ...biddingFields,
+      invitedDesignerIds: [],
       attachments: attachments,
+      drawingRevisions,
       posterId: req.user.userId,
       posterName: req.user.name || 'Unknown User',
-      status: 'open',
+      status,
+      statusHistory: initialStatusHistory(status, { by: req.user.userId, byName: req.user.name || '' }),
       quotesCount: 0,
       createdAt: admin.firestore.FieldValue.serverTimestamp(),
       updatedAt: admin.firestore.FieldValue.serverTimestamp(),
@@ -77,10 +141,19 @@ export const createJob = async (req, res, next) => {
     
     // Store job ID for notifications middleware
     res.locals.jobId = jobRef.id;
+
+    // Invitations for a private draft are sent when it is published
+    let invitations = [];
+    if (visibility === 'private' && status === 'draft') {
+      await jobRef.update({ draftInviteeIds: invitedDesigners.map(d => d.id) });
+    } else if (visibility === 'private') {
+      invitations = await createInvitations(jobRef.id, jobData, invitedDesigners, req.user.userId);
+    }
     
     const responseData = {
       id: jobRef.id,
       ...jobData,
+      invitedDesignerIds: status === 'draft' ? [] : invitedDesigners.map(d => d.id),
       createdAt: new Date().toISOString()
     };
 
@@ -102,7 +175,11 @@ export const createJob = async (req, res, next) => {
     res.status(201).json({
       success: true,
       message: 'Job created successfully.',
-      data: responseData
+      data: responseData,
+      ...(visibility === 'private' && {
+        invitations: invitations.map(i => ({ id: i.id, designerId: i.designerId, designerName: i.designerName, status: i.status })),
+        unresolvedInvitees
+      })
     });
 
   } catch (error) {
@@ -122,8 +199,22 @@ export const getAllJobs = async (req, res, next) => {
       sortOrder = 'desc'
     } = req.query;
 
+    // Drafts (and other unlisted states) never appear in the public listing
+    if (!LISTABLE_STATES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${LISTABLE_STATES.join(', ')}.`
+      });
+    }
+
     const numericLimit = parseInt(limit);
-    let query = adminDb.collection('jobs').where('status', '==', status).orderBy(sortBy, sortOrder);
+    // Private jobs are filtered in the query so pages stay full and hidden jobs are never read.
+    // Needs a composite index on jobs per sort field: status ASC, visibility ASC, <sortBy> ASC|DESC.
+    // Jobs from before `visibility` existed are backfilled at startup (migrateJobVisibility).
+    let query = adminDb.collection('jobs')
+      .where('status', '==', status)
+      .where('visibility', '==', 'public')
+      .orderBy(sortBy, sortOrder);
 
     // For pagination, use cursors (startAfter) for efficiency
     if (page > 1) {
@@ -139,10 +230,7 @@ export const getAllJobs = async (req, res, next) => {
     // Fetch one extra document to determine if there is a next page
     const snapshot = await query.limit(numericLimit + 1).get();
     
-    let jobs = snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
+    let jobs = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
 
     // Check if there are more jobs to load
     const hasNext = jobs.length > numericLimit;
@@ -176,6 +264,11 @@ export const getJobById = async (req, res, next) => {
 
     const jobData = jobDoc.data();
 
+    // Uninvited users must not learn that a private job exists
+    if (!canViewJob(jobData, req.user?.userId)) {
+      return res.status(404).json({ success: false, message: 'Job not found.' });
+    }
+
     const quotesSnapshot = await adminDb.collection('quotes').where('jobId', '==', id).get();
 
     res.status(200).json({
@@ -211,17 +304,46 @@ export const updateJob = async (req, res, next) => {
       return res.status(403).json({ success: false, message: 'You are not authorized to update this job' });
     }
 
-    if (jobData.status === 'assigned' || jobData.status === 'completed') {
+    if (LOCKED_STATES.includes(jobData.status)) {
       return res.status(400).json({ success: false, message: 'Cannot update job details after it has been assigned.' });
     }
 
+    // Status changes go through the job lifecycle; other protected fields are never client-set
+    const { status: requestedStatus } = updates;
+    ['status', 'statusHistory', 'statusChangedAt', 'posterId', 'assignedTo', 'approvedAmount', 'drawingRevisions', 'bidsOpenedAt'].forEach(field => delete updates[field]);
+    const revisionFields = { sheetNumbers: updates.sheetNumbers, revisions: updates.revisions };
+    delete updates.sheetNumbers;
+    delete updates.revisions;
+    if (updates.biddingMode !== undefined || updates.bidCloseAt !== undefined) {
+      const { fields: biddingFields, error: biddingError } = parseBiddingOptions(updates, jobData);
+      if (biddingError) {
+        return res.status(400).json({ success: false, error: biddingError });
+      }
+      delete updates.biddingMode;
+      delete updates.bidCloseAt;
+      Object.assign(updates, biddingFields);
+    }
+    if (requestedStatus && requestedStatus !== jobData.status) {
+      assertTransition(jobData, requestedStatus, { manual: true });
+      Object.assign(updates, buildTransitionUpdate(jobData, requestedStatus, {
+        by: req.user.userId,
+        byName: req.user.name || '',
+        via: 'job_update'
+      }));
+    }
+
     // Parse skills if provided
     if (updates.skills && typeof updates.skills === 'string') {
       updates.skills = updates.skills.split(',').map(s => s.trim()).filter(Boolean);
     }
 
-    // Handle file uploads if present
+    // Handle file uploads if present; tagged drawings supersede earlier revisions of their sheet
+    let superseded = [];
     if (req.files && req.files.length > 0) {
+      const { tags: revisionTags, error: revisionError } = parseRevisionTags(revisionFields, req.files, jobData);
+      if (revisionError) {
+        return res.status(400).json({ success: false, error: revisionError });
+      }
       try {
         const uploadedFiles = await uploadMultipleFilesToFirebase(
           req.files, 
@@ -232,12 +354,16 @@ export const updateJob = async (req, res, next) => {
         const newAttachments = uploadedFiles.map(file => ({
           name: file.name || file.originalname || 'Unknown File',
           url: file.url || file.downloadURL || '',
+          path: file.path || '',
           uploadedAt: file.uploadedAt || new Date().toISOString(),
           size: file.size || 0
         }));
         
-        // Merge with existing attachments
-        updates.attachments = [...(jobData.attachments || []), ...newAttachments];
+        // Merge with existing attachments and revision history
+        const merged = applyRevisions(jobData, newAttachments, revisionTags, req.user);
+        updates.attachments = merged.attachments;
+        updates.drawingRevisions = merged.drawingRevisions;
+        superseded = merged.superseded;
       } catch (uploadError) {
         return res.status(400).json({ 
           success: false, 
@@ -248,9 +374,18 @@ export const updateJob = async (req, res, next) => {
 
     await jobRef.update({ ...updates, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
     const updatedDoc = await jobRef.get();
+
+    if (superseded.length > 0) {
+      notifySupersededDrawings(id, updatedDoc.data(), superseded).catch(error => {
+        console.error('Error notifying designers of revised drawings:', error);
+      });
+    }
     res.status(200).json({ success: true, message: 'Job updated successfully', data: { id: updatedDoc.id, ...updatedDoc.data() } });
 
   } catch (error) {
+    if (error instanceof JobTransitionError) {
+      return sendTransitionError(res, error);
+    }
     next(error);
   }
 };
@@ -270,12 +405,12 @@ export const getJobsByUserId = async (req, res, next) => {
   }
 };
 
-// Delete a job and all its related data (quotes, conversations)
+// Archive a job. It can be restored by its poster within the restore window; after that
+// the purge sweep removes it with its quotes and conversations.
 export const deleteJob = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const jobRef = adminDb.collection('jobs').doc(id);
-    const jobDoc = await jobRef.get();
+    const jobDoc = await adminDb.collection('jobs').doc(id).get();
 
     if (!jobDoc.exists) {
       return res.status(404).json({ success: false, message: 'Job not found.' });
@@ -289,32 +424,121 @@ export const deleteJob = async (req, res, next) => {
     }
 
     // To prevent deleting work in progress, check status
-    if (jobData.status === 'assigned' || jobData.status === 'completed') {
+    if (LOCKED_STATES.includes(jobData.status)) {
       return res.status(400).json({ success: false, message: 'Cannot delete a job that has already been assigned.' });
     }
 
-    const batch = adminDb.batch();
+    const result = await archiveJob(id, jobData, req.user);
 
-    // 1. Find and delete all quotes for this job
-    const quotesSnapshot = await adminDb.collection('quotes').where('jobId', '==', id).get();
-    quotesSnapshot.docs.forEach(doc => batch.delete(doc.ref));
+    res.status(200).json({
+      success: true,
+      message: `Job deleted. You can restore it within ${RESTORE_WINDOW_DAYS} days.`,
+      data: { id, restoreUntil: result.restoreUntil }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the requesting contractor's archived (deleted) jobs
+export const getArchivedJobs = async (req, res, next) => {
+  try {
+    const jobs = await listArchivedJobs(req.user.userId);
+    res.status(200).json({ success: true, data: jobs });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Restore an archived job, together with its quotes and conversations
+export const restoreDeletedJob = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const archived = await getArchivedJob(id);
 
-    // 2. Find and delete all conversations (and their sub-collections of messages)
-    const conversationsSnapshot = await adminDb.collection('conversations').where('jobId', '==', id).get();
-    for (const convoDoc of conversationsSnapshot.docs) {
-        const messagesSnapshot = await convoDoc.ref.collection('messages').get();
-        messagesSnapshot.docs.forEach(msgDoc => batch.delete(msgDoc.ref));
-        batch.delete(convoDoc.ref);
+    if (!archived) {
+      return res.status(404).json({ success: false, message: 'Archived job not found.' });
+    }
+    if (archived.posterId !== req.user.userId) {
+      return res.status(403).json({ success: false, message: 'You are not authorized to restore this job.' });
+    }
+    if (!archived._restoreUntil || new Date(archived._restoreUntil) <= new Date()) {
+      return res.status(400).json({ success: false, message: 'The restore window for this job has passed.' });
     }
-    
-    // 3. Delete the job itself
-    batch.delete(jobRef);
-    
-    // Commit all deletions in one atomic operation
-    await batch.commit();
 
-    res.status(200).json({ success: true, message: 'Job and all related data deleted successfully.' });
+    const existing = await adminDb.collection('jobs').doc(id).get();
+    if (existing.exists) {
+      return res.status(409).json({ success: false, message: 'A job with this ID already exists.' });
+    }
+
+    const job = await restoreArchivedJob(archived);
+    res.status(200).json({ success: true, message: 'Job restored successfully.', data: job });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Clone one of the requesting contractor's jobs into a new draft (attachments are copied)
+export const cloneJob = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const jobDoc = await adminDb.collection('jobs').doc(id).get();
+
+    if (!jobDoc.exists) {
+      return res.status(404).json({ success: false, message: 'Job not found.' });
+    }
+
+    const jobData = jobDoc.data();
+    if (jobData.posterId !== req.user.userId) {
+      return res.status(403).json({ success: false, message: 'You are not authorized to clone this job.' });
+    }
+
+    const result = await createDraftFromSource(jobData, req.body, req.user, { clonedFromJobId: id });
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    res.locals.jobId = result.job.id;
+    res.status(201).json({
+      success: true,
+      message: 'Job cloned as a draft. Review it and publish when ready.',
+      data: result.job,
+      skippedAttachments: result.skippedAttachments
+    });
+  } catch (error) {
+    console.error('Error in cloneJob:', error);
+    next(error);
+  }
+};
+
+// Create a new draft job from one of the requesting contractor's templates
+export const createJobFromTemplate = async (req, res, next) => {
+  try {
+    const { templateId } = req.params;
+    const template = await getTemplate(templateId);
+
+    if (!template) {
+      return res.status(404).json({ success: false, message: 'Template not found.' });
+    }
+    if (template.ownerId !== req.user.userId) {
+      return res.status(403).json({ success: false, message: 'You are not authorized to use this template.' });
+    }
+
+    const result = await createDraftFromSource(template, req.body, req.user, { templateId });
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+    await markTemplateUsed(templateId);
+
+    res.locals.jobId = result.job.id;
+    res.status(201).json({
+      success: true,
+      message: 'Job created from template as a draft. Review it and publish when ready.',
+      data: result.job,
+      skippedAttachments: result.skippedAttachments
+    });
   } catch (error) {
+    console.error('Error in createJobFromTemplate:', error);
     next(error);
   }
 };
@@ -1,5 +1,8 @@
 // src/controllers/messageController.js - SIMPLIFIED VERSION (notifications handled in route)
 import { adminDb } from '../config/firebase.js';
+import { addParticipantsToRoom, emitConversationUpdated } from '../services/conversationRealtimeService.js';
+import { getUnreadCount } from '../services/conversationReadService.js';
+import { presentMessage } from '../services/conversationMessageService.js';
 
 // Helper function to get participant details
 const getParticipantDetails = async (participantIds) => {
@@ -22,12 +25,15 @@ export const getConversations = async (req, res, next) => {
       .orderBy('updatedAt', 'desc')
       .get();
     
-    // Enrich conversations with participant and job details
-    const conversationsPromises = snapshot.docs.map(async (doc) => {
+    // Enrich conversations with participant and job details (skipping those on deleted jobs)
+    const conversationsPromises = snapshot.docs.filter(doc => !doc.data().jobArchived).map(async (doc) => {
         const conversationData = doc.data();
         
-        // Fetch participant details
-        const participants = await getParticipantDetails(conversationData.participantIds);
+        // Fetch participant details (group members carry their role in the team)
+        let participants = await getParticipantDetails(conversationData.participantIds);
+        if (conversationData.type === 'group') {
+            participants = participants.map(p => ({ ...p, role: conversationData.memberRoles?.[p.id] || null }));
+        }
         
         // Fetch job title
         let jobTitle = 'Job no longer available';
@@ -38,16 +44,21 @@ export const getConversations = async (req, res, next) => {
             }
         }
 
+        // Messages from others since this user's read marker (kept on the conversation)
+        const unreadCount = await getUnreadCount(doc.ref, conversationData, userId);
+
         return { 
             id: doc.id, 
             ...conversationData, 
             participants, // Add full participant objects
-            jobTitle      // Add job title
+            jobTitle,     // Add job title
+            unreadCount
         };
     });
 
     const conversations = await Promise.all(conversationsPromises);
-    res.status(200).json({ success: true, data: conversations });
+    const totalUnread = conversations.reduce((sum, c) => sum + c.unreadCount, 0);
+    res.status(200).json({ success: true, data: conversations, totalUnread });
   } catch (error) {
     console.error('Error in getConversations:', error);
     next(error);
@@ -71,9 +82,10 @@ export const findOrCreateConversation = async (req, res, next) => {
       
     const snapshot = await query.get();
     
+    // Group conversations on the job are not the one-to-one thread
     let existingConversationDoc = null;
     snapshot.forEach(doc => {
-        if (doc.data().participantIds.includes(recipientId)) {
+        if (doc.data().type !== 'group' && doc.data().participantIds.includes(recipientId)) {
             existingConversationDoc = doc;
         }
     });
@@ -108,6 +120,10 @@ export const findOrCreateConversation = async (req, res, next) => {
     const participants = await getParticipantDetails(newConversation.participantIds);
     const jobDoc = await adminDb.collection('jobs').doc(jobId).get();
     const jobTitle = jobDoc.exists ? jobDoc.data().title : 'Job no longer available';
+
+    // Subscribe both participants' sockets and let the recipient's conversation list update
+    addParticipantsToRoom(docRef.id, newConversation.participantIds);
+    emitConversationUpdated(docRef.id, { id: docRef.id, ...newConversation, participants, jobTitle });
     
     res.status(201).json({ 
         success: true, 
@@ -140,8 +156,11 @@ export const getMessages = async (req, res, next) => {
       .orderBy('createdAt', 'asc')
       .get();
       
-    const messages = messagesSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-    res.status(200).json({ success: true, data: messages });
+    const storedMessages = messagesSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const messagesById = new Map(storedMessages.map(message => [message.id, message]));
+    const messages = storedMessages.map(message => presentMessage(message, messagesById));
+    // Participants' read markers, for "seen" indicators
+    res.status(200).json({ success: true, data: messages, lastReadAt: convoDoc.data().lastReadAt || {} });
   } catch (error) {
     console.error('Error in getMessages:', error);
     next(error);
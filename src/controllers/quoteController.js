@@ -2,9 +2,22 @@
 import { adminDb, admin } from '../config/firebase.js';
 import { uploadMultipleFilesToFirebase, validateFileUpload } from '../utils/firebaseStorage.js';
 import { logUserActivity } from '../services/userActivityLogger.js';
+import { hasAcceptedInvitation } from '../services/jobInvitationService.js';
+import { currentRevisionIds } from '../services/drawingRevisionService.js';
+import { resolveQuoteAmount } from '../services/quoteLineItemService.js';
+import {
+    parseValidUntil,
+    isQuoteLapsed,
+    INACTIVE_QUOTE_STATUSES
+} from '../services/quoteValidityService.js';
+import { isBidSealed, isBiddingClosed, ensureBidsOpened, sealedBidSummary } from '../services/sealedBidService.js';
+import { reserveUsage, commitUsage, releaseUsage } from '../services/usageMeteringService.js';
 
 // Create a new quote with proper file handling
 export const createQuote = async (req, res, next) => {
+    // Quote usage reserved for this submission; released again unless the quote is created
+    let usage = null;
+    let usageCommitted = false;
     try {
         const { jobId, quoteAmount, timeline, description } = req.body;
         const designerId = req.user.userId;
@@ -13,13 +26,24 @@ export const createQuote = async (req, res, next) => {
         console.log(`Creating quote for job ${jobId} by designer ${designerId}`);
 
         // Validate required fields
-        if (!jobId || !quoteAmount || !description) {
+        if (!jobId || (!quoteAmount && !req.body.lineItems) || !description) {
             return res.status(400).json({ 
                 success: false, 
-                message: 'Job ID, quote amount, and description are required.' 
+                message: 'Job ID, quote amount (or line items), and description are required.' 
             });
         }
 
+        // Itemized quotes: the amount is the server-computed line item total
+        const pricing = resolveQuoteAmount(req.body);
+        if (pricing.error) {
+            return res.status(400).json({ success: false, message: pricing.error });
+        }
+
+        const validity = parseValidUntil(req.body.validUntil);
+        if (validity.error) {
+            return res.status(400).json({ success: false, message: validity.error });
+        }
+
         // Check if job exists and is still open
         const jobRef = adminDb.collection('jobs').doc(jobId);
         const jobDoc = await jobRef.get();
@@ -35,20 +59,44 @@ export const createQuote = async (req, res, next) => {
                 message: 'This job is no longer accepting quotes.' 
             });
         }
+        if (isBiddingClosed(jobData)) {
+            return res.status(400).json({ success: false, message: 'Bidding on this sealed-bid job has closed.' });
+        }
 
-        // Check if user already submitted a quote for this job
+        // Private jobs only accept quotes from designers who accepted their invitation
+        if (jobData.visibility === 'private' && !(await hasAcceptedInvitation(jobId, designerId))) {
+            return res.status(jobData.invitedDesignerIds?.includes(designerId) ? 403 : 404).json({
+                success: false,
+                message: jobData.invitedDesignerIds?.includes(designerId)
+                    ? 'Please accept the invitation for this private job before submitting a quote.'
+                    : 'Job not found.'
+            });
+        }
+
+        // Check if user already submitted a quote for this job (withdrawn/expired ones may be replaced)
         const existingQuoteSnapshot = await adminDb.collection('quotes')
             .where('jobId', '==', jobId)
             .where('designerId', '==', designerId)
             .get();
 
-        if (!existingQuoteSnapshot.empty) {
+        if (existingQuoteSnapshot.docs.some(doc => !INACTIVE_QUOTE_STATUSES.includes(doc.data().status))) {
             return res.status(400).json({ 
                 success: false, 
                 message: 'You have already submitted a quote for this job.' 
             });
         }
 
+        // Take one quote from the designer's plan before uploading anything
+        usage = await reserveUsage(designerId, 'quote', { type: 'job', id: jobId });
+        if (usage.error) {
+            return res.status(usage.status).json({
+                success: false,
+                message: usage.error,
+                code: usage.code,
+                usage: usage.usage
+            });
+        }
+
         // FIXED: Handle file uploads with proper validation and storage
         let attachments = [];
         if (req.files && req.files.length > 0) {
@@ -92,10 +140,14 @@ export const createQuote = async (req, res, next) => {
             designerId,
             designerName,
             contractorId: jobData.posterId,
-            quoteAmount: parseFloat(quoteAmount),
+            quoteAmount: pricing.quoteAmount,
+            lineItems: pricing.lineItems,
             timeline: timeline ? parseInt(timeline) : null,
             description,
             attachments: attachments, // FIXED: Proper attachment structure
+            drawingRevisionIds: currentRevisionIds(jobData), // Drawing revisions the quote is based on
+            validUntil: validity.validUntil || null,
+            usageReservationId: usage.reservationId,
             status: 'submitted',
             createdAt: admin.firestore.FieldValue.serverTimestamp(),
             updatedAt: admin.firestore.FieldValue.serverTimestamp()
@@ -103,6 +155,8 @@ export const createQuote = async (req, res, next) => {
 
         // Add quote to database
         const quoteRef = await adminDb.collection('quotes').add(quoteData);
+        usageCommitted = true;
+        await commitUsage(usage.reservationId, { type: 'quote', id: quoteRef.id });
 
         // Update job's quotes count
         await jobRef.update({
@@ -120,8 +174,8 @@ export const createQuote = async (req, res, next) => {
             userType: 'designer',
             category: 'Quote Submission',
             action: 'New Quote Submitted',
-            description: `Quote submitted for "${jobData.title}" — Amount: ${quoteAmount}`,
-            metadata: { quoteId: quoteRef.id, jobId, jobTitle: jobData.title, amount: quoteAmount },
+            description: `Quote submitted for "${jobData.title}" — Amount: ${pricing.quoteAmount}`,
+            metadata: { quoteId: quoteRef.id, jobId, jobTitle: jobData.title, amount: pricing.quoteAmount },
             ip: req.headers?.['x-forwarded-for'] || req.socket?.remoteAddress || ''
         }).catch(() => {});
 
@@ -134,6 +188,10 @@ export const createQuote = async (req, res, next) => {
     } catch (error) {
         console.error('❌ Error in createQuote:', error);
         next(error);
+    } finally {
+        if (usage?.reservationId && !usageCommitted) {
+            await releaseUsage(usage.reservationId, 'quote_not_created');
+        }
     }
 };
 
@@ -141,7 +199,7 @@ export const createQuote = async (req, res, next) => {
 export const updateQuote = async (req, res, next) => {
     try {
         const { id: quoteId } = req.params;
-        const { quoteAmount, timeline, description } = req.body;
+        const { timeline, description } = req.body;
         const userId = req.user.userId;
 
         console.log(`Updating quote ${quoteId} by user ${userId}`);
@@ -169,6 +227,34 @@ export const updateQuote = async (req, res, next) => {
             });
         }
 
+        if (isQuoteLapsed(existingQuote)) {
+            return res.status(400).json({ success: false, message: 'This quote has expired. Submit a new quote instead.' });
+        }
+
+        // Sealed bids are final once bidding closes
+        const jobDoc = await adminDb.collection('jobs').doc(existingQuote.jobId).get();
+        if (jobDoc.exists && isBiddingClosed(jobDoc.data())) {
+            return res.status(400).json({ success: false, message: 'Bidding on this sealed-bid job has closed; the quote can no longer be changed.' });
+        }
+
+        const validity = parseValidUntil(req.body.validUntil);
+        if (validity.error) {
+            return res.status(400).json({ success: false, message: validity.error });
+        }
+
+        // Once negotiation has started the terms change only through offers
+        if ((existingQuote.offers || []).length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'This quote is under negotiation. Use counter-offers to change its terms.'
+            });
+        }
+
+        const pricing = resolveQuoteAmount(req.body, existingQuote);
+        if (pricing.error) {
+            return res.status(400).json({ success: false, message: pricing.error });
+        }
+
         // Handle new file uploads
         let newAttachments = [];
         if (req.files && req.files.length > 0) {
@@ -204,9 +290,11 @@ export const updateQuote = async (req, res, next) => {
 
         // Prepare update data
         const updateData = {
-            quoteAmount: parseFloat(quoteAmount),
+            quoteAmount: pricing.quoteAmount,
+            lineItems: pricing.lineItems,
             timeline: timeline ? parseInt(timeline) : null,
             description,
+            ...(validity.validUntil !== undefined && { validUntil: validity.validUntil }),
             updatedAt: admin.firestore.FieldValue.serverTimestamp()
         };
 
@@ -257,6 +345,11 @@ export const getQuoteById = async (req, res, next) => {
             const jobDoc = await jobRef.get();
             if (jobDoc.exists && jobDoc.data().posterId === userId) {
                 isContractor = true;
+                // Sealed bids stay hidden from the contractor until they are opened
+                const jobData = await ensureBidsOpened(quoteData.jobId, jobDoc.data());
+                if (isBidSealed(jobData)) {
+                    return res.status(403).json({ success: false, message: 'Bids on this job are sealed until the bid-close time.', sealedBid: sealedBidSummary(jobData) });
+                }
             }
         }
         
@@ -292,7 +385,10 @@ export const getQuotesByUser = async (req, res, next) => {
 
         const quotesSnapshot = await adminDb.collection('quotes').where('designerId', '==', userId).get();
         
-        const quotes = quotesSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        // Quotes on deleted (archived) jobs stay hidden until the job is restored
+        const quotes = quotesSnapshot.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .filter(quote => !quote.jobArchived);
 
         // Fixed sorting to handle both Firestore timestamps and regular dates
         quotes.sort((a, b) => {
@@ -324,75 +420,6 @@ export const getQuotesByUser = async (req, res, next) => {
     }
 };
 
-export const approveQuote = async (req, res, next) => {
-    try {
-        const { id: quoteId } = req.params;
-        const { jobId } = req.body;
-        const contractorId = req.user.userId;
-        
-        const quoteRef = adminDb.collection('quotes').doc(quoteId);
-        const jobRef = adminDb.collection('jobs').doc(jobId);
-
-        const [quoteDoc, jobDoc] = await Promise.all([quoteRef.get(), jobRef.get()]);
-
-        if (!quoteDoc.exists) return res.status(404).json({ success: false, message: 'Quote not found' });
-        if (!jobDoc.exists) return res.status(404).json({ success: false, message: 'Associated job not found' });
-        
-        const quoteData = quoteDoc.data();
-        const jobData = jobDoc.data();
-        
-        if (jobData.posterId !== contractorId) {
-            return res.status(403).json({ success: false, message: 'You are not authorized to approve quotes for this job' });
-        }
-        
-        if (jobData.status !== 'open') {
-             return res.status(400).json({ success: false, message: `Cannot approve quote, job is already ${jobData.status}.` });
-        }
-        
-        // Use a batch write for atomic operations
-        const batch = adminDb.batch();
-
-        // 1. Update the job status to 'assigned'
-        batch.update(jobRef, {
-            status: 'assigned',
-            assignedTo: quoteData.designerId,
-            assignedToName: quoteData.designerName,
-            approvedQuoteId: quoteId,
-            approvedAmount: quoteData.quoteAmount,
-            updatedAt: admin.firestore.FieldValue.serverTimestamp()
-        });
-        
-        // 2. Update the approved quote's status
-        batch.update(quoteRef, { 
-            status: 'approved', 
-            approvedAt: admin.firestore.FieldValue.serverTimestamp() 
-        });
-
-        // 3. Reject all other 'submitted' quotes for this job
-        const otherQuotesSnapshot = await adminDb.collection('quotes')
-            .where('jobId', '==', jobId)
-            .where('status', '==', 'submitted')
-            .get();
-            
-        otherQuotesSnapshot.docs.forEach(doc => {
-            if (doc.id !== quoteId) {
-                batch.update(doc.ref, { 
-                    status: 'rejected',
-                    rejectedAt: admin.firestore.FieldValue.serverTimestamp()
-                });
-            }
-        });
-        
-        await batch.commit();
-        
-        res.status(200).json({ success: true, message: 'Quote approved and job status updated.' });
-        
-    } catch (error) {
-        console.error('❌ Error in approveQuote:', error);
-        next(error);
-    }
-};
-
 export const getQuotesForJob = async (req, res, next) => {
     try {
         const { jobId } = req.params;
@@ -405,14 +432,24 @@ export const getQuotesForJob = async (req, res, next) => {
             return res.status(404).json({ success: false, message: 'Job not found.' });
         }
 
-        const jobData = jobDoc.data();
+        let jobData = jobDoc.data();
         if (jobData.posterId !== contractorId) {
             return res.status(403).json({ success: false, message: 'You are not authorized to view quotes for this job.' });
         }
 
+        // Sealed bids are revealed all at once when bidding closes
+        jobData = await ensureBidsOpened(jobId, jobData);
+        if (isBidSealed(jobData)) {
+            return res.json({ success: true, data: [], sealedBid: sealedBidSummary(jobData) });
+        }
+
         const quotesSnapshot = await adminDb.collection('quotes').where('jobId', '==', jobId).get();
 
-        const quotes = quotesSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        // Withdrawn quotes are hidden; lapsed ones show as expired even before the sweep runs
+        const quotes = quotesSnapshot.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .filter(quote => quote.status !== 'withdrawn')
+            .map(quote => isQuoteLapsed(quote) ? { ...quote, status: 'expired' } : quote);
 
         // Enrich quotes with designer profile data
         for (let i = 0; i < quotes.length; i++) {
@@ -498,10 +535,15 @@ export const deleteQuote = async (req, res, next) => {
         
         // Decrease job's quotes count when deleting quote
         const jobRef = adminDb.collection('jobs').doc(quoteData.jobId);
+        const jobDoc = await jobRef.get();
+        if (jobDoc.exists && isBiddingClosed(jobDoc.data())) {
+            return res.status(400).json({ success: false, message: 'Bidding on this sealed-bid job has closed; the quote can no longer be deleted.' });
+        }
         await jobRef.update({
             quotesCount: admin.firestore.FieldValue.increment(-1)
         });
         
+        // The quote's usage stays spent; only withdrawn or expired quotes are refunded
         await quoteRef.delete();
         
         res.status(200).json({ success: true, message: 'Quote deleted successfully.' });
@@ -2,41 +2,40 @@ import jwt from 'jsonwebtoken';
 import { adminDb } from '../config/firebase.js';
 import { getCachedUser, setCachedUser } from './userCache.js';
 
-export const authenticateToken = async (req, res, next) => {
-  try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1]; // Format: "Bearer TOKEN"
+// Resolve the user for a JWT access token. Shared by authenticateToken and the Socket.IO
+// handshake so both accept exactly the same tokens.
+// Returns { user } or { status, message }.
+export const resolveTokenUser = async (token) => {
+  if (!token) {
+    return { status: 401, message: 'Access token is required for authentication.' };
+  }
 
-    if (!token) {
-      return res.status(401).json({ success: false, message: 'Access token is required for authentication.' });
-    }
+  if (!process.env.JWT_SECRET) {
+    return { status: 500, message: 'Server configuration error: JWT_SECRET is not set.' };
+  }
 
-    if (!process.env.JWT_SECRET) {
-      return res.status(500).json({ success: false, message: 'Server configuration error: JWT_SECRET is not set.' });
-    }
+  try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
     // --- FIX: Looks for 'decoded.userId' to correctly read the token payload ---
     if (!decoded || !decoded.userId) {
-      return res.status(403).json({ success: false, message: 'Token is malformed or invalid.' });
+      return { status: 403, message: 'Token is malformed or invalid.' };
     }
 
     // Check user cache first to avoid Firestore read on every request
     const cachedUser = getCachedUser(decoded.userId);
     if (cachedUser) {
-      req.user = cachedUser;
-      return next();
+      return { user: cachedUser };
     }
 
     const userDoc = await adminDb.collection('users').doc(decoded.userId).get();
 
     if (!userDoc.exists) {
-      return res.status(401).json({ success: false, message: 'User associated with this token not found.' });
+      return { status: 401, message: 'User associated with this token not found.' };
     }
 
     const userData = userDoc.data();
-    // Attach user information to the request object
-    req.user = {
+    const user = {
       id: userDoc.id,
       userId: userDoc.id, // Added userId to match controller expectations
       email: userData.email,
@@ -45,15 +44,29 @@ export const authenticateToken = async (req, res, next) => {
     };
 
     // Cache user data for subsequent requests
-    setCachedUser(decoded.userId, req.user);
+    setCachedUser(decoded.userId, user);
 
-    next();
+    return { user };
   } catch (error) {
     console.error("Authentication Error:", error.message);
-    return res.status(403).json({ success: false, message: 'Invalid or expired token.' });
+    return { status: 403, message: 'Invalid or expired token.' };
   }
 };
 
+export const authenticateToken = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1]; // Format: "Bearer TOKEN"
+
+  const { user, status, message } = await resolveTokenUser(token);
+  if (!user) {
+    return res.status(status).json({ success: false, message });
+  }
+
+  // Attach user information to the request object
+  req.user = user;
+  next();
+};
+
 export const isContractor = (req, res, next) => {
     if (req.user && req.user.type === 'contractor') {
         next();
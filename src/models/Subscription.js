@@ -121,6 +121,11 @@ const subscriptionSchema = new mongoose.Schema({
         enum: ['daily', 'weekly', 'monthly', 'yearly', null],
         default: null,
     },
+    // Start of the current quota period (null = still the first period, from startDate)
+    usagePeriodStart: {
+        type: Date,
+        default: null,
+    },
     status: {
         type: String,
         enum: ['active', 'cancelled', 'expired', 'pending', 'free_override'],
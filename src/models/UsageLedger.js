@@ -0,0 +1,72 @@
+// src/models/UsageLedger.js
+// Append-only record of plan quota usage. Every quota-consuming action reserves a unit
+// (one `reserve` entry), which is later settled by a `commit` or `release` entry carrying
+// the same reservationId; a committed unit may later get one `refund` entry when its result
+// is withdrawn. `reset` entries mark billing-period rollovers. Entries are never
+// updated or deleted; the current state of a reservation is derived from its entries.
+
+import mongoose from 'mongoose';
+
+const usageLedgerSchema = new mongoose.Schema({
+    // Shared by the reserve entry and the commit/release/refund entries that settle it
+    reservationId: {
+        type: String,
+        default: null,
+    },
+    userId: {
+        type: String,
+        required: true,
+    },
+    meter: {
+        type: String,
+        enum: ['quote', 'ai_estimation', 'ai_analysis', null],
+        default: null, // null on period resets (all meters of the subscription)
+    },
+    type: {
+        type: String,
+        enum: ['reserve', 'commit', 'release', 'refund', 'reset'],
+        required: true,
+    },
+    // Where the unit came from: the plan allowance, a referral reward, or no plan at all
+    source: {
+        type: String,
+        enum: ['plan', 'referral', 'unmetered', null],
+        default: null,
+    },
+    subscriptionId: {
+        type: String,
+        default: null,
+    },
+    // Start of the subscription's usage period the unit was counted in
+    periodStart: {
+        type: Date,
+        default: null,
+    },
+    // What the unit was used for, e.g. { type: 'quote', id: '<quoteId>' }
+    reference: {
+        type: { type: String, default: null },
+        id: { type: String, default: null },
+    },
+    reason: {
+        type: String,
+        default: '',
+    },
+    metadata: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null,
+    },
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// A reservation is committed, released and refunded at most once
+usageLedgerSchema.index(
+    { reservationId: 1, type: 1 },
+    { unique: true, partialFilterExpression: { reservationId: { $type: 'string' } } }
+);
+usageLedgerSchema.index({ userId: 1, createdAt: -1 });
+usageLedgerSchema.index({ type: 1, createdAt: 1 });
+
+const UsageLedger = mongoose.model('UsageLedger', usageLedgerSchema);
+
+export default UsageLedger;
@@ -10,6 +10,11 @@ import { sendEstimationResultNotification, sendProfileReviewNotification, sendMa
 import { NotificationService } from '../services/NotificationService.js';
 import { fetchSheetData, parseSpreadsheet as parseSpreadsheetUtil, autoGenerateDashboardConfig as autoGenerateUtil, detectLinkType, generatePredictiveAnalysis } from '../utils/sheetAnalyzer.js';
 import { forceSyncDashboard } from '../services/dashboardSyncService.js';
+import { rebuildJobSearchIndex, removeJobFromIndex, indexJobById } from '../services/jobSearchIndex.js';
+import { backfillJobVisibility } from '../services/jobInvitationService.js';
+import { clearArchiveFlags } from '../services/jobArchiveService.js';
+import { DISPUTE_STATUSES, DISPUTE_OUTCOMES, listDisputes, getDispute, markUnderReview, resolveDispute, DisputeStateError } from '../services/disputeService.js';
+import { JobTransitionError, sendTransitionError } from '../services/jobLifecycle.js';
 import { generateAIEstimate } from '../services/aiEstimationService.js';
 import { runMultiPassEstimation } from '../services/multiPassEstimationEngine.js';
 import { adminActivityLoggerMiddleware } from '../middleware/adminActivityMiddleware.js';
@@ -1108,6 +1113,8 @@ router.get('/conversations', async (req, res) => {
 
             const conversation = {
                 _id: doc.id,
+                type: data.type || 'direct',
+                name: data.name || null,
                 participants: participants,
                 participantNames: participants.map(p => p.name).join(', '),
                 participantEmails: participants.map(p => p.email).join(', '),
@@ -1192,7 +1199,17 @@ router.get('/conversations/:conversationId/messages', async (req, res) => {
                 senderEmail: sender ? sender.email : 'Unknown',
                 senderType: sender ? sender.type : 'Unknown',
                 createdAt: messageData.createdAt,
-                readBy: messageData.readBy || {}
+                readBy: messageData.readBy || {},
+                attachments: messageData.attachments || [],
+                replyTo: messageData.replyTo || null,
+                reactions: messageData.reactions || {},
+                // Edited and deleted messages keep their original content for review
+                originalText: messageData.editHistory?.length ? messageData.editHistory[0].text : messageData.text,
+                editedAt: messageData.editedAt || null,
+                editHistory: messageData.editHistory || [],
+                deleted: messageData.deleted || false,
+                deletedAt: messageData.deletedAt || null,
+                deletedBy: messageData.deletedBy || null
             };
         }).reverse(); // Show oldest first
 
@@ -3046,12 +3063,35 @@ router.get('/jobs', async (req, res) => {
 router.delete('/jobs/:id', async (req, res) => {
     try {
         await adminDb.collection('jobs').doc(req.params.id).delete();
+        await removeJobFromIndex(req.params.id);
         res.json({ success: true, message: `Job deleted successfully.` });
     } catch (e) {
         res.status(500).json({ success: false, message: `Error deleting item` });
     }
 });
 
+// Rebuild the job search index from the jobs collection (backfill / repair)
+router.post('/jobs/search-index/rebuild', async (req, res) => {
+    try {
+        const indexed = await rebuildJobSearchIndex();
+        res.json({ success: true, message: `Search index rebuilt for ${indexed} jobs.`, indexed });
+    } catch (e) {
+        console.error('Job search index rebuild error:', e);
+        res.status(500).json({ success: false, message: 'Error rebuilding job search index' });
+    }
+});
+
+// Mark jobs created before private jobs existed as public (backfill for the public listing)
+router.post('/jobs/visibility/backfill', async (req, res) => {
+    try {
+        const updated = await backfillJobVisibility();
+        res.json({ success: true, message: `Visibility set on ${updated} jobs.`, updated });
+    } catch (e) {
+        console.error('Job visibility backfill error:', e);
+        res.status(500).json({ success: false, message: 'Error backfilling job visibility' });
+    }
+});
+
 router.delete('/quotes/:id', async (req, res) => {
     try {
         await adminDb.collection('quotes').doc(req.params.id).delete();
@@ -3061,6 +3101,95 @@ router.delete('/quotes/:id', async (req, res) => {
     }
 });
 
+// --- JOB DISPUTES ---
+// GET /api/admin/disputes?status=open|under_review|resolved
+router.get('/disputes', async (req, res) => {
+    try {
+        const { status, jobId } = req.query;
+        if (status && !DISPUTE_STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, message: `Status must be one of: ${DISPUTE_STATUSES.join(', ')}` });
+        }
+        const disputes = await listDisputes({ status: status || null, jobId: jobId || null });
+        res.json({ success: true, data: disputes, total: disputes.length });
+    } catch (error) {
+        console.error('Error fetching disputes:', error);
+        res.status(500).json({ success: false, message: 'Error fetching disputes' });
+    }
+});
+
+// GET /api/admin/disputes/:disputeId - dispute with job snapshot for arbitration
+router.get('/disputes/:disputeId', async (req, res) => {
+    try {
+        const dispute = await getDispute(req.params.disputeId);
+        if (!dispute) return res.status(404).json({ success: false, message: 'Dispute not found' });
+
+        const jobDoc = await adminDb.collection('jobs').doc(dispute.jobId).get();
+        const job = jobDoc.exists ? { id: jobDoc.id, ...jobDoc.data() } : null;
+
+        res.json({ success: true, data: { dispute, job } });
+    } catch (error) {
+        console.error('Error fetching dispute:', error);
+        res.status(500).json({ success: false, message: 'Error fetching dispute' });
+    }
+});
+
+// PUT /api/admin/disputes/:disputeId/review - mark a dispute as under review
+router.put('/disputes/:disputeId/review', async (req, res) => {
+    try {
+        const dispute = await getDispute(req.params.disputeId);
+        if (!dispute) return res.status(404).json({ success: false, message: 'Dispute not found' });
+        if (dispute.status !== 'open') {
+            return res.status(400).json({ success: false, message: `Dispute is already ${dispute.status}` });
+        }
+
+        const updated = await markUnderReview(dispute, req.user);
+        res.json({ success: true, message: 'Dispute marked as under review', data: updated });
+    } catch (error) {
+        if (error instanceof DisputeStateError) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error('Error reviewing dispute:', error);
+        res.status(500).json({ success: false, message: 'Error updating dispute' });
+    }
+});
+
+// POST /api/admin/disputes/:disputeId/resolve - arbitrate: resume_work | partial_completion | cancel
+router.post('/disputes/:disputeId/resolve', async (req, res) => {
+    try {
+        const { outcome, note, completionPercentage } = req.body;
+        if (!outcome || !DISPUTE_OUTCOMES[outcome]) {
+            return res.status(400).json({ success: false, message: `Outcome must be one of: ${Object.keys(DISPUTE_OUTCOMES).join(', ')}` });
+        }
+
+        let pct = null;
+        if (outcome === 'partial_completion') {
+            pct = parseInt(completionPercentage);
+            if (isNaN(pct) || pct < 0 || pct > 100) {
+                return res.status(400).json({ success: false, message: 'Partial completion requires a completionPercentage between 0 and 100' });
+            }
+        }
+
+        const dispute = await getDispute(req.params.disputeId);
+        if (!dispute) return res.status(404).json({ success: false, message: 'Dispute not found' });
+        if (dispute.status === 'resolved') {
+            return res.status(400).json({ success: false, message: 'Dispute is already resolved' });
+        }
+
+        const updated = await resolveDispute(dispute, { outcome, note: note?.trim() || '', completionPercentage: pct }, req.user);
+        console.log(`[ADMIN] ${req.user.email} resolved dispute ${dispute.id} with outcome ${outcome}`);
+        res.json({ success: true, message: 'Dispute resolved', data: updated });
+    } catch (error) {
+        if (error instanceof DisputeStateError) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        if (error instanceof JobTransitionError) {
+            return sendTransitionError(res, error);
+        }
+        console.error('Error resolving dispute:', error);
+        res.status(500).json({ success: false, message: 'Error resolving dispute' });
+    }
+});
+
 // ==========================================
 // SYSTEM ADMIN - MASTER DATA MANAGEMENT
 // ==========================================
@@ -3250,8 +3379,8 @@ router.post('/system-admin/restore/:docId', async (req, res) => {
         const collectionKey = trashData._collectionKey;
         const originalId = trashData._originalId || docId;
 
-        // Remove trash metadata
-        const { _collection, _collectionKey, _originalId, _deletedAt, _deletedBy, ...originalData } = trashData;
+        // Remove trash metadata (including the restore window of jobs archived by their poster)
+        const { _collection, _collectionKey, _originalId, _deletedAt, _deletedBy, _archivedBy, _restoreUntil, ...originalData } = trashData;
 
         // Restore to original collection
         await adminDb.collection(originalCollection).doc(originalId).set(originalData);
@@ -3275,6 +3404,12 @@ router.post('/system-admin/restore/:docId', async (req, res) => {
         // Remove from trash
         await adminDb.collection('_trash').doc(docId).delete();
 
+        // Jobs: un-hide their quotes/conversations and put them back in the search index
+        if (collectionKey === 'jobs') {
+            await clearArchiveFlags(originalId);
+            await indexJobById(originalId);
+        }
+
         const label = SYSTEM_COLLECTIONS[collectionKey]?.label || originalCollection;
         console.log(`[SYSTEM ADMIN] ${req.user.email} restored ${label} doc ${originalId}`);
         res.json({ success: true, message: `${label} item restored successfully` });
@@ -6,7 +6,7 @@ import { authenticateToken } from '../middleware/authMiddleware.js';
 import { adminDb, storage } from '../config/firebase.js';
 import { fetchSheetData, fetchGoogleSheetData, parseSpreadsheet, autoGenerateDashboardConfig, detectLinkType, generatePredictiveAnalysis } from '../utils/sheetAnalyzer.js';
 import { forceSyncDashboard } from '../services/dashboardSyncService.js';
-import Subscription from '../models/Subscription.js';
+import { reserveUsage, commitUsage, releaseUsage, findMeterSubscription, rollUsagePeriod, currentUsagePeriod } from '../services/usageMeteringService.js';
 
 const router = express.Router();
 const upload = multer({
@@ -30,47 +30,6 @@ const upload = multer({
     }
 });
 
-// ── AI ANALYSIS USAGE HELPERS ──
-
-/**
- * Check if the user has an active AI analysis subscription and remaining quota.
- * Returns { allowed, subscription, message }.
- */
-async function checkAiAnalysisQuota(userId) {
-    const subscription = await Subscription.findOne({
-        userId,
-        plan: { $regex: /^ai_analysis_/ },
-        status: { $in: ['active', 'free_override'] },
-    }).sort({ createdAt: -1 });
-
-    if (!subscription) {
-        return { allowed: false, subscription: null, message: 'No active AI Analysis subscription. Please subscribe to an AI Analysis plan.' };
-    }
-
-    // Check storage cap
-    if (subscription.storageAllowedMB && subscription.storageUsedMB >= subscription.storageAllowedMB) {
-        return { allowed: false, subscription, message: `Storage limit reached (${(subscription.storageUsedMB / 1024).toFixed(1)} GB / ${(subscription.storageAllowedMB / 1024).toFixed(0)} GB). Please upgrade your plan.` };
-    }
-
-    // Check analysis quota
-    if (subscription.aiAnalysisQuota != null && subscription.aiAnalysesUsed >= subscription.aiAnalysisQuota) {
-        return { allowed: false, subscription, message: `Analysis quota reached (${subscription.aiAnalysesUsed} / ${subscription.aiAnalysisQuota}). Quota resets at the end of your billing cycle.` };
-    }
-
-    return { allowed: true, subscription, message: 'OK' };
-}
-
-/**
- * Increment analyses used counter and optionally add storage usage.
- */
-async function recordAnalysisUsage(subscriptionId, storageDeltaMB = 0) {
-    const update = { $inc: { aiAnalysesUsed: 1 } };
-    if (storageDeltaMB > 0) {
-        update.$inc.storageUsedMB = storageDeltaMB;
-    }
-    await Subscription.findByIdAndUpdate(subscriptionId, update);
-}
-
 // Firestore max document size is ~1MB. We aim to stay well under that.
 const FIRESTORE_DOC_LIMIT = 800 * 1024; // 800KB safety margin
 
@@ -251,11 +210,7 @@ router.get('/usage', async (req, res) => {
         const userId = req.user.userId || req.user.uid || req.user.id;
         if (!userId) return res.status(400).json({ success: false, message: 'User ID not found' });
 
-        const subscription = await Subscription.findOne({
-            userId,
-            plan: { $regex: /^ai_analysis_/ },
-            status: { $in: ['active', 'free_override'] },
-        }).sort({ createdAt: -1 });
+        let subscription = await findMeterSubscription(userId, 'ai_analysis');
 
         if (!subscription) {
             return res.json({
@@ -264,6 +219,8 @@ router.get('/usage', async (req, res) => {
                 usage: null,
             });
         }
+        subscription = await rollUsagePeriod(subscription);
+        const period = currentUsagePeriod(subscription);
 
         res.json({
             success: true,
@@ -274,6 +231,8 @@ router.get('/usage', async (req, res) => {
                 billingCycle: subscription.billingCycle,
                 analysesUsed: subscription.aiAnalysesUsed || 0,
                 analysesAllowed: subscription.aiAnalysisQuota,
+                periodStart: period.start,
+                resetsAt: period.end,
                 estimationUsedMB: subscription.storageUsedMB || 0,
                 estimationAllowedMB: subscription.storageAllowedMB,
                 estimationUsedGB: ((subscription.storageUsedMB || 0) / 1024).toFixed(2),
@@ -306,6 +265,9 @@ router.post('/upload-sheet', (req, res, next) => {
         next();
     });
 }, async (req, res) => {
+    // AI analysis usage reserved for this upload; released unless a dashboard is created
+    let usage = null;
+    let usageCommitted = false;
     try {
         const userEmail = req.user.email;
         const userName = req.user.name || req.user.displayName || 'Unknown User';
@@ -322,6 +284,11 @@ router.post('/upload-sheet', (req, res, next) => {
             return res.status(400).json({ success: false, message: 'Please upload a spreadsheet file (.xlsx, .xls, .csv) or provide a Google Sheet link' });
         }
 
+        usage = await reserveUsage(req.user.userId, 'ai_analysis', { type: 'dashboard_upload', id: null });
+        if (usage.error) {
+            return res.status(usage.status).json({ success: false, message: usage.error, code: usage.code, usage: usage.usage });
+        }
+
         let sheets = {};
         let sheetNames = [];
         let dashboardCharts = [];
@@ -423,6 +390,8 @@ router.post('/upload-sheet', (req, res, next) => {
                     throw firestoreErr;
                 }
             }
+            usageCommitted = true;
+            await commitUsage(usage.reservationId, { type: 'dashboard', id: docRef.id });
             console.log(`[ANALYSIS] Contractor ${userEmail} uploaded file -> Dashboard ${docRef.id} (pending)`);
 
             return res.json({
@@ -485,6 +454,8 @@ router.post('/upload-sheet', (req, res, next) => {
             };
 
             const docRef = await adminDb.collection('dashboards').add(dashboardData);
+            usageCommitted = true;
+            await commitUsage(usage.reservationId, { type: 'dashboard', id: docRef.id });
             console.log(`[ANALYSIS] Contractor ${userEmail} linked ${linkType} sheet -> Dashboard ${docRef.id} (pending, data on-demand)`);
 
             const syncMsg = syncInterval !== 'manual' ? ` Auto-sync: ${syncInterval}.` : '';
@@ -513,6 +484,10 @@ router.post('/upload-sheet', (req, res, next) => {
         } else {
             res.status(500).json({ success: false, message: 'Failed to process your data. Please try again or upload a smaller file.' });
         }
+    } finally {
+        if (usage?.reservationId && !usageCommitted) {
+            await releaseUsage(usage.reservationId, 'dashboard_not_created');
+        }
     }
 });
 
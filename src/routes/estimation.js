@@ -25,6 +25,7 @@ import { generateCacheKey, getCachedEstimate, setCachedEstimate, getCacheStats }
 import { generateQuickEstimate } from '../services/quickEstimationEngine.js';
 import { NotificationService } from '../services/NotificationService.js';
 import { estimationLimiter, websiteEstimationLimiter } from '../middleware/rateLimiter.js';
+import { reserveUsage, commitUsage, releaseUsage } from '../services/usageMeteringService.js';
 
 const router = express.Router();
 
@@ -304,6 +305,9 @@ router.get('/', authenticateToken, isAdmin, async (req, res) => {
 
 // Estimation submission: upload files + auto-generate AI estimate + save to Firestore
 router.post('/contractor/submit', estimationLimiter, authenticateToken, isContractor, async (req, res) => {
+  // AI estimation usage reserved for this submission; released unless the estimation is saved
+  let usage = null;
+  let usageCommitted = false;
   try {
     // Parse multipart upload safely (handles multer errors inline)
     try {
@@ -362,6 +366,16 @@ router.post('/contractor/submit', estimationLimiter, authenticateToken, isContra
       });
     }
 
+    usage = await reserveUsage(req.user.userId, 'ai_estimation', { type: 'estimation_request', id: null });
+    if (usage.error) {
+      return res.status(usage.status).json({
+        success: false,
+        message: usage.error,
+        errorCode: usage.code,
+        usage: usage.usage
+      });
+    }
+
     console.log(`[CONTRACTOR] Processing ${files.length} files for estimation`);
 
     // Upload files to Firebase Storage with contractor metadata for security
@@ -424,6 +438,7 @@ router.post('/contractor/submit', estimationLimiter, authenticateToken, isContra
       totalFileSize: uploadedFiles.reduce((sum, file) => sum + (file.size || 0), 0),
       status: 'pending',
       aiStatus: 'pending', // AI will only generate when admin confirms
+      usageReservationId: usage.reservationId,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
       submissionMetadata: {
@@ -435,6 +450,8 @@ router.post('/contractor/submit', estimationLimiter, authenticateToken, isContra
     };
 
     const estimationRef = await adminDb.collection('estimations').add(estimationData);
+    usageCommitted = true;
+    await commitUsage(usage.reservationId, { type: 'estimation', id: estimationRef.id });
     console.log(`[CONTRACTOR] Estimation saved with ID: ${estimationRef.id}, starting background AI generation`);
 
     // Log estimation submission activity (fire-and-forget)
@@ -478,6 +495,10 @@ router.post('/contractor/submit', estimationLimiter, authenticateToken, isContra
       message: 'Error submitting estimation request',
       error: error.message
     });
+  } finally {
+    if (usage?.reservationId && !usageCommitted) {
+      await releaseUsage(usage.reservationId, 'estimation_not_created');
+    }
   }
 });
 
@@ -1740,6 +1761,8 @@ router.use((error, req, res, next) => {
 
 // POST /estimation/ai-estimate - Generate AI-powered cost estimation
 router.post('/ai-estimate', estimationLimiter, authenticateToken, async (req, res) => {
+    let usage = null;
+    let usageCommitted = false;
     try {
         // Parse multipart upload safely (handles multer errors inline)
         try {
@@ -1779,6 +1802,11 @@ router.post('/ai-estimate', estimationLimiter, authenticateToken, async (req, re
             });
         }
 
+        usage = await reserveUsage(req.user.userId, 'ai_estimation', { type: 'ai_estimate', id: null });
+        if (usage.error) {
+            return res.status(usage.status).json({ success: false, message: usage.error, errorCode: usage.code, usage: usage.usage });
+        }
+
         // Upload files to Firebase Storage (reuse existing upload helper)
         let uploadedFiles = [];
         const files = req.files;
@@ -1907,6 +1935,8 @@ router.post('/ai-estimate', estimationLimiter, authenticateToken, async (req, re
         };
 
         const docRef = await adminDb.collection('estimations').add(estimationDoc);
+        usageCommitted = true;
+        await commitUsage(usage.reservationId, { type: 'estimation', id: docRef.id });
 
         console.log(`[AI-ESTIMATION] Generated for "${projectTitle}" by ${req.user.email} (ID: ${docRef.id})`);
 
@@ -1922,6 +1952,10 @@ router.post('/ai-estimate', estimationLimiter, authenticateToken, async (req, re
     } catch (error) {
         console.error('[AI-ESTIMATION] Error:', error);
         res.status(500).json({ success: false, message: 'Error generating AI estimation' });
+    } finally {
+        if (usage?.reservationId && !usageCommitted) {
+            await releaseUsage(usage.reservationId, 'estimation_not_created');
+        }
     }
 });
 
@@ -2229,6 +2263,8 @@ router.post('/ai/questions', estimationLimiter, authenticateToken, async (req, r
 
 // POST /estimation/ai/generate - Generate full AI estimate from answers (with file upload support)
 router.post('/ai/generate', estimationLimiter, authenticateToken, async (req, res) => {
+    let usage = null;
+    let usageCommitted = false;
     try {
         // Parse multipart upload if files are included
         let fileUploadWarning = null;
@@ -2275,6 +2311,15 @@ router.post('/ai/generate', estimationLimiter, authenticateToken, async (req, re
         const tier = (estimationTier || 'standard').toLowerCase();
         console.log(`[AI-ESTIMATION] Generating ${tier.toUpperCase()} estimate for "${projectTitle}" by ${req.user.email}`);
 
+        // A new AI estimate uses one AI estimation (submitted requests were metered on submission;
+        // the quick tier makes no AI calls)
+        if (!estimationId && tier !== 'quick') {
+            usage = await reserveUsage(req.user.userId, 'ai_estimation', { type: 'ai_estimate', id: null });
+            if (usage.error) {
+                return res.status(usage.status).json({ success: false, message: usage.error, errorCode: usage.code, usage: usage.usage });
+            }
+        }
+
         // Upload files to Firebase Storage if included
         let uploadedFiles = [];
         const files = req.files;
@@ -2408,6 +2453,11 @@ router.post('/ai/generate', estimationLimiter, authenticateToken, async (req, re
             console.error('[AI-ESTIMATION] Could not save estimation:', saveErr.message);
         }
 
+        if (usage) {
+            usageCommitted = true;
+            await commitUsage(usage.reservationId, { type: 'estimation', id: savedEstimationId || null });
+        }
+
         // Send in-app notification to contractor that AI estimate is ready
         try {
             const estimatedAmount = estimate?.summary?.grandTotal || estimate?.summary?.totalEstimate || 0;
@@ -2438,6 +2488,10 @@ router.post('/ai/generate', estimationLimiter, authenticateToken, async (req, re
     } catch (error) {
         console.error('[AI-ESTIMATION] Error generating estimate:', error);
         res.status(500).json({ success: false, message: error.message || 'Failed to generate AI estimate' });
+    } finally {
+        if (usage?.reservationId && !usageCommitted) {
+            await releaseUsage(usage.reservationId, 'estimate_not_generated');
+        }
     }
 });
 
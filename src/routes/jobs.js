@@ -6,17 +6,82 @@ import {
   getJobById,
   deleteJob,
   getJobsByUserId,
-  updateJob
+  updateJob,
+  getArchivedJobs,
+  restoreDeletedJob,
+  cloneJob,
+  createJobFromTemplate
 } from '../controllers/jobController.js';
 import { authenticateToken, isContractor, isDesigner } from '../middleware/auth.js';
+import { optionalAuth } from '../middleware/authMiddleware.js';
 import { 
   upload, 
   handleUploadError, 
   validateFileRequirements, 
   logUploadDetails, 
-  validatePDFFiles 
+  validatePDFFiles,
+  uploadMultipleFilesToFirebase
 } from '../middleware/upload.js';
 import { adminDb } from '../config/firebase.js';
+import { NotificationService } from '../services/NotificationService.js';
+import {
+  normalizeMilestonePlan,
+  allMilestonesAccepted,
+  acceptedShare,
+  canReplacePlan
+} from '../services/jobMilestoneService.js';
+import { searchJobs, indexJob, indexJobById } from '../services/jobSearchIndex.js';
+import {
+  parseInvitees,
+  resolveInvitees,
+  createInvitations,
+  listInvitations,
+  canViewJob,
+  JOB_INVITATIONS_COLLECTION
+} from '../services/jobInvitationService.js';
+import { listDrawings, findRevision } from '../services/drawingRevisionService.js';
+import { getSignedDownloadUrl } from '../utils/firebaseStorage.js';
+import { isBidSealed, ensureBidsOpened, getBidOpening, sealedBidSummary } from '../services/sealedBidService.js';
+import { buildChangeOrder, applyChangeOrder, partyRole } from '../services/changeOrderService.js';
+import { openDispute, getDispute, listDisputes, addEvidence, DisputeStateError } from '../services/disputeService.js';
+import {
+  validateReview,
+  createReview,
+  getReviewsForJob,
+  REVIEWABLE_JOB_STATUSES
+} from '../services/reputationService.js';
+import { rankDesignersForJob, selectDesignersToNotify } from '../services/designerMatchingService.js';
+import {
+  normalizeSavedSearch,
+  listSavedSearches,
+  getSavedSearch,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  processJobForAlerts
+} from '../services/savedSearchService.js';
+import { assessSchedule } from '../services/jobScheduleService.js';
+import {
+  normalizeTemplate,
+  templateFromJob,
+  copyAttachments,
+  deleteAttachmentFiles,
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate
+} from '../services/jobTemplateService.js';
+import {
+  transitionJob,
+  assertTransition,
+  buildTransitionUpdate,
+  sendTransitionError,
+  allowedTransitions,
+  updateJobInTransaction,
+  ACTIVE_STATES,
+  JobTransitionError
+} from '../services/jobLifecycle.js';
 
 // TEMPORARY NOTIFICATION SERVICE
 class TempNotificationService {
@@ -24,19 +89,16 @@ class TempNotificationService {
     try {
       console.log('📬 Creating job creation notifications...');
       
-      // Get all approved designers
-      const designersSnapshot = await adminDb.collection('users')
-        .where('type', '==', 'designer')
-        .where('profileStatus', '==', 'approved')
-        .get();
+      // Only the best-matched approved designers are notified
+      const matches = await selectDesignersToNotify(jobData);
 
       const notifications = [];
 
-      designersSnapshot.docs.forEach(doc => {
+      matches.forEach(match => {
         notifications.push({
-          userId: doc.id,
-          title: 'New Project Available',
-          message: `A new project "${jobData.title}" with budget ${jobData.budget} is now available for quotes`,
+          userId: match.designerId,
+          title: 'New Project Matches Your Skills',
+          message: `A new project "${jobData.title}" with budget ${jobData.budget} matches your skills and is now available for quotes`,
           type: 'job',
           metadata: {
             action: 'job_created',
@@ -45,7 +107,9 @@ class TempNotificationService {
             contractorName: jobData.posterName,
             jobTitle: jobData.title,
             budget: jobData.budget,
-            deadline: jobData.deadline
+            deadline: jobData.deadline,
+            matchScore: match.score,
+            matchedSkills: match.matchedSkills
           },
           isRead: false,
           seen: false,
@@ -59,12 +123,13 @@ class TempNotificationService {
       notifications.push({
         userId: jobData.posterId,
         title: 'Project Posted Successfully',
-        message: `Your project "${jobData.title}" has been posted and is now visible to all qualified designers`,
+        message: `Your project "${jobData.title}" has been posted and ${matches.length} matching designer${matches.length === 1 ? ' has' : 's have'} been notified`,
         type: 'job',
         metadata: {
           action: 'job_posted_confirmation',
           jobId: jobData.id,
-          jobTitle: jobData.title
+          jobTitle: jobData.title,
+          matchedDesigners: matches.length
         },
         isRead: false,
         seen: false,
@@ -79,9 +144,12 @@ class TempNotificationService {
         const notificationRef = adminDb.collection('notifications').doc();
         batch.set(notificationRef, notification);
       });
+      batch.update(adminDb.collection('jobs').doc(jobData.id), {
+        matchNotifiedDesignerIds: matches.map(m => m.designerId)
+      });
       await batch.commit();
 
-      console.log(`✅ Job creation notifications sent to ${designersSnapshot.size} designers`);
+      console.log(`✅ Job creation notifications sent to ${matches.length} matched designers`);
     } catch (error) {
       console.error('❌ Error in job creation notifications:', error);
     }
@@ -122,9 +190,351 @@ class TempNotificationService {
 
 const router = express.Router();
 
+// Side effects of a manual status change: re-index, announce published/reopened jobs, notify
+async function handleJobStatusChanged(job, oldStatus, newStatus) {
+  indexJob(job.id, job);
+
+  if (newStatus === 'open' && oldStatus === 'draft') {
+    try {
+      if (job.visibility === 'private') {
+        const { designers } = await resolveInvitees(job.draftInviteeIds || []);
+        await createInvitations(job.id, job, designers, job.posterId);
+        await adminDb.collection('jobs').doc(job.id).update({ draftInviteeIds: [] });
+      } else {
+        await TempNotificationService.notifyJobCreated(job);
+      }
+    } catch (publishError) {
+      console.error('❌ Failed to announce published job:', publishError);
+    }
+  }
+  if (newStatus === 'open' && oldStatus !== 'open') {
+    processJobForAlerts(job.id, job);
+  }
+
+  try {
+    await TempNotificationService.notifyJobStatusChanged(job, oldStatus, newStatus);
+    console.log('✅ Job status change notifications sent successfully');
+  } catch (notificationError) {
+    console.error('❌ Failed to send job status change notifications:', notificationError);
+  }
+}
+
+// Upload files attached to job sub-resources (change orders, dispute evidence, templates)
+async function uploadJobFiles(files, folder, userId) {
+  if (!files || files.length === 0) return [];
+  const uploadedFiles = await uploadMultipleFilesToFirebase(files, folder, userId);
+  return uploadedFiles.map(file => ({
+    name: file.name || file.originalname || 'Unknown File',
+    url: file.url || file.downloadURL || '',
+    path: file.path || '',
+    size: file.size || 0,
+    mimetype: file.mimetype || file.type || 'application/octet-stream',
+    uploadedAt: file.uploadedAt || new Date().toISOString()
+  }));
+}
+
 // Public routes
 router.get('/', getAllJobs);
-router.get('/:id', getJobById);
+
+// Keyword + faceted search over open jobs, with cursor pagination
+router.get('/search', async (req, res) => {
+    try {
+        const {
+            q, budgetMin, budgetMax, location, jobType, skills,
+            postedAfter, postedBefore, sort, limit, cursor
+        } = req.query;
+
+        const result = await searchJobs({
+            q,
+            budgetMin: budgetMin ?? null,
+            budgetMax: budgetMax ?? null,
+            location,
+            jobType,
+            skills: skills ? String(skills).split(',').map(s => s.trim()).filter(Boolean) : [],
+            postedAfter,
+            postedBefore,
+            sort,
+            limit,
+            cursor
+        });
+
+        res.status(200).json({
+            success: true,
+            data: result.jobs,
+            facets: result.facets,
+            pagination: {
+                total: result.total,
+                capped: result.capped,
+                nextCursor: result.nextCursor,
+                hasNext: !!result.nextCursor
+            }
+        });
+    } catch (error) {
+        console.error('Error searching jobs:', error);
+        res.status(500).json({ success: false, message: 'Failed to search projects.' });
+    }
+});
+
+// Designer's invitations to private jobs
+router.get('/invitations/mine', authenticateToken, isDesigner, async (req, res) => {
+    try {
+        const { status } = req.query;
+        let invitations = await listInvitations({ designerId: req.user.userId });
+        if (status) {
+            invitations = invitations.filter(i => i.status === status);
+        }
+        res.status(200).json({ success: true, data: invitations });
+    } catch (error) {
+        console.error('Error fetching invitations:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch invitations.' });
+    }
+});
+
+// Saved searches / job alerts for the logged-in designer
+router.get('/saved-searches', authenticateToken, isDesigner, async (req, res) => {
+    try {
+        const searches = await listSavedSearches(req.user.userId);
+        res.status(200).json({ success: true, data: searches });
+    } catch (error) {
+        console.error('Error fetching saved searches:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch saved searches.' });
+    }
+});
+
+router.post('/saved-searches', authenticateToken, isDesigner, async (req, res) => {
+    try {
+        const { search, error } = normalizeSavedSearch(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const created = await createSavedSearch(req.user.userId, search);
+        if (!created) {
+            return res.status(400).json({ success: false, message: 'You have reached the maximum number of saved searches.' });
+        }
+        res.status(201).json({ success: true, message: 'Search saved.', data: created });
+    } catch (error) {
+        console.error('Error saving search:', error);
+        res.status(500).json({ success: false, message: 'Failed to save search.' });
+    }
+});
+
+router.put('/saved-searches/:searchId', authenticateToken, isDesigner, async (req, res) => {
+    try {
+        const existing = await getSavedSearch(req.params.searchId);
+        if (!existing || existing.userId !== req.user.userId) {
+            return res.status(404).json({ success: false, message: 'Saved search not found.' });
+        }
+
+        const { search, error } = normalizeSavedSearch(req.body, existing);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const updateData = await updateSavedSearch(existing.id, search);
+        res.status(200).json({ success: true, message: 'Saved search updated.', data: { ...existing, ...updateData } });
+    } catch (error) {
+        console.error('Error updating saved search:', error);
+        res.status(500).json({ success: false, message: 'Failed to update saved search.' });
+    }
+});
+
+router.delete('/saved-searches/:searchId', authenticateToken, isDesigner, async (req, res) => {
+    try {
+        const existing = await getSavedSearch(req.params.searchId);
+        if (!existing || existing.userId !== req.user.userId) {
+            return res.status(404).json({ success: false, message: 'Saved search not found.' });
+        }
+
+        await deleteSavedSearch(existing.id);
+        res.status(200).json({ success: true, message: 'Saved search deleted.' });
+    } catch (error) {
+        console.error('Error deleting saved search:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete saved search.' });
+    }
+});
+
+// Job templates for the logged-in contractor
+router.get('/templates', authenticateToken, isContractor, async (req, res) => {
+    try {
+        const templates = await listTemplates(req.user.userId);
+        res.status(200).json({ success: true, data: templates });
+    } catch (error) {
+        console.error('Error fetching job templates:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch job templates.' });
+    }
+});
+
+// Create a template from scratch (attachments may be uploaded with it)
+router.post(
+  '/templates',
+  authenticateToken,
+  isContractor,
+  upload.array('attachments', 10),
+  handleUploadError,
+  validatePDFFiles,
+  async (req, res) => {
+    try {
+        const { template, error } = normalizeTemplate(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const attachments = await uploadJobFiles(req.files, 'job-templates', req.user.userId);
+
+        const created = await createTemplate(req.user.userId, template, attachments);
+        if (!created) {
+            await deleteAttachmentFiles(attachments);
+            return res.status(400).json({ success: false, message: 'You have reached the maximum number of job templates.' });
+        }
+        res.status(201).json({ success: true, message: 'Template saved.', data: created });
+    } catch (error) {
+        console.error('Error creating job template:', error);
+        res.status(500).json({ success: false, message: 'Failed to save template.' });
+    }
+  }
+);
+
+// Update a template's fields; new uploads are appended, `removeAttachments` lists storage paths to drop
+router.put(
+  '/templates/:templateId',
+  authenticateToken,
+  isContractor,
+  upload.array('attachments', 10),
+  handleUploadError,
+  validatePDFFiles,
+  async (req, res) => {
+    try {
+        const existing = await getTemplate(req.params.templateId);
+        if (!existing || existing.ownerId !== req.user.userId) {
+            return res.status(404).json({ success: false, message: 'Template not found.' });
+        }
+
+        const { template, error } = normalizeTemplate(req.body, existing);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        let removePaths = req.body.removeAttachments || [];
+        if (typeof removePaths === 'string') removePaths = removePaths.split(',').map(p => p.trim()).filter(Boolean);
+        const removed = (existing.attachments || []).filter(a => removePaths.includes(a.path));
+        const kept = (existing.attachments || []).filter(a => !removePaths.includes(a.path));
+
+        const uploaded = await uploadJobFiles(req.files, 'job-templates', req.user.userId);
+        const attachments = [...kept, ...uploaded];
+
+        const updateData = await updateTemplate(existing.id, { ...template, attachments });
+        await deleteAttachmentFiles(removed);
+        res.status(200).json({ success: true, message: 'Template updated.', data: { ...existing, ...updateData } });
+    } catch (error) {
+        console.error('Error updating job template:', error);
+        res.status(500).json({ success: false, message: 'Failed to update template.' });
+    }
+  }
+);
+
+router.delete('/templates/:templateId', authenticateToken, isContractor, async (req, res) => {
+    try {
+        const existing = await getTemplate(req.params.templateId);
+        if (!existing || existing.ownerId !== req.user.userId) {
+            return res.status(404).json({ success: false, message: 'Template not found.' });
+        }
+
+        await deleteTemplate(existing);
+        res.status(200).json({ success: true, message: 'Template deleted.' });
+    } catch (error) {
+        console.error('Error deleting job template:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete template.' });
+    }
+});
+
+// Create a draft job from a template (body fields override the template's)
+router.post('/templates/:templateId/jobs', authenticateToken, isContractor, createJobFromTemplate);
+
+// Designer accepts or declines an invitation
+router.put('/invitations/:invitationId/respond', authenticateToken, isDesigner, async (req, res) => {
+    try {
+        const { invitationId } = req.params;
+        const { action } = req.body;
+        const designerId = req.user.userId;
+
+        if (!action || !['accept', 'decline'].includes(action)) {
+            return res.status(400).json({ success: false, message: 'Action must be "accept" or "decline".' });
+        }
+
+        const invitationRef = adminDb.collection(JOB_INVITATIONS_COLLECTION).doc(invitationId);
+        const invitationDoc = await invitationRef.get();
+        if (!invitationDoc.exists || invitationDoc.data().designerId !== designerId) {
+            return res.status(404).json({ success: false, message: 'Invitation not found.' });
+        }
+
+        const invitation = { id: invitationId, ...invitationDoc.data() };
+        if (invitation.status !== 'pending') {
+            return res.status(400).json({ success: false, message: `This invitation has already been ${invitation.status}.` });
+        }
+
+        const jobDoc = await adminDb.collection('jobs').doc(invitation.jobId).get();
+        if (!jobDoc.exists || jobDoc.data().status !== 'open') {
+            return res.status(400).json({ success: false, message: 'This project is no longer accepting quotes.' });
+        }
+
+        const newStatus = action === 'accept' ? 'accepted' : 'declined';
+        const updateData = {
+            status: newStatus,
+            respondedAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+        await invitationRef.update(updateData);
+
+        try {
+            await NotificationService.notifyInvitationResponse(invitation, newStatus);
+        } catch (notifError) {
+            console.error('Failed to send invitation response notification:', notifError);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `Invitation ${newStatus} successfully.`,
+            data: { ...invitation, ...updateData }
+        });
+    } catch (error) {
+        console.error('Error responding to invitation:', error);
+        res.status(500).json({ success: false, message: 'Failed to respond to invitation.' });
+    }
+});
+
+// Contractor's deleted jobs that can still be restored (or are awaiting purge)
+router.get('/archived', authenticateToken, isContractor, getArchivedJobs);
+
+router.get('/:id', optionalAuth, getJobById);
+
+// Designers ranked against the job's skills, budget, location and ratings (job owner only)
+router.get('/:id/recommended-designers', authenticateToken, isContractor, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+        const jobDoc = await adminDb.collection('jobs').doc(id).get();
+        if (!jobDoc.exists) {
+            return res.status(404).json({ success: false, message: 'Project not found.' });
+        }
+        const jobData = { id, ...jobDoc.data() };
+        if (jobData.posterId !== req.user.userId) {
+            return res.status(403).json({ success: false, message: 'Not authorized to view recommendations for this project.' });
+        }
+
+        const recommendations = await rankDesignersForJob(jobData, { limit, minScore: 1 });
+        const notified = new Set(jobData.matchNotifiedDesignerIds || []);
+
+        res.status(200).json({
+            success: true,
+            data: recommendations.map(r => ({ ...r, notified: notified.has(r.designerId) }))
+        });
+    } catch (error) {
+        console.error('Error fetching recommended designers:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch recommended designers.' });
+    }
+});
 
 // Protected routes
 router.get('/user/:userId', authenticateToken, getJobsByUserId);
@@ -204,12 +614,16 @@ router.post(
           
           // Send notifications asynchronously
           setImmediate(async () => {
+            await indexJob(jobData.id, jobData);
+            // Drafts are announced when published; private jobs to invitees only (handled at creation)
+            if (jobData.status === 'draft' || jobData.visibility === 'private') return;
             try {
               await TempNotificationService.notifyJobCreated(jobData);
               console.log('✅ Job creation notifications sent successfully');
             } catch (notificationError) {
               console.error('❌ Failed to send job creation notifications:', notificationError);
             }
+            await processJobForAlerts(jobData.id, jobData);
           });
         }
         
@@ -250,32 +664,18 @@ router.put(
           return res.status(404).json({ success: false, error: 'Job not found' });
         }
 
-        const jobData = jobDoc.data();
-        
         // Check authorization
-        if (jobData.posterId !== userId) {
+        if (jobDoc.data().posterId !== userId) {
           return res.status(403).json({ success: false, error: 'Unauthorized' });
         }
 
-        const oldStatus = jobData.status;
-        
-        // Update the job status
-        const updateData = {
-          status,
-          updatedAt: new Date()
-        };
-
-        await adminDb.collection('jobs').doc(id).update(updateData);
-
-        const updatedJob = { id, ...jobData, ...updateData };
-
-        // Send status change notifications
-        try {
-          await TempNotificationService.notifyJobStatusChanged(updatedJob, oldStatus, status);
-          console.log('✅ Job status change notifications sent successfully');
-        } catch (notificationError) {
-          console.error('❌ Failed to send job status change notifications:', notificationError);
-        }
+        const { previous, job: updatedJob } = await transitionJob(id, status, {
+          by: userId,
+          byName: req.user.name || '',
+          via: 'status_update',
+          manual: true
+        });
+        await handleJobStatusChanged(updatedJob, previous.status, status);
 
         return res.json({
           success: true,
@@ -284,32 +684,55 @@ router.put(
         });
       } else {
         // For regular updates (with potential file uploads), use the controller
+        const before = status ? (await adminDb.collection('jobs').doc(id).get()).data() : null;
         await updateJob(req, res, next);
+        if (res.statusCode === 200) {
+          if (before && before.status !== status) {
+            const updatedDoc = await adminDb.collection('jobs').doc(id).get();
+            await handleJobStatusChanged({ id, ...updatedDoc.data() }, before.status, status);
+          } else {
+            indexJobById(id);
+          }
+        }
       }
 
     } catch (error) {
+      if (error instanceof JobTransitionError) {
+        return sendTransitionError(res, error);
+      }
       console.error('Error updating job:', error);
       res.status(500).json({ success: false, error: 'Failed to update job' });
     }
   }
 );
 
-// Designer submits/updates completion percentage with details
-router.put('/:id/completion', authenticateToken, isDesigner, async (req, res) => {
+// List invitations for a private job (owner only)
+router.get('/:id/invitations', authenticateToken, isContractor, async (req, res) => {
     try {
         const { id } = req.params;
-        const { percentage, details } = req.body;
-        const designerId = req.user.userId;
-
-        if (percentage === undefined || percentage === null) {
-            return res.status(400).json({ success: false, message: 'Percentage is required.' });
+        const jobDoc = await adminDb.collection('jobs').doc(id).get();
+        if (!jobDoc.exists) {
+            return res.status(404).json({ success: false, message: 'Project not found.' });
         }
-        const pct = parseInt(percentage);
-        if (isNaN(pct) || pct < 0 || pct > 100) {
-            return res.status(400).json({ success: false, message: 'Percentage must be between 0 and 100.' });
+        if (jobDoc.data().posterId !== req.user.userId) {
+            return res.status(403).json({ success: false, message: 'You are not the owner of this project.' });
         }
-        if (!details || !details.trim()) {
-            return res.status(400).json({ success: false, message: 'Details about the progress are required.' });
+
+        const invitations = await listInvitations({ jobId: id });
+        res.status(200).json({ success: true, data: invitations });
+    } catch (error) {
+        console.error('Error fetching job invitations:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch invitations.' });
+    }
+});
+
+// Invite more designers to a private job (owner only)
+router.post('/:id/invitations', authenticateToken, isContractor, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const invitees = parseInvitees(req.body.invitees);
+        if (invitees.length === 0) {
+            return res.status(400).json({ success: false, message: 'Provide at least one designer user ID or email.' });
         }
 
         const jobDoc = await adminDb.collection('jobs').doc(id).get();
@@ -318,85 +741,310 @@ router.put('/:id/completion', authenticateToken, isDesigner, async (req, res) =>
         }
 
         const jobData = jobDoc.data();
-        if (jobData.assignedTo !== designerId) {
-            return res.status(403).json({ success: false, message: 'You are not assigned to this project.' });
+        if (jobData.posterId !== req.user.userId) {
+            return res.status(403).json({ success: false, message: 'You are not the owner of this project.' });
         }
-        if (jobData.status !== 'assigned') {
-            return res.status(400).json({ success: false, message: 'Completion updates can only be submitted for in-progress projects.' });
+        if (jobData.visibility !== 'private') {
+            return res.status(400).json({ success: false, message: 'Invitations are only used for private projects.' });
         }
-
-        const completionUpdate = {
-            percentage: pct,
-            details: details.trim(),
-            submittedBy: designerId,
-            submittedByName: req.user.name || 'Designer',
-            submittedAt: new Date().toISOString(),
-            status: 'pending' // pending, accepted, rejected
-        };
-
-        // Keep history of all updates
-        const existingHistory = jobData.completionHistory || [];
-        existingHistory.push(completionUpdate);
-
-        await adminDb.collection('jobs').doc(id).update({
-            completionUpdate: completionUpdate,
-            completionHistory: existingHistory,
-            updatedAt: new Date().toISOString()
-        });
-
-        // Notify contractor about the completion update
-        try {
-            const notification = {
-                userId: jobData.posterId,
-                title: 'Project Progress Update',
-                message: `Designer ${req.user.name || 'Designer'} has submitted a ${pct}% completion update for "${jobData.title}"`,
-                type: 'job',
-                metadata: {
-                    action: 'completion_update_submitted',
-                    jobId: id,
-                    jobTitle: jobData.title,
-                    designerId: designerId,
-                    designerName: req.user.name,
-                    percentage: pct
-                },
-                isRead: false,
-                seen: false,
-                deleted: false,
-                createdAt: new Date().toISOString(),
-                updatedAt: new Date().toISOString()
-            };
-            await adminDb.collection('notifications').add(notification);
-        } catch (notifError) {
-            console.error('Failed to send completion update notification:', notifError);
+        if (jobData.status !== 'open') {
+            return res.status(400).json({ success: false, message: 'Invitations can only be sent while the project is open.' });
         }
 
-        res.status(200).json({
+        const { designers, unresolved } = await resolveInvitees(invitees);
+        const invitations = await createInvitations(id, jobData, designers, req.user.userId);
+
+        res.status(201).json({
             success: true,
-            message: 'Completion update submitted successfully.',
-            data: completionUpdate
+            message: `${invitations.length} invitation(s) sent.`,
+            data: invitations,
+            unresolvedInvitees: unresolved
         });
     } catch (error) {
-        console.error('Error submitting completion update:', error);
-        res.status(500).json({ success: false, message: 'Failed to submit completion update.' });
+        console.error('Error sending job invitations:', error);
+        res.status(500).json({ success: false, message: 'Failed to send invitations.' });
     }
 });
 
-// Contractor accepts or rejects a completion update
-router.put('/:id/completion/respond', authenticateToken, isContractor, async (req, res) => {
+// Current status, status history and the statuses the owner can move the job to
+router.get('/:id/status', authenticateToken, async (req, res) => {
     try {
         const { id } = req.params;
-        const { action, rejectionReason } = req.body;
-        const contractorId = req.user.userId;
-
-        if (!action || !['accept', 'reject'].includes(action)) {
-            return res.status(400).json({ success: false, message: 'Action must be "accept" or "reject".' });
-        }
-
         const jobDoc = await adminDb.collection('jobs').doc(id).get();
         if (!jobDoc.exists) {
             return res.status(404).json({ success: false, message: 'Project not found.' });
         }
-
+        const jobData = jobDoc.data();
+        const role = partyRole(jobData, req.user.userId);
+        if (!role) {
+            return res.status(403).json({ success: false, message: 'Not authorized to view this project status.' });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                status: jobData.status,
+                statusChangedAt: jobData.statusChangedAt || null,
+                statusHistory: jobData.statusHistory || [],
+                allowedTransitions: role === 'contractor' ? allowedTransitions(jobData.status, { manualOnly: true }) : []
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching project status:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch project status.' });
+    }
+});
+
+// Schedule health for an assigned job (contractor or assigned designer)
+router.get('/:id/schedule', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const jobDoc = await adminDb.collection('jobs').doc(id).get();
+        if (!jobDoc.exists) {
+            return res.status(404).json({ success: false, message: 'Project not found.' });
+        }
+        const jobData = jobDoc.data();
+        if (!partyRole(jobData, req.user.userId)) {
+            return res.status(403).json({ success: false, message: 'Not authorized to view this project schedule.' });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                assignedAt: jobData.assignedAt || null,
+                dueDate: jobData.dueDate || null,
+                timelineDays: jobData.timelineDays || null,
+                assessment: assessSchedule(jobData)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching project schedule:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch project schedule.' });
+    }
+});
+
+// Drawing sheets on a job with every revision (latest first)
+router.get('/:id/drawings', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const jobDoc = await adminDb.collection('jobs').doc(id).get();
+        if (!jobDoc.exists || !canViewJob(jobDoc.data(), req.user.userId)) {
+            return res.status(404).json({ success: false, message: 'Project not found.' });
+        }
+
+        res.status(200).json({ success: true, data: listDrawings(jobDoc.data()) });
+    } catch (error) {
+        console.error('Error fetching drawings:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch drawings.' });
+    }
+});
+
+// Download any revision of a drawing (current or superseded)
+router.get('/:id/drawings/:revisionId/download', authenticateToken, async (req, res) => {
+    try {
+        const { id, revisionId } = req.params;
+        const jobDoc = await adminDb.collection('jobs').doc(id).get();
+        if (!jobDoc.exists || !canViewJob(jobDoc.data(), req.user.userId)) {
+            return res.status(404).json({ success: false, message: 'Project not found.' });
+        }
+
+        const revision = findRevision(jobDoc.data(), revisionId);
+        if (!revision) {
+            return res.status(404).json({ success: false, message: 'Drawing revision not found.' });
+        }
+        if (!revision.path) {
+            return res.status(404).json({ success: false, message: 'Drawing file is not accessible. The file may have been moved or deleted.' });
+        }
+
+        const downloadUrl = await getSignedDownloadUrl(revision.path);
+        res.status(200).json({
+            success: true,
+            downloadUrl,
+            filename: revision.name,
+            sheetNumber: revision.sheetNumber,
+            revision: revision.revision,
+            status: revision.status,
+            size: revision.size || 0,
+            uploadedAt: revision.uploadedAt,
+            expiresIn: 3600000 // 1 hour in milliseconds
+        });
+    } catch (error) {
+        console.error('Error preparing drawing download:', error);
+        res.status(500).json({ success: false, message: 'Failed to prepare drawing download.' });
+    }
+});
+
+// Bid-opening record of a sealed-bid job. The contractor sees every bid; a bidder sees the totals and their own bid.
+router.get('/:id/bid-opening', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.userId;
+        const jobDoc = await adminDb.collection('jobs').doc(id).get();
+        if (!jobDoc.exists || !canViewJob(jobDoc.data(), userId)) {
+            return res.status(404).json({ success: false, message: 'Project not found.' });
+        }
+        if (jobDoc.data().biddingMode !== 'sealed') {
+            return res.status(400).json({ success: false, message: 'This project does not use sealed bidding.' });
+        }
+
+        const jobData = await ensureBidsOpened(id, jobDoc.data());
+        if (isBidSealed(jobData)) {
+            return res.status(200).json({ success: true, data: null, sealedBid: sealedBidSummary(jobData) });
+        }
+
+        const opening = await getBidOpening(id);
+        if (!opening) {
+            return res.status(404).json({ success: false, message: 'Bid-opening record not found.' });
+        }
+        if (jobData.posterId === userId) {
+            return res.status(200).json({ success: true, data: opening });
+        }
+
+        const ownBid = opening.bids.find(bid => bid.designerId === userId);
+        if (!ownBid) {
+            return res.status(403).json({ success: false, message: 'Only the contractor and bidders can view the bid opening.' });
+        }
+        const rank = opening.bids.indexOf(ownBid) + 1;
+        res.status(200).json({
+            success: true,
+            data: {
+                jobId: opening.jobId,
+                jobTitle: opening.jobTitle,
+                bidCloseAt: opening.bidCloseAt,
+                openedAt: opening.openedAt,
+                totalBids: opening.totalBids,
+                bid: { ...ownBid, rank }
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching bid opening:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch bid opening.' });
+    }
+});
+
+// Designer submits/updates completion percentage with details
+router.put('/:id/completion', authenticateToken, isDesigner, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { percentage, details } = req.body;
+        const designerId = req.user.userId;
+
+        if (percentage === undefined || percentage === null) {
+            return res.status(400).json({ success: false, message: 'Percentage is required.' });
+        }
+        const pct = parseInt(percentage);
+        if (isNaN(pct) || pct < 0 || pct > 100) {
+            return res.status(400).json({ success: false, message: 'Percentage must be between 0 and 100.' });
+        }
+        if (!details || !details.trim()) {
+            return res.status(400).json({ success: false, message: 'Details about the progress are required.' });
+        }
+
+        const jobDoc = await adminDb.collection('jobs').doc(id).get();
+        if (!jobDoc.exists) {
+            return res.status(404).json({ success: false, message: 'Project not found.' });
+        }
+
+        const jobData = jobDoc.data();
+        if (jobData.assignedTo !== designerId) {
+            return res.status(403).json({ success: false, message: 'You are not assigned to this project.' });
+        }
+        if (jobData.status !== 'assigned') {
+            return res.status(400).json({ success: false, message: 'Completion updates can only be submitted for in-progress projects.' });
+        }
+        // Milestone jobs complete when the last milestone is accepted, not through a 100% update
+        if (pct === 100 && (jobData.milestones || []).length > 0) {
+            return res.status(400).json({ success: false, message: 'This project has milestones; it is completed once every milestone is accepted.' });
+        }
+
+        const completionUpdate = {
+            percentage: pct,
+            details: details.trim(),
+            submittedBy: designerId,
+            submittedByName: req.user.name || 'Designer',
+            submittedAt: new Date().toISOString(),
+            status: 'pending' // pending, accepted, rejected
+        };
+
+        // Keep history of all updates
+        const existingHistory = jobData.completionHistory || [];
+        existingHistory.push(completionUpdate);
+
+        const updateData = {
+            completionUpdate: completionUpdate,
+            completionHistory: existingHistory,
+            updatedAt: new Date().toISOString()
+        };
+
+        // A 100% update hands the job to the contractor for final review
+        if (pct === 100) {
+            assertTransition(jobData, 'in_review');
+            Object.assign(updateData, buildTransitionUpdate(jobData, 'in_review', {
+                by: designerId,
+                byName: req.user.name || '',
+                via: 'completion_submitted'
+            }));
+        }
+
+        await adminDb.collection('jobs').doc(id).update(updateData);
+        if (pct === 100) indexJobById(id);
+
+        // Notify contractor about the completion update
+        try {
+            const notification = {
+                userId: jobData.posterId,
+                title: 'Project Progress Update',
+                message: `Designer ${req.user.name || 'Designer'} has submitted a ${pct}% completion update for "${jobData.title}"`,
+                type: 'job',
+                metadata: {
+                    action: 'completion_update_submitted',
+                    jobId: id,
+                    jobTitle: jobData.title,
+                    designerId: designerId,
+                    designerName: req.user.name,
+                    percentage: pct
+                },
+                isRead: false,
+                seen: false,
+                deleted: false,
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            };
+            await adminDb.collection('notifications').add(notification);
+        } catch (notifError) {
+            console.error('Failed to send completion update notification:', notifError);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Completion update submitted successfully.',
+            data: completionUpdate
+        });
+    } catch (error) {
+        if (error instanceof JobTransitionError) {
+            return sendTransitionError(res, error);
+        }
+        console.error('Error submitting completion update:', error);
+        res.status(500).json({ success: false, message: 'Failed to submit completion update.' });
+    }
+});
+
+// Contractor accepts or rejects a completion update
+router.put('/:id/completion/respond', authenticateToken, isContractor, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { action, rejectionReason, openDispute: escalate } = req.body;
+        const contractorId = req.user.userId;
+
+        if (!action || !['accept', 'reject'].includes(action)) {
+            return res.status(400).json({ success: false, message: 'Action must be "accept" or "reject".' });
+        }
+
+        const jobDoc = await adminDb.collection('jobs').doc(id).get();
+        if (!jobDoc.exists) {
+            return res.status(404).json({ success: false, message: 'Project not found.' });
+        }
+
         const jobData = jobDoc.data();
         if (jobData.posterId !== contractorId) {
             return res.status(403).json({ success: false, message: 'You are not the owner of this project.' });
@@ -433,7 +1081,21 @@ router.put('/:id/completion/respond', authenticateToken, isContractor, async (re
         }
         updateData.completionHistory = history;
 
+        // Final (in-review) updates complete the job when accepted and send it back to work when rejected
+        if (jobData.status === 'in_review') {
+            const nextStatus = action === 'accept' ? 'completed' : 'assigned';
+            assertTransition(jobData, nextStatus);
+            Object.assign(updateData, buildTransitionUpdate(jobData, nextStatus, {
+                by: contractorId,
+                byName: req.user.name || '',
+                via: 'completion_review',
+                reason: action === 'reject' ? updatedCompletion.rejectionReason || '' : ''
+            }));
+        }
+
         await adminDb.collection('jobs').doc(id).update(updateData);
+        if (updateData.status) indexJobById(id);
+        const statusAfter = updateData.status || jobData.status;
 
         // Notify designer about the response
         try {
@@ -462,17 +1124,795 @@ router.put('/:id/completion/respond', authenticateToken, isContractor, async (re
             console.error('Failed to send completion response notification:', notifError);
         }
 
+        // A rejected completion can be escalated straight into a formal dispute. The rejection is
+        // already saved, so a failed escalation is reported without failing the request; the
+        // client can open the dispute on its own.
+        let dispute = null;
+        let disputeError = null;
+        if (action === 'reject' && (escalate === true || escalate === 'true') && statusAfter === 'assigned') {
+            try {
+                dispute = await openDispute({
+                    jobId: id,
+                    user: req.user,
+                    role: 'contractor',
+                    reason: updatedCompletion.rejectionReason || 'Completion update rejected',
+                    description: `Rejected ${updatedCompletion.percentage}% completion update: ${updatedCompletion.details}`
+                });
+            } catch (escalationError) {
+                console.error('Failed to open dispute for rejected completion:', escalationError);
+                disputeError = escalationError instanceof JobTransitionError
+                    ? escalationError.message
+                    : 'The dispute could not be opened. Please try again.';
+            }
+        }
+
         res.status(200).json({
             success: true,
             message: `Completion update ${action === 'accept' ? 'accepted' : 'rejected'} successfully.`,
-            data: updatedCompletion
+            data: updatedCompletion,
+            jobStatus: dispute ? 'disputed' : statusAfter,
+            ...(action === 'reject' && {
+                dispute,
+                canOpenDispute: !dispute && statusAfter === 'assigned',
+                ...(disputeError && { disputeError })
+            })
         });
     } catch (error) {
+        if (error instanceof JobTransitionError) {
+            return sendTransitionError(res, error);
+        }
         console.error('Error responding to completion update:', error);
         res.status(500).json({ success: false, message: 'Failed to respond to completion update.' });
     }
 });
 
+// Get milestones for an assigned job (contractor or assigned designer)
+router.get('/:id/milestones', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.userId;
+
+        const jobDoc = await adminDb.collection('jobs').doc(id).get();
+        if (!jobDoc.exists) {
+            return res.status(404).json({ success: false, message: 'Project not found.' });
+        }
+
+        const jobData = jobDoc.data();
+        if (jobData.posterId !== userId && jobData.assignedTo !== userId) {
+            return res.status(403).json({ success: false, message: 'Not authorized to view milestones for this project.' });
+        }
+
+        const milestones = jobData.milestones || [];
+        res.status(200).json({
+            success: true,
+            data: {
+                milestones,
+                approvedAmount: jobData.approvedAmount || null,
+                acceptedShare: acceptedShare(milestones),
+                allAccepted: allMilestonesAccepted(milestones)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching milestones:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch milestones.' });
+    }
+});
+
+// Contractor defines (or replaces) the milestone plan for an assigned job
+router.put('/:id/milestones', authenticateToken, isContractor, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { milestones } = req.body;
+        const contractorId = req.user.userId;
+
+        const result = await updateJobInTransaction(id, (jobData) => {
+            if (jobData.posterId !== contractorId) {
+                return { status: 403, message: 'You are not the owner of this project.' };
+            }
+            if (jobData.status !== 'assigned') {
+                return { status: 400, message: 'Milestones can only be defined for in-progress projects.' };
+            }
+            if (!canReplacePlan(jobData.milestones || [])) {
+                return { status: 400, message: 'Milestones cannot be changed once work has been submitted against them.' };
+            }
+
+            const { milestones: plan, error } = normalizeMilestonePlan(milestones, jobData.approvedAmount);
+            if (error) {
+                return { status: 400, message: error };
+            }
+            return { plan, update: { milestones: plan, updatedAt: new Date().toISOString() } };
+        });
+        if (!result.update) {
+            return res.status(result.status).json({ success: false, message: result.message });
+        }
+        const { plan, job: jobData } = result;
+
+        try {
+            await NotificationService.notifyMilestoneEvent(jobData, null, 'plan_set', { count: plan.length });
+        } catch (notifError) {
+            console.error('Failed to send milestone plan notification:', notifError);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Milestones saved successfully.',
+            data: plan
+        });
+    } catch (error) {
+        console.error('Error saving milestones:', error);
+        res.status(500).json({ success: false, message: 'Failed to save milestones.' });
+    }
+});
+
+// Designer submits a milestone for sign-off
+router.put('/:id/milestones/:milestoneId/submit', authenticateToken, isDesigner, async (req, res) => {
+    try {
+        const { id, milestoneId } = req.params;
+        const { details } = req.body;
+        const designerId = req.user.userId;
+
+        if (!details || !details.trim()) {
+            return res.status(400).json({ success: false, message: 'Details about the delivered milestone are required.' });
+        }
+
+        const result = await updateJobInTransaction(id, (jobData) => {
+            if (jobData.assignedTo !== designerId) {
+                return { status: 403, message: 'You are not assigned to this project.' };
+            }
+            if (jobData.status !== 'assigned') {
+                return { status: 400, message: 'Milestones can only be submitted for in-progress projects.' };
+            }
+
+            const milestones = [...(jobData.milestones || [])];
+            const index = milestones.findIndex(m => m.id === milestoneId);
+            if (index === -1) {
+                return { status: 404, message: 'Milestone not found.' };
+            }
+
+            const milestone = { ...milestones[index] };
+            if (milestone.status === 'submitted') {
+                return { status: 400, message: 'This milestone is already awaiting review.' };
+            }
+            if (milestone.status === 'accepted') {
+                return { status: 400, message: 'This milestone has already been accepted.' };
+            }
+
+            const submission = {
+                details: details.trim(),
+                submittedBy: designerId,
+                submittedByName: req.user.name || 'Designer',
+                submittedAt: new Date().toISOString(),
+                status: 'pending' // pending, accepted, rejected
+            };
+
+            milestone.status = 'submitted';
+            milestone.submission = submission;
+            milestone.completionHistory = [...(milestone.completionHistory || []), submission];
+            milestone.updatedAt = submission.submittedAt;
+            milestones[index] = milestone;
+
+            return { milestone, update: { milestones, updatedAt: submission.submittedAt } };
+        });
+        if (!result.update) {
+            return res.status(result.status).json({ success: false, message: result.message });
+        }
+        const { milestone, job: jobData } = result;
+
+        try {
+            await NotificationService.notifyMilestoneEvent(jobData, milestone, 'submitted', { designerName: req.user.name });
+        } catch (notifError) {
+            console.error('Failed to send milestone submission notification:', notifError);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Milestone submitted successfully.',
+            data: milestone
+        });
+    } catch (error) {
+        console.error('Error submitting milestone:', error);
+        res.status(500).json({ success: false, message: 'Failed to submit milestone.' });
+    }
+});
+
+// Contractor accepts or rejects a submitted milestone
+router.put('/:id/milestones/:milestoneId/respond', authenticateToken, isContractor, async (req, res) => {
+    try {
+        const { id, milestoneId } = req.params;
+        const { action, rejectionReason } = req.body;
+        const contractorId = req.user.userId;
+
+        if (!action || !['accept', 'reject'].includes(action)) {
+            return res.status(400).json({ success: false, message: 'Action must be "accept" or "reject".' });
+        }
+
+        const result = await updateJobInTransaction(id, (jobData) => {
+            if (jobData.posterId !== contractorId) {
+                return { status: 403, message: 'You are not the owner of this project.' };
+            }
+            if (!ACTIVE_STATES.includes(jobData.status)) {
+                return { status: 400, message: 'Milestones can only be signed off for in-progress projects.' };
+            }
+
+            const milestones = [...(jobData.milestones || [])];
+            const index = milestones.findIndex(m => m.id === milestoneId);
+            if (index === -1) {
+                return { status: 404, message: 'Milestone not found.' };
+            }
+
+            const milestone = { ...milestones[index] };
+            if (milestone.status !== 'submitted' || !milestone.submission) {
+                return { status: 400, message: 'No pending submission to respond to for this milestone.' };
+            }
+
+            const respondedAt = new Date().toISOString();
+            const submission = {
+                ...milestone.submission,
+                status: action === 'accept' ? 'accepted' : 'rejected',
+                respondedAt,
+                respondedBy: contractorId,
+                respondedByName: req.user.name || 'Contractor'
+            };
+            if (action === 'reject' && rejectionReason) {
+                submission.rejectionReason = rejectionReason.trim();
+            }
+
+            const history = [...(milestone.completionHistory || [])];
+            if (history.length > 0) {
+                history[history.length - 1] = submission;
+            }
+
+            milestone.status = submission.status;
+            milestone.submission = submission;
+            milestone.completionHistory = history;
+            milestone.updatedAt = respondedAt;
+            if (action === 'accept') {
+                milestone.acceptedAt = respondedAt;
+            }
+            milestones[index] = milestone;
+
+            const updateData = {
+                milestones,
+                completionPercentage: acceptedShare(milestones),
+                updatedAt: respondedAt
+            };
+
+            // The job only completes once every milestone has been signed off
+            const jobCompleted = allMilestonesAccepted(milestones);
+            if (jobCompleted) {
+                assertTransition({ ...jobData, milestones }, 'completed');
+                Object.assign(updateData, buildTransitionUpdate(jobData, 'completed', {
+                    by: req.user.userId,
+                    byName: req.user.name || '',
+                    via: 'milestones_accepted'
+                }));
+                updateData.completionAcceptedAt = respondedAt;
+            }
+            return { milestone, submission, jobCompleted, update: updateData };
+        });
+        if (!result.update) {
+            return res.status(result.status).json({ success: false, message: result.message });
+        }
+        const { milestone, submission, jobCompleted, update: updateData, job: jobData } = result;
+
+        const updatedJob = { ...jobData, ...updateData };
+        if (jobCompleted) {
+            indexJobById(id);
+        }
+        try {
+            await NotificationService.notifyMilestoneEvent(updatedJob, milestone, submission.status, {
+                rejectionReason: submission.rejectionReason
+            });
+            if (jobCompleted) {
+                await NotificationService.notifyMilestoneEvent(updatedJob, null, 'all_completed');
+            }
+        } catch (notifError) {
+            console.error('Failed to send milestone response notification:', notifError);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `Milestone ${action === 'accept' ? 'accepted' : 'rejected'} successfully.`,
+            data: {
+                milestone,
+                completionPercentage: updateData.completionPercentage,
+                jobStatus: updateData.status || jobData.status
+            }
+        });
+    } catch (error) {
+        if (error instanceof JobTransitionError) {
+            return sendTransitionError(res, error);
+        }
+        console.error('Error responding to milestone:', error);
+        res.status(500).json({ success: false, message: 'Failed to respond to milestone.' });
+    }
+});
+
+// List change orders (the job's audit list) for the contractor or assigned designer
+router.get('/:id/change-orders', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const jobDoc = await adminDb.collection('jobs').doc(id).get();
+        if (!jobDoc.exists) {
+            return res.status(404).json({ success: false, message: 'Project not found.' });
+        }
+
+        const jobData = jobDoc.data();
+        if (!partyRole(jobData, req.user.userId)) {
+            return res.status(403).json({ success: false, message: 'Not authorized to view change orders for this project.' });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                changeOrders: jobData.changeOrders || [],
+                approvedAmount: jobData.approvedAmount || null,
+                deadline: jobData.deadline || null
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching change orders:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch change orders.' });
+    }
+});
+
+// Either party proposes a change order on an assigned job
+router.post(
+  '/:id/change-orders',
+  authenticateToken,
+  upload.array('attachments', 5),
+  handleUploadError,
+  logUploadDetails,
+  async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.userId;
+
+        const jobDoc = await adminDb.collection('jobs').doc(id).get();
+        if (!jobDoc.exists) {
+            return res.status(404).json({ success: false, message: 'Project not found.' });
+        }
+
+        const jobData = jobDoc.data();
+        const role = partyRole(jobData, userId);
+        if (!role) {
+            return res.status(403).json({ success: false, message: 'Only the client or the assigned designer can propose change orders.' });
+        }
+        if (!ACTIVE_STATES.includes(jobData.status)) {
+            return res.status(400).json({ success: false, message: 'Change orders can only be proposed for in-progress projects.' });
+        }
+
+        const { changeOrder, error } = buildChangeOrder(req.body, { userId, name: req.user.name, role }, jobData.milestones);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        try {
+            changeOrder.attachments = await uploadJobFiles(req.files, `change-orders/${id}`, userId);
+        } catch (uploadError) {
+            return res.status(400).json({ success: false, message: 'Failed to upload files: ' + uploadError.message });
+        }
+
+        // Appended in a transaction so a concurrent response to another change order is kept
+        const result = await updateJobInTransaction(id, (current) => {
+            if (!ACTIVE_STATES.includes(current.status)) {
+                return { status: 400, message: 'Change orders can only be proposed for in-progress projects.' };
+            }
+            const milestone = changeOrder.milestoneId && (current.milestones || []).find(m => m.id === changeOrder.milestoneId);
+            if (changeOrder.milestoneId && (!milestone || milestone.status === 'accepted')) {
+                return { status: 400, message: 'The milestone for this change order can no longer be changed.' };
+            }
+            return {
+                update: {
+                    changeOrders: [...(current.changeOrders || []), changeOrder],
+                    updatedAt: new Date().toISOString()
+                }
+            };
+        });
+        if (!result.update) {
+            return res.status(result.status).json({ success: false, message: result.message });
+        }
+
+        try {
+            await NotificationService.notifyChangeOrderEvent(result.job, changeOrder, 'proposed', req.user.name);
+        } catch (notifError) {
+            console.error('Failed to send change order notification:', notifError);
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Change order proposed successfully.',
+            data: changeOrder
+        });
+    } catch (error) {
+        console.error('Error proposing change order:', error);
+        res.status(500).json({ success: false, message: 'Failed to propose change order.' });
+    }
+  }
+);
+
+// The other party approves or rejects a pending change order
+router.put('/:id/change-orders/:changeOrderId/respond', authenticateToken, async (req, res) => {
+    try {
+        const { id, changeOrderId } = req.params;
+        const { action, rejectionReason } = req.body;
+        const userId = req.user.userId;
+
+        if (!action || !['approve', 'reject'].includes(action)) {
+            return res.status(400).json({ success: false, message: 'Action must be "approve" or "reject".' });
+        }
+
+        const result = await updateJobInTransaction(id, (jobData) => {
+            if (!partyRole(jobData, userId)) {
+                return { status: 403, message: 'Not authorized to respond to change orders for this project.' };
+            }
+
+            const changeOrders = [...(jobData.changeOrders || [])];
+            const index = changeOrders.findIndex(co => co.id === changeOrderId);
+            if (index === -1) {
+                return { status: 404, message: 'Change order not found.' };
+            }
+
+            const changeOrder = { ...changeOrders[index] };
+            if (changeOrder.status !== 'pending') {
+                return { status: 400, message: `This change order is already ${changeOrder.status}.` };
+            }
+            if (changeOrder.proposedBy === userId) {
+                return { status: 403, message: 'You cannot respond to your own change order.' };
+            }
+            if (!ACTIVE_STATES.includes(jobData.status)) {
+                return { status: 400, message: 'Change orders can only be approved for in-progress projects.' };
+            }
+
+            const now = new Date().toISOString();
+            const updateData = { updatedAt: now };
+
+            changeOrder.status = action === 'approve' ? 'approved' : 'rejected';
+            changeOrder.respondedAt = now;
+            changeOrder.respondedBy = userId;
+            changeOrder.respondedByName = req.user.name || '';
+            changeOrder.updatedAt = now;
+
+            if (action === 'approve') {
+                const applied = applyChangeOrder(jobData, changeOrder);
+                if (applied.error) {
+                    return { status: 400, message: applied.error };
+                }
+                changeOrder.previousAmount = applied.previousAmount;
+                changeOrder.newAmount = applied.approvedAmount;
+                changeOrder.previousDeadline = applied.previousDeadline;
+                changeOrder.newDeadline = applied.deadline;
+                updateData.approvedAmount = applied.approvedAmount;
+                updateData.deadline = applied.deadline;
+                if (applied.previousDueDate) {
+                    changeOrder.previousDueDate = applied.previousDueDate;
+                    changeOrder.newDueDate = applied.dueDate;
+                    updateData.dueDate = applied.dueDate;
+                }
+                if (applied.milestones) {
+                    updateData.milestones = applied.milestones;
+                    updateData.completionPercentage = acceptedShare(applied.milestones);
+                }
+            } else if (rejectionReason) {
+                changeOrder.rejectionReason = rejectionReason.trim();
+            }
+
+            changeOrder.auditTrail = [
+                ...(changeOrder.auditTrail || []),
+                { action: changeOrder.status, by: userId, byName: req.user.name || '', at: now, ...(changeOrder.rejectionReason && { reason: changeOrder.rejectionReason }) }
+            ];
+            changeOrders[index] = changeOrder;
+            updateData.changeOrders = changeOrders;
+            return { changeOrder, update: updateData };
+        });
+        if (!result.update) {
+            return res.status(result.status).json({ success: false, message: result.message });
+        }
+        const { changeOrder, update: updateData, job: jobData } = result;
+
+        try {
+            await NotificationService.notifyChangeOrderEvent({ ...jobData, ...updateData }, changeOrder, changeOrder.status, req.user.name);
+        } catch (notifError) {
+            console.error('Failed to send change order response notification:', notifError);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `Change order ${changeOrder.status} successfully.`,
+            data: {
+                changeOrder,
+                approvedAmount: updateData.approvedAmount ?? jobData.approvedAmount,
+                deadline: updateData.deadline !== undefined ? updateData.deadline : jobData.deadline,
+                ...(updateData.milestones && { milestones: updateData.milestones })
+            }
+        });
+    } catch (error) {
+        console.error('Error responding to change order:', error);
+        res.status(500).json({ success: false, message: 'Failed to respond to change order.' });
+    }
+});
+
+// Proposer withdraws a pending change order
+router.put('/:id/change-orders/:changeOrderId/withdraw', authenticateToken, async (req, res) => {
+    try {
+        const { id, changeOrderId } = req.params;
+        const userId = req.user.userId;
+
+        const result = await updateJobInTransaction(id, (jobData) => {
+            const changeOrders = [...(jobData.changeOrders || [])];
+            const index = changeOrders.findIndex(co => co.id === changeOrderId);
+            if (index === -1) {
+                return { status: 404, message: 'Change order not found.' };
+            }
+
+            const changeOrder = { ...changeOrders[index] };
+            if (changeOrder.proposedBy !== userId) {
+                return { status: 403, message: 'Only the proposer can withdraw a change order.' };
+            }
+            if (changeOrder.status !== 'pending') {
+                return { status: 400, message: `This change order is already ${changeOrder.status}.` };
+            }
+
+            const now = new Date().toISOString();
+            changeOrder.status = 'withdrawn';
+            changeOrder.updatedAt = now;
+            changeOrder.auditTrail = [...(changeOrder.auditTrail || []), { action: 'withdrawn', by: userId, byName: req.user.name || '', at: now }];
+            changeOrders[index] = changeOrder;
+            return { changeOrder, update: { changeOrders, updatedAt: now } };
+        });
+        if (!result.update) {
+            return res.status(result.status).json({ success: false, message: result.message });
+        }
+        const { changeOrder } = result;
+
+        try {
+            await NotificationService.notifyChangeOrderEvent(result.job, changeOrder, 'withdrawn', req.user.name);
+        } catch (notifError) {
+            console.error('Failed to send change order withdrawal notification:', notifError);
+        }
+
+        res.status(200).json({ success: true, message: 'Change order withdrawn.', data: changeOrder });
+    } catch (error) {
+        console.error('Error withdrawing change order:', error);
+        res.status(500).json({ success: false, message: 'Failed to withdraw change order.' });
+    }
+});
+
+// Open a dispute on an assigned job (contractor or assigned designer)
+router.post(
+  '/:id/disputes',
+  authenticateToken,
+  upload.array('attachments', 10),
+  handleUploadError,
+  logUploadDetails,
+  async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reason, description } = req.body;
+        const userId = req.user.userId;
+
+        if (!reason || !reason.trim()) {
+            return res.status(400).json({ success: false, message: 'A reason for the dispute is required.' });
+        }
+
+        const jobDoc = await adminDb.collection('jobs').doc(id).get();
+        if (!jobDoc.exists) {
+            return res.status(404).json({ success: false, message: 'Project not found.' });
+        }
+
+        const jobData = jobDoc.data();
+        const role = partyRole(jobData, userId);
+        if (!role) {
+            return res.status(403).json({ success: false, message: 'Only the client or the assigned designer can open a dispute.' });
+        }
+        // Checked up front so no evidence is uploaded for a dispute that cannot be opened
+        assertTransition(jobData, 'disputed');
+
+        let attachments = [];
+        try {
+            attachments = await uploadJobFiles(req.files, `disputes/${id}`, userId);
+        } catch (uploadError) {
+            return res.status(400).json({ success: false, message: 'Failed to upload evidence: ' + uploadError.message });
+        }
+
+        const dispute = await openDispute({
+            jobId: id,
+            user: req.user,
+            role,
+            reason: reason.trim(),
+            description: description?.trim() || '',
+            attachments
+        });
+
+        res.status(201).json({ success: true, message: 'Dispute opened. Our team will review it shortly.', data: dispute });
+    } catch (error) {
+        if (error instanceof JobTransitionError) {
+            return sendTransitionError(res, error);
+        }
+        console.error('Error opening dispute:', error);
+        res.status(500).json({ success: false, message: 'Failed to open dispute.' });
+    }
+  }
+);
+
+// List disputes for a job (contractor or assigned designer)
+router.get('/:id/disputes', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const jobDoc = await adminDb.collection('jobs').doc(id).get();
+        if (!jobDoc.exists) {
+            return res.status(404).json({ success: false, message: 'Project not found.' });
+        }
+        if (!partyRole(jobDoc.data(), req.user.userId)) {
+            return res.status(403).json({ success: false, message: 'Not authorized to view disputes for this project.' });
+        }
+
+        const disputes = await listDisputes({ jobId: id });
+        res.status(200).json({ success: true, data: disputes });
+    } catch (error) {
+        console.error('Error fetching disputes:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch disputes.' });
+    }
+});
+
+// Add evidence to an unresolved dispute
+router.post(
+  '/:id/disputes/:disputeId/evidence',
+  authenticateToken,
+  upload.array('attachments', 10),
+  handleUploadError,
+  logUploadDetails,
+  async (req, res) => {
+    try {
+        const { id, disputeId } = req.params;
+        const { note } = req.body;
+        const userId = req.user.userId;
+
+        const dispute = await getDispute(disputeId);
+        if (!dispute || dispute.jobId !== id) {
+            return res.status(404).json({ success: false, message: 'Dispute not found.' });
+        }
+
+        const role = dispute.contractorId === userId ? 'contractor' : dispute.designerId === userId ? 'designer' : null;
+        if (!role) {
+            return res.status(403).json({ success: false, message: 'Not authorized to add evidence to this dispute.' });
+        }
+        if (dispute.status === 'resolved') {
+            return res.status(400).json({ success: false, message: 'This dispute has already been resolved.' });
+        }
+        if ((!note || !note.trim()) && (!req.files || req.files.length === 0)) {
+            return res.status(400).json({ success: false, message: 'Provide a note or at least one file as evidence.' });
+        }
+
+        let attachments = [];
+        try {
+            attachments = await uploadJobFiles(req.files, `disputes/${id}`, userId);
+        } catch (uploadError) {
+            return res.status(400).json({ success: false, message: 'Failed to upload evidence: ' + uploadError.message });
+        }
+
+        const updated = await addEvidence(dispute, { user: req.user, role, note: note?.trim() || '', attachments });
+        res.status(201).json({ success: true, message: 'Evidence added to the dispute.', data: updated });
+    } catch (error) {
+        if (error instanceof DisputeStateError) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error('Error adding dispute evidence:', error);
+        res.status(500).json({ success: false, message: 'Failed to add evidence.' });
+    }
+  }
+);
+
+// Leave a rating/review for the other party once the job is completed (one per party per job)
+router.post('/:id/reviews', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.userId;
+
+        const jobDoc = await adminDb.collection('jobs').doc(id).get();
+        if (!jobDoc.exists) {
+            return res.status(404).json({ success: false, message: 'Project not found.' });
+        }
+        const jobData = jobDoc.data();
+
+        const role = partyRole(jobData, userId);
+        if (!role) {
+            return res.status(403).json({ success: false, message: 'Only the contractor and the assigned designer can review this project.' });
+        }
+        if (!REVIEWABLE_JOB_STATUSES.includes(jobData.status)) {
+            return res.status(400).json({ success: false, message: 'Reviews can only be left once the project is completed.' });
+        }
+        // A job closed before it was ever assigned has no one to review
+        if (!jobData.assignedTo) {
+            return res.status(400).json({ success: false, message: 'This project was never assigned, so there is no one to review.' });
+        }
+
+        const { rating, review, error } = validateReview(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const revieweeId = role === 'contractor' ? jobData.assignedTo : jobData.posterId;
+        const created = await createReview({
+            jobId: id,
+            jobData,
+            reviewer: req.user,
+            revieweeId,
+            revieweeRole: role === 'contractor' ? 'designer' : 'contractor',
+            rating,
+            review
+        });
+        if (!created) {
+            return res.status(400).json({ success: false, message: 'You have already reviewed this project.' });
+        }
+
+        try {
+            await NotificationService.notifyReviewReceived(created);
+        } catch (notificationError) {
+            console.error('Failed to send review notification:', notificationError);
+        }
+
+        res.status(201).json({ success: true, message: 'Review submitted.', data: created });
+    } catch (error) {
+        console.error('Error submitting review:', error);
+        res.status(500).json({ success: false, message: 'Failed to submit review.' });
+    }
+});
+
+// Reviews left on a job, plus whether the requesting party can still leave one
+router.get('/:id/reviews', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const jobDoc = await adminDb.collection('jobs').doc(id).get();
+        if (!jobDoc.exists || !canViewJob(jobDoc.data(), req.user.userId)) {
+            return res.status(404).json({ success: false, message: 'Project not found.' });
+        }
+        const jobData = jobDoc.data();
+
+        const reviews = await getReviewsForJob(id);
+        const role = partyRole(jobData, req.user.userId);
+        const canReview = !!role
+            && REVIEWABLE_JOB_STATUSES.includes(jobData.status)
+            && !reviews.some(r => r.reviewerId === req.user.userId);
+
+        res.status(200).json({ success: true, data: { reviews, canReview } });
+    } catch (error) {
+        console.error('Error fetching reviews:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch reviews.' });
+    }
+});
+
+router.post('/:id/restore', authenticateToken, isContractor, restoreDeletedJob);
+
+// Clone a job into a new draft (body fields override the original's; attachments are copied)
+router.post('/:id/clone', authenticateToken, isContractor, cloneJob);
+
+// Save an existing job as a reusable template
+router.post('/:id/template', authenticateToken, isContractor, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const jobDoc = await adminDb.collection('jobs').doc(id).get();
+        if (!jobDoc.exists) {
+            return res.status(404).json({ success: false, message: 'Project not found.' });
+        }
+        const jobData = jobDoc.data();
+        if (jobData.posterId !== req.user.userId) {
+            return res.status(403).json({ success: false, message: 'Not authorized.' });
+        }
+
+        const { attachments, skipped } = await copyAttachments(jobData.attachments || [], 'job-templates', req.user.userId);
+        const created = await createTemplate(req.user.userId, templateFromJob(jobData, req.body.name), attachments, id);
+        if (!created) {
+            await deleteAttachmentFiles(attachments);
+            return res.status(400).json({ success: false, message: 'You have reached the maximum number of job templates.' });
+        }
+        res.status(201).json({ success: true, message: 'Project saved as a template.', data: created, skippedAttachments: skipped });
+    } catch (error) {
+        console.error('Error saving job as template:', error);
+        res.status(500).json({ success: false, message: 'Failed to save template.' });
+    }
+});
+
 router.delete('/:id', authenticateToken, isContractor, deleteJob);
 
 export default router;
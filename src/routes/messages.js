@@ -9,6 +9,29 @@ import { authenticateToken } from '../middleware/auth.js';
 import { adminDb } from '../config/firebase.js';
 import { upload, handleUploadError } from '../middleware/upload.js';
 import { uploadMultipleFilesToFirebase } from '../utils/firebaseStorage.js';
+import {
+    addParticipantsToRoom,
+    removeParticipantsFromRoom,
+    emitMessageNew,
+    emitMessageUpdated,
+    emitConversationUpdated,
+    emitConversationRead
+} from '../services/conversationRealtimeService.js';
+import { markConversationRead, unreadCountsOnSend } from '../services/conversationReadService.js';
+import {
+    presentMessage,
+    buildReplyTo,
+    editMessage,
+    deleteMessage,
+    toggleReaction
+} from '../services/conversationMessageService.js';
+import {
+    createGroupConversation,
+    addGroupMembers,
+    removeGroupMember
+} from '../services/conversationGroupService.js';
+import { NotificationService } from '../services/NotificationService.js';
+import { searchMessages } from '../services/conversationSearchService.js';
 
 const router = express.Router();
 
@@ -41,7 +64,9 @@ class TempNotificationService {
 
         notifications.push({
           userId: recipient.id,
-          title: `New message from ${messageData.senderName}`,
+          title: conversationData.type === 'group'
+            ? `New message from ${messageData.senderName} in ${conversationData.name}`
+            : `New message from ${messageData.senderName}`,
           message: preview,
           type: 'message',
           metadata: {
@@ -262,6 +287,194 @@ router.get('/', getConversations);
 router.post('/find', findOrCreateConversation);
 router.get('/:conversationId/messages', getMessages);
 
+// Search messages across the user's own conversations
+router.get('/search', async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user.id;
+        const { q, senderId, from, to, hasAttachment, conversationId, limit, offset } = req.query;
+
+        const result = await searchMessages(userId, {
+            q,
+            senderId,
+            from,
+            to,
+            hasAttachment: hasAttachment === undefined ? null : hasAttachment === 'true',
+            conversationId,
+            limit,
+            offset
+        });
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+
+        res.json({ success: true, data: result.results, total: result.total, nextOffset: result.nextOffset, truncated: result.truncated });
+    } catch (error) {
+        console.error('[MESSAGE-ROUTE] Error searching messages:', error);
+        res.status(500).json({ success: false, message: 'Failed to search messages' });
+    }
+});
+
+// Mark a conversation read up to now (read receipt for the other participants)
+router.post('/:conversationId/read', async (req, res) => {
+    try {
+        const { conversationId } = req.params;
+        const userId = req.user.userId || req.user.id;
+
+        const result = await markConversationRead(conversationId, userId);
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+        if (result.changed) {
+            emitConversationRead(conversationId, userId, result.lastReadAt);
+        }
+
+        res.json({ success: true, data: { conversationId, lastReadAt: result.lastReadAt } });
+    } catch (error) {
+        console.error('[MESSAGE-ROUTE] Error marking conversation read:', error);
+        res.status(500).json({ success: false, message: 'Failed to mark conversation as read' });
+    }
+});
+
+// Send the result of a message change: push it to the conversation and answer the request
+const respondWithMessageChange = (req, res, result, successMessage) => {
+    const { conversationId } = req.params;
+    if (result.error) {
+        return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    const message = presentMessage(result.message);
+    emitMessageUpdated(conversationId, message);
+    if (result.lastMessage) {
+        emitConversationUpdated(conversationId, { id: conversationId, lastMessage: result.lastMessage });
+    }
+    res.json({ success: true, message: successMessage, data: message });
+};
+
+// Edit own message (within the edit window)
+router.patch('/:conversationId/messages/:messageId', checkUserBlocked, async (req, res) => {
+    try {
+        const { conversationId, messageId } = req.params;
+        const userId = req.user.userId || req.user.id;
+        const result = await editMessage(conversationId, messageId, userId, req.body.text);
+        respondWithMessageChange(req, res, result, 'Message updated');
+    } catch (error) {
+        console.error('[MESSAGE-ROUTE] Error editing message:', error);
+        res.status(500).json({ success: false, message: 'Failed to edit message' });
+    }
+});
+
+// Delete own message (soft delete - admins can still review it)
+router.delete('/:conversationId/messages/:messageId', async (req, res) => {
+    try {
+        const { conversationId, messageId } = req.params;
+        const userId = req.user.userId || req.user.id;
+        const result = await deleteMessage(conversationId, messageId, userId);
+        respondWithMessageChange(req, res, result, 'Message deleted');
+    } catch (error) {
+        console.error('[MESSAGE-ROUTE] Error deleting message:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete message' });
+    }
+});
+
+// Toggle own emoji reaction on a message
+router.post('/:conversationId/messages/:messageId/reactions', checkUserBlocked, async (req, res) => {
+    try {
+        const { conversationId, messageId } = req.params;
+        const userId = req.user.userId || req.user.id;
+        const result = await toggleReaction(conversationId, messageId, userId, req.body.emoji);
+        respondWithMessageChange(req, res, result, result.reacted ? 'Reaction added' : 'Reaction removed');
+    } catch (error) {
+        console.error('[MESSAGE-ROUTE] Error updating reaction:', error);
+        res.status(500).json({ success: false, message: 'Failed to update reaction' });
+    }
+});
+
+// Group conversation with participant details (including their role) and the job title
+const enrichGroupConversation = async (conversation) => {
+    const participants = await getParticipantDetails(conversation.participantIds);
+    const jobDoc = await adminDb.collection('jobs').doc(conversation.jobId).get();
+    return {
+        ...conversation,
+        participants: participants.map(p => ({ ...p, role: conversation.memberRoles?.[p.id] || null })),
+        jobTitle: jobDoc.exists ? jobDoc.data().title : 'Job no longer available'
+    };
+};
+
+// Create a group conversation for a job team (the creator becomes the owner)
+router.post('/groups', checkUserBlocked, async (req, res) => {
+    try {
+        const { jobId, name, members, ownerRole } = req.body;
+        const result = await createGroupConversation(req.user, { jobId, name, members, ownerRole });
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+
+        const conversation = await enrichGroupConversation(result.conversation);
+        addParticipantsToRoom(conversation.id, conversation.participantIds);
+        emitConversationUpdated(conversation.id, conversation);
+        emitMessageNew(conversation.id, result.systemMessage);
+
+        res.status(201).json({ success: true, message: 'Group conversation created', data: conversation });
+
+        NotificationService.notifyAddedToGroupConversation(conversation, result.memberIds, req.user)
+            .catch(error => console.error('[MESSAGE-ROUTE] Failed to notify group members:', error.message));
+    } catch (error) {
+        console.error('[MESSAGE-ROUTE] Error creating group conversation:', error);
+        res.status(500).json({ success: false, message: 'Failed to create group conversation' });
+    }
+});
+
+// Add members to a group conversation (owner only)
+router.post('/groups/:conversationId/members', checkUserBlocked, async (req, res) => {
+    try {
+        const { conversationId } = req.params;
+        const result = await addGroupMembers(conversationId, req.user, req.body.members);
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+
+        const conversation = await enrichGroupConversation(result.conversation);
+        addParticipantsToRoom(conversationId, result.addedIds);
+        emitMessageNew(conversationId, result.systemMessage);
+        emitConversationUpdated(conversationId, conversation);
+
+        res.json({ success: true, message: 'Members added', data: conversation });
+
+        NotificationService.notifyAddedToGroupConversation(conversation, result.addedIds, req.user)
+            .catch(error => console.error('[MESSAGE-ROUTE] Failed to notify group members:', error.message));
+    } catch (error) {
+        console.error('[MESSAGE-ROUTE] Error adding group members:', error);
+        res.status(500).json({ success: false, message: 'Failed to add members' });
+    }
+});
+
+// Remove a member from a group conversation (owner), or leave it (any other member)
+router.delete('/groups/:conversationId/members/:userId', async (req, res) => {
+    try {
+        const { conversationId, userId } = req.params;
+        const result = await removeGroupMember(conversationId, req.user, userId);
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+
+        // Tell the room (including the removed member) before they leave it
+        const conversation = await enrichGroupConversation(result.conversation);
+        emitMessageNew(conversationId, result.systemMessage);
+        emitConversationUpdated(conversationId, conversation);
+        removeParticipantsFromRoom(conversationId, [userId]);
+
+        res.json({ success: true, message: result.left ? 'You left the group' : 'Member removed', data: conversation });
+
+        if (!result.left) {
+            NotificationService.notifyRemovedFromGroupConversation(conversation, userId, req.user)
+                .catch(error => console.error('[MESSAGE-ROUTE] Failed to notify removed member:', error.message));
+        }
+    } catch (error) {
+        console.error('[MESSAGE-ROUTE] Error removing group member:', error);
+        res.status(500).json({ success: false, message: 'Failed to remove member' });
+    }
+});
+
 // Safe multer wrapper - handles upload errors inline instead of relying on error middleware chain
 const safeUpload = (req, res) => {
     return new Promise((resolve, reject) => {
@@ -284,7 +497,7 @@ router.post('/:conversationId/messages', checkUserBlocked, async (req, res, next
         }
 
         const { conversationId } = req.params;
-        const { text } = req.body;
+        const { text, replyToMessageId } = req.body;
         const senderId = req.user.userId || req.user.id;
 
         console.log(`[MESSAGE-ROUTE] Sending message: User ${senderId} (${req.user.name}) in conversation ${conversationId}`);
@@ -319,6 +532,16 @@ router.post('/:conversationId/messages', checkUserBlocked, async (req, res, next
             return res.status(403).json({ success: false, message: 'Not authorized to send messages here.' });
         }
 
+        // Quote the parent message when replying
+        let replyTo = null;
+        if (replyToMessageId) {
+            const reply = await buildReplyTo(convoRef, replyToMessageId);
+            if (reply.error) {
+                return res.status(400).json({ success: false, message: reply.error });
+            }
+            replyTo = reply.replyTo;
+        }
+
         // Upload files if attached
         let attachments = [];
         if (req.files && req.files.length > 0) {
@@ -354,12 +577,16 @@ router.post('/:conversationId/messages', checkUserBlocked, async (req, res, next
             senderId,
             senderName: req.user.name,
             createdAt: messageTimestamp.toISOString(),
-            attachments: attachments.length > 0 ? attachments : []
+            attachments: attachments.length > 0 ? attachments : [],
+            replyTo
         };
         console.log(`[MESSAGE-ROUTE] Message object: text="${newMessage.text ? newMessage.text.substring(0, 30) : ''}", attachments=${newMessage.attachments.length}`);
 
         console.log(`[MESSAGE-ROUTE] Saving message to subcollection...`);
 
+        // Count the message as unread for the other participants
+        const unreadUpdate = await unreadCountsOnSend(convoRef, conversationData, senderId);
+
         // Save message to subcollection
         const messagesCollectionRef = convoRef.collection('messages');
         const messageRef = await messagesCollectionRef.add(newMessage);
@@ -368,16 +595,23 @@ router.post('/:conversationId/messages', checkUserBlocked, async (req, res, next
         const lastMsgPreview = hasText
             ? text.trim().substring(0, 100)
             : `${attachments.length} file(s) attached`;
-        await convoRef.update({
+        const conversationUpdate = {
             lastMessage: lastMsgPreview,
+            lastMessageId: messageRef.id,
             updatedAt: messageTimestamp.toISOString(),
             lastMessageBy: req.user.name
-        });
+        };
+        // The sender has read everything up to their own message
+        await convoRef.update({ ...conversationUpdate, ...unreadUpdate, [`lastReadAt.${senderId}`]: newMessage.createdAt });
 
         console.log(`[MESSAGE-ROUTE] Message saved with ID: ${messageRef.id}`);
 
         const messageResponse = { id: messageRef.id, ...newMessage };
 
+        // Push to every participant's connected sockets
+        emitMessageNew(conversationId, messageResponse);
+        emitConversationUpdated(conversationId, { id: conversationId, ...conversationUpdate });
+
         // Send success response FIRST (critical for frontend)
         res.status(201).json({ 
             success: true, 
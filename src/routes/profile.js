@@ -163,7 +163,8 @@ router.put('/complete', upload.fields([
                 education: req.body.education || '',
                 specializations: req.body.specializations ? req.body.specializations.split(',').map(s => s.trim()) : [],
                 bio: req.body.bio || '',
-                hourlyRate: req.body.hourlyRate ? parseFloat(req.body.hourlyRate) : null
+                hourlyRate: req.body.hourlyRate ? parseFloat(req.body.hourlyRate) : null,
+                location: req.body.location?.trim() || ''
             };
 
             // Handle file uploads for designers
@@ -349,6 +350,7 @@ router.get('/form-fields', async (req, res) => {
                 { name: 'specializations', type: 'text', label: 'Specializations (comma-separated)', required: false, placeholder: 'Seismic Design, Bridge Engineering, High-rise Structures' },
                 { name: 'bio', type: 'textarea', label: 'Professional Bio', required: false, placeholder: 'Brief professional summary...' },
                 { name: 'hourlyRate', type: 'number', label: 'Hourly Rate (USD)', required: false, placeholder: '75' },
+                { name: 'location', type: 'text', label: 'Location', required: false, placeholder: 'Houston, TX' },
                 { name: 'resume', type: 'file', label: 'Resume (PDF/DOC)', required: true, accept: '.pdf,.doc,.docx' },
                 { name: 'certificates', type: 'file', label: 'Certificates (Optional)', required: false, multiple: true, accept: '.pdf,.jpg,.png' }
             ];
@@ -7,16 +7,45 @@ import {
   getQuotesByUser, 
   getQuoteById, 
   updateQuote,
-  approveQuote, 
   deleteQuote 
 } from '../controllers/quoteController.js';
-import { authenticateToken, isDesigner } from '../middleware/auth.js';
+import { authenticateToken, isContractor, isDesigner } from '../middleware/auth.js';
 import { upload, handleUploadError, validateFileRequirements, logUploadDetails } from '../middleware/upload.js';
 import { NotificationService } from '../services/NotificationService.js';
 import { getSignedDownloadUrl } from '../utils/firebaseStorage.js';
+import { indexJobById } from '../services/jobSearchIndex.js';
+import { getUserReputation, getReviewsForUser } from '../services/reputationService.js';
+import { deriveDueDate } from '../services/jobScheduleService.js';
+import { assertTransition, buildTransitionUpdate, sendTransitionError, JobTransitionError } from '../services/jobLifecycle.js';
+import { getQuoteAnalysis } from '../services/quoteAnalysisService.js';
+import { generateComparisonPDF, generateComparisonWorkbook, exportFileName } from '../services/quoteComparisonExportService.js';
+import {
+  normalizeScoringPreset,
+  listScoringPresets,
+  getScoringPreset,
+  createScoringPreset,
+  updateScoringPreset,
+  deleteScoringPreset,
+  SCORING_CRITERIA,
+  DEFAULT_SCORING
+} from '../services/quoteScoringService.js';
+import {
+  negotiationRole,
+  pendingOffer,
+  agreedTerms,
+  counterBlockedReason,
+  buildOffer,
+  applyCounter,
+  applyResponse
+} from '../services/quoteNegotiationService.js';
+import { isQuoteLapsed, expireQuote, withdrawQuote } from '../services/quoteValidityService.js';
+import { isBidSealed, isBiddingClosed, ensureBidsOpened } from '../services/sealedBidService.js';
 
 const router = express.Router();
 
+// Scoring for quote analysis: ?criteria=<JSON> for one-off weights, or ?presetId=<saved preset>
+const scoringOptions = (query) => ({ presetId: query.presetId, criteria: query.criteria });
+
 // Enhanced quote creation with notifications and proper error handling
 router.post(
   '/',
@@ -84,6 +113,10 @@ router.get('/designer-profile/:designerId', authenticateToken, async (req, res)
     }
 
     const d = designerDoc.data();
+    const [reputation, recentReviews] = await Promise.all([
+      getUserReputation(designerId),
+      getReviewsForUser(designerId, 5)
+    ]);
     res.json({
       success: true,
       data: {
@@ -100,7 +133,9 @@ router.get('/designer-profile/:designerId', authenticateToken, async (req, res)
         profileStatus: d.profileStatus || 'incomplete',
         resume: d.resume || null,
         certificates: d.certificates || [],
-        createdAt: d.createdAt || null
+        createdAt: d.createdAt || null,
+        reputation,
+        recentReviews
       }
     });
   } catch (error) {
@@ -112,175 +147,116 @@ router.get('/designer-profile/:designerId', authenticateToken, async (req, res)
 // GET quote analysis for a specific job - compares and analyzes all quotes
 router.get('/analyze/:jobId', authenticateToken, async (req, res) => {
   try {
-    const { jobId } = req.params;
-    const contractorId = req.user.userId || req.user.id;
+    const result = await getQuoteAnalysis(req.params.jobId, req.user.userId || req.user.id, scoringOptions(req.query));
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
 
-    // Get job details
-    const jobDoc = await adminDb.collection('jobs').doc(jobId).get();
-    if (!jobDoc.exists) {
-      return res.status(404).json({ success: false, message: 'Job not found' });
+    const { job, analysis, message, sealedBid } = result;
+    if (!analysis) {
+      return res.json({ success: true, data: { job, quotes: [], analysis: null, ...(sealedBid && { sealedBid }), message } });
     }
-    const jobData = { id: jobId, ...jobDoc.data() };
+    res.json({ success: true, data: { job, analysis } });
+  } catch (error) {
+    console.error('Error analyzing quotes:', error);
+    res.status(500).json({ success: false, message: 'Error analyzing quotes' });
+  }
+});
 
-    // Verify ownership
-    if (jobData.posterId !== contractorId) {
-      return res.status(403).json({ success: false, message: 'Not authorized' });
+// Export the quote comparison as a branded PDF report or an XLSX workbook
+router.get('/analyze/:jobId/export/:format', authenticateToken, async (req, res) => {
+  try {
+    const { format } = req.params;
+    if (!['pdf', 'xlsx'].includes(format)) {
+      return res.status(400).json({ success: false, message: 'Export format must be "pdf" or "xlsx"' });
     }
 
-    // Get all quotes for this job
-    const quotesSnapshot = await adminDb.collection('quotes').where('jobId', '==', jobId).get();
-    if (quotesSnapshot.empty) {
-      return res.json({ success: true, data: { job: jobData, quotes: [], analysis: null, message: 'No quotes received for this project yet.' } });
+    const result = await getQuoteAnalysis(req.params.jobId, req.user.userId || req.user.id, scoringOptions(req.query));
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+    if (!result.analysis) {
+      return res.status(400).json({ success: false, message: result.message });
     }
 
-    const quotes = quotesSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const { job, analysis } = result;
+    const buffer = format === 'pdf'
+      ? await generateComparisonPDF(job, analysis, req.user.name || '')
+      : generateComparisonWorkbook(job, analysis);
+
+    res.setHeader('Content-Type', format === 'pdf'
+      ? 'application/pdf'
+      : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(job, format)}"`);
+    res.setHeader('Content-Length', buffer.length);
+    res.send(buffer);
+  } catch (error) {
+    console.error('Error exporting quote comparison:', error);
+    res.status(500).json({ success: false, message: 'Error exporting quote comparison' });
+  }
+});
 
-    // Enrich with designer profiles
-    for (let i = 0; i < quotes.length; i++) {
-      try {
-        if (quotes[i].designerId) {
-          const designerDoc = await adminDb.collection('users').doc(quotes[i].designerId).get();
-          if (designerDoc.exists) {
-            const d = designerDoc.data();
-            quotes[i].designerProfile = {
-              name: d.name || quotes[i].designerName,
-              email: d.email || '',
-              skills: d.skills || [],
-              experience: d.experience || '',
-              education: d.education || '',
-              specializations: d.specializations || [],
-              bio: d.bio || '',
-              hourlyRate: d.hourlyRate || null,
-              profileStatus: d.profileStatus || 'incomplete',
-              resume: d.resume ? { filename: d.resume.filename, size: d.resume.size } : null,
-              certificates: (d.certificates || []).map(c => ({ filename: c.filename, size: c.size }))
-            };
-          }
-        }
-      } catch (e) {
-        console.error(`Profile enrichment error for ${quotes[i].designerId}:`, e.message);
-      }
-    }
+// Scoring presets (weights and pass/fail criteria) for the logged-in contractor
+router.get('/scoring-presets', authenticateToken, isContractor, async (req, res) => {
+  try {
+    const presets = await listScoringPresets(req.user.userId);
+    res.json({ success: true, data: presets, criteria: SCORING_CRITERIA, defaultScoring: DEFAULT_SCORING });
+  } catch (error) {
+    console.error('Error fetching scoring presets:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch scoring presets' });
+  }
+});
 
-    // --- ANALYSIS ENGINE ---
-    const amounts = quotes.map(q => parseFloat(q.quoteAmount) || 0).filter(a => a > 0);
-    const timelines = quotes.map(q => parseInt(q.timeline) || 0).filter(t => t > 0);
-
-    // Price statistics
-    const priceStats = {
-      min: amounts.length ? Math.min(...amounts) : 0,
-      max: amounts.length ? Math.max(...amounts) : 0,
-      avg: amounts.length ? Math.round(amounts.reduce((s, a) => s + a, 0) / amounts.length) : 0,
-      median: amounts.length ? amounts.sort((a, b) => a - b)[Math.floor(amounts.length / 2)] : 0,
-      range: amounts.length >= 2 ? Math.max(...amounts) - Math.min(...amounts) : 0,
-      count: amounts.length
-    };
-
-    // Timeline statistics
-    const timelineStats = {
-      min: timelines.length ? Math.min(...timelines) : 0,
-      max: timelines.length ? Math.max(...timelines) : 0,
-      avg: timelines.length ? Math.round(timelines.reduce((s, t) => s + t, 0) / timelines.length) : 0,
-      count: timelines.length
-    };
-
-    // Score each quote (0-100)
-    const scoredQuotes = quotes.map(q => {
-      const amount = parseFloat(q.quoteAmount) || 0;
-      const timeline = parseInt(q.timeline) || 0;
-      const dp = q.designerProfile || {};
-
-      // Price score: lower price = higher score (0-35 points)
-      let priceScore = 0;
-      if (amount > 0 && priceStats.range > 0) {
-        priceScore = Math.round(((priceStats.max - amount) / priceStats.range) * 35);
-      } else if (amount > 0) {
-        priceScore = 25; // Only one quote or all same price
-      }
+router.post('/scoring-presets', authenticateToken, isContractor, async (req, res) => {
+  try {
+    const { preset, error } = normalizeScoringPreset(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
 
-      // Timeline score: shorter = higher (0-25 points)
-      let timelineScore = 0;
-      if (timeline > 0 && timelineStats.max > timelineStats.min) {
-        timelineScore = Math.round(((timelineStats.max - timeline) / (timelineStats.max - timelineStats.min)) * 25);
-      } else if (timeline > 0) {
-        timelineScore = 18;
-      }
+    const created = await createScoringPreset(req.user.userId, preset);
+    if (!created) {
+      return res.status(400).json({ success: false, message: 'You have reached the maximum number of scoring presets.' });
+    }
+    res.status(201).json({ success: true, message: 'Scoring preset saved', data: created });
+  } catch (error) {
+    console.error('Error saving scoring preset:', error);
+    res.status(500).json({ success: false, message: 'Failed to save scoring preset' });
+  }
+});
 
-      // Profile score (0-25 points)
-      let profileScore = 0;
-      if (dp.skills?.length > 0) profileScore += Math.min(dp.skills.length * 2, 8);
-      if (dp.experience) profileScore += 5;
-      if (dp.education) profileScore += 3;
-      if (dp.bio) profileScore += 2;
-      if (dp.specializations?.length > 0) profileScore += Math.min(dp.specializations.length, 3);
-      if (dp.resume) profileScore += 2;
-      if (dp.certificates?.length > 0) profileScore += 2;
-      profileScore = Math.min(profileScore, 25);
-
-      // Attachment score (0-15 points) - having relevant docs is positive
-      const attachments = q.attachments || [];
-      let attachmentScore = 0;
-      if (attachments.length > 0) {
-        attachmentScore += Math.min(attachments.length * 3, 9);
-        const hasPdf = attachments.some(a => a.mimetype === 'application/pdf' || a.name?.endsWith('.pdf'));
-        if (hasPdf) attachmentScore += 6;
-      }
-      attachmentScore = Math.min(attachmentScore, 15);
+router.put('/scoring-presets/:presetId', authenticateToken, isContractor, async (req, res) => {
+  try {
+    const existing = await getScoringPreset(req.params.presetId);
+    if (!existing || existing.ownerId !== req.user.userId) {
+      return res.status(404).json({ success: false, message: 'Scoring preset not found' });
+    }
 
-      const totalScore = priceScore + timelineScore + profileScore + attachmentScore;
+    const { preset, error } = normalizeScoringPreset(req.body, existing);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
 
-      // Attachment analysis
-      const attachmentAnalysis = attachments.map(a => ({
-        name: a.name || 'Unnamed file',
-        size: a.size || 0,
-        type: a.mimetype || 'unknown',
-        isPdf: (a.mimetype === 'application/pdf' || (a.name || '').toLowerCase().endsWith('.pdf')),
-        sizeFormatted: a.size ? (a.size > 1024 * 1024 ? (a.size / (1024 * 1024)).toFixed(2) + ' MB' : (a.size / 1024).toFixed(1) + ' KB') : 'Unknown'
-      }));
+    const updateData = await updateScoringPreset(existing.id, req.user.userId, preset);
+    res.json({ success: true, message: 'Scoring preset updated', data: { ...existing, ...updateData } });
+  } catch (error) {
+    console.error('Error updating scoring preset:', error);
+    res.status(500).json({ success: false, message: 'Failed to update scoring preset' });
+  }
+});
 
-      return {
-        quoteId: q.id,
-        designerName: q.designerName,
-        designerId: q.designerId,
-        amount,
-        timeline,
-        description: q.description,
-        status: q.status,
-        scores: { price: priceScore, timeline: timelineScore, profile: profileScore, attachment: attachmentScore, total: totalScore },
-        designerProfile: dp,
-        attachmentAnalysis,
-        totalAttachments: attachments.length,
-        pdfCount: attachmentAnalysis.filter(a => a.isPdf).length
-      };
-    });
+router.delete('/scoring-presets/:presetId', authenticateToken, isContractor, async (req, res) => {
+  try {
+    const existing = await getScoringPreset(req.params.presetId);
+    if (!existing || existing.ownerId !== req.user.userId) {
+      return res.status(404).json({ success: false, message: 'Scoring preset not found' });
+    }
 
-    // Sort by total score descending
-    scoredQuotes.sort((a, b) => b.scores.total - a.scores.total);
-
-    // Generate recommendations
-    const bestValue = scoredQuotes[0] || null;
-    const cheapest = [...scoredQuotes].sort((a, b) => (a.amount || Infinity) - (b.amount || Infinity))[0] || null;
-    const fastest = [...scoredQuotes].sort((a, b) => (a.timeline || Infinity) - (b.timeline || Infinity))[0] || null;
-    const mostExperienced = [...scoredQuotes].sort((a, b) => b.scores.profile - a.scores.profile)[0] || null;
-
-    const analysis = {
-      totalQuotes: quotes.length,
-      priceStats,
-      timelineStats,
-      scoredQuotes,
-      recommendations: {
-        bestValue: bestValue ? { designerName: bestValue.designerName, quoteId: bestValue.quoteId, score: bestValue.scores.total, amount: bestValue.amount, reason: 'Best overall value combining price, timeline, designer experience, and documentation' } : null,
-        cheapest: cheapest ? { designerName: cheapest.designerName, quoteId: cheapest.quoteId, amount: cheapest.amount, reason: 'Lowest quoted price' } : null,
-        fastest: fastest && fastest.timeline > 0 ? { designerName: fastest.designerName, quoteId: fastest.quoteId, timeline: fastest.timeline, reason: 'Shortest delivery timeline' } : null,
-        mostExperienced: mostExperienced ? { designerName: mostExperienced.designerName, quoteId: mostExperienced.quoteId, profileScore: mostExperienced.scores.profile, reason: 'Most detailed profile and credentials' } : null
-      },
-      summary: `${quotes.length} quote${quotes.length > 1 ? 's' : ''} received. Price range: $${priceStats.min.toLocaleString()} - $${priceStats.max.toLocaleString()} (avg $${priceStats.avg.toLocaleString()}).${timelineStats.count > 0 ? ` Timeline range: ${timelineStats.min} - ${timelineStats.max} days (avg ${timelineStats.avg} days).` : ''}`
-    };
-
-    res.json({ success: true, data: { job: jobData, analysis } });
+    await deleteScoringPreset(existing.id);
+    res.json({ success: true, message: 'Scoring preset deleted' });
   } catch (error) {
-    console.error('Error analyzing quotes:', error);
-    res.status(500).json({ success: false, message: 'Error analyzing quotes' });
+    console.error('Error deleting scoring preset:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete scoring preset' });
   }
 });
 
@@ -346,6 +322,10 @@ router.get('/:id/attachments/:attachmentIndex/download', authenticateToken, asyn
       // Check if user is the contractor who posted the job
       const jobDoc = await adminDb.collection('jobs').doc(quoteData.jobId).get();
       if (jobDoc.exists && jobDoc.data().posterId === userId) {
+        // Sealed bids stay hidden from the contractor until they are opened
+        if (isBidSealed(await ensureBidsOpened(quoteData.jobId, jobDoc.data()))) {
+          return res.status(403).json({ success: false, error: 'Bids on this job are sealed until the bid-close time' });
+        }
         hasAccess = true;
         console.log('Access granted: Job poster');
       }
@@ -460,6 +440,10 @@ router.get('/:id/attachments', authenticateToken, async (req, res) => {
     } else if (userType === 'contractor') {
       const jobDoc = await adminDb.collection('jobs').doc(quoteData.jobId).get();
       if (jobDoc.exists && jobDoc.data().posterId === userId) {
+        // Sealed bids stay hidden from the contractor until they are opened
+        if (isBidSealed(await ensureBidsOpened(quoteData.jobId, jobDoc.data()))) {
+          return res.status(403).json({ success: false, error: 'Bids on this job are sealed until the bid-close time' });
+        }
         hasAccess = true;
       }
     }
@@ -505,6 +489,227 @@ router.get('/:id/attachments', authenticateToken, async (req, res) => {
   }
 });
 
+// Offer history and current terms of a quote (either party)
+router.get('/:id/offers', authenticateToken, async (req, res) => {
+  try {
+    const quoteDoc = await adminDb.collection('quotes').doc(req.params.id).get();
+    if (!quoteDoc.exists) {
+      return res.status(404).json({ success: false, error: 'Quote not found' });
+    }
+    const quoteData = quoteDoc.data();
+    if (!negotiationRole(quoteData, req.user.userId)) {
+      return res.status(403).json({ success: false, error: 'Not authorized to view this negotiation' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        negotiationStatus: quoteData.negotiationStatus || null,
+        offers: quoteData.offers || [],
+        pendingOffer: pendingOffer(quoteData),
+        agreedTerms: agreedTerms(quoteData)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching quote offers:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch offers' });
+  }
+});
+
+// Counter-offer on price and/or timeline. The contractor opens; the designer counters a pending contractor offer.
+router.post('/:id/counter', authenticateToken, async (req, res) => {
+  try {
+    const { id: quoteId } = req.params;
+    const quoteRef = adminDb.collection('quotes').doc(quoteId);
+    const quoteDoc = await quoteRef.get();
+    if (!quoteDoc.exists) {
+      return res.status(404).json({ success: false, error: 'Quote not found' });
+    }
+    const quoteData = { id: quoteId, ...quoteDoc.data() };
+
+    const role = negotiationRole(quoteData, req.user.userId);
+    if (!role) {
+      return res.status(403).json({ success: false, error: 'Not authorized to negotiate this quote' });
+    }
+
+    const jobDoc = await adminDb.collection('jobs').doc(quoteData.jobId).get();
+    if (!jobDoc.exists || jobDoc.data().status !== 'open') {
+      return res.status(400).json({ success: false, error: 'This job is no longer accepting quotes' });
+    }
+    if (isBidSealed(await ensureBidsOpened(quoteData.jobId, jobDoc.data()))) {
+      return res.status(403).json({ success: false, error: 'Bids on this job are sealed until the bid-close time' });
+    }
+
+    // The offer history is re-read and checked in a transaction so concurrent counters or a
+    // counter racing an accept cannot overwrite each other
+    const result = await adminDb.runTransaction(async (tx) => {
+      const fresh = await tx.get(quoteRef);
+      const current = { id: quoteId, ...fresh.data() };
+      if (current.status !== 'submitted') {
+        return { status: 400, error: `Cannot negotiate a quote that is ${current.status}` };
+      }
+      if (isQuoteLapsed(current)) {
+        return { status: 400, error: 'This quote has expired' };
+      }
+
+      const blocked = counterBlockedReason(current, role);
+      if (blocked) {
+        return { status: 400, error: blocked };
+      }
+
+      const { offer, error } = buildOffer(req.body, current, { role, userId: req.user.userId, name: req.user.name });
+      if (error) {
+        return { status: 400, error };
+      }
+
+      const { offers, negotiationStatus } = applyCounter(current, offer);
+      tx.update(quoteRef, { offers, negotiationStatus, updatedAt: new Date() });
+      return { offer, offers, negotiationStatus };
+    });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+    const { offer, offers, negotiationStatus } = result;
+
+    try {
+      const recipientId = role === 'contractor' ? quoteData.designerId : quoteData.contractorId;
+      await NotificationService.notifyQuoteNegotiation(quoteData, recipientId, 'countered', offer);
+    } catch (notificationError) {
+      console.error('Failed to send counter-offer notification:', notificationError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Counter-offer sent',
+      data: { offer, negotiationStatus, offers }
+    });
+  } catch (error) {
+    console.error('Error creating counter-offer:', error);
+    res.status(500).json({ success: false, error: 'Failed to send counter-offer' });
+  }
+});
+
+// Accept or reject the pending offer (only the party who did not make it)
+router.put('/:id/offers/respond', authenticateToken, async (req, res) => {
+  try {
+    const { id: quoteId } = req.params;
+    const { action, reason } = req.body;
+    if (!['accept', 'reject'].includes(action)) {
+      return res.status(400).json({ success: false, error: 'Action must be "accept" or "reject"' });
+    }
+
+    const quoteRef = adminDb.collection('quotes').doc(quoteId);
+    const quoteDoc = await quoteRef.get();
+    if (!quoteDoc.exists) {
+      return res.status(404).json({ success: false, error: 'Quote not found' });
+    }
+    const quoteData = { id: quoteId, ...quoteDoc.data() };
+
+    const role = negotiationRole(quoteData, req.user.userId);
+    if (!role) {
+      return res.status(403).json({ success: false, error: 'Not authorized to negotiate this quote' });
+    }
+
+    // Responds to the pending offer as it stands in the transaction, never to one already countered
+    const result = await adminDb.runTransaction(async (tx) => {
+      const fresh = await tx.get(quoteRef);
+      const current = { id: quoteId, ...fresh.data() };
+      if (current.status !== 'submitted') {
+        return { status: 400, error: `Cannot negotiate a quote that is ${current.status}` };
+      }
+      if (isQuoteLapsed(current)) {
+        return { status: 400, error: 'This quote has expired' };
+      }
+
+      const pending = pendingOffer(current);
+      if (!pending) {
+        return { status: 400, error: 'There is no pending offer on this quote' };
+      }
+      if (pending.by === role) {
+        return { status: 403, error: 'You cannot respond to your own offer' };
+      }
+
+      const response = applyResponse(current, action, { userId: req.user.userId, name: req.user.name }, reason);
+      tx.update(quoteRef, {
+        offers: response.offers,
+        negotiationStatus: response.negotiationStatus,
+        ...(response.agreedOffer && { agreedOffer: response.agreedOffer }),
+        updatedAt: new Date()
+      });
+      return { ...response, pending, current };
+    });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+    const { pending, current } = result;
+
+    try {
+      await NotificationService.notifyQuoteNegotiation(current, pending.byUserId, result.offer.status, result.offer);
+    } catch (notificationError) {
+      console.error('Failed to send offer response notification:', notificationError);
+    }
+
+    res.json({
+      success: true,
+      message: action === 'accept' ? 'Offer accepted' : 'Offer rejected',
+      data: {
+        offer: result.offer,
+        negotiationStatus: result.negotiationStatus,
+        agreedTerms: agreedTerms({ ...current, agreedOffer: result.agreedOffer || current.agreedOffer })
+      }
+    });
+  } catch (error) {
+    console.error('Error responding to offer:', error);
+    res.status(500).json({ success: false, error: 'Failed to respond to offer' });
+  }
+});
+
+// Designer withdraws a quote that has not been approved yet
+router.post('/:id/withdraw', authenticateToken, isDesigner, async (req, res) => {
+  try {
+    const { id: quoteId } = req.params;
+    const quoteDoc = await adminDb.collection('quotes').doc(quoteId).get();
+    if (!quoteDoc.exists) {
+      return res.status(404).json({ success: false, error: 'Quote not found' });
+    }
+    const quoteData = { id: quoteId, ...quoteDoc.data() };
+
+    if (quoteData.designerId !== req.user.userId) {
+      return res.status(403).json({ success: false, error: 'You can only withdraw your own quotes' });
+    }
+    if (quoteData.status !== 'submitted') {
+      return res.status(400).json({ success: false, error: `Cannot withdraw a quote that is ${quoteData.status}` });
+    }
+
+    // Sealed bids are binding once bidding closes
+    const jobDoc = await adminDb.collection('jobs').doc(quoteData.jobId).get();
+    const jobData = jobDoc.exists ? { id: jobDoc.id, ...jobDoc.data() } : null;
+    if (jobData && isBiddingClosed(jobData)) {
+      return res.status(400).json({ success: false, error: 'Bidding on this sealed-bid job has closed; the quote can no longer be withdrawn' });
+    }
+
+    const withdrawn = await withdrawQuote(quoteData, req.body.reason || '');
+    if (!withdrawn) {
+      return res.status(409).json({ success: false, error: 'The quote changed status while withdrawing. Please refresh and try again.' });
+    }
+
+    try {
+      await NotificationService.notifyQuoteWithdrawn(withdrawn, jobData);
+    } catch (notificationError) {
+      console.error('Failed to send quote withdrawal notification:', notificationError);
+    }
+
+    res.json({
+      success: true,
+      message: 'Quote withdrawn',
+      data: { id: quoteId, status: withdrawn.status, withdrawnAt: withdrawn.withdrawnAt }
+    });
+  } catch (error) {
+    console.error('Error withdrawing quote:', error);
+    res.status(500).json({ success: false, error: 'Failed to withdraw quote' });
+  }
+});
+
 // Enhanced quote approval with notifications
 router.put('/:id/approve', authenticateToken, async (req, res) => {
   try {
@@ -524,91 +729,121 @@ router.put('/:id/approve', authenticateToken, async (req, res) => {
     if (!quoteDoc.exists) {
       return res.status(404).json({ success: false, error: 'Quote not found' });
     }
-    const quoteData = { id: quoteId, ...quoteDoc.data() };
+    // A quote can only be approved onto the job it was submitted for
+    if (quoteDoc.data().jobId !== jobId) {
+      return res.status(400).json({ success: false, error: 'This quote does not belong to this job' });
+    }
 
-    // Get job info
+    // Get job info (opening sealed bids whose close time has passed)
     const jobDoc = await adminDb.collection('jobs').doc(jobId).get();
     if (!jobDoc.exists) {
       return res.status(404).json({ success: false, error: 'Job not found' });
     }
-    const jobData = { id: jobId, ...jobDoc.data() };
-
-    // Check authorization
-    if (jobData.posterId !== userId) {
-      return res.status(403).json({ success: false, error: 'You are not authorized to approve quotes for this job' });
-    }
+    await ensureBidsOpened(jobId, jobDoc.data());
 
-    // Check if job is still open
-    if (jobData.status !== 'open') {
-      return res.status(400).json({ 
-        success: false, 
-        error: `Cannot approve quote. Job is already ${jobData.status}` 
-      });
+    // A quote past its validity date cannot be approved, even if the expiry sweep has not run yet
+    const lapsedQuote = { id: quoteId, ...quoteDoc.data() };
+    if (isQuoteLapsed(lapsedQuote)) {
+      await expireQuote(lapsedQuote);
+      return res.status(400).json({ success: false, error: 'This quote has expired and can no longer be approved.' });
     }
 
-    // Check if quote is still submitted
-    if (quoteData.status !== 'submitted') {
-      return res.status(400).json({ 
-        success: false, 
-        error: `Cannot approve quote. Quote is already ${quoteData.status}` 
-      });
-    }
+    // Checks and writes run in a transaction on fresh reads of the job and its quotes, so two
+    // concurrent approvals cannot both assign the job
+    const quoteRef = adminDb.collection('quotes').doc(quoteId);
+    const jobRef = adminDb.collection('jobs').doc(jobId);
+    const result = await adminDb.runTransaction(async (tx) => {
+      const [freshQuote, freshJob, submittedQuotes] = await Promise.all([
+        tx.get(quoteRef),
+        tx.get(jobRef),
+        tx.get(adminDb.collection('quotes').where('jobId', '==', jobId).where('status', '==', 'submitted'))
+      ]);
+      if (!freshQuote.exists || !freshJob.exists) {
+        return { status: 404, error: freshQuote.exists ? 'Job not found' : 'Quote not found' };
+      }
+      const quoteData = { id: quoteId, ...freshQuote.data() };
+      const jobData = { id: jobId, ...freshJob.data() };
 
-    // Get all quotes for this job before updating (for rejection notifications)
-    const allQuotesQuery = await adminDb.collection('quotes')
-      .where('jobId', '==', jobId)
-      .where('status', '==', 'submitted')
-      .get();
+      // Check authorization
+      if (jobData.posterId !== userId) {
+        return { status: 403, error: 'You are not authorized to approve quotes for this job' };
+      }
+      if (isBidSealed(jobData)) {
+        return { status: 400, error: 'Bids on this job are sealed until the bid-close time' };
+      }
 
-    console.log(`Found ${allQuotesQuery.docs.length} quotes to process for job ${jobId}`);
+      // Approving a quote assigns the job - only possible while it is open
+      assertTransition(jobData, 'assigned');
 
-    // Start a batch operation
-    const batch = adminDb.batch();
+      // Check if quote is still submitted
+      if (quoteData.status !== 'submitted') {
+        return { status: 400, error: `Cannot approve quote. Quote is already ${quoteData.status}` };
+      }
+      if (isQuoteLapsed(quoteData)) {
+        return { status: 400, error: 'This quote has expired and can no longer be approved.' };
+      }
 
-    // Update the approved quote
-    const quoteRef = adminDb.collection('quotes').doc(quoteId);
-    batch.update(quoteRef, {
-      status: 'approved',
-      approvedAt: new Date(),
-      updatedAt: new Date()
-    });
+      // Approval uses the last agreed offer; an open counter-offer must be settled first
+      if (pendingOffer(quoteData)) {
+        return { status: 400, error: 'A counter-offer on this quote is awaiting a response. Accept or reject it before approving.' };
+      }
+      const terms = agreedTerms(quoteData);
+
+      // Update the approved quote
+      tx.update(quoteRef, {
+        status: 'approved',
+        approvedAmount: terms.amount,
+        approvedTimeline: terms.timeline,
+        approvedAt: new Date(),
+        updatedAt: new Date()
+      });
 
-    // Update the job
-    const jobRef = adminDb.collection('jobs').doc(jobId);
-    batch.update(jobRef, {
-      status: 'assigned',
-      assignedTo: quoteData.designerId,
-      assignedToName: quoteData.designerName,
-      approvedAmount: quoteData.quoteAmount,
-      updatedAt: new Date()
-    });
+      // Update the job - the due date runs from approval for the quoted number of days
+      const assignedAt = new Date();
+      const dueDate = deriveDueDate(terms.timeline, assignedAt);
+      tx.update(jobRef, {
+        ...buildTransitionUpdate(jobData, 'assigned', { by: userId, byName: req.user.name || '', via: 'quote_approved' }),
+        assignedTo: quoteData.designerId,
+        assignedToName: quoteData.designerName,
+        approvedAmount: terms.amount,
+        ...(terms.offerId && { agreedOfferId: terms.offerId }),
+        assignedAt: assignedAt.toISOString(),
+        timelineDays: terms.timeline || null,
+        dueDate,
+        scheduleStatus: dueDate ? 'on_track' : null,
+        approvedQuoteId: quoteId
+      });
 
-    // Reject all other quotes for this job
-    allQuotesQuery.docs.forEach(doc => {
-      if (doc.id !== quoteId) {
-        batch.update(doc.ref, {
+      // Reject all other quotes for this job
+      const rejectedQuotes = submittedQuotes.docs.filter(doc => doc.id !== quoteId);
+      rejectedQuotes.forEach(doc => {
+        tx.update(doc.ref, {
           status: 'rejected',
           rejectedAt: new Date(),
           updatedAt: new Date()
         });
-      }
+      });
+
+      return { quoteData, jobData, terms, dueDate, rejectedQuotes };
     });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+    const { quoteData, jobData, terms, dueDate, rejectedQuotes } = result;
 
-    await batch.commit();
-    console.log(`Quote approval batch operation completed for quote ${quoteId}`);
+    console.log(`Quote approval transaction completed for quote ${quoteId} (${rejectedQuotes.length} other quotes rejected)`);
+    indexJobById(jobId);
 
     // Send notifications using enhanced service
     try {
       // Notify the approved designer
-      await NotificationService.notifyQuoteStatusChanged(quoteData, jobData, 'approved');
+      await NotificationService.notifyQuoteStatusChanged({ ...quoteData, quoteAmount: terms.amount }, jobData, 'approved');
       console.log('Quote approval notification sent successfully');
       
       // Notify rejected designers
-      for (const doc of allQuotesQuery.docs) {
-        if (doc.id !== quoteId) {
-          const rejectedQuoteData = { id: doc.id, ...doc.data() };
-          await NotificationService.notifyQuoteStatusChanged(rejectedQuoteData, jobData, 'rejected');
-        }
+      for (const doc of rejectedQuotes) {
+        const rejectedQuoteData = { id: doc.id, ...doc.data() };
+        await NotificationService.notifyQuoteStatusChanged(rejectedQuoteData, jobData, 'rejected');
       }
       console.log('Quote rejection notifications sent successfully');
     } catch (notificationError) {
@@ -621,12 +856,17 @@ router.put('/:id/approve', authenticateToken, async (req, res) => {
       data: {
         quoteId: quoteId,
         jobId: jobId,
-        approvedAmount: quoteData.quoteAmount,
-        designerName: quoteData.designerName
+        approvedAmount: terms.amount,
+        timeline: terms.timeline,
+        designerName: quoteData.designerName,
+        dueDate
       }
     });
 
   } catch (error) {
+    if (error instanceof JobTransitionError) {
+      return sendTransitionError(res, error);
+    }
     console.error('Error approving quote:', error);
     res.status(500).json({ 
       success: false, 
@@ -6,6 +6,7 @@ import crypto from 'crypto';
 import { adminDb, admin } from '../config/firebase.js';
 import { authenticateToken } from '../middleware/authMiddleware.js';
 import { NotificationService } from '../services/NotificationService.js';
+import { consumeReferralReward } from '../services/usageMeteringService.js';
 
 const router = express.Router();
 
@@ -392,7 +393,7 @@ router.post('/track-share', async (req, res) => {
 router.post('/use-reward', async (req, res) => {
     try {
         const userId = req.user.userId;
-        const { rewardType } = req.body;
+        const { rewardType, meter } = req.body;
 
         const referralRef = adminDb.collection('referrals').doc(userId);
         const referralDoc = await referralRef.get();
@@ -418,11 +419,17 @@ router.post('/use-reward', async (req, res) => {
             });
         }
 
-        await referralRef.update({
-            rewardsAvailable: admin.firestore.FieldValue.increment(-1),
-            rewardsUsed: admin.firestore.FieldValue.increment(1),
-            updatedAt: admin.firestore.FieldValue.serverTimestamp()
-        });
+        // Free estimations cover AI estimations and analyses; free quotes cover quotes
+        const rewardMeter = expectedType === 'free_quote' ? 'quote' : (meter || 'ai_estimation');
+        if (expectedType === 'free_estimation' && !['ai_estimation', 'ai_analysis'].includes(rewardMeter)) {
+            return res.status(400).json({ success: false, message: 'A free estimation reward can be used for ai_estimation or ai_analysis.' });
+        }
+
+        // Recorded in the usage ledger like any other quota use
+        const consumed = await consumeReferralReward(userId, rewardMeter, { type: 'referral_reward', id: userId });
+        if (!consumed) {
+            return res.status(400).json({ success: false, message: 'No rewards available.' });
+        }
 
         const updatedDoc = await referralRef.get();
         const updatedData = updatedDoc.data();
@@ -5,6 +5,7 @@ import { adminDb, storage } from '../config/firebase.js';
 import Subscription from '../models/Subscription.js';
 import Invoice from '../models/Invoice.js';
 import { createInvoiceForSubscription, regenerateInvoicePDF } from '../services/invoiceService.js';
+import { getUsageSummary, getUsageHistory, rollUsagePeriod, startUsagePeriod, USAGE_METERS } from '../services/usageMeteringService.js';
 import {
     isStripeConfigured,
     isRazorpayConfigured,
@@ -350,6 +351,37 @@ router.get('/my-subscription', authenticateToken, async (req, res) => {
     }
 });
 
+// GET /api/subscriptions/usage - Quota usage this period for every meter
+router.get('/usage', authenticateToken, async (req, res) => {
+    try {
+        const usage = await getUsageSummary(req.user.userId);
+        res.json({ success: true, usage });
+    } catch (error) {
+        console.error('Error fetching usage:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch usage' });
+    }
+});
+
+// GET /api/subscriptions/usage/history - Usage ledger entries (?meter=&since=&limit=)
+router.get('/usage/history', authenticateToken, async (req, res) => {
+    try {
+        const { meter, since, limit } = req.query;
+        if (meter && !USAGE_METERS[meter]) {
+            return res.status(400).json({ success: false, message: `meter must be one of: ${Object.keys(USAGE_METERS).join(', ')}` });
+        }
+        const sinceDate = since ? new Date(since) : null;
+        if (sinceDate && isNaN(sinceDate.getTime())) {
+            return res.status(400).json({ success: false, message: 'since must be a valid date' });
+        }
+
+        const entries = await getUsageHistory(req.user.userId, { meter, since: sinceDate, limit });
+        res.json({ success: true, entries });
+    } catch (error) {
+        console.error('Error fetching usage history:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch usage history' });
+    }
+});
+
 // GET /api/subscriptions/my-invoices - Get current user's invoices
 router.get('/my-invoices', authenticateToken, async (req, res) => {
     try {
@@ -425,11 +457,8 @@ router.post('/create-checkout', authenticateToken, async (req, res) => {
                 planLabel: plan.label,
                 amount: 0,
                 quotesAllowed: plan.quotesAllowed,
-                quotesUsed: 0,
                 aiEstimationsAllowed: plan.aiEstimationsAllowed || null,
-                aiEstimationsUsed: 0,
                 aiAnalysisQuota: plan.aiAnalysisQuota || null,
-                aiAnalysesUsed: 0,
                 maxUploadMB: plan.maxUploadMB || 25,
                 billingCycle: plan.billingCycle || null,
                 status: 'active',
@@ -439,6 +468,7 @@ router.post('/create-checkout', authenticateToken, async (req, res) => {
             });
 
             await subscription.save();
+            await startUsagePeriod(subscription, 'plan_start');
 
             // Update Firestore
             try {
@@ -488,15 +518,12 @@ router.post('/create-checkout', authenticateToken, async (req, res) => {
             planLabel: plan.label + (isYearly ? ' (Yearly)' : ''),
             amount: finalAmount,
             quotesAllowed: plan.quotesAllowed || null,
-            quotesUsed: 0,
             aiEstimationsAllowed: plan.aiEstimationsAllowed || null,
-            aiEstimationsUsed: 0,
             maxUploadMB: plan.maxUploadMB || 25,
             isPayPerUse: plan.isPayPerUse || false,
             aiEstimationRate: plan.aiEstimationRate || null,
             aiAnalysisRate: plan.aiAnalysisRate || null,
             aiAnalysisQuota: plan.aiAnalysisQuota || null,
-            aiAnalysesUsed: 0,
             storageAllowedMB: plan.storageAllowedMB || null,
             storageUsedMB: 0,
             billingCycle: finalBillingCycle,
@@ -508,6 +535,7 @@ router.post('/create-checkout', authenticateToken, async (req, res) => {
         });
 
         await subscription.save();
+        await startUsagePeriod(subscription, 'plan_start');
 
         // ── STRIPE CHECKOUT ──
         if (gateway === 'stripe' && isStripeConfigured()) {
@@ -768,12 +796,16 @@ router.post('/stripe-webhook', express.raw({ type: 'application/json' }), async
                         newEndDate.setMonth(newEndDate.getMonth() + 1);
                     }
                     sub.endDate = newEndDate;
-                    sub.aiEstimationsUsed = 0; // Reset usage for new period
-                    sub.aiAnalysesUsed = 0;
-                    sub.quotesUsed = 0;
                     sub.storageUsedMB = 0;
                     await sub.save();
 
+                    // Quota counters reset on the billing-cycle boundary (no-op if already rolled)
+                    try {
+                        await rollUsagePeriod(sub, 'renewal');
+                    } catch (usageErr) {
+                        console.error('Usage period reset error on renewal:', usageErr);
+                    }
+
                     try {
                         await createInvoiceForSubscription(sub, {
                             stripePaymentIntentId: stripeInvoice.payment_intent,
@@ -1337,15 +1369,12 @@ router.post('/admin/create-manual', authenticateToken, isAdmin, async (req, res)
             planLabel: plan.label + (isYearly ? ' (Yearly)' : ''),
             amount: finalAmount,
             quotesAllowed: plan.quotesAllowed || null,
-            quotesUsed: 0,
             aiEstimationsAllowed: plan.aiEstimationsAllowed || null,
-            aiEstimationsUsed: 0,
             maxUploadMB: plan.maxUploadMB || 25,
             isPayPerUse: plan.isPayPerUse || false,
             aiEstimationRate: plan.aiEstimationRate || null,
             aiAnalysisRate: plan.aiAnalysisRate || null,
             aiAnalysisQuota: plan.aiAnalysisQuota || null,
-            aiAnalysesUsed: 0,
             storageAllowedMB: plan.storageAllowedMB || null,
             storageUsedMB: 0,
             billingCycle: finalBillingCycle,
@@ -1359,6 +1388,7 @@ router.post('/admin/create-manual', authenticateToken, isAdmin, async (req, res)
         });
 
         await subscription.save();
+        await startUsagePeriod(subscription, 'admin_plan');
 
         // Update Firestore user
         await snapshot.docs[0].ref.update({
@@ -1,5 +1,6 @@
 // src/services/NotificationService.js - Complete Implementation
 import { adminDb } from '../config/firebase.js';
+import { isBidSealed } from './sealedBidService.js';
 
 export class NotificationService {
     /**
@@ -65,22 +66,37 @@ export class NotificationService {
                 return;
             }
 
-            // Notification to job poster (contractor)
-            await this.createNotification(
-                jobData.posterId,
-                'New Quote Received',
-                `${quoteData.designerName} submitted a quote of ${quoteData.quoteAmount} for your project "${jobData.title}"`,
-                'quote',
-                {
-                    action: 'quote_submitted',
-                    quoteId: quoteData.id,
-                    jobId: jobData.id,
-                    designerId: quoteData.designerId,
-                    designerName: quoteData.designerName,
-                    quoteAmount: quoteData.quoteAmount,
-                    jobTitle: jobData.title
-                }
-            );
+            // Notification to job poster (contractor); sealed bids reveal nothing until opening
+            if (jobData.biddingMode === 'sealed' && !jobData.bidsOpenedAt) {
+                await this.createNotification(
+                    jobData.posterId,
+                    'Sealed Bid Received',
+                    `A sealed bid was received for your project "${jobData.title}". All bids will be opened on ${new Date(jobData.bidCloseAt).toUTCString()}.`,
+                    'quote',
+                    {
+                        action: 'sealed_bid_received',
+                        jobId: jobData.id,
+                        jobTitle: jobData.title,
+                        bidCloseAt: jobData.bidCloseAt
+                    }
+                );
+            } else {
+                await this.createNotification(
+                    jobData.posterId,
+                    'New Quote Received',
+                    `${quoteData.designerName} submitted a quote of ${quoteData.quoteAmount} for your project "${jobData.title}"`,
+                    'quote',
+                    {
+                        action: 'quote_submitted',
+                        quoteId: quoteData.id,
+                        jobId: jobData.id,
+                        designerId: quoteData.designerId,
+                        designerName: quoteData.designerName,
+                        quoteAmount: quoteData.quoteAmount,
+                        jobTitle: jobData.title
+                    }
+                );
+            }
 
             // Confirmation notification to designer
             await this.createNotification(
@@ -243,6 +259,571 @@ export class NotificationService {
         }
     }
 
+    // INVITATION NOTIFICATIONS
+    static async notifyJobInvitation(invitation, jobData) {
+        try {
+            console.log('📬 Creating job invitation notification...');
+
+            await this.createNotification(
+                invitation.designerId,
+                'Private Project Invitation',
+                `${invitation.contractorName || 'A client'} invited you to quote on the private project "${jobData.title}"`,
+                'job',
+                {
+                    action: 'job_invitation',
+                    invitationId: invitation.id,
+                    jobId: jobData.id,
+                    jobTitle: jobData.title,
+                    contractorId: jobData.posterId,
+                    contractorName: invitation.contractorName,
+                    budget: jobData.budget,
+                    deadline: jobData.deadline
+                }
+            );
+
+            console.log('✅ Job invitation notification sent');
+        } catch (error) {
+            console.error('❌ Error in job invitation notification:', error);
+            throw error;
+        }
+    }
+
+    static async notifyInvitationResponse(invitation, newStatus) {
+        try {
+            console.log(`📬 Creating invitation ${newStatus} notification...`);
+
+            await this.createNotification(
+                invitation.contractorId,
+                newStatus === 'accepted' ? 'Invitation Accepted' : 'Invitation Declined',
+                `${invitation.designerName} has ${newStatus} your invitation to quote on "${invitation.jobTitle}"`,
+                'job',
+                {
+                    action: `invitation_${newStatus}`,
+                    invitationId: invitation.id,
+                    jobId: invitation.jobId,
+                    jobTitle: invitation.jobTitle,
+                    designerId: invitation.designerId,
+                    designerName: invitation.designerName
+                }
+            );
+
+            console.log(`✅ Invitation ${newStatus} notification sent`);
+        } catch (error) {
+            console.error(`❌ Error in invitation ${newStatus} notification:`, error);
+            throw error;
+        }
+    }
+
+    // MILESTONE NOTIFICATIONS
+    static async notifyMilestoneEvent(jobData, milestone, event, extra = {}) {
+        try {
+            console.log(`📬 Creating milestone ${event} notification...`);
+
+            const baseMetadata = {
+                action: `milestone_${event}`,
+                jobId: jobData.id,
+                jobTitle: jobData.title,
+                ...(milestone && {
+                    milestoneId: milestone.id,
+                    milestoneTitle: milestone.title,
+                    amountShare: milestone.amountShare,
+                    amount: milestone.amount
+                })
+            };
+
+            switch (event) {
+                case 'plan_set':
+                    await this.createNotification(
+                        jobData.assignedTo,
+                        'Project Milestones Defined',
+                        `The client has defined ${extra.count || 'the'} milestone(s) for "${jobData.title}"`,
+                        'job',
+                        { ...baseMetadata, contractorId: jobData.posterId, count: extra.count }
+                    );
+                    break;
+                case 'submitted':
+                    await this.createNotification(
+                        jobData.posterId,
+                        'Milestone Submitted for Review',
+                        `${extra.designerName || 'The designer'} submitted milestone "${milestone.title}" for "${jobData.title}"`,
+                        'job',
+                        { ...baseMetadata, designerId: jobData.assignedTo, designerName: extra.designerName }
+                    );
+                    break;
+                case 'accepted':
+                    await this.createNotification(
+                        jobData.assignedTo,
+                        'Milestone Accepted',
+                        `Your milestone "${milestone.title}" for "${jobData.title}" has been accepted by the client`,
+                        'job',
+                        { ...baseMetadata, contractorId: jobData.posterId }
+                    );
+                    break;
+                case 'rejected':
+                    await this.createNotification(
+                        jobData.assignedTo,
+                        'Milestone Rejected',
+                        `Your milestone "${milestone.title}" for "${jobData.title}" was rejected.${extra.rejectionReason ? ' Reason: ' + extra.rejectionReason : ''}`,
+                        'job',
+                        { ...baseMetadata, contractorId: jobData.posterId, rejectionReason: extra.rejectionReason || null }
+                    );
+                    break;
+                case 'all_completed':
+                    await Promise.all([jobData.assignedTo, jobData.posterId].filter(Boolean).map(userId =>
+                        this.createNotification(
+                            userId,
+                            'All Milestones Completed',
+                            `Every milestone for "${jobData.title}" has been accepted. The project is now completed.`,
+                            'job',
+                            baseMetadata
+                        )
+                    ));
+                    break;
+                default:
+                    return;
+            }
+
+            console.log(`✅ Milestone ${event} notification sent`);
+        } catch (error) {
+            console.error(`❌ Error in milestone ${event} notification:`, error);
+            throw error;
+        }
+    }
+
+    // CHANGE ORDER NOTIFICATIONS
+    static async notifyChangeOrderEvent(jobData, changeOrder, event, actorName = '') {
+        try {
+            console.log(`📬 Creating change order ${event} notification...`);
+
+            // Proposals go to the other party; responses go back to the proposer
+            const proposerIsContractor = changeOrder.proposedByRole === 'contractor';
+            const otherParty = proposerIsContractor ? jobData.assignedTo : jobData.posterId;
+            const recipientId = event === 'proposed' || event === 'withdrawn' ? otherParty : changeOrder.proposedBy;
+            if (!recipientId) return;
+
+            const amountText = changeOrder.amountDelta
+                ? ` (${changeOrder.amountDelta > 0 ? '+' : ''}${changeOrder.amountDelta} amount)`
+                : '';
+            const timelineText = changeOrder.timelineDeltaDays
+                ? ` (${changeOrder.timelineDeltaDays > 0 ? '+' : ''}${changeOrder.timelineDeltaDays} days)`
+                : '';
+
+            const titles = {
+                proposed: 'Change Order Proposed',
+                approved: 'Change Order Approved',
+                rejected: 'Change Order Rejected',
+                withdrawn: 'Change Order Withdrawn'
+            };
+            const messages = {
+                proposed: `${actorName || 'The other party'} proposed a change order for "${jobData.title}"${amountText}${timelineText}`,
+                approved: `Your change order for "${jobData.title}" was approved${amountText}${timelineText}`,
+                rejected: `Your change order for "${jobData.title}" was rejected.${changeOrder.rejectionReason ? ' Reason: ' + changeOrder.rejectionReason : ''}`,
+                withdrawn: `${actorName || 'The other party'} withdrew a change order for "${jobData.title}"`
+            };
+            if (!titles[event]) return;
+
+            await this.createNotification(
+                recipientId,
+                titles[event],
+                messages[event],
+                'job',
+                {
+                    action: `change_order_${event}`,
+                    jobId: jobData.id,
+                    jobTitle: jobData.title,
+                    changeOrderId: changeOrder.id,
+                    amountDelta: changeOrder.amountDelta,
+                    timelineDeltaDays: changeOrder.timelineDeltaDays
+                }
+            );
+
+            console.log(`✅ Change order ${event} notification sent`);
+        } catch (error) {
+            console.error(`❌ Error in change order ${event} notification:`, error);
+            throw error;
+        }
+    }
+
+    // DISPUTE NOTIFICATIONS
+    static async notifyDisputeEvent(dispute, event, extra = {}) {
+        try {
+            console.log(`📬 Creating dispute ${event} notifications...`);
+
+            const outcomeLabels = {
+                resume_work: 'work will resume',
+                partial_completion: `the project is closed as partially completed${dispute.resolution?.completionPercentage != null ? ` (${dispute.resolution.completionPercentage}%)` : ''}`,
+                cancel: 'the project has been cancelled'
+            };
+
+            let title, message;
+            switch (event) {
+                case 'opened':
+                    title = 'Dispute Opened';
+                    message = `${dispute.openedByName || 'A party'} opened a dispute on "${dispute.jobTitle}": ${dispute.reason}`;
+                    break;
+                case 'evidence_added':
+                    title = 'New Dispute Evidence';
+                    message = `${extra.actorName || 'A party'} added evidence to the dispute on "${dispute.jobTitle}"`;
+                    break;
+                case 'under_review':
+                    title = 'Dispute Under Review';
+                    message = `Our team is now reviewing the dispute on "${dispute.jobTitle}"`;
+                    break;
+                case 'resolved':
+                    title = 'Dispute Resolved';
+                    message = `The dispute on "${dispute.jobTitle}" has been resolved: ${outcomeLabels[dispute.resolution?.outcome] || dispute.resolution?.outcome}`;
+                    break;
+                default:
+                    return;
+            }
+
+            const recipients = [dispute.contractorId, dispute.designerId].filter(Boolean);
+            await Promise.all(recipients.map(userId =>
+                this.createNotification(userId, title, message, 'job', {
+                    action: `dispute_${event}`,
+                    disputeId: dispute.id,
+                    jobId: dispute.jobId,
+                    jobTitle: dispute.jobTitle,
+                    ...(event === 'resolved' && { outcome: dispute.resolution?.outcome, note: dispute.resolution?.note || '' })
+                })
+            ));
+
+            console.log(`✅ Dispute ${event} notifications sent to ${recipients.length} parties`);
+        } catch (error) {
+            console.error(`❌ Error in dispute ${event} notifications:`, error);
+            throw error;
+        }
+    }
+
+    // REVIEW NOTIFICATIONS
+    static async notifyReviewReceived(review) {
+        try {
+            console.log('📬 Creating review received notification...');
+
+            await this.createNotification(
+                review.revieweeId,
+                'New Review Received',
+                `${review.reviewerName || 'Your client'} rated you ${review.rating}/5 for "${review.jobTitle}"`,
+                'job',
+                {
+                    action: 'review_received',
+                    reviewId: review.id,
+                    jobId: review.jobId,
+                    jobTitle: review.jobTitle,
+                    rating: review.rating,
+                    reviewerId: review.reviewerId
+                }
+            );
+
+            console.log('✅ Review received notification sent');
+        } catch (error) {
+            console.error('❌ Error in review received notification:', error);
+            throw error;
+        }
+    }
+
+    // SCHEDULE NOTIFICATIONS
+    static async notifyScheduleStatus(jobData, assessment) {
+        try {
+            console.log(`📬 Creating schedule ${assessment.scheduleStatus} notifications...`);
+
+            const dueText = new Date(jobData.dueDate).toLocaleDateString();
+            const isOverdue = assessment.scheduleStatus === 'overdue';
+            const title = isOverdue ? 'Project Overdue' : 'Project At Risk';
+            const message = isOverdue
+                ? `"${jobData.title}" passed its due date (${dueText}) at ${assessment.actualProgress}% complete`
+                : `"${jobData.title}" is ${assessment.actualProgress}% complete with ${assessment.expectedProgress}% of the schedule elapsed (due ${dueText})`;
+
+            const recipients = [jobData.posterId, jobData.assignedTo].filter(Boolean);
+            await Promise.all(recipients.map(userId =>
+                this.createNotification(userId, title, message, 'job', {
+                    action: `schedule_${assessment.scheduleStatus}`,
+                    jobId: jobData.id,
+                    jobTitle: jobData.title,
+                    dueDate: jobData.dueDate,
+                    actualProgress: assessment.actualProgress,
+                    expectedProgress: assessment.expectedProgress
+                })
+            ));
+
+            console.log(`✅ Schedule ${assessment.scheduleStatus} notifications sent to ${recipients.length} parties`);
+        } catch (error) {
+            console.error(`❌ Error in schedule ${assessment.scheduleStatus} notifications:`, error);
+            throw error;
+        }
+    }
+
+    // SAVED SEARCH NOTIFICATIONS
+    static async notifySavedSearchMatch(savedSearch, jobs) {
+        try {
+            console.log(`📬 Creating saved search alert for ${jobs.length} job(s)...`);
+
+            const isDigest = savedSearch.frequency === 'daily';
+            const title = isDigest ? 'Daily Job Digest' : 'New Project Matches Your Search';
+            const message = jobs.length === 1
+                ? `"${jobs[0].title}" (${jobs[0].budget || 'budget not specified'}) matches your saved search "${savedSearch.name}"`
+                : `${jobs.length} new projects match your saved search "${savedSearch.name}"`;
+
+            await this.createNotification(
+                savedSearch.userId,
+                title,
+                message,
+                'job',
+                {
+                    action: isDigest ? 'saved_search_digest' : 'saved_search_match',
+                    savedSearchId: savedSearch.id,
+                    jobIds: jobs.map(j => j.id),
+                    ...(jobs.length === 1 && { jobId: jobs[0].id, jobTitle: jobs[0].title })
+                }
+            );
+
+            console.log('✅ Saved search alert sent');
+        } catch (error) {
+            console.error('❌ Error in saved search alert:', error);
+            throw error;
+        }
+    }
+
+    // QUOTE VALIDITY NOTIFICATIONS
+    // jobData decides whether the designer may be named to the contractor; a missing job is treated as sealed
+    static async notifyQuoteExpired(quoteData, jobData) {
+        try {
+            console.log('📬 Creating quote expiry notifications...');
+
+            const sealed = !jobData || isBidSealed(jobData);
+
+            const metadata = {
+                action: 'quote_expired',
+                quoteId: quoteData.id,
+                jobId: quoteData.jobId,
+                jobTitle: quoteData.jobTitle,
+                validUntil: quoteData.validUntil
+            };
+
+            await this.createNotification(
+                quoteData.designerId,
+                'Quote Expired',
+                `Your quote for "${quoteData.jobTitle}" has passed its validity date and expired. You can submit a new quote while the project is open.`,
+                'quote',
+                metadata
+            );
+            await this.createNotification(
+                quoteData.contractorId,
+                'Quote Expired',
+                sealed
+                    ? `A sealed bid for "${quoteData.jobTitle}" has passed its validity date and can no longer be approved.`
+                    : `${quoteData.designerName}'s quote for "${quoteData.jobTitle}" has passed its validity date and can no longer be approved.`,
+                'quote',
+                sealed ? metadata : { ...metadata, designerId: quoteData.designerId, designerName: quoteData.designerName }
+            );
+
+            console.log('✅ Quote expiry notifications sent');
+        } catch (error) {
+            console.error('❌ Error in quote expiry notifications:', error);
+            throw error;
+        }
+    }
+
+    static async notifyQuoteWithdrawn(quoteData, jobData) {
+        try {
+            console.log('📬 Creating quote withdrawal notification...');
+
+            const sealed = !jobData || isBidSealed(jobData);
+            await this.createNotification(
+                quoteData.contractorId,
+                'Quote Withdrawn',
+                sealed
+                    ? `A sealed bid for "${quoteData.jobTitle}" has been withdrawn.`
+                    : `${quoteData.designerName} has withdrawn their quote for "${quoteData.jobTitle}".`,
+                'quote',
+                {
+                    action: 'quote_withdrawn',
+                    quoteId: quoteData.id,
+                    jobId: quoteData.jobId,
+                    jobTitle: quoteData.jobTitle,
+                    ...(!sealed && { designerId: quoteData.designerId, designerName: quoteData.designerName }),
+                    ...(quoteData.withdrawalReason && { reason: quoteData.withdrawalReason })
+                }
+            );
+
+            console.log('✅ Quote withdrawal notification sent');
+        } catch (error) {
+            console.error('❌ Error in quote withdrawal notification:', error);
+            throw error;
+        }
+    }
+
+    // QUOTE NEGOTIATION NOTIFICATIONS
+    static async notifyQuoteNegotiation(quoteData, recipientId, event, offer) {
+        try {
+            console.log(`📬 Creating quote negotiation notification (${event})...`);
+
+            const terms = `$${offer.amount.toLocaleString()}${offer.timeline ? ` / ${offer.timeline} days` : ''}`;
+            const titles = {
+                countered: 'New Counter-Offer',
+                accepted: 'Offer Accepted',
+                rejected: 'Offer Rejected'
+            };
+            const messages = {
+                countered: `${offer.byName || 'The other party'} made a counter-offer of ${terms} on the quote for "${quoteData.jobTitle}"`,
+                accepted: `Your offer of ${terms} on the quote for "${quoteData.jobTitle}" was accepted`,
+                rejected: `Your offer of ${terms} on the quote for "${quoteData.jobTitle}" was rejected`
+            };
+
+            await this.createNotification(
+                recipientId,
+                titles[event],
+                messages[event],
+                'quote',
+                {
+                    action: `quote_offer_${event}`,
+                    quoteId: quoteData.id,
+                    jobId: quoteData.jobId,
+                    jobTitle: quoteData.jobTitle,
+                    offerId: offer.id,
+                    amount: offer.amount,
+                    timeline: offer.timeline
+                }
+            );
+
+            console.log('✅ Quote negotiation notification sent');
+        } catch (error) {
+            console.error('❌ Error in quote negotiation notification:', error);
+            throw error;
+        }
+    }
+
+    // DRAWING REVISION NOTIFICATIONS
+    static async notifyDrawingRevised(jobData, designerId, revisions) {
+        try {
+            console.log(`📬 Creating drawing revision notification for ${revisions.length} sheet(s)...`);
+
+            const message = revisions.length === 1
+                ? `Sheet ${revisions[0].current.sheetNumber} on "${jobData.title}" was revised from Rev ${revisions[0].previous.revision} to Rev ${revisions[0].current.revision}. Your quote was based on the earlier revision.`
+                : `${revisions.length} drawings on "${jobData.title}" were revised since you quoted (${revisions.map(r => `${r.current.sheetNumber} Rev ${r.current.revision}`).join(', ')}).`;
+
+            await this.createNotification(
+                designerId,
+                'Drawing Revised',
+                message,
+                'job',
+                {
+                    action: 'drawing_revised',
+                    jobId: jobData.id,
+                    jobTitle: jobData.title,
+                    revisions: revisions.map(r => ({
+                        sheetNumber: r.current.sheetNumber,
+                        previousRevision: r.previous.revision,
+                        previousRevisionId: r.previous.id,
+                        revision: r.current.revision,
+                        revisionId: r.current.id
+                    }))
+                }
+            );
+
+            console.log('✅ Drawing revision notification sent');
+        } catch (error) {
+            console.error('❌ Error in drawing revision notification:', error);
+            throw error;
+        }
+    }
+
+    // SEALED BID NOTIFICATIONS
+    static async notifyBidsOpened(jobData, opening) {
+        try {
+            console.log(`📬 Creating bid opening notifications for ${opening.totalBids} bid(s)...`);
+
+            await this.createNotification(
+                jobData.posterId,
+                'Bids Opened',
+                opening.totalBids > 0
+                    ? `Bidding has closed on "${jobData.title}". ${opening.totalBids} sealed bid(s) are now open for review.`
+                    : `Bidding has closed on "${jobData.title}" without any bids.`,
+                'quote',
+                {
+                    action: 'bids_opened',
+                    jobId: jobData.id,
+                    jobTitle: jobData.title,
+                    totalBids: opening.totalBids,
+                    openedAt: opening.openedAt
+                }
+            );
+
+            for (const bid of opening.bids) {
+                await this.createNotification(
+                    bid.designerId,
+                    'Bidding Closed',
+                    `Bidding has closed on "${jobData.title}" and your bid has been opened for the contractor's review.`,
+                    'quote',
+                    {
+                        action: 'bid_opened',
+                        jobId: jobData.id,
+                        jobTitle: jobData.title,
+                        quoteId: bid.quoteId,
+                        openedAt: opening.openedAt
+                    }
+                );
+            }
+
+            console.log('✅ Bid opening notifications sent');
+        } catch (error) {
+            console.error('❌ Error in bid opening notifications:', error);
+            throw error;
+        }
+    }
+
+    // GROUP CONVERSATION NOTIFICATIONS
+    static async notifyAddedToGroupConversation(conversation, memberIds, addedBy) {
+        try {
+            console.log(`📬 Creating group conversation notifications for ${memberIds.length} new member(s)...`);
+
+            await Promise.all(memberIds.map(memberId => this.createNotification(
+                memberId,
+                'Added to Group Conversation',
+                `${addedBy.name} added you to the group "${conversation.name}".`,
+                'message',
+                {
+                    action: 'group_member_added',
+                    conversationId: conversation.id,
+                    conversationName: conversation.name,
+                    jobId: conversation.jobId,
+                    role: conversation.memberRoles?.[memberId] || null,
+                    addedBy: addedBy.userId
+                }
+            )));
+
+            console.log('✅ Group conversation notifications sent');
+        } catch (error) {
+            console.error('❌ Error in group conversation notifications:', error);
+            throw error;
+        }
+    }
+
+    static async notifyRemovedFromGroupConversation(conversation, memberId, removedBy) {
+        try {
+            console.log('📬 Creating group conversation removal notification...');
+
+            await this.createNotification(
+                memberId,
+                'Removed from Group Conversation',
+                `${removedBy.name} removed you from the group "${conversation.name}".`,
+                'message',
+                {
+                    action: 'group_member_removed',
+                    conversationId: conversation.id,
+                    conversationName: conversation.name,
+                    jobId: conversation.jobId,
+                    removedBy: removedBy.userId
+                }
+            );
+
+            console.log('✅ Group conversation removal notification sent');
+        } catch (error) {
+            console.error('❌ Error in group conversation removal notification:', error);
+            throw error;
+        }
+    }
+
     // MESSAGE NOTIFICATIONS
     static async notifyNewMessage(messageData, conversationData) {
         try {
@@ -268,7 +849,9 @@ export class NotificationService {
 
                 return this.createNotification(
                     recipient.id,
-                    `New message from ${messageData.senderName}`,
+                    conversationData.type === 'group'
+                        ? `New message from ${messageData.senderName} in ${conversationData.name}`
+                        : `New message from ${messageData.senderName}`,
                     preview,
                     'message',
                     {
@@ -0,0 +1,158 @@
+// src/services/changeOrderService.js
+// Change orders for assigned jobs. Either party proposes a scope change with an amount
+// and/or timeline delta; the other party approves or rejects it. Change orders live in
+// the job's `changeOrders` array, which doubles as the audit list for the job. On jobs
+// with milestones, a change order can name the milestone it changes; approving it keeps
+// the milestone amounts adding up to the job's new approved amount.
+
+import crypto from 'crypto';
+import { shiftDueDate } from './jobScheduleService.js';
+
+export const CHANGE_ORDER_STATUSES = ['pending', 'approved', 'rejected', 'withdrawn'];
+
+/**
+ * Validate a change order proposal from the request body. `milestones` are the job's
+ * milestones, against which an optional `milestoneId` is checked.
+ *
+ * @returns {{ changeOrder?: Object, error?: string }}
+ */
+export function buildChangeOrder(body, proposer, milestones = []) {
+    const description = typeof body.description === 'string' ? body.description.trim() : '';
+    const amountDelta = body.amountDelta === undefined || body.amountDelta === '' ? 0 : parseFloat(body.amountDelta);
+    const timelineDeltaDays = body.timelineDeltaDays === undefined || body.timelineDeltaDays === ''
+        ? 0
+        : parseInt(body.timelineDeltaDays);
+
+    if (!description) return { error: 'A description of the change is required.' };
+    if (isNaN(amountDelta)) return { error: 'Amount delta must be a number.' };
+    if (isNaN(timelineDeltaDays)) return { error: 'Timeline delta must be a whole number of days.' };
+    if (amountDelta === 0 && timelineDeltaDays === 0) {
+        return { error: 'A change order must change the amount, the timeline, or both.' };
+    }
+
+    const milestoneId = body.milestoneId || null;
+    if (milestoneId) {
+        const milestone = milestones.find(m => m.id === milestoneId);
+        if (!milestone) return { error: 'Milestone not found.' };
+        if (milestone.status === 'accepted') return { error: 'An accepted milestone cannot be changed.' };
+    }
+
+    const now = new Date().toISOString();
+    return {
+        changeOrder: {
+            id: crypto.randomUUID(),
+            description,
+            amountDelta: Math.round(amountDelta * 100) / 100,
+            timelineDeltaDays,
+            milestoneId,
+            attachments: [],
+            status: 'pending',
+            proposedBy: proposer.userId,
+            proposedByName: proposer.name || '',
+            proposedByRole: proposer.role,
+            createdAt: now,
+            updatedAt: now,
+            auditTrail: [{ action: 'proposed', by: proposer.userId, byName: proposer.name || '', at: now }]
+        }
+    };
+}
+
+function parseAmount(value) {
+    if (typeof value === 'number') return value;
+    const parsed = parseFloat(String(value || '').replace(/[^0-9.\-]/g, ''));
+    return isNaN(parsed) ? 0 : parsed;
+}
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Milestones after an approved change order. The amount delta goes to the named milestone,
+ * or is spread over the milestones not yet accepted in proportion to their amounts; every
+ * share is then recomputed against the new total. A named milestone's due date moves with
+ * the timeline delta.
+ *
+ * @returns {{ milestones?: Array, error?: string }}
+ */
+export function rebalanceMilestones(milestones, changeOrder, approvedAmount) {
+    const open = milestones.filter(m => m.status !== 'accepted');
+    const targets = changeOrder.milestoneId ? open.filter(m => m.id === changeOrder.milestoneId) : open;
+    if (targets.length === 0 && (changeOrder.milestoneId || changeOrder.amountDelta !== 0)) {
+        return { error: changeOrder.milestoneId ? 'The milestone this change order targets has already been accepted.' : 'Every milestone has already been accepted.' };
+    }
+
+    const targetTotal = targets.reduce((sum, m) => sum + (m.amount || 0), 0);
+    if (targetTotal + changeOrder.amountDelta < 0) {
+        return { error: 'The amount reduction is larger than the milestones that have not been accepted yet.' };
+    }
+
+    const now = new Date().toISOString();
+    const targetIds = new Set(targets.map(m => m.id));
+    let remaining = roundCents(changeOrder.amountDelta);
+    const lastTargetId = targets[targets.length - 1]?.id;
+
+    const updated = milestones.map(m => {
+        if (!targetIds.has(m.id)) return { ...m };
+        // Proportional split; the last target takes the rounding remainder
+        const delta = m.id === lastTargetId
+            ? remaining
+            : roundCents(changeOrder.amountDelta * (targetTotal > 0 ? (m.amount || 0) / targetTotal : 1 / targets.length));
+        remaining = roundCents(remaining - delta);
+
+        const milestone = { ...m, amount: roundCents((m.amount || 0) + delta), updatedAt: now };
+        if (changeOrder.milestoneId && m.dueDate) {
+            milestone.dueDate = shiftDueDate(m.dueDate, changeOrder.timelineDeltaDays);
+        }
+        return milestone;
+    });
+
+    return {
+        milestones: updated.map(m => ({
+            ...m,
+            amountShare: approvedAmount > 0 ? roundCents((m.amount / approvedAmount) * 100) : 0
+        }))
+    };
+}
+
+/**
+ * Compute the job fields an approved change order results in.
+ * Deadline and due date are only shifted when the job has them; milestones are only
+ * returned when the job has a milestone plan.
+ *
+ * @returns {{ approvedAmount: number, deadline: string|null, previousAmount: number, previousDeadline: string|null,
+ *   dueDate: string|null, previousDueDate: string|null, milestones: Array|null, error?: string }}
+ */
+export function applyChangeOrder(jobData, changeOrder) {
+    const previousAmount = parseAmount(jobData.approvedAmount);
+    const approvedAmount = Math.max(0, roundCents(previousAmount + changeOrder.amountDelta));
+
+    const previousDeadline = jobData.deadline || null;
+    let deadline = previousDeadline;
+    if (previousDeadline && changeOrder.timelineDeltaDays) {
+        const base = new Date(previousDeadline);
+        if (!isNaN(base.getTime())) {
+            base.setDate(base.getDate() + changeOrder.timelineDeltaDays);
+            deadline = base.toISOString();
+        }
+    }
+
+    const previousDueDate = jobData.dueDate || null;
+    const dueDate = shiftDueDate(previousDueDate, changeOrder.timelineDeltaDays);
+
+    let milestones = null;
+    if ((jobData.milestones || []).length > 0) {
+        const rebalanced = rebalanceMilestones(jobData.milestones, changeOrder, approvedAmount);
+        if (rebalanced.error) return { error: rebalanced.error };
+        milestones = rebalanced.milestones;
+    }
+
+    return { approvedAmount, deadline, previousAmount, previousDeadline, dueDate, previousDueDate, milestones };
+}
+
+/**
+ * Which side of the job a user is on, or null if neither.
+ */
+export function partyRole(jobData, userId) {
+    if (jobData.posterId === userId) return 'contractor';
+    if (jobData.assignedTo === userId) return 'designer';
+    return null;
+}
@@ -0,0 +1,260 @@
+// src/services/conversationGroupService.js
+// Group conversations for a job team (contractor, designers, checkers, operations staff).
+// A group belongs to a job, has a name and an owner, and labels each member with a role
+// (`memberRoles`). Only the owner manages membership; members can leave on their own.
+// Every membership change is written to the conversation as a system message so the
+// whole team sees who joined or left.
+
+import { adminDb, admin } from '../config/firebase.js';
+
+export const MAX_GROUP_MEMBERS = 20;
+const MAX_GROUP_NAME_LENGTH = 100;
+const MAX_ROLE_LENGTH = 50;
+export const SYSTEM_SENDER_ID = 'system';
+
+const isAdmin = (user) => user.type === 'admin';
+
+// Normalise `[{ userId, role }]` (or plain user ids) into a Map of userId -> role label
+function normaliseMembers(members) {
+    if (!Array.isArray(members)) return { error: 'members must be an array.' };
+
+    const roles = new Map();
+    for (const member of members) {
+        const { userId, role } = typeof member === 'string' ? { userId: member } : (member || {});
+        if (!userId || typeof userId !== 'string') return { error: 'Each member needs a userId.' };
+        const label = typeof role === 'string' ? role.trim() : '';
+        if (label.length > MAX_ROLE_LENGTH) {
+            return { error: `Member roles must be at most ${MAX_ROLE_LENGTH} characters.` };
+        }
+        roles.set(userId, label || 'member');
+    }
+    return { roles };
+}
+
+// Names of the given users; unknown ids are reported back
+async function loadMemberNames(userIds) {
+    const docs = await Promise.all(userIds.map(id => adminDb.collection('users').doc(id).get()));
+    const missing = docs.filter(doc => !doc.exists).map(doc => doc.id);
+    const names = new Map(docs.filter(doc => doc.exists).map(doc => [doc.id, doc.data().name || 'Unknown User']));
+    return { names, missing };
+}
+
+const joinNames = (userIds, names) => userIds.map(id => names.get(id) || 'Unknown User').join(', ');
+
+// Write a membership system message (in a transaction or batch) and move the conversation
+// preview to it
+function writeSystemMessage(tx, convoRef, text, event, conversationUpdate = {}) {
+    const messageRef = convoRef.collection('messages').doc();
+    const message = {
+        type: 'system',
+        text,
+        senderId: SYSTEM_SENDER_ID,
+        senderName: 'System',
+        event,
+        attachments: [],
+        replyTo: null,
+        createdAt: new Date().toISOString()
+    };
+    tx.set(messageRef, message);
+
+    const update = {
+        ...conversationUpdate,
+        lastMessage: text.substring(0, 100),
+        lastMessageId: messageRef.id,
+        lastMessageBy: 'System',
+        updatedAt: message.createdAt
+    };
+    return { message: { id: messageRef.id, ...message }, update };
+}
+
+// Load a group conversation inside a transaction
+async function loadGroup(tx, conversationId) {
+    const convoRef = adminDb.collection('conversations').doc(conversationId);
+    const convoDoc = await tx.get(convoRef);
+    if (!convoDoc.exists) return { status: 404, error: 'Conversation not found.' };
+    const convo = convoDoc.data();
+    if (convo.type !== 'group') return { status: 400, error: 'This is not a group conversation.' };
+    if (convo.jobArchived) return { status: 400, error: 'The job for this conversation has been archived.' };
+    return { convoRef, convo };
+}
+
+/**
+ * Create a group conversation for a job. The job's poster or assignee (or an admin)
+ * creates it and becomes its owner.
+ *
+ * @param {Object} creator - The authenticated user (`req.user`)
+ * @param {{ jobId: string, name: string, members: Array<{ userId: string, role?: string }>, ownerRole?: string }} details
+ * @returns {Promise<{ conversation?: Object, systemMessage?: Object, memberIds?: string[], error?: string, status?: number }>}
+ */
+export async function createGroupConversation(creator, { jobId, name, members = [], ownerRole } = {}) {
+    const groupName = typeof name === 'string' ? name.trim() : '';
+    if (!jobId) return { status: 400, error: 'jobId is required.' };
+    if (!groupName) return { status: 400, error: 'A group name is required.' };
+    if (groupName.length > MAX_GROUP_NAME_LENGTH) {
+        return { status: 400, error: `Group names must be at most ${MAX_GROUP_NAME_LENGTH} characters.` };
+    }
+
+    const jobDoc = await adminDb.collection('jobs').doc(jobId).get();
+    if (!jobDoc.exists) return { status: 404, error: 'Job not found.' };
+    const job = jobDoc.data();
+    if (job.posterId !== creator.userId && job.assignedTo !== creator.userId && !isAdmin(creator)) {
+        return { status: 403, error: 'Only the job owner or the assigned contractor can create a group for this job.' };
+    }
+
+    const { roles, error } = normaliseMembers(members);
+    if (error) return { status: 400, error };
+    roles.delete(creator.userId);
+    if (roles.size === 0) return { status: 400, error: 'Add at least one other member to the group.' };
+    if (roles.size + 1 > MAX_GROUP_MEMBERS) {
+        return { status: 400, error: `A group can have at most ${MAX_GROUP_MEMBERS} members.` };
+    }
+
+    const memberIds = [...roles.keys()];
+    const { names, missing } = await loadMemberNames(memberIds);
+    if (missing.length) return { status: 400, error: `Unknown user(s): ${missing.join(', ')}` };
+
+    const now = new Date().toISOString();
+    const convoRef = adminDb.collection('conversations').doc();
+    const group = {
+        type: 'group',
+        jobId,
+        name: groupName,
+        ownerId: creator.userId,
+        participantIds: [creator.userId, ...memberIds],
+        memberRoles: {
+            [creator.userId]: (typeof ownerRole === 'string' && ownerRole.trim().substring(0, MAX_ROLE_LENGTH)) || 'owner',
+            ...Object.fromEntries(roles)
+        },
+        createdAt: now,
+        updatedAt: now
+    };
+
+    const batch = adminDb.batch();
+    const { message, update } = writeSystemMessage(
+        batch,
+        convoRef,
+        `${creator.name} created the group "${groupName}" with ${joinNames(memberIds, names)}`,
+        { action: 'group_created', userIds: memberIds, by: creator.userId }
+    );
+    // The creator has read the group up to its creation; system messages are never unread
+    const conversation = {
+        ...group,
+        ...update,
+        lastReadAt: { [creator.userId]: message.createdAt },
+        unreadCounts: Object.fromEntries(group.participantIds.map(id => [id, 0]))
+    };
+    batch.set(convoRef, conversation);
+    await batch.commit();
+
+    console.log(`[CONVERSATION-GROUP] ${creator.userId} created group ${convoRef.id} for job ${jobId} with ${memberIds.length} member(s)`);
+    return {
+        conversation: { id: convoRef.id, ...conversation },
+        systemMessage: message,
+        memberIds
+    };
+}
+
+/**
+ * Add members to a group. Only the owner can add members; existing members are skipped.
+ *
+ * @returns {Promise<{ conversation?: Object, systemMessage?: Object, addedIds?: string[], error?: string, status?: number }>}
+ */
+export async function addGroupMembers(conversationId, actor, members) {
+    const { roles, error } = normaliseMembers(members);
+    if (error) return { status: 400, error };
+    if (roles.size === 0) return { status: 400, error: 'Add at least one member.' };
+
+    const { names, missing } = await loadMemberNames([...roles.keys()]);
+    if (missing.length) return { status: 400, error: `Unknown user(s): ${missing.join(', ')}` };
+
+    return adminDb.runTransaction(async (tx) => {
+        const loaded = await loadGroup(tx, conversationId);
+        if (loaded.error) return loaded;
+        const { convoRef, convo } = loaded;
+        if (convo.ownerId !== actor.userId) return { status: 403, error: 'Only the group owner can add members.' };
+
+        const addedIds = [...roles.keys()].filter(id => !convo.participantIds.includes(id));
+        if (addedIds.length === 0) return { status: 400, error: 'These users are already in the group.' };
+        if (convo.participantIds.length + addedIds.length > MAX_GROUP_MEMBERS) {
+            return { status: 400, error: `A group can have at most ${MAX_GROUP_MEMBERS} members.` };
+        }
+
+        const participantIds = [...convo.participantIds, ...addedIds];
+        const memberRoles = { ...(convo.memberRoles || {}) };
+        addedIds.forEach(id => { memberRoles[id] = roles.get(id); });
+
+        const { message, update } = writeSystemMessage(
+            tx,
+            convoRef,
+            `${actor.name} added ${joinNames(addedIds, names)}`,
+            { action: 'members_added', userIds: addedIds, by: actor.userId },
+            { participantIds, memberRoles }
+        );
+        // New members start reading from when they joined, not from the group's first message
+        const joined = Object.fromEntries(addedIds.flatMap(id => [
+            [`lastReadAt.${id}`, message.createdAt],
+            [`unreadCounts.${id}`, 0]
+        ]));
+        tx.update(convoRef, { ...update, ...joined });
+
+        const lastReadAt = { ...(convo.lastReadAt || {}) };
+        addedIds.forEach(id => { lastReadAt[id] = message.createdAt; });
+        return {
+            conversation: { id: conversationId, ...convo, ...update, lastReadAt },
+            systemMessage: message,
+            addedIds
+        };
+    });
+}
+
+/**
+ * Remove a member from a group. The owner can remove anyone but themselves; any other
+ * member can remove themselves (leave the group).
+ *
+ * @returns {Promise<{ conversation?: Object, systemMessage?: Object, left?: boolean, error?: string, status?: number }>}
+ */
+export async function removeGroupMember(conversationId, actor, memberId) {
+    const { names } = await loadMemberNames([memberId]);
+
+    return adminDb.runTransaction(async (tx) => {
+        const loaded = await loadGroup(tx, conversationId);
+        if (loaded.error) return loaded;
+        const { convoRef, convo } = loaded;
+
+        const left = memberId === actor.userId;
+        if (!convo.participantIds.includes(actor.userId)) {
+            return { status: 403, error: 'Not authorized to access this conversation.' };
+        }
+        if (!left && convo.ownerId !== actor.userId) return { status: 403, error: 'Only the group owner can remove members.' };
+        if (memberId === convo.ownerId) return { status: 400, error: 'The group owner cannot leave the group.' };
+        if (!convo.participantIds.includes(memberId)) return { status: 404, error: 'This user is not in the group.' };
+
+        const participantIds = convo.participantIds.filter(id => id !== memberId);
+        const memberRoles = { ...(convo.memberRoles || {}) };
+        delete memberRoles[memberId];
+        const lastReadAt = { ...(convo.lastReadAt || {}) };
+        delete lastReadAt[memberId];
+        const unreadCounts = { ...(convo.unreadCounts || {}) };
+        delete unreadCounts[memberId];
+
+        const memberName = names.get(memberId) || 'Unknown User';
+        const { message, update } = writeSystemMessage(
+            tx,
+            convoRef,
+            left ? `${memberName} left the group` : `${actor.name} removed ${memberName}`,
+            { action: left ? 'member_left' : 'member_removed', userIds: [memberId], by: actor.userId },
+            { participantIds, memberRoles }
+        );
+        tx.update(convoRef, {
+            ...update,
+            [`lastReadAt.${memberId}`]: admin.firestore.FieldValue.delete(),
+            [`unreadCounts.${memberId}`]: admin.firestore.FieldValue.delete()
+        });
+
+        return {
+            conversation: { id: conversationId, ...convo, ...update, lastReadAt, unreadCounts },
+            systemMessage: message,
+            left
+        };
+    });
+}
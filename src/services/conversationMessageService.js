@@ -0,0 +1,178 @@
+// src/services/conversationMessageService.js
+// Changes to messages already in a conversation: edits by the sender within a time window
+// (previous versions are kept in `editHistory`), soft deletes, replies quoting a parent
+// message and emoji reactions. Edited and deleted messages keep their original content in
+// Firestore so admins can still review it; participants only ever get the presented form.
+
+import { adminDb } from '../config/firebase.js';
+import { unreadCountsOnDelete } from './conversationReadService.js';
+
+export const EDIT_WINDOW_MS = 15 * 60 * 1000; // Senders can edit a message for 15 minutes
+const REPLY_SNIPPET_LENGTH = 200;
+const MAX_REACTION_EMOJIS = 20;
+const DELETED_PREVIEW = 'This message was deleted';
+
+/**
+ * A message as participants see it: deleted messages lose their content, and the edit
+ * history stays admin-only. `messagesById` (optional) refreshes quoted parents.
+ */
+export function presentMessage(message, messagesById = null) {
+    const { editHistory, deletedBy, ...visible } = message;
+    const presented = {
+        ...visible,
+        edited: !!message.editedAt,
+        reactions: message.reactions || {}
+    };
+
+    if (message.deleted) {
+        Object.assign(presented, { text: '', attachments: [], reactions: {}, replyTo: null });
+    } else if (message.replyTo && messagesById) {
+        const parent = messagesById.get(message.replyTo.messageId);
+        presented.replyTo = parent?.deleted
+            ? { ...message.replyTo, text: '', deleted: true }
+            : { ...message.replyTo, text: parent ? snippet(parent.text) : message.replyTo.text };
+    }
+    return presented;
+}
+
+function snippet(text = '') {
+    return text.length > REPLY_SNIPPET_LENGTH ? text.substring(0, REPLY_SNIPPET_LENGTH) + '...' : text;
+}
+
+/**
+ * The quoted parent for a reply, from a message in the same conversation.
+ *
+ * @returns {Promise<{ replyTo?: Object, error?: string }>}
+ */
+export async function buildReplyTo(convoRef, parentMessageId) {
+    const parentDoc = await convoRef.collection('messages').doc(parentMessageId).get();
+    if (!parentDoc.exists) return { error: 'The message you are replying to was not found.' };
+    const parent = parentDoc.data();
+    if (parent.deleted) return { error: 'You cannot reply to a deleted message.' };
+
+    return {
+        replyTo: {
+            messageId: parentDoc.id,
+            senderId: parent.senderId,
+            senderName: parent.senderName,
+            text: snippet(parent.text),
+            hasAttachments: (parent.attachments || []).length > 0
+        }
+    };
+}
+
+// Load a message inside a transaction, checking the conversation membership
+async function loadMessage(tx, conversationId, messageId, userId) {
+    const convoRef = adminDb.collection('conversations').doc(conversationId);
+    const messageRef = convoRef.collection('messages').doc(messageId);
+    const [convoDoc, messageDoc] = await Promise.all([tx.get(convoRef), tx.get(messageRef)]);
+
+    if (!convoDoc.exists) return { status: 404, error: 'Conversation not found.' };
+    if (!convoDoc.data().participantIds?.includes(userId)) {
+        return { status: 403, error: 'Not authorized to access this conversation.' };
+    }
+    if (!messageDoc.exists) return { status: 404, error: 'Message not found.' };
+    return { convoRef, convo: convoDoc.data(), messageRef, message: { id: messageDoc.id, ...messageDoc.data() } };
+}
+
+// Keep the conversation preview in step when its latest message changes.
+// Returns the new preview, or null when the message is not the latest.
+function updatePreview(tx, loaded, preview) {
+    if (loaded.convo.lastMessageId !== loaded.message.id) return null;
+    tx.update(loaded.convoRef, { lastMessage: preview });
+    return preview;
+}
+
+/**
+ * Edit the text of the user's own message within the edit window.
+ *
+ * @returns {Promise<{ message?: Object, lastMessage?: string|null, error?: string, status?: number }>}
+ */
+export async function editMessage(conversationId, messageId, userId, text) {
+    const newText = typeof text === 'string' ? text.trim() : '';
+
+    return adminDb.runTransaction(async (tx) => {
+        const loaded = await loadMessage(tx, conversationId, messageId, userId);
+        if (loaded.error) return loaded;
+        const { message, messageRef } = loaded;
+
+        if (message.senderId !== userId) return { status: 403, error: 'You can only edit your own messages.' };
+        if (message.deleted) return { status: 400, error: 'A deleted message cannot be edited.' };
+        if (Date.now() - new Date(message.createdAt).getTime() > EDIT_WINDOW_MS) {
+            return { status: 400, error: `Messages can only be edited within ${EDIT_WINDOW_MS / 60000} minutes of sending.` };
+        }
+        if (!newText && !(message.attachments || []).length) {
+            return { status: 400, error: 'Message text is required.' };
+        }
+        if (newText === message.text) return { message };
+
+        const editedAt = new Date().toISOString();
+        const update = {
+            text: newText,
+            editedAt,
+            editHistory: [...(message.editHistory || []), { text: message.text, replacedAt: editedAt }]
+        };
+        tx.update(messageRef, update);
+        const lastMessage = updatePreview(tx, loaded, newText ? newText.substring(0, 100) : `${message.attachments.length} file(s) attached`);
+        return { message: { ...message, ...update }, lastMessage };
+    });
+}
+
+/**
+ * Soft-delete the user's own message. The content stays stored for admin review.
+ *
+ * @returns {Promise<{ message?: Object, lastMessage?: string|null, error?: string, status?: number }>}
+ */
+export async function deleteMessage(conversationId, messageId, userId) {
+    return adminDb.runTransaction(async (tx) => {
+        const loaded = await loadMessage(tx, conversationId, messageId, userId);
+        if (loaded.error) return loaded;
+        const { message, messageRef } = loaded;
+
+        if (message.senderId !== userId) return { status: 403, error: 'You can only delete your own messages.' };
+        if (message.deleted) return { message };
+
+        const update = { deleted: true, deletedAt: new Date().toISOString(), deletedBy: userId };
+        tx.update(messageRef, update);
+        const unreadUpdate = unreadCountsOnDelete(loaded.convo, message);
+        if (Object.keys(unreadUpdate).length > 0) tx.update(loaded.convoRef, unreadUpdate);
+        const lastMessage = updatePreview(tx, loaded, DELETED_PREVIEW);
+        return { message: { ...message, ...update }, lastMessage };
+    });
+}
+
+/**
+ * Add the user's reaction with an emoji, or take it back if they already reacted with it.
+ *
+ * @returns {Promise<{ message?: Object, reacted?: boolean, error?: string, status?: number }>}
+ */
+export async function toggleReaction(conversationId, messageId, userId, emoji) {
+    const value = typeof emoji === 'string' ? emoji.trim() : '';
+    if (!value || value.length > 16 || /\s/.test(value) || !/\p{Extended_Pictographic}/u.test(value)) {
+        return { status: 400, error: 'A single emoji is required.' };
+    }
+
+    return adminDb.runTransaction(async (tx) => {
+        const loaded = await loadMessage(tx, conversationId, messageId, userId);
+        if (loaded.error) return loaded;
+        const { message, messageRef } = loaded;
+        if (message.deleted) return { status: 400, error: 'You cannot react to a deleted message.' };
+
+        const reactions = { ...(message.reactions || {}) };
+        const users = reactions[value] || [];
+        const reacted = !users.includes(userId);
+        if (reacted && !reactions[value] && Object.keys(reactions).length >= MAX_REACTION_EMOJIS) {
+            return { status: 400, error: `A message can have at most ${MAX_REACTION_EMOJIS} different reactions.` };
+        }
+
+        if (reacted) {
+            reactions[value] = [...users, userId];
+        } else if (users.length > 1) {
+            reactions[value] = users.filter(id => id !== userId);
+        } else {
+            delete reactions[value];
+        }
+        tx.update(messageRef, { reactions });
+        return { message: { ...message, reactions }, reacted };
+    });
+}
@@ -0,0 +1,121 @@
+// src/services/conversationReadService.js
+// Per-participant read state for conversations. Each conversation keeps a `lastReadAt`
+// map (userId -> ISO time); a participant's unread messages are the messages from other
+// participants written after their `lastReadAt`. System messages (group membership
+// changes) are never unread. So listing conversations does not query every conversation's
+// messages, each conversation also keeps an `unreadCounts` map (userId -> count) that is
+// incremented when a message is sent and cleared when the participant reads it. Marking a
+// conversation read also marks its message notifications read so notification badges agree
+// with the conversation.
+
+import { adminDb, admin } from '../config/firebase.js';
+
+/**
+ * Advance the user's read marker on a conversation (it never moves backwards).
+ *
+ * @returns {Promise<{ lastReadAt?: string, changed?: boolean, error?: string, status?: number }>}
+ */
+export async function markConversationRead(conversationId, userId, readAt = new Date()) {
+    const convoRef = adminDb.collection('conversations').doc(conversationId);
+    const readAtIso = readAt.toISOString();
+
+    const result = await adminDb.runTransaction(async (tx) => {
+        const doc = await tx.get(convoRef);
+        if (!doc.exists) return { status: 404, error: 'Conversation not found.' };
+        const data = doc.data();
+        if (!data.participantIds?.includes(userId)) {
+            return { status: 403, error: 'Not authorized to access this conversation.' };
+        }
+
+        const current = data.lastReadAt?.[userId];
+        if (current && current >= readAtIso) return { lastReadAt: current, changed: false };
+
+        // Not touching updatedAt keeps the conversation's place in the list
+        tx.update(convoRef, { [`lastReadAt.${userId}`]: readAtIso, [`unreadCounts.${userId}`]: 0 });
+        return { lastReadAt: readAtIso, changed: true };
+    });
+
+    if (result.changed) {
+        await markMessageNotificationsRead(conversationId, userId, readAtIso);
+    }
+    return result;
+}
+
+async function markMessageNotificationsRead(conversationId, userId, readAtIso) {
+    try {
+        const snapshot = await adminDb.collection('notifications')
+            .where('userId', '==', userId)
+            .where('metadata.conversationId', '==', conversationId)
+            .where('isRead', '==', false)
+            .get();
+        if (snapshot.empty) return;
+
+        const batch = adminDb.batch();
+        snapshot.docs.forEach(doc => batch.update(doc.ref, { isRead: true, readAt: readAtIso, updatedAt: readAtIso }));
+        await batch.commit();
+    } catch (error) {
+        console.error(`[CONVERSATION-READ] Failed to mark notifications read for ${conversationId}:`, error.message);
+    }
+}
+
+/**
+ * Exact number of messages from other participants the user has not read yet, counted
+ * from the messages themselves.
+ */
+export async function countUnreadMessages(convoRef, conversationData, userId) {
+    const lastReadAt = conversationData.lastReadAt?.[userId];
+    let query = convoRef.collection('messages');
+    if (lastReadAt) query = query.where('createdAt', '>', lastReadAt);
+
+    const snapshot = await query.select('senderId', 'deleted', 'type').get();
+    return snapshot.docs.filter(doc => {
+        const message = doc.data();
+        return message.senderId !== userId && !message.deleted && message.type !== 'system';
+    }).length;
+}
+
+/**
+ * The user's unread count from the conversation's `unreadCounts`, counted from the messages
+ * only for conversations from before the counters were kept.
+ */
+export async function getUnreadCount(convoRef, conversationData, userId) {
+    const cached = conversationData.unreadCounts?.[userId];
+    if (cached !== undefined) return Math.max(0, cached);
+    return countUnreadMessages(convoRef, conversationData, userId);
+}
+
+/**
+ * Conversation fields that count a message about to be sent as unread for every other
+ * participant. The sender's count is cleared, as they have read up to their own message.
+ * Call before writing the message: participants without a counter yet get an exact count.
+ */
+export async function unreadCountsOnSend(convoRef, conversationData, senderId) {
+    const update = { [`unreadCounts.${senderId}`]: 0 };
+    for (const userId of conversationData.participantIds || []) {
+        if (userId === senderId) continue;
+        update[`unreadCounts.${userId}`] = conversationData.unreadCounts?.[userId] === undefined
+            ? (await countUnreadMessages(convoRef, conversationData, userId)) + 1
+            : admin.firestore.FieldValue.increment(1);
+    }
+    return update;
+}
+
+/**
+ * Conversation fields that take a deleted message off the unread count of every participant
+ * who had not read it yet.
+ */
+export function unreadCountsOnDelete(conversationData, message) {
+    const sentAt = typeof message.createdAt === 'string'
+        ? message.createdAt
+        : message.createdAt?.toDate?.().toISOString() || new Date(message.createdAt).toISOString();
+
+    const update = {};
+    for (const userId of conversationData.participantIds || []) {
+        if (userId === message.senderId || !(conversationData.unreadCounts?.[userId] > 0)) continue;
+        const lastReadAt = conversationData.lastReadAt?.[userId];
+        if (!lastReadAt || lastReadAt < sentAt) {
+            update[`unreadCounts.${userId}`] = admin.firestore.FieldValue.increment(-1);
+        }
+    }
+    return update;
+}
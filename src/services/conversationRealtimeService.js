@@ -0,0 +1,195 @@
+// src/services/conversationRealtimeService.js
+// Real-time conversation delivery over Socket.IO. Sockets that authenticate their
+// handshake with the same JWT as the REST API join a personal room and one room per
+// conversation they take part in; message routes then push `message:new`,
+// `message:updated` and `conversation:updated` to the conversation's room as soon as
+// the change is written, so clients no longer have to poll for messages. Authenticated
+// sockets can also mark a conversation read and send typing indicators.
+
+import { adminDb } from '../config/firebase.js';
+import { resolveTokenUser } from '../middleware/auth.js';
+import { markConversationRead } from './conversationReadService.js';
+
+const TYPING_THROTTLE_MS = 3000; // Relay at most one typing start per user and conversation every 3 seconds
+
+let ioInstance = null;
+
+// socketId -> Map<conversationId, time the last typing start was relayed>
+const typingState = new Map();
+
+export const conversationRoom = (conversationId) => `conversation:${conversationId}`;
+export const userRoom = (userId) => `user:${userId}`;
+
+// The token from the handshake: `auth: { token }` or an Authorization bearer header
+function handshakeToken(socket) {
+    const { auth = {}, headers = {} } = socket.handshake;
+    if (auth.token) return String(auth.token).replace(/^Bearer\s+/i, '');
+    const header = headers.authorization;
+    return header ? header.split(' ')[1] : null;
+}
+
+/**
+ * Socket.IO middleware: attach the token's user to `socket.data.user`. Connections without
+ * a token are still accepted (presence and call signalling) but are never subscribed to
+ * conversations; a token that does not verify is rejected.
+ */
+export async function authenticateSocket(socket, next) {
+    const token = handshakeToken(socket);
+    if (!token) return next();
+
+    const { user, message } = await resolveTokenUser(token);
+    if (!user) {
+        console.warn(`[REALTIME] Rejected socket ${socket.id}: ${message}`);
+        return next(new Error(message));
+    }
+    socket.data.user = user;
+    next();
+}
+
+/**
+ * Join the socket to the rooms of every (non-archived) conversation the user takes part in.
+ */
+export async function joinConversationRooms(socket, userId) {
+    try {
+        const snapshot = await adminDb.collection('conversations')
+            .where('participantIds', 'array-contains', userId)
+            .get();
+        const rooms = snapshot.docs
+            .filter(doc => !doc.data().jobArchived)
+            .map(doc => conversationRoom(doc.id));
+        socket.join([userRoom(userId), ...rooms]);
+        return rooms.length;
+    } catch (error) {
+        console.error(`[REALTIME] Failed to join conversation rooms for ${userId}:`, error.message);
+        return 0;
+    }
+}
+
+function relayTyping(socket, conversationId, isTyping) {
+    const user = socket.data.user;
+    socket.to(conversationRoom(conversationId)).emit('typing', {
+        conversationId,
+        userId: user.userId,
+        name: user.name,
+        isTyping
+    });
+}
+
+/**
+ * Read receipts and typing indicators from an authenticated socket. Only conversations
+ * the socket was subscribed to (i.e. the user takes part in) are accepted.
+ */
+function registerConversationHandlers(socket) {
+    const user = socket.data.user;
+    const isMember = (conversationId) => !!conversationId && socket.rooms.has(conversationRoom(conversationId));
+
+    socket.on('conversation:read', async (data = {}, ack) => {
+        const respond = typeof ack === 'function' ? ack : () => {};
+        if (!data.conversationId) return respond({ success: false, message: 'conversationId is required.' });
+        try {
+            const result = await markConversationRead(data.conversationId, user.userId);
+            if (result.error) return respond({ success: false, message: result.error });
+            if (result.changed) emitConversationRead(data.conversationId, user.userId, result.lastReadAt);
+            respond({ success: true, lastReadAt: result.lastReadAt });
+        } catch (error) {
+            console.error(`[REALTIME] Failed to mark conversation ${data.conversationId} read:`, error.message);
+            respond({ success: false, message: 'Failed to mark conversation as read.' });
+        }
+    });
+
+    socket.on('typing:start', (data = {}) => {
+        const { conversationId } = data;
+        if (!isMember(conversationId)) return;
+        if (!typingState.has(socket.id)) typingState.set(socket.id, new Map());
+        const conversations = typingState.get(socket.id);
+
+        const now = Date.now();
+        if (now - (conversations.get(conversationId) || 0) < TYPING_THROTTLE_MS) return;
+        conversations.set(conversationId, now);
+        relayTyping(socket, conversationId, true);
+    });
+
+    socket.on('typing:stop', (data = {}) => {
+        const { conversationId } = data;
+        if (!isMember(conversationId)) return;
+        typingState.get(socket.id)?.delete(conversationId);
+        relayTyping(socket, conversationId, false);
+    });
+
+    // A socket that drops mid-sentence stops typing everywhere
+    socket.on('disconnect', () => {
+        for (const conversationId of typingState.get(socket.id)?.keys() || []) {
+            relayTyping(socket, conversationId, false);
+        }
+        typingState.delete(socket.id);
+    });
+}
+
+/**
+ * Wire conversation delivery into the Socket.IO server: handshake authentication, room
+ * subscription and the read/typing handlers for authenticated sockets.
+ */
+export function attachConversationRealtime(io) {
+    ioInstance = io;
+    io.use(authenticateSocket);
+
+    io.on('connection', async (socket) => {
+        const user = socket.data.user;
+        if (!user) return;
+        registerConversationHandlers(socket);
+
+        // Recovered connections get their rooms back from Socket.IO
+        if (socket.recovered) return;
+        const joined = await joinConversationRooms(socket, user.userId);
+        console.log(`[REALTIME] Socket ${socket.id} (${user.userId}) subscribed to ${joined} conversations`);
+    });
+}
+
+/**
+ * Subscribe the participants' connected sockets to a conversation (e.g. a new conversation).
+ */
+export function addParticipantsToRoom(conversationId, participantIds) {
+    if (!ioInstance || !participantIds?.length) return;
+    ioInstance.in(participantIds.map(userRoom)).socketsJoin(conversationRoom(conversationId));
+}
+
+/**
+ * Unsubscribe the participants' sockets from a conversation.
+ */
+export function removeParticipantsFromRoom(conversationId, participantIds) {
+    if (!ioInstance || !participantIds?.length) return;
+    ioInstance.in(participantIds.map(userRoom)).socketsLeave(conversationRoom(conversationId));
+}
+
+function emitToConversation(conversationId, event, payload) {
+    if (!ioInstance) return;
+    ioInstance.to(conversationRoom(conversationId)).emit(event, { conversationId, ...payload });
+}
+
+/**
+ * A message was added to the conversation.
+ */
+export function emitMessageNew(conversationId, message) {
+    emitToConversation(conversationId, 'message:new', { message });
+}
+
+/**
+ * A message in the conversation changed.
+ */
+export function emitMessageUpdated(conversationId, message) {
+    emitToConversation(conversationId, 'message:updated', { message });
+}
+
+/**
+ * The conversation's metadata (last message, participants, ...) changed.
+ */
+export function emitConversationUpdated(conversationId, conversation) {
+    emitToConversation(conversationId, 'conversation:updated', { conversation });
+}
+
+/**
+ * A participant read the conversation up to `lastReadAt` (read receipt).
+ */
+export function emitConversationRead(conversationId, userId, lastReadAt) {
+    emitToConversation(conversationId, 'conversation:read', { userId, lastReadAt });
+}
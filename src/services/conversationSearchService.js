@@ -0,0 +1,186 @@
+// src/services/conversationSearchService.js
+// Message search for participants. Only conversations the user takes part in are searched,
+// and only what they can see: the current text of messages that are not deleted (edit
+// history stays admin-only). Firestore has no full-text search, so messages are filtered
+// in memory; each hit carries a snippet with highlight ranges and the messages around it
+// so clients can jump straight to it in the conversation. Date bounds are applied in the
+// query, and only the newest MAX_SCAN_PER_CONVERSATION messages in range are scanned per
+// conversation; results say when that cap cut a conversation short (`truncated`).
+
+import { adminDb } from '../config/firebase.js';
+import { presentMessage } from './conversationMessageService.js';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const MIN_QUERY_LENGTH = 2;
+const SNIPPET_RADIUS = 60; // Characters kept either side of the first match
+const CONTEXT_SIZE = 2;    // Messages before and after a hit
+const MAX_SCAN_PER_CONVERSATION = 500;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// createdAt is an ISO string on current messages, a Date/Timestamp on older ones
+function toMillis(value) {
+    if (!value) return 0;
+    if (typeof value.toDate === 'function') return value.toDate().getTime();
+    return new Date(value).getTime() || 0;
+}
+
+// Date-only bounds (YYYY-MM-DD) cover the whole day
+function parseBound(value, endOfDay) {
+    if (!value) return { ms: null };
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const ms = new Date(dateOnly && endOfDay ? `${value}T23:59:59.999Z` : value).getTime();
+    return isNaN(ms) ? { error: `Invalid date: ${value}` } : { ms };
+}
+
+/**
+ * Cut a snippet around the first match and report where each term occurs in it.
+ *
+ * @returns {{ snippet: string, highlights: Array<{ start: number, end: number }> }}
+ */
+export function buildSnippet(text, terms) {
+    if (!terms.length) {
+        const snippet = text.length > SNIPPET_RADIUS * 2 ? text.substring(0, SNIPPET_RADIUS * 2) + '...' : text;
+        return { snippet, highlights: [] };
+    }
+
+    const pattern = new RegExp(terms.map(escapeRegExp).join('|'), 'gi');
+    const first = text.search(pattern);
+    const start = Math.max(0, first - SNIPPET_RADIUS);
+    const end = Math.min(text.length, first + SNIPPET_RADIUS * 2);
+    const prefix = start > 0 ? '...' : '';
+    const snippet = prefix + text.substring(start, end) + (end < text.length ? '...' : '');
+
+    const highlights = [];
+    for (const match of text.substring(start, end).matchAll(pattern)) {
+        highlights.push({ start: prefix.length + match.index, end: prefix.length + match.index + match[0].length });
+    }
+    return { snippet, highlights };
+}
+
+/**
+ * Search the messages of the user's conversations.
+ *
+ * @param {string} userId
+ * @param {Object} params
+ * @param {string} params.q              - Keywords; every word must appear in the message text
+ * @param {string} params.senderId       - Only messages from this participant
+ * @param {string} params.from           - ISO date/time (inclusive)
+ * @param {string} params.to             - ISO date/time (inclusive; a plain date covers the whole day)
+ * @param {boolean} params.hasAttachment - Only messages with (true) or without (false) attachments
+ * @param {string} params.conversationId - Restrict to one of the user's conversations
+ * @param {number} params.limit          - Page size
+ * @param {number} params.offset         - Results to skip
+ * @returns {Promise<{ results?: Array, total?: number, nextOffset?: number|null, truncated?: boolean, error?: string, status?: number }>}
+ */
+export async function searchMessages(userId, {
+    q = '',
+    senderId = null,
+    from = null,
+    to = null,
+    hasAttachment = null,
+    conversationId = null,
+    limit = DEFAULT_LIMIT,
+    offset = 0
+} = {}) {
+    const query = typeof q === 'string' ? q.trim() : '';
+    if (query && query.length < MIN_QUERY_LENGTH) {
+        return { status: 400, error: `Search query must be at least ${MIN_QUERY_LENGTH} characters.` };
+    }
+    if (!query && !senderId && !from && !to && hasAttachment === null) {
+        return { status: 400, error: 'Provide a search query or at least one filter.' };
+    }
+
+    const after = parseBound(from, false);
+    const before = parseBound(to, true);
+    if (after.error || before.error) return { status: 400, error: after.error || before.error };
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const skip = Math.max(parseInt(offset) || 0, 0);
+    const terms = [...new Set(query.toLowerCase().split(/\s+/).filter(Boolean))];
+
+    // Scope: conversations the user is a participant of
+    const convoSnapshot = await adminDb.collection('conversations')
+        .where('participantIds', 'array-contains', userId)
+        .get();
+    const conversations = convoSnapshot.docs.filter(doc =>
+        !doc.data().jobArchived && (!conversationId || doc.id === conversationId)
+    );
+    if (conversationId && conversations.length === 0) {
+        return { status: 403, error: 'Not authorized to access this conversation.' };
+    }
+
+    const hits = [];
+    let truncated = false;
+    for (const convoDoc of conversations) {
+        // Current messages store createdAt as an ISO string, so the bounds compare as strings
+        let messagesQuery = convoDoc.ref.collection('messages');
+        if (after.ms !== null) messagesQuery = messagesQuery.where('createdAt', '>=', new Date(after.ms).toISOString());
+        if (before.ms !== null) messagesQuery = messagesQuery.where('createdAt', '<=', new Date(before.ms).toISOString());
+        const messagesSnapshot = await messagesQuery
+            .orderBy('createdAt', 'desc')
+            .limit(MAX_SCAN_PER_CONVERSATION)
+            .get();
+        if (messagesSnapshot.size === MAX_SCAN_PER_CONVERSATION) truncated = true;
+        const messages = messagesSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).reverse();
+        const messagesById = new Map(messages.map(message => [message.id, message]));
+
+        messages.forEach((message, index) => {
+            if (message.deleted || message.type === 'system') return;
+            if (senderId && message.senderId !== senderId) return;
+
+            const createdAtMs = toMillis(message.createdAt);
+            if (after.ms !== null && createdAtMs < after.ms) return;
+            if (before.ms !== null && createdAtMs > before.ms) return;
+
+            const attachmentCount = (message.attachments || []).length;
+            if (hasAttachment === true && attachmentCount === 0) return;
+            if (hasAttachment === false && attachmentCount > 0) return;
+
+            const text = (message.text || '').toLowerCase();
+            if (!terms.every(term => text.includes(term))) return;
+
+            hits.push({ convoDoc, messages, messagesById, index, createdAtMs });
+        });
+    }
+
+    // Newest first
+    hits.sort((a, b) => b.createdAtMs - a.createdAtMs);
+    const page = hits.slice(skip, skip + pageSize);
+
+    const jobIds = [...new Set(page.map(hit => hit.convoDoc.data().jobId).filter(Boolean))];
+    const jobDocs = jobIds.length ? await adminDb.getAll(...jobIds.map(id => adminDb.collection('jobs').doc(id))) : [];
+    const jobTitles = new Map(jobDocs.filter(doc => doc.exists).map(doc => [doc.id, doc.data().title]));
+
+    const results = page.map(({ convoDoc, messages, messagesById, index }) => {
+        const convo = convoDoc.data();
+        const present = (message) => presentMessage(message, messagesById);
+        const message = messages[index];
+
+        return {
+            conversation: {
+                id: convoDoc.id,
+                type: convo.type || 'direct',
+                name: convo.name || null,
+                jobId: convo.jobId || null,
+                jobTitle: jobTitles.get(convo.jobId) || 'Job no longer available',
+                participantIds: convo.participantIds
+            },
+            message: present(message),
+            ...buildSnippet(message.text || '', terms),
+            // Surrounding messages, so the client can open the conversation at the hit
+            context: {
+                before: messages.slice(Math.max(0, index - CONTEXT_SIZE), index).map(present),
+                after: messages.slice(index + 1, index + 1 + CONTEXT_SIZE).map(present)
+            }
+        };
+    });
+
+    return {
+        results,
+        total: hits.length,
+        nextOffset: skip + pageSize < hits.length ? skip + pageSize : null,
+        truncated
+    };
+}
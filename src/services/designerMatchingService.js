@@ -0,0 +1,162 @@
+// src/services/designerMatchingService.js
+// Scores approved designers against a job so new projects reach the people most likely to
+// quote on them. Used for GET /api/jobs/:id/recommended-designers and to pick who gets the
+// "job matches your skills" notification instead of broadcasting to every designer.
+
+import { adminDb } from '../config/firebase.js';
+import { tokenize, parseBudget } from './jobSearchIndex.js';
+
+// Score weights (total 100)
+const WEIGHTS = {
+    skills: 40,
+    specializations: 15,
+    rate: 15,
+    experience: 10,
+    location: 10,
+    rating: 10
+};
+
+// A job budget is assumed to cover at least this many hours when judging hourly rate fit
+const REFERENCE_HOURS = 40;
+
+// Designers below this score are never notified about a job
+const MIN_NOTIFY_SCORE = 30;
+
+export const DEFAULT_NOTIFY_LIMIT = parseInt(process.env.JOB_MATCH_NOTIFY_LIMIT) || 20;
+
+function normalizeList(list) {
+    return (Array.isArray(list) ? list : [])
+        .map(item => String(item || '').trim().toLowerCase())
+        .filter(Boolean);
+}
+
+/**
+ * Pull a number of years out of the free-text experience field ("8 years", "5+ yrs ...").
+ */
+export function parseExperienceYears(experience) {
+    const match = String(experience || '').toLowerCase().match(/(\d+(\.\d+)?)\s*\+?\s*(years?|yrs?)/);
+    return match ? parseFloat(match[1]) : null;
+}
+
+/**
+ * Score one designer against a job.
+ *
+ * @param {Object} jobData  - Job document
+ * @param {Object} designer - User document (with id)
+ * @returns {{ score: number, breakdown: Object, reasons: string[] }}
+ */
+export function scoreDesigner(jobData, designer) {
+    const breakdown = {};
+    const reasons = [];
+
+    const jobSkills = normalizeList(jobData.skills);
+    const designerSkills = normalizeList([...(designer.skills || []), ...(designer.specializations || [])]);
+    const jobTokens = new Set(tokenize(`${jobData.title || ''} ${jobData.description || ''}`));
+
+    // Skills: share of the job's required skills the designer lists
+    const matchedSkills = jobSkills.filter(skill =>
+        designerSkills.some(ds => ds === skill || ds.includes(skill) || skill.includes(ds))
+    );
+    breakdown.skills = jobSkills.length > 0
+        ? Math.round((matchedSkills.length / jobSkills.length) * WEIGHTS.skills)
+        : 0;
+    if (matchedSkills.length > 0) reasons.push(`Matches ${matchedSkills.length}/${jobSkills.length} required skills`);
+
+    // Specializations mentioned in the job title/description
+    const matchedSpecializations = (designer.specializations || []).filter(spec => {
+        const specTokens = tokenize(spec);
+        return specTokens.length > 0 && specTokens.every(t => jobTokens.has(t));
+    });
+    breakdown.specializations = Math.min(matchedSpecializations.length * 8, WEIGHTS.specializations);
+    if (matchedSpecializations.length > 0) reasons.push(`Specializes in ${matchedSpecializations.join(', ')}`);
+
+    // Hourly rate against the budget
+    const { max: budgetMax } = parseBudget(jobData.budget);
+    const rate = parseFloat(designer.hourlyRate);
+    if (!budgetMax || !rate) {
+        breakdown.rate = Math.round(WEIGHTS.rate / 2);
+    } else {
+        const affordableRate = budgetMax / REFERENCE_HOURS;
+        breakdown.rate = rate <= affordableRate
+            ? WEIGHTS.rate
+            : Math.max(0, Math.round(WEIGHTS.rate * (1 - (rate - affordableRate) / affordableRate)));
+        if (rate <= affordableRate) reasons.push('Hourly rate fits the budget');
+    }
+
+    // Experience
+    const years = parseExperienceYears(designer.experience);
+    if (years !== null) {
+        breakdown.experience = Math.min(Math.round(years), WEIGHTS.experience);
+        if (years >= 5) reasons.push(`${years}+ years of experience`);
+    } else {
+        breakdown.experience = designer.experience ? 4 : 0;
+    }
+
+    // Location
+    const jobLocation = tokenize(jobData.location);
+    const designerLocation = new Set(tokenize(designer.location));
+    if (jobLocation.length === 0 || designerLocation.size === 0) {
+        breakdown.location = Math.round(WEIGHTS.location / 2);
+    } else {
+        const overlap = jobLocation.filter(t => designerLocation.has(t)).length;
+        breakdown.location = Math.round((overlap / jobLocation.length) * WEIGHTS.location);
+        if (overlap > 0) reasons.push(`Based in ${designer.location}`);
+    }
+
+    // Past ratings (snapshot kept on the user document by reputationService)
+    const reputation = designer.reputation || {};
+    if (reputation.reviewCount > 0 && reputation.averageRating) {
+        breakdown.rating = Math.round((reputation.averageRating / 5) * WEIGHTS.rating);
+        reasons.push(`Rated ${reputation.averageRating}/5 from ${reputation.reviewCount} review${reputation.reviewCount > 1 ? 's' : ''}`);
+    } else {
+        breakdown.rating = Math.round(WEIGHTS.rating / 2);
+    }
+
+    const score = Object.values(breakdown).reduce((sum, value) => sum + value, 0);
+    return { score, breakdown, reasons, matchedSkills };
+}
+
+/**
+ * Rank approved designers for a job, best match first.
+ *
+ * @param {Object} jobData
+ * @param {Object} [options]
+ * @param {number} [options.limit=10]
+ * @param {number} [options.minScore=0]
+ * @returns {Promise<Array>} [{ designerId, name, score, breakdown, reasons, ... }]
+ */
+export async function rankDesignersForJob(jobData, { limit = 10, minScore = 0 } = {}) {
+    const designersSnapshot = await adminDb.collection('users')
+        .where('type', '==', 'designer')
+        .where('profileStatus', '==', 'approved')
+        .get();
+
+    const ranked = designersSnapshot.docs
+        .map(doc => {
+            const designer = { id: doc.id, ...doc.data() };
+            const match = scoreDesigner(jobData, designer);
+            return {
+                designerId: designer.id,
+                name: designer.name || '',
+                skills: designer.skills || [],
+                specializations: designer.specializations || [],
+                hourlyRate: designer.hourlyRate || null,
+                location: designer.location || '',
+                reputation: designer.reputation
+                    ? { averageRating: designer.reputation.averageRating, reviewCount: designer.reputation.reviewCount, onTimeRate: designer.reputation.onTimeRate }
+                    : null,
+                ...match
+            };
+        })
+        .filter(match => match.score >= minScore);
+
+    ranked.sort((a, b) => b.score - a.score || b.matchedSkills.length - a.matchedSkills.length);
+    return limit ? ranked.slice(0, limit) : ranked;
+}
+
+/**
+ * Designers who should be told about a new job: the top N above the minimum score.
+ */
+export async function selectDesignersToNotify(jobData, limit = DEFAULT_NOTIFY_LIMIT) {
+    return rankDesignersForJob(jobData, { limit, minScore: MIN_NOTIFY_SCORE });
+}
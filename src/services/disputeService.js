@@ -0,0 +1,228 @@
+// src/services/disputeService.js
+// Formal dispute workflow for assigned jobs. Either party opens a dispute (the job moves
+// to `disputed`), both sides attach evidence, and an admin arbitrates the outcome from
+// /api/admin/disputes. Both parties are notified at every step. Every write re-reads the
+// dispute (and job) in a transaction, so two requests racing on the same dispute cannot
+// both succeed.
+
+import { adminDb } from '../config/firebase.js';
+import { NotificationService } from './NotificationService.js';
+import { indexJobById } from './jobSearchIndex.js';
+import { assertTransition, buildTransitionUpdate } from './jobLifecycle.js';
+
+const COLLECTION = 'disputes';
+
+export const DISPUTE_STATUSES = ['open', 'under_review', 'resolved'];
+
+// Outcome -> job status the job moves to once the dispute is resolved
+export const DISPUTE_OUTCOMES = {
+    resume_work: 'assigned',
+    partial_completion: 'completed',
+    cancel: 'cancelled'
+};
+
+/**
+ * Thrown when a dispute is not in a status that allows the requested action.
+ */
+export class DisputeStateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DisputeStateError';
+        this.status = 400;
+    }
+}
+
+function notifyBothParties(dispute, event, extra = {}) {
+    return NotificationService.notifyDisputeEvent(dispute, event, extra).catch(error => {
+        console.error(`[DISPUTE] Failed to send ${event} notifications:`, error.message);
+    });
+}
+
+/**
+ * Open a dispute on an assigned job and move the job to `disputed`. The job is re-read
+ * in the transaction, so a job that was disputed (or moved on) meanwhile is rejected.
+ * Throws a JobTransitionError if the job cannot be disputed in its current status.
+ *
+ * @param {Object} opts
+ * @param {string} opts.jobId
+ * @param {Object} opts.user        - { userId, name }
+ * @param {string} opts.role        - 'contractor' | 'designer'
+ * @param {string} opts.reason      - Short reason
+ * @param {string} opts.description - Full statement
+ * @param {Array}  opts.attachments - Uploaded evidence files
+ * @returns {Promise<Object>} The created dispute
+ */
+export async function openDispute({ jobId, user, role, reason, description = '', attachments = [] }) {
+    const jobRef = adminDb.collection('jobs').doc(jobId);
+    const disputeRef = adminDb.collection(COLLECTION).doc();
+
+    const dispute = await adminDb.runTransaction(async (tx) => {
+        const jobDoc = await tx.get(jobRef);
+        const jobData = jobDoc.exists ? jobDoc.data() : { status: null };
+        assertTransition(jobData, 'disputed');
+        const now = new Date().toISOString();
+
+        const created = {
+            jobId,
+            jobTitle: jobData.title || '',
+            contractorId: jobData.posterId,
+            designerId: jobData.assignedTo,
+            openedBy: user.userId,
+            openedByName: user.name || '',
+            openedByRole: role,
+            reason,
+            description,
+            status: 'open',
+            previousJobStatus: jobData.status,
+            completionUpdate: jobData.completionUpdate || null,
+            evidence: attachments.length > 0 || description
+                ? [{ submittedBy: user.userId, submittedByName: user.name || '', role, note: description, attachments, submittedAt: now }]
+                : [],
+            events: [{ action: 'opened', by: user.userId, byName: user.name || '', at: now, note: reason }],
+            resolution: null,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        tx.set(disputeRef, created);
+        tx.update(jobRef, {
+            ...buildTransitionUpdate(jobData, 'disputed', { by: user.userId, byName: user.name || '', via: 'dispute_opened', reason }),
+            activeDisputeId: disputeRef.id
+        });
+        return { id: disputeRef.id, ...created };
+    });
+
+    indexJobById(jobId);
+    await notifyBothParties(dispute, 'opened');
+    return dispute;
+}
+
+/**
+ * Load a dispute by id (or null).
+ */
+export async function getDispute(disputeId) {
+    const doc = await adminDb.collection(COLLECTION).doc(disputeId).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+}
+
+/**
+ * List disputes, optionally filtered by job or status (newest first).
+ */
+export async function listDisputes({ jobId = null, status = null } = {}) {
+    let query = adminDb.collection(COLLECTION);
+    if (jobId) query = query.where('jobId', '==', jobId);
+    if (status) query = query.where('status', '==', status);
+    const snapshot = await query.get();
+    const disputes = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    disputes.sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0));
+    return disputes;
+}
+
+// Re-read a dispute in a transaction and check it is still in one of `allowedStatuses`
+async function loadDispute(tx, disputeId, allowedStatuses, message) {
+    const disputeRef = adminDb.collection(COLLECTION).doc(disputeId);
+    const doc = await tx.get(disputeRef);
+    if (!doc.exists) throw new DisputeStateError('Dispute not found.');
+    const dispute = { id: doc.id, ...doc.data() };
+    if (!allowedStatuses.includes(dispute.status)) throw new DisputeStateError(message(dispute.status));
+    return { disputeRef, dispute };
+}
+
+/**
+ * Append evidence from one of the parties to an unresolved dispute.
+ * Throws a DisputeStateError if the dispute was resolved meanwhile.
+ */
+export async function addEvidence(dispute, { user, role, note = '', attachments = [] }) {
+    const updated = await adminDb.runTransaction(async (tx) => {
+        const { disputeRef, dispute: current } = await loadDispute(
+            tx, dispute.id, ['open', 'under_review'], () => 'This dispute has already been resolved.'
+        );
+
+        const now = new Date().toISOString();
+        const entry = { submittedBy: user.userId, submittedByName: user.name || '', role, note, attachments, submittedAt: now };
+        const evidence = [...(current.evidence || []), entry];
+        const events = [...(current.events || []), { action: 'evidence_added', by: user.userId, byName: user.name || '', at: now }];
+
+        tx.update(disputeRef, { evidence, events, updatedAt: now });
+        return { ...current, evidence, events, updatedAt: now };
+    });
+
+    await notifyBothParties(updated, 'evidence_added', { actorName: user.name });
+    return updated;
+}
+
+/**
+ * Admin marks a dispute as under review.
+ * Throws a DisputeStateError if the dispute is no longer open.
+ */
+export async function markUnderReview(dispute, adminUser) {
+    const updated = await adminDb.runTransaction(async (tx) => {
+        const { disputeRef, dispute: current } = await loadDispute(
+            tx, dispute.id, ['open'], (status) => `Dispute is already ${status}`
+        );
+
+        const now = new Date().toISOString();
+        const events = [...(current.events || []), { action: 'under_review', by: adminUser.userId, byName: adminUser.name || adminUser.email || 'Admin', at: now }];
+        tx.update(disputeRef, {
+            status: 'under_review',
+            reviewedBy: adminUser.email || adminUser.userId,
+            events,
+            updatedAt: now
+        });
+        return { ...current, status: 'under_review', events, updatedAt: now };
+    });
+
+    await notifyBothParties(updated, 'under_review');
+    return updated;
+}
+
+/**
+ * Admin resolves a dispute and moves the job to the status the outcome implies.
+ * Throws a DisputeStateError if the dispute is already resolved, or a JobTransitionError
+ * if the job is no longer disputed.
+ *
+ * @param {Object} dispute
+ * @param {Object} resolution - { outcome, note, completionPercentage }
+ * @param {Object} adminUser
+ */
+export async function resolveDispute(dispute, { outcome, note = '', completionPercentage = null }, adminUser) {
+    const jobStatus = DISPUTE_OUTCOMES[outcome];
+    const jobRef = adminDb.collection('jobs').doc(dispute.jobId);
+
+    const updated = await adminDb.runTransaction(async (tx) => {
+        const { disputeRef, dispute: current } = await loadDispute(
+            tx, dispute.id, ['open', 'under_review'], () => 'Dispute is already resolved'
+        );
+        const jobDoc = await tx.get(jobRef);
+        const jobData = jobDoc.exists ? jobDoc.data() : { status: 'disputed' };
+        assertTransition(jobData, jobStatus);
+
+        const now = new Date().toISOString();
+        const resolution = {
+            outcome,
+            note,
+            completionPercentage: outcome === 'partial_completion' ? completionPercentage : null,
+            resolvedBy: adminUser.email || adminUser.userId,
+            resolvedByName: adminUser.name || 'Admin',
+            resolvedAt: now
+        };
+        const events = [...(current.events || []), { action: 'resolved', by: adminUser.userId, byName: resolution.resolvedByName, at: now, note: outcome }];
+
+        const jobUpdate = {
+            ...buildTransitionUpdate(jobData, jobStatus, { by: adminUser.userId, byName: resolution.resolvedByName, via: 'dispute_resolved', reason: outcome }),
+            activeDisputeId: null,
+            lastDisputeId: current.id
+        };
+        if (outcome === 'partial_completion') {
+            jobUpdate.completionPercentage = completionPercentage;
+        }
+
+        tx.update(disputeRef, { status: 'resolved', resolution, events, updatedAt: now });
+        tx.update(jobRef, jobUpdate);
+        return { ...current, status: 'resolved', resolution, events, updatedAt: now };
+    });
+
+    indexJobById(dispute.jobId);
+    await notifyBothParties(updated, 'resolved');
+    return updated;
+}
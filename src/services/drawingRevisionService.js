@@ -0,0 +1,235 @@
+// src/services/drawingRevisionService.js
+// Revision control for job drawings. Uploaded attachments can be tagged with a sheet
+// number and revision letter; the job's `attachments` keep only the current revision of
+// each sheet while `drawingRevisions` keeps every revision ever uploaded. Designers who
+// quoted on a revision are notified when a newer one supersedes it.
+
+import crypto from 'crypto';
+import { adminDb } from '../config/firebase.js';
+import { NotificationService } from './NotificationService.js';
+
+const REVISION_PATTERN = /^[A-Z]{1,2}$/;
+const SHEET_NUMBER_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 ._/-]{0,29}$/;
+
+function toMillis(value) {
+    if (!value) return 0;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+    if (value._seconds) return value._seconds * 1000;
+    const parsed = new Date(value).getTime();
+    return isNaN(parsed) ? 0 : parsed;
+}
+
+function parseList(value) {
+    if (value === undefined || value === null) return [];
+    if (Array.isArray(value)) return value.map(v => String(v ?? '').trim());
+    return String(value).split(',').map(v => v.trim());
+}
+
+/**
+ * Compare two revision letters: A < B < ... < Z < AA < AB.
+ */
+export function compareRevisions(a, b) {
+    if (a.length !== b.length) return a.length - b.length;
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * The revision letter after `revision` (null → A, Z → AA).
+ */
+export function nextRevision(revision) {
+    if (!revision) return 'A';
+    const chars = revision.split('');
+    for (let i = chars.length - 1; i >= 0; i--) {
+        if (chars[i] !== 'Z') {
+            chars[i] = String.fromCharCode(chars[i].charCodeAt(0) + 1);
+            return chars.join('');
+        }
+        chars[i] = 'A';
+    }
+    return 'A' + chars.join('');
+}
+
+/**
+ * Current revision of every sheet on a job, keyed by normalized sheet number.
+ */
+function currentRevisions(jobData) {
+    const current = new Map();
+    for (const rev of jobData.drawingRevisions || []) {
+        if (rev.status === 'current') current.set(rev.sheetNumber.toUpperCase(), rev);
+    }
+    return current;
+}
+
+/**
+ * Ids of the job's current drawing revisions (snapshotted on quotes).
+ */
+export function currentRevisionIds(jobData) {
+    return [...currentRevisions(jobData).values()].map(rev => rev.id);
+}
+
+/**
+ * Read and validate the sheet number / revision tags sent alongside uploaded files.
+ * `sheetNumbers` and `revisions` are index-aligned with the files (array fields or
+ * comma-separated); a file without a sheet number is a plain, untracked attachment.
+ * A missing revision letter becomes the next letter after the sheet's current revision.
+ *
+ * @returns {{ tags?: Array<{ sheetNumber: string, revision: string } | null>, error?: string }}
+ */
+export function parseRevisionTags(body, files, jobData = {}) {
+    const sheetNumbers = parseList(body.sheetNumbers);
+    const revisions = parseList(body.revisions);
+    const current = currentRevisions(jobData);
+    const seen = new Set();
+    const tags = [];
+
+    for (let i = 0; i < (files || []).length; i++) {
+        const sheetNumber = sheetNumbers[i] || '';
+        if (!sheetNumber) {
+            if (revisions[i]) {
+                return { error: `File "${files[i].originalname}" has a revision but no sheet number.` };
+            }
+            tags.push(null);
+            continue;
+        }
+        if (!SHEET_NUMBER_PATTERN.test(sheetNumber)) {
+            return { error: `Invalid sheet number "${sheetNumber}".` };
+        }
+
+        const key = sheetNumber.toUpperCase();
+        if (seen.has(key)) {
+            return { error: `Sheet ${sheetNumber} appears more than once in this upload.` };
+        }
+        seen.add(key);
+
+        const previous = current.get(key);
+        const revision = (revisions[i] || nextRevision(previous?.revision)).toUpperCase();
+        if (!REVISION_PATTERN.test(revision)) {
+            return { error: `Invalid revision "${revisions[i]}" for sheet ${sheetNumber}. Use a letter (A-Z, then AA, AB, ...).` };
+        }
+        if (previous && compareRevisions(revision, previous.revision) <= 0) {
+            return { error: `Sheet ${sheetNumber} is already at revision ${previous.revision}; a new upload must be a later revision.` };
+        }
+
+        tags.push({ sheetNumber: previous?.sheetNumber || sheetNumber, revision });
+    }
+
+    return { tags };
+}
+
+/**
+ * Merge uploaded attachments into a job's attachments and revision history.
+ * Each tagged upload supersedes the current revision of its sheet, which is removed from
+ * `attachments` but kept (marked superseded) in `drawingRevisions`.
+ *
+ * @param {Object}   jobData     - Existing job (or {} for a new one)
+ * @param {Object[]} uploaded    - Attachment objects, index-aligned with `tags`
+ * @param {Array}    tags        - From parseRevisionTags
+ * @param {Object}   user        - req.user
+ * @returns {{ attachments: Object[], drawingRevisions: Object[], superseded: Array<{ previous: Object, current: Object }> }}
+ */
+export function applyRevisions(jobData, uploaded, tags, user) {
+    const now = new Date().toISOString();
+    const current = currentRevisions(jobData);
+    let attachments = [...(jobData.attachments || [])];
+    const drawingRevisions = [...(jobData.drawingRevisions || [])];
+    const superseded = [];
+
+    uploaded.forEach((file, i) => {
+        const tag = tags[i];
+        if (!tag) {
+            attachments.push(file);
+            return;
+        }
+
+        const revisionId = crypto.randomUUID();
+        const entry = {
+            id: revisionId,
+            sheetNumber: tag.sheetNumber,
+            revision: tag.revision,
+            name: file.name,
+            url: file.url,
+            path: file.path || '',
+            size: file.size || 0,
+            uploadedAt: file.uploadedAt || now,
+            uploadedBy: user.userId,
+            status: 'current',
+            supersededAt: null,
+            supersededById: null
+        };
+
+        const previous = current.get(tag.sheetNumber.toUpperCase());
+        if (previous) {
+            const index = drawingRevisions.findIndex(rev => rev.id === previous.id);
+            drawingRevisions[index] = { ...previous, status: 'superseded', supersededAt: now, supersededById: revisionId };
+            attachments = attachments.filter(a => a.revisionId !== previous.id);
+            superseded.push({ previous, current: entry });
+        }
+
+        drawingRevisions.push(entry);
+        attachments.push({ ...file, sheetNumber: tag.sheetNumber, revision: tag.revision, revisionId });
+    });
+
+    return { attachments, drawingRevisions, superseded };
+}
+
+/**
+ * Revisions grouped by sheet, latest revision first within each sheet.
+ */
+export function listDrawings(jobData) {
+    const sheets = new Map();
+    for (const rev of jobData.drawingRevisions || []) {
+        const key = rev.sheetNumber.toUpperCase();
+        if (!sheets.has(key)) sheets.set(key, { sheetNumber: rev.sheetNumber, currentRevision: null, revisions: [] });
+        const sheet = sheets.get(key);
+        sheet.revisions.push(rev);
+        if (rev.status === 'current') sheet.currentRevision = rev.revision;
+    }
+    const drawings = [...sheets.values()];
+    drawings.forEach(sheet => sheet.revisions.sort((a, b) => compareRevisions(b.revision, a.revision)));
+    drawings.sort((a, b) => a.sheetNumber.localeCompare(b.sheetNumber, undefined, { numeric: true }));
+    return drawings;
+}
+
+/**
+ * Find a revision on a job by id (or null).
+ */
+export function findRevision(jobData, revisionId) {
+    return (jobData.drawingRevisions || []).find(rev => rev.id === revisionId) || null;
+}
+
+/**
+ * Notify designers who quoted on a superseded revision. A quote counts as quoting on a
+ * revision when the revision was current at submission (recorded on the quote, or for
+ * older quotes, inferred from the submission time).
+ *
+ * @returns {Promise<number>} Number of designers notified
+ */
+export async function notifySupersededDrawings(jobId, jobData, superseded) {
+    if (!superseded.length) return 0;
+
+    const quotesSnapshot = await adminDb.collection('quotes').where('jobId', '==', jobId).get();
+    const affected = new Map();
+
+    for (const doc of quotesSnapshot.docs) {
+        const quote = doc.data();
+        if (quote.jobArchived) continue;
+        const quotedOn = superseded.filter(({ previous }) => quote.drawingRevisionIds
+            ? quote.drawingRevisionIds.includes(previous.id)
+            : toMillis(quote.createdAt) >= toMillis(previous.uploadedAt));
+        if (quotedOn.length === 0) continue;
+
+        const sheets = affected.get(quote.designerId) || [];
+        affected.set(quote.designerId, [...sheets, ...quotedOn]);
+    }
+
+    for (const [designerId, revisions] of affected) {
+        try {
+            await NotificationService.notifyDrawingRevised({ id: jobId, ...jobData }, designerId, revisions);
+        } catch (error) {
+            console.error(`[DRAWINGS] Failed to notify designer ${designerId} for job ${jobId}:`, error.message);
+        }
+    }
+
+    if (affected.size > 0) console.log(`[DRAWINGS] Job ${jobId}: notified ${affected.size} designers of ${superseded.length} superseded sheets`);
+    return affected.size;
+}
@@ -0,0 +1,214 @@
+// src/services/jobArchiveService.js
+// Archive/restore for jobs. Archiving moves the job into `_trash` (same layout as the
+// system-admin soft delete) so it drops out of every listing, while its quotes and
+// conversations stay in place flagged `jobArchived`. Owners can restore within the restore
+// window; a purge sweep permanently removes the job and its related data afterwards.
+
+import { adminDb, admin } from '../config/firebase.js';
+import { deleteFileFromFirebase } from '../utils/firebaseStorage.js';
+import { indexJob, removeJobFromIndex } from './jobSearchIndex.js';
+
+const TRASH_COLLECTION = '_trash';
+export const RESTORE_WINDOW_DAYS = 30;
+const PURGE_INTERVAL = 6 * 60 * 60 * 1000; // Check for expired archives every 6 hours
+const BATCH_LIMIT = 400;
+const TRASH_METADATA = ['_collection', '_collectionKey', '_originalId', '_deletedAt', '_deletedBy', '_archivedBy', '_restoreUntil'];
+
+let purgeIntervalHandle = null;
+
+async function commitInChunks(refs, apply) {
+    for (let i = 0; i < refs.length; i += BATCH_LIMIT) {
+        const batch = adminDb.batch();
+        refs.slice(i, i + BATCH_LIMIT).forEach(ref => apply(batch, ref));
+        await batch.commit();
+    }
+}
+
+async function getRelatedRefs(jobId) {
+    const [quotesSnapshot, conversationsSnapshot] = await Promise.all([
+        adminDb.collection('quotes').where('jobId', '==', jobId).get(),
+        adminDb.collection('conversations').where('jobId', '==', jobId).get()
+    ]);
+    return {
+        quoteRefs: quotesSnapshot.docs.map(doc => doc.ref),
+        conversationRefs: conversationsSnapshot.docs.map(doc => doc.ref)
+    };
+}
+
+function stripTrashMetadata(trashData) {
+    return Object.fromEntries(Object.entries(trashData).filter(([key]) => !TRASH_METADATA.includes(key)));
+}
+
+/**
+ * Archive a job: back it up to `_trash`, flag its quotes and conversations and remove it
+ * from the `jobs` collection and the search index.
+ *
+ * @returns {Promise<{ restoreUntil: string, quotes: number, conversations: number }>}
+ */
+export async function archiveJob(jobId, jobData, user) {
+    const now = new Date();
+    const restoreUntil = new Date(now.getTime() + RESTORE_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const { quoteRefs, conversationRefs } = await getRelatedRefs(jobId);
+
+    await adminDb.collection(TRASH_COLLECTION).doc(jobId).set({
+        ...jobData,
+        _collection: 'jobs',
+        _collectionKey: 'jobs',
+        _originalId: jobId,
+        _deletedAt: now.toISOString(),
+        _deletedBy: user.email || user.userId,
+        _archivedBy: user.userId,
+        _restoreUntil: restoreUntil
+    });
+
+    await commitInChunks([...quoteRefs, ...conversationRefs], (batch, ref) => {
+        batch.update(ref, { jobArchived: true });
+    });
+    await adminDb.collection('jobs').doc(jobId).delete();
+    await removeJobFromIndex(jobId);
+
+    console.log(`[JOB-ARCHIVE] Job ${jobId} archived by ${user.userId} (${quoteRefs.length} quotes, ${conversationRefs.length} conversations kept)`);
+    return { restoreUntil, quotes: quoteRefs.length, conversations: conversationRefs.length };
+}
+
+/**
+ * Load an archived job from `_trash` (or null).
+ */
+export async function getArchivedJob(jobId) {
+    const doc = await adminDb.collection(TRASH_COLLECTION).doc(jobId).get();
+    if (!doc.exists || doc.data()._collection !== 'jobs') return null;
+    return { id: doc.id, ...doc.data() };
+}
+
+/**
+ * A contractor's archived jobs, most recently archived first.
+ */
+export async function listArchivedJobs(posterId) {
+    const snapshot = await adminDb.collection(TRASH_COLLECTION)
+        .where('_collection', '==', 'jobs')
+        .where('posterId', '==', posterId)
+        .get();
+    const jobs = snapshot.docs.map(doc => {
+        const data = doc.data();
+        return {
+            id: doc.id,
+            ...stripTrashMetadata(data),
+            archivedAt: data._deletedAt,
+            restoreUntil: data._restoreUntil || null,
+            canRestore: !!data._restoreUntil && new Date(data._restoreUntil) > new Date()
+        };
+    });
+    jobs.sort((a, b) => new Date(b.archivedAt || 0) - new Date(a.archivedAt || 0));
+    return jobs;
+}
+
+/**
+ * Clear the `jobArchived` flag from a job's quotes and conversations.
+ */
+export async function clearArchiveFlags(jobId) {
+    const { quoteRefs, conversationRefs } = await getRelatedRefs(jobId);
+    await commitInChunks([...quoteRefs, ...conversationRefs], (batch, ref) => {
+        batch.update(ref, { jobArchived: admin.firestore.FieldValue.delete() });
+    });
+}
+
+/**
+ * Restore an archived job to the `jobs` collection. Callers check the restore window.
+ */
+export async function restoreJob(archived) {
+    const jobData = stripTrashMetadata(archived);
+    delete jobData.id;
+
+    await adminDb.collection('jobs').doc(archived.id).set(jobData);
+    await clearArchiveFlags(archived.id);
+    await adminDb.collection(TRASH_COLLECTION).doc(archived.id).delete();
+    await indexJob(archived.id, jobData);
+
+    console.log(`[JOB-ARCHIVE] Job ${archived.id} restored`);
+    return { id: archived.id, ...jobData };
+}
+
+/**
+ * Permanently delete an archived job with its quotes, conversations (and messages) and
+ * stored attachments.
+ */
+export async function purgeArchivedJob(archived) {
+    const { quoteRefs, conversationRefs } = await getRelatedRefs(archived.id);
+
+    const messageRefs = [];
+    for (const convoRef of conversationRefs) {
+        const messagesSnapshot = await convoRef.collection('messages').get();
+        messagesSnapshot.docs.forEach(doc => messageRefs.push(doc.ref));
+    }
+
+    // Superseded drawing revisions are only listed in drawingRevisions
+    const filePaths = [...new Set([...(archived.attachments || []), ...(archived.drawingRevisions || [])].map(a => a.path).filter(Boolean))];
+    for (const quoteRef of quoteRefs) {
+        const quoteDoc = await quoteRef.get();
+        (quoteDoc.data()?.attachments || []).forEach(a => { if (a.path) filePaths.push(a.path); });
+    }
+    for (const fp of filePaths) {
+        try { await deleteFileFromFirebase(fp); } catch (e) { console.warn(`[JOB-ARCHIVE] Could not delete storage file ${fp}:`, e.message); }
+    }
+
+    await commitInChunks([...messageRefs, ...quoteRefs, ...conversationRefs], (batch, ref) => batch.delete(ref));
+    await adminDb.collection(TRASH_COLLECTION).doc(archived.id).delete();
+
+    console.log(`[JOB-ARCHIVE] Purged job ${archived.id} (${quoteRefs.length} quotes, ${conversationRefs.length} conversations)`);
+}
+
+/**
+ * Purge every archived job whose restore window has passed. Jobs trashed from the
+ * system-admin panel (no `_restoreUntil`) are left to the admin trash tools.
+ */
+export async function runArchivePurgeSweep() {
+    try {
+        const snapshot = await adminDb.collection(TRASH_COLLECTION).where('_collection', '==', 'jobs').get();
+        const now = new Date();
+        let purged = 0;
+
+        for (const doc of snapshot.docs) {
+            const data = doc.data();
+            if (!data._restoreUntil || new Date(data._restoreUntil) > now) continue;
+            try {
+                await purgeArchivedJob({ id: doc.id, ...data });
+                purged++;
+            } catch (error) {
+                console.error(`[JOB-ARCHIVE] Failed to purge job ${doc.id}:`, error.message);
+            }
+        }
+
+        if (purged > 0) console.log(`[JOB-ARCHIVE] Purge sweep removed ${purged} expired archived jobs`);
+        return purged;
+    } catch (error) {
+        console.error('[JOB-ARCHIVE] Purge sweep error:', error.message);
+        return 0;
+    }
+}
+
+/**
+ * Start the archive purge scheduler
+ */
+export function startArchivePurgeSweep() {
+    if (purgeIntervalHandle) {
+        console.log('[JOB-ARCHIVE] Purge sweep already running');
+        return;
+    }
+
+    console.log(`[JOB-ARCHIVE] Starting purge sweep (checking every ${PURGE_INTERVAL / 3600000} hours)`);
+    purgeIntervalHandle = setInterval(runArchivePurgeSweep, PURGE_INTERVAL);
+
+    // Run an initial check after 2 minutes (let server finish starting)
+    setTimeout(runArchivePurgeSweep, 120000);
+}
+
+/**
+ * Stop the archive purge scheduler
+ */
+export function stopArchivePurgeSweep() {
+    if (purgeIntervalHandle) {
+        clearInterval(purgeIntervalHandle);
+        purgeIntervalHandle = null;
+        console.log('[JOB-ARCHIVE] Purge sweep stopped');
+    }
+}
@@ -0,0 +1,193 @@
+// src/services/jobInvitationService.js
+// Private jobs and designer invitations. A private job is only visible to its poster and
+// the designers listed in `invitedDesignerIds`. Each invitation is stored in
+// `job_invitations` and must be accepted before the designer can submit a quote.
+
+import { adminDb, admin } from '../config/firebase.js';
+import { NotificationService } from './NotificationService.js';
+
+const COLLECTION = 'job_invitations';
+export const INVITATION_STATUSES = ['pending', 'accepted', 'declined'];
+
+/**
+ * Parse the invitee list from a JSON body or multipart form field
+ * (array, JSON string, or comma separated ids/emails).
+ */
+export function parseInvitees(raw) {
+    if (!raw) return [];
+    let list = raw;
+    if (typeof raw === 'string') {
+        try {
+            const parsed = JSON.parse(raw);
+            list = Array.isArray(parsed) ? parsed : [raw];
+        } catch {
+            list = raw.split(',');
+        }
+    }
+    if (!Array.isArray(list)) return [];
+    return [...new Set(list.map(v => String(v).trim()).filter(Boolean))];
+}
+
+/**
+ * Resolve user ids / emails to approved designer accounts.
+ *
+ * @param {string[]} invitees - User ids or email addresses
+ * @returns {Promise<{ designers: Array<{id, name, email}>, unresolved: string[] }>}
+ */
+export async function resolveInvitees(invitees) {
+    const designers = [];
+    const unresolved = [];
+    const seen = new Set();
+
+    for (const invitee of invitees) {
+        let userDoc = null;
+        if (invitee.includes('@')) {
+            const snapshot = await adminDb.collection('users')
+                .where('email', '==', invitee.toLowerCase())
+                .limit(1)
+                .get();
+            if (!snapshot.empty) userDoc = snapshot.docs[0];
+        } else {
+            const doc = await adminDb.collection('users').doc(invitee).get();
+            if (doc.exists) userDoc = doc;
+        }
+
+        if (!userDoc || userDoc.data().type !== 'designer') {
+            unresolved.push(invitee);
+            continue;
+        }
+        if (seen.has(userDoc.id)) continue;
+        seen.add(userDoc.id);
+
+        const d = userDoc.data();
+        designers.push({ id: userDoc.id, name: d.name || 'Designer', email: d.email || '' });
+    }
+
+    return { designers, unresolved };
+}
+
+/**
+ * True if the user may see the job. Public jobs are visible to everyone; drafts only
+ * to their poster.
+ */
+export function canViewJob(jobData, userId) {
+    if (jobData.status === 'draft') return !!userId && jobData.posterId === userId;
+    if (jobData.visibility !== 'private') return true;
+    if (!userId) return false;
+    return jobData.posterId === userId || (jobData.invitedDesignerIds || []).includes(userId);
+}
+
+/**
+ * Set `visibility: 'public'` on jobs created before private jobs existed, so the public
+ * listing (which filters on visibility in the query) includes them.
+ *
+ * @returns {Promise<number>} Number of jobs updated
+ */
+export async function backfillJobVisibility() {
+    const snapshot = await adminDb.collection('jobs').select('visibility').get();
+    const missing = snapshot.docs.filter(doc => !doc.get('visibility'));
+    for (let i = 0; i < missing.length; i += 400) {
+        const batch = adminDb.batch();
+        missing.slice(i, i + 400).forEach(doc => batch.update(doc.ref, { visibility: 'public' }));
+        await batch.commit();
+    }
+    console.log(`[JOB-INVITATIONS] Backfilled visibility on ${missing.length} jobs`);
+    return missing.length;
+}
+
+/**
+ * Startup migration: run the visibility backfill once per database, recorded in
+ * `migrations/job_visibility`, so deploying does not empty the public listing.
+ * Safe to run from several instances at once.
+ */
+export async function migrateJobVisibility() {
+    const markerRef = adminDb.collection('migrations').doc('job_visibility');
+    try {
+        if ((await markerRef.get()).exists) return 0;
+        const updated = await backfillJobVisibility();
+        await markerRef.set({ completedAt: new Date().toISOString(), updated });
+        return updated;
+    } catch (error) {
+        console.error('[JOB-INVITATIONS] Visibility migration failed:', error.message);
+        return 0;
+    }
+}
+
+/**
+ * Create invitation records for a private job, add the designers to the job's
+ * `invitedDesignerIds` and notify them. Designers already invited are skipped.
+ *
+ * @returns {Promise<Array>} The invitations that were created
+ */
+export async function createInvitations(jobId, jobData, designers, invitedBy) {
+    const existing = new Set(jobData.invitedDesignerIds || []);
+    const fresh = designers.filter(d => !existing.has(d.id));
+    if (fresh.length === 0) return [];
+
+    const now = new Date().toISOString();
+    const batch = adminDb.batch();
+    const invitations = fresh.map(designer => {
+        const ref = adminDb.collection(COLLECTION).doc(`${jobId}_${designer.id}`);
+        const invitation = {
+            jobId,
+            jobTitle: jobData.title,
+            contractorId: jobData.posterId,
+            contractorName: jobData.posterName || '',
+            designerId: designer.id,
+            designerName: designer.name,
+            designerEmail: designer.email,
+            status: 'pending',
+            invitedBy,
+            createdAt: now,
+            updatedAt: now
+        };
+        batch.set(ref, invitation);
+        return { id: ref.id, ...invitation };
+    });
+
+    batch.update(adminDb.collection('jobs').doc(jobId), {
+        invitedDesignerIds: admin.firestore.FieldValue.arrayUnion(...fresh.map(d => d.id))
+    });
+    await batch.commit();
+
+    for (const invitation of invitations) {
+        try {
+            await NotificationService.notifyJobInvitation(invitation, { id: jobId, ...jobData });
+        } catch (error) {
+            console.error(`Failed to notify invited designer ${invitation.designerId}:`, error);
+        }
+    }
+
+    return invitations;
+}
+
+/**
+ * Fetch a designer's invitation for a job (or null).
+ */
+export async function getInvitation(jobId, designerId) {
+    const doc = await adminDb.collection(COLLECTION).doc(`${jobId}_${designerId}`).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+}
+
+/**
+ * True if the designer holds an accepted invitation for the job.
+ */
+export async function hasAcceptedInvitation(jobId, designerId) {
+    const invitation = await getInvitation(jobId, designerId);
+    return !!invitation && invitation.status === 'accepted';
+}
+
+/**
+ * List invitations for a job, or for a designer.
+ */
+export async function listInvitations({ jobId = null, designerId = null } = {}) {
+    let query = adminDb.collection(COLLECTION);
+    if (jobId) query = query.where('jobId', '==', jobId);
+    if (designerId) query = query.where('designerId', '==', designerId);
+    const snapshot = await query.get();
+    const invitations = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    invitations.sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0));
+    return invitations;
+}
+
+export { COLLECTION as JOB_INVITATIONS_COLLECTION };
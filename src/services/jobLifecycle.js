@@ -0,0 +1,223 @@
+// src/services/jobLifecycle.js
+// Single source of truth for job status. Defines the allowed states and transitions,
+// records every change in the job's `statusHistory`, and rejects illegal transitions with
+// a JobTransitionError (HTTP 409). All routes and services change job status through here.
+// Also provides the transactional read-modify-write used by workflows that edit arrays on
+// the job document (milestones, change orders).
+
+import { adminDb, admin } from '../config/firebase.js';
+
+export const JOB_STATES = ['draft', 'open', 'assigned', 'in_review', 'completed', 'closed', 'cancelled', 'disputed'];
+
+// States in which the job's scope is fixed (no editing title/budget/attachments)
+export const LOCKED_STATES = ['assigned', 'in_review', 'completed', 'disputed'];
+
+// States in which the assigned designer is actively working
+export const ACTIVE_STATES = ['assigned', 'in_review'];
+
+// States the public job listing can be filtered by (drafts and cancelled/disputed jobs never list)
+export const LISTABLE_STATES = ['open', 'assigned', 'in_review', 'completed', 'closed'];
+
+const neverAssigned = (jobData) => !jobData.assignedTo;
+const milestonesAccepted = (jobData) => !jobData.milestones?.length || jobData.milestones.every(m => m.status === 'accepted');
+const MILESTONES_PENDING = 'A job with milestones can only be completed once every milestone is accepted.';
+
+/*
+ * from -> to -> rule
+ *   manual: the contractor may request this change directly via PUT /api/jobs/:id
+ *           (everything else only happens as a side effect of a workflow: quote approval,
+ *           completion review, milestones, disputes)
+ *   guard:  extra precondition on the job document, with the message shown when it fails
+ */
+const TRANSITIONS = {
+    draft: {
+        open: { manual: true },
+        cancelled: { manual: true }
+    },
+    open: {
+        draft: { manual: true, guard: (job) => !job.quotesCount, guardMessage: 'A job that has received quotes cannot be moved back to draft.' },
+        assigned: {},
+        closed: { manual: true },
+        cancelled: { manual: true }
+    },
+    // An assigned job is only cancelled by resolving a dispute, so the designer is heard
+    assigned: {
+        in_review: {},
+        completed: { manual: true, guard: milestonesAccepted, guardMessage: MILESTONES_PENDING },
+        disputed: {}
+    },
+    in_review: {
+        assigned: {},
+        completed: { manual: true, guard: milestonesAccepted, guardMessage: MILESTONES_PENDING },
+        disputed: {}
+    },
+    completed: {
+        closed: { manual: true },
+        disputed: {}
+    },
+    closed: {
+        open: { manual: true, guard: neverAssigned, guardMessage: 'Only jobs that were never assigned can be reopened.' }
+    },
+    cancelled: {
+        open: { manual: true, guard: neverAssigned, guardMessage: 'Only jobs that were never assigned can be reopened.' }
+    },
+    disputed: {
+        assigned: {},
+        completed: {},
+        cancelled: {}
+    }
+};
+
+// Timestamp field stamped when a job enters these states
+const STATE_TIMESTAMPS = {
+    open: 'publishedAt',
+    completed: 'completedAt',
+    closed: 'closedAt',
+    cancelled: 'cancelledAt'
+};
+
+export class JobTransitionError extends Error {
+    constructor(message, from, to) {
+        super(message);
+        this.name = 'JobTransitionError';
+        this.status = 409;
+        this.code = 'ILLEGAL_JOB_TRANSITION';
+        this.from = from;
+        this.to = to;
+    }
+}
+
+/**
+ * Send a JobTransitionError as the standard 409 response.
+ */
+export function sendTransitionError(res, error) {
+    return res.status(409).json({
+        success: false,
+        message: error.message,
+        error: error.message,
+        code: error.code,
+        data: { from: error.from, to: error.to, allowed: allowedTransitions(error.from) }
+    });
+}
+
+/**
+ * States reachable from `from`. With `manualOnly`, only those a contractor may set directly.
+ */
+export function allowedTransitions(from, { manualOnly = false } = {}) {
+    const rules = TRANSITIONS[from] || {};
+    return Object.keys(rules).filter(to => !manualOnly || rules[to].manual);
+}
+
+/**
+ * Throw a JobTransitionError unless `jobData` may move to `to`.
+ *
+ * @param {Object}  jobData
+ * @param {string}  to
+ * @param {Object}  [options]
+ * @param {boolean} [options.manual=false] - Requested directly by a user rather than a workflow
+ */
+export function assertTransition(jobData, to, { manual = false } = {}) {
+    const from = jobData.status || 'open';
+    if (!JOB_STATES.includes(to)) {
+        throw new JobTransitionError(`"${to}" is not a valid job status. Valid statuses: ${JOB_STATES.join(', ')}.`, from, to);
+    }
+    if (from === to) {
+        throw new JobTransitionError(`Job is already ${to}.`, from, to);
+    }
+
+    const rule = TRANSITIONS[from]?.[to];
+    if (!rule) {
+        throw new JobTransitionError(`Cannot move a job from ${from} to ${to}.`, from, to);
+    }
+    if (manual && !rule.manual) {
+        throw new JobTransitionError(`A job cannot be set to ${to} directly; this happens through the project workflow.`, from, to);
+    }
+    if (rule.guard && !rule.guard(jobData)) {
+        throw new JobTransitionError(rule.guardMessage, from, to);
+    }
+}
+
+/**
+ * Firestore fields for a transition, for callers that write the job inside their own
+ * batch. Call assertTransition first.
+ *
+ * @param {Object} jobData
+ * @param {string} to
+ * @param {Object} actor - { by, byName, via, reason }
+ */
+export function buildTransitionUpdate(jobData, to, { by = null, byName = '', via = 'system', reason = '' } = {}) {
+    const now = new Date().toISOString();
+    return {
+        status: to,
+        statusChangedAt: now,
+        ...(STATE_TIMESTAMPS[to] && { [STATE_TIMESTAMPS[to]]: now }),
+        statusHistory: admin.firestore.FieldValue.arrayUnion({
+            from: jobData.status || null,
+            to,
+            at: now,
+            by,
+            byName,
+            via,
+            ...(reason && { reason })
+        }),
+        updatedAt: now
+    };
+}
+
+/**
+ * First statusHistory entry for a newly created job.
+ */
+export function initialStatusHistory(status, { by = null, byName = '' } = {}) {
+    return [{ from: null, to: status, at: new Date().toISOString(), by, byName, via: 'create' }];
+}
+
+/**
+ * Read-modify-write a job in a transaction, so concurrent requests that rewrite the same
+ * array fields (milestones, change orders) cannot overwrite each other. `apply(job)` runs
+ * on the current document (again on every retry) and returns either `{ status, message }`
+ * to abort without writing, or `{ update, ...result }` to write `update`. It may throw a
+ * JobTransitionError.
+ *
+ * @returns {Promise<Object>} The abort response, or apply's result plus `job` (the job before the change)
+ */
+export async function updateJobInTransaction(jobId, apply) {
+    const jobRef = adminDb.collection('jobs').doc(jobId);
+
+    return adminDb.runTransaction(async (tx) => {
+        const jobDoc = await tx.get(jobRef);
+        if (!jobDoc.exists) {
+            return { status: 404, message: 'Project not found.' };
+        }
+        const job = { id: jobId, ...jobDoc.data() };
+        const result = apply(job);
+        if (!result.update) return result;
+
+        tx.update(jobRef, result.update);
+        return { ...result, job };
+    });
+}
+
+/**
+ * Transactionally move a job to `to`, merging `extraFields` into the same write.
+ *
+ * @returns {Promise<{ previous: Object, job: Object }>} The job before and after the change
+ * @throws {JobTransitionError} When the transition is not allowed
+ */
+export async function transitionJob(jobId, to, actor = {}, extraFields = {}) {
+    const jobRef = adminDb.collection('jobs').doc(jobId);
+
+    return adminDb.runTransaction(async (tx) => {
+        const jobDoc = await tx.get(jobRef);
+        if (!jobDoc.exists) {
+            throw new Error(`Job ${jobId} not found`);
+        }
+        const previous = { id: jobId, ...jobDoc.data() };
+        assertTransition(previous, to, { manual: actor.manual === true });
+
+        const update = { ...extraFields, ...buildTransitionUpdate(previous, to, actor) };
+        tx.update(jobRef, update);
+
+        const { statusHistory, ...rest } = update;
+        return { previous, job: { ...previous, ...rest } };
+    });
+}
@@ -0,0 +1,106 @@
+// src/services/jobMilestoneService.js
+// Milestone helpers for assigned jobs. A job carries a `milestones` array where each
+// entry has a deliverable, a due date and a share (%) of the job's approvedAmount.
+// The designer submits milestones one by one and the contractor signs each one off.
+
+import crypto from 'crypto';
+
+export const MILESTONE_STATUSES = ['pending', 'submitted', 'accepted', 'rejected'];
+
+/**
+ * Parse a currency-like amount ("$1,200", 1200) into a number. Returns 0 when invalid.
+ */
+function parseAmount(value) {
+    if (typeof value === 'number') return isFinite(value) ? value : 0;
+    const parsed = parseFloat(String(value || '').replace(/[^0-9.\-]/g, ''));
+    return isNaN(parsed) ? 0 : parsed;
+}
+
+/**
+ * Validate and normalise a milestone plan submitted by the contractor.
+ * Shares are percentages of approvedAmount and must add up to 100.
+ *
+ * @param {Array} input - Raw milestones from the request body
+ * @param {number|string} approvedAmount - The job's approved amount
+ * @returns {{ milestones?: Array, error?: string }}
+ */
+export function normalizeMilestonePlan(input, approvedAmount) {
+    if (!Array.isArray(input) || input.length === 0) {
+        return { error: 'At least one milestone is required.' };
+    }
+    if (input.length > 20) {
+        return { error: 'A job can have at most 20 milestones.' };
+    }
+
+    const total = parseAmount(approvedAmount);
+    const now = new Date().toISOString();
+    const milestones = [];
+    let shareSum = 0;
+
+    for (let i = 0; i < input.length; i++) {
+        const m = input[i] || {};
+        const title = typeof m.title === 'string' ? m.title.trim() : '';
+        const deliverable = typeof m.deliverable === 'string' ? m.deliverable.trim() : '';
+        const share = parseFloat(m.amountShare);
+
+        if (!title) return { error: `Milestone ${i + 1} needs a title.` };
+        if (!deliverable) return { error: `Milestone "${title}" needs a deliverable.` };
+        if (isNaN(share) || share <= 0 || share > 100) {
+            return { error: `Milestone "${title}" must have an amount share between 0 and 100.` };
+        }
+
+        let dueDate = null;
+        if (m.dueDate) {
+            const parsed = new Date(m.dueDate);
+            if (isNaN(parsed.getTime())) return { error: `Milestone "${title}" has an invalid due date.` };
+            dueDate = parsed.toISOString();
+        }
+
+        shareSum += share;
+        milestones.push({
+            id: crypto.randomUUID(), // Always server-side, so ids are unique within the job
+            order: i + 1,
+            title,
+            deliverable,
+            dueDate,
+            amountShare: Math.round(share * 100) / 100,
+            amount: Math.round(total * share) / 100,
+            status: 'pending',
+            submission: null,
+            completionHistory: [],
+            createdAt: now,
+            updatedAt: now
+        });
+    }
+
+    if (Math.abs(shareSum - 100) > 0.01) {
+        return { error: `Milestone amount shares must add up to 100% (currently ${Math.round(shareSum * 100) / 100}%).` };
+    }
+
+    return { milestones };
+}
+
+/**
+ * True once every milestone on the job has been accepted by the contractor.
+ */
+export function allMilestonesAccepted(milestones = []) {
+    return milestones.length > 0 && milestones.every(m => m.status === 'accepted');
+}
+
+/**
+ * Sum of the amount shares (%) of accepted milestones - used as the job's confirmed
+ * completion percentage.
+ */
+export function acceptedShare(milestones = []) {
+    const sum = milestones
+        .filter(m => m.status === 'accepted')
+        .reduce((s, m) => s + (m.amountShare || 0), 0);
+    return Math.min(100, Math.round(sum));
+}
+
+/**
+ * A plan can only be replaced while no milestone has been submitted or signed off.
+ */
+export function canReplacePlan(milestones = []) {
+    return milestones.every(m => m.status === 'pending');
+}
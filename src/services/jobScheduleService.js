@@ -0,0 +1,160 @@
+// src/services/jobScheduleService.js
+// Due dates and schedule health for assigned jobs. The due date is derived from the
+// approved quote's timeline (in days); a scheduled sweep compares the latest completion
+// percentage with the share of time elapsed and flags jobs as at-risk or overdue.
+
+import { adminDb } from '../config/firebase.js';
+import { NotificationService } from './NotificationService.js';
+import { ACTIVE_STATES } from './jobLifecycle.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SWEEP_INTERVAL = 60 * 60 * 1000; // Check schedules every hour
+
+// A job is at risk when progress trails elapsed time by more than this many points,
+// once at least AT_RISK_MIN_ELAPSED of the schedule has passed
+const AT_RISK_MARGIN = 20;
+const AT_RISK_MIN_ELAPSED = 0.25;
+
+export const SCHEDULE_STATUSES = ['on_track', 'at_risk', 'overdue'];
+
+let sweepIntervalHandle = null;
+
+function toMillis(value) {
+    if (!value) return null;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+    if (value._seconds) return value._seconds * 1000;
+    const parsed = new Date(value).getTime();
+    return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Due date for a quote timeline of `timelineDays` days starting at `from`.
+ *
+ * @returns {string|null} ISO date, or null when the timeline is missing/invalid
+ */
+export function deriveDueDate(timelineDays, from = new Date()) {
+    const days = parseInt(timelineDays);
+    if (isNaN(days) || days <= 0) return null;
+    return new Date(new Date(from).getTime() + days * DAY_MS).toISOString();
+}
+
+/**
+ * Shift a due date by a number of days (change orders). Returns the input when it
+ * cannot be parsed.
+ */
+export function shiftDueDate(dueDate, deltaDays) {
+    const base = toMillis(dueDate);
+    if (!base || !deltaDays) return dueDate || null;
+    return new Date(base + deltaDays * DAY_MS).toISOString();
+}
+
+/**
+ * Latest reported progress: the most recent completion update unless it was rejected,
+ * in which case the last accepted percentage.
+ */
+function latestProgress(jobData) {
+    const update = jobData.completionUpdate;
+    if (update && update.status !== 'rejected' && typeof update.percentage === 'number') {
+        return update.percentage;
+    }
+    return jobData.completionPercentage || 0;
+}
+
+/**
+ * Assess a job's schedule at `now`.
+ *
+ * @returns {{ scheduleStatus: string, expectedProgress: number, actualProgress: number,
+ *   elapsedRatio: number, daysRemaining: number } | null} null when the job has no due date
+ */
+export function assessSchedule(jobData, now = Date.now()) {
+    const due = toMillis(jobData.dueDate);
+    const start = toMillis(jobData.assignedAt);
+    if (!due || !start || due <= start) return null;
+
+    const elapsedRatio = Math.min(Math.max((now - start) / (due - start), 0), 1);
+    const expectedProgress = Math.round(elapsedRatio * 100);
+    const actualProgress = latestProgress(jobData);
+
+    let scheduleStatus = 'on_track';
+    if (now > due && actualProgress < 100) {
+        scheduleStatus = 'overdue';
+    } else if (elapsedRatio >= AT_RISK_MIN_ELAPSED && expectedProgress - actualProgress > AT_RISK_MARGIN) {
+        scheduleStatus = 'at_risk';
+    }
+
+    return {
+        scheduleStatus,
+        expectedProgress,
+        actualProgress,
+        elapsedRatio: Math.round(elapsedRatio * 100) / 100,
+        daysRemaining: Math.ceil((due - now) / DAY_MS)
+    };
+}
+
+/**
+ * Re-assess every active job with a due date. Jobs whose schedule status changes are
+ * updated, and both parties are notified when a job becomes at-risk or overdue.
+ */
+export async function runScheduleSweep() {
+    try {
+        const snapshot = await adminDb.collection('jobs').where('status', 'in', ACTIVE_STATES).get();
+        const now = Date.now();
+        let flagged = 0;
+
+        for (const doc of snapshot.docs) {
+            const jobData = { id: doc.id, ...doc.data() };
+            const assessment = assessSchedule(jobData, now);
+            if (!assessment) continue;
+
+            const previous = jobData.scheduleStatus || 'on_track';
+            if (assessment.scheduleStatus === previous) continue;
+
+            await doc.ref.update({
+                scheduleStatus: assessment.scheduleStatus,
+                scheduleAssessment: { ...assessment, assessedAt: new Date(now).toISOString() }
+            });
+
+            if (assessment.scheduleStatus !== 'on_track') {
+                flagged++;
+                try {
+                    await NotificationService.notifyScheduleStatus(jobData, assessment);
+                } catch (error) {
+                    console.error(`[SCHEDULE] Failed to notify for job ${doc.id}:`, error.message);
+                }
+            }
+        }
+
+        console.log(`[SCHEDULE] Sweep complete: ${snapshot.size} active jobs checked, ${flagged} newly flagged`);
+        return flagged;
+    } catch (error) {
+        console.error('[SCHEDULE] Sweep error:', error.message);
+        return 0;
+    }
+}
+
+/**
+ * Start the schedule sweep scheduler
+ */
+export function startScheduleSweep() {
+    if (sweepIntervalHandle) {
+        console.log('[SCHEDULE] Schedule sweep already running');
+        return;
+    }
+
+    console.log(`[SCHEDULE] Starting schedule sweep (checking every ${SWEEP_INTERVAL / 60000} minutes)`);
+    sweepIntervalHandle = setInterval(runScheduleSweep, SWEEP_INTERVAL);
+
+    // Run an initial check after 90 seconds (let server finish starting)
+    setTimeout(runScheduleSweep, 90000);
+}
+
+/**
+ * Stop the schedule sweep scheduler
+ */
+export function stopScheduleSweep() {
+    if (sweepIntervalHandle) {
+        clearInterval(sweepIntervalHandle);
+        sweepIntervalHandle = null;
+        console.log('[SCHEDULE] Schedule sweep stopped');
+    }
+}
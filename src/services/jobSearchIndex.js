@@ -0,0 +1,438 @@
+// src/services/jobSearchIndex.js
+// Search index for the `jobs` collection. Firestore has no full-text search, so each job
+// gets a lightweight companion document in `job_search_index` (tokens and their prefixes,
+// parsed budget, normalised facets). Searches query the index with Firestore filters
+// (`array-contains` on the terms, equality on facets, ordered by the sort field), check
+// the remaining criteria on the entries read and then hydrate the matching page from
+// `jobs`. The index is kept in sync from routes/jobs.js.
+//
+// Queries need composite indexes on job_search_index: status + visibility (+ jobType)
+// (+ terms or skills array-contains) ordered by createdAtMs / budgetHighKey / budgetLowKey
+// and __name__; Firestore logs the link to create any that are missing. Entries indexed
+// before `terms` and the budget sort keys existed are picked up after a rebuild
+// (POST /api/admin/jobs/search-index/rebuild).
+
+import { adminDb, admin } from '../config/firebase.js';
+
+const INDEX_COLLECTION = 'job_search_index';
+const MAX_TOKENS = 400;
+const MAX_TERMS = 2000;
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+const SCAN_BATCH = 100;
+const MAX_SCAN = 500; // Index entries read per search request at most
+
+// sort -> [index field, direction]
+const SORT_FIELDS = {
+    relevance: ['createdAtMs', 'desc'],
+    newest: ['createdAtMs', 'desc'],
+    budget_high: ['budgetHighKey', 'desc'],
+    budget_low: ['budgetLowKey', 'asc']
+};
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in',
+    'is', 'it', 'its', 'of', 'on', 'or', 'our', 'that', 'the', 'this', 'to', 'we', 'will',
+    'with', 'you', 'your'
+]);
+
+// Budget facet buckets (upper bound exclusive)
+const BUDGET_BUCKETS = [
+    { key: 'under_1k', label: 'Under $1,000', min: 0, max: 1000 },
+    { key: '1k_5k', label: '$1,000 - $5,000', min: 1000, max: 5000 },
+    { key: '5k_10k', label: '$5,000 - $10,000', min: 5000, max: 10000 },
+    { key: '10k_50k', label: '$10,000 - $50,000', min: 10000, max: 50000 },
+    { key: '50k_plus', label: '$50,000+', min: 50000, max: Infinity }
+];
+
+const POSTED_BUCKETS = [
+    { key: 'last_24h', label: 'Last 24 hours', ms: 24 * 60 * 60 * 1000 },
+    { key: 'last_7d', label: 'Last 7 days', ms: 7 * 24 * 60 * 60 * 1000 },
+    { key: 'last_30d', label: 'Last 30 days', ms: 30 * 24 * 60 * 60 * 1000 }
+];
+
+/**
+ * Lowercase, strip punctuation and drop stop words / single characters.
+ */
+export function tokenize(text) {
+    if (!text) return [];
+    return String(text)
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(t => t.length > 1 && !STOP_WORDS.has(t));
+}
+
+function normalizeFacet(value) {
+    return typeof value === 'string' ? value.trim().toLowerCase() : '';
+}
+
+/**
+ * Pull the numeric range out of a free-form budget string ("$5,000", "5000-8000", "10k").
+ */
+export function parseBudget(budget) {
+    if (typeof budget === 'number') return { min: budget, max: budget };
+    const matches = String(budget || '')
+        .toLowerCase()
+        .replace(/,/g, '')
+        .match(/\d+(\.\d+)?k?/g);
+    if (!matches) return { min: null, max: null };
+    const values = matches.map(v => v.endsWith('k') ? parseFloat(v) * 1000 : parseFloat(v));
+    return { min: Math.min(...values), max: Math.max(...values) };
+}
+
+// Undated jobs sort as the oldest
+function toMillis(value) {
+    if (!value) return 0;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+    if (value._seconds) return value._seconds * 1000;
+    const parsed = new Date(value).getTime();
+    return isNaN(parsed) ? 0 : parsed;
+}
+
+// Tokens plus their prefixes, so a single array-contains matches partial words ("beam" -> "beams")
+function searchTerms(tokens) {
+    const terms = new Set();
+    for (const token of tokens) {
+        for (let i = 2; i <= token.length; i++) terms.add(token.substring(0, i));
+        if (terms.size >= MAX_TERMS) break;
+    }
+    return [...terms].slice(0, MAX_TERMS);
+}
+
+/**
+ * Build the index document for a job.
+ */
+export function buildSearchDocument(jobId, jobData) {
+    const skills = (Array.isArray(jobData.skills) ? jobData.skills : [])
+        .map(normalizeFacet)
+        .filter(Boolean);
+    const titleTokens = [...new Set(tokenize(jobData.title))];
+    const tokens = [...new Set([
+        ...titleTokens,
+        ...tokenize(jobData.description),
+        ...skills.flatMap(tokenize)
+    ])].slice(0, MAX_TOKENS);
+    const budget = parseBudget(jobData.budget);
+
+    return {
+        jobId,
+        status: jobData.status || 'open',
+        visibility: jobData.visibility || 'public',
+        posterId: jobData.posterId || null,
+        titleTokens,
+        tokens,
+        terms: searchTerms(tokens),
+        skills,
+        location: normalizeFacet(jobData.location),
+        jobType: normalizeFacet(jobData.jobType),
+        budgetMin: budget.min,
+        budgetMax: budget.max,
+        // Sort keys: jobs without a budget go last in both budget orders
+        budgetHighKey: budget.max ?? -1,
+        budgetLowKey: budget.min ?? Number.MAX_SAFE_INTEGER,
+        createdAtMs: toMillis(jobData.createdAt),
+        indexedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Create or refresh the index entry for a job.
+ */
+export async function indexJob(jobId, jobData) {
+    try {
+        await adminDb.collection(INDEX_COLLECTION).doc(jobId).set(buildSearchDocument(jobId, jobData));
+    } catch (error) {
+        console.error(`[JOB-SEARCH] Failed to index job ${jobId}:`, error.message);
+    }
+}
+
+/**
+ * Re-read a job and refresh its index entry (removes the entry if the job is gone).
+ */
+export async function indexJobById(jobId) {
+    try {
+        const jobDoc = await adminDb.collection('jobs').doc(jobId).get();
+        if (!jobDoc.exists) return removeJobFromIndex(jobId);
+        await indexJob(jobId, jobDoc.data());
+    } catch (error) {
+        console.error(`[JOB-SEARCH] Failed to refresh index for job ${jobId}:`, error.message);
+    }
+}
+
+/**
+ * Drop a job from the index.
+ */
+export async function removeJobFromIndex(jobId) {
+    try {
+        await adminDb.collection(INDEX_COLLECTION).doc(jobId).delete();
+    } catch (error) {
+        console.error(`[JOB-SEARCH] Failed to remove job ${jobId} from index:`, error.message);
+    }
+}
+
+/**
+ * Rebuild the whole index from the `jobs` collection (backfill / repair).
+ */
+export async function rebuildJobSearchIndex() {
+    const snapshot = await adminDb.collection('jobs').get();
+    let indexed = 0;
+    for (let i = 0; i < snapshot.docs.length; i += 400) {
+        const batch = adminDb.batch();
+        snapshot.docs.slice(i, i + 400).forEach(doc => {
+            batch.set(adminDb.collection(INDEX_COLLECTION).doc(doc.id), buildSearchDocument(doc.id, doc.data()));
+            indexed++;
+        });
+        await batch.commit();
+    }
+    console.log(`[JOB-SEARCH] Rebuilt index for ${indexed} jobs`);
+    return indexed;
+}
+
+// Relevance: every query term must match (prefix match allowed); title hits weigh more.
+function scoreEntry(entry, terms) {
+    if (terms.length === 0) return 0;
+    let score = 0;
+    for (const term of terms) {
+        const inTitle = entry.titleTokens.some(t => t === term || t.startsWith(term));
+        const inBody = inTitle || entry.tokens.some(t => t === term || t.startsWith(term));
+        if (!inBody) return -1;
+        score += inTitle ? 3 : 1;
+    }
+    return score;
+}
+
+// The cursor is the sort value and id of the last index entry a page consumed
+function encodeCursor(value, id) {
+    return Buffer.from(JSON.stringify({ v: value, id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return typeof parsed.v === 'number' && parsed.id ? parsed : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * The Firestore query over the index for compiled criteria. Firestore allows one array
+ * filter per query, so it takes the longest keyword (or else the first skill); the other
+ * keywords, skills, location and budget are checked on the entries read.
+ */
+function buildIndexQuery(criteria, [field, direction]) {
+    let query = adminDb.collection(INDEX_COLLECTION)
+        .where('status', '==', 'open')
+        .where('visibility', '==', 'public');
+    if (criteria.jobType) query = query.where('jobType', '==', criteria.jobType);
+
+    const term = [...criteria.terms].sort((a, b) => b.length - a.length)[0];
+    if (term) {
+        query = query.where('terms', 'array-contains', term);
+    } else if (criteria.skills.length) {
+        query = query.where('skills', 'array-contains', criteria.skills[0]);
+    }
+
+    // Range filters must be on the first order field
+    if (field === 'createdAtMs') {
+        if (criteria.afterMs) query = query.where('createdAtMs', '>=', criteria.afterMs);
+        if (criteria.beforeMs) query = query.where('createdAtMs', '<=', criteria.beforeMs);
+    }
+    return query.orderBy(field, direction).orderBy(admin.firestore.FieldPath.documentId());
+}
+
+function buildFacets(entries, now) {
+    const jobType = {};
+    const location = {};
+    const skills = {};
+    const budget = Object.fromEntries(BUDGET_BUCKETS.map(b => [b.key, 0]));
+    const posted = Object.fromEntries(POSTED_BUCKETS.map(b => [b.key, 0]));
+
+    for (const e of entries) {
+        if (e.jobType) jobType[e.jobType] = (jobType[e.jobType] || 0) + 1;
+        if (e.location) location[e.location] = (location[e.location] || 0) + 1;
+        e.skills.forEach(s => { skills[s] = (skills[s] || 0) + 1; });
+        if (e.budgetMax !== null && e.budgetMax !== undefined) {
+            const bucket = BUDGET_BUCKETS.find(b => e.budgetMax >= b.min && e.budgetMax < b.max);
+            if (bucket) budget[bucket.key]++;
+        }
+        POSTED_BUCKETS.forEach(b => { if (now - e.createdAtMs <= b.ms) posted[b.key]++; });
+    }
+
+    const toList = (counts, max = 20) => Object.entries(counts)
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+        .slice(0, max);
+
+    return {
+        jobType: toList(jobType),
+        location: toList(location),
+        skills: toList(skills),
+        budget: BUDGET_BUCKETS.map(b => ({ value: b.key, label: b.label, count: budget[b.key] })),
+        posted: POSTED_BUCKETS.map(b => ({ value: b.key, label: b.label, count: posted[b.key] }))
+    };
+}
+
+/**
+ * Normalise search criteria once so they can be matched against many index entries.
+ */
+export function compileCriteria({
+    q = '',
+    budgetMin = null,
+    budgetMax = null,
+    location = '',
+    jobType = '',
+    skills = [],
+    postedAfter = null,
+    postedBefore = null
+} = {}) {
+    const minBudget = budgetMin !== null && budgetMin !== '' ? parseFloat(budgetMin) : null;
+    const maxBudget = budgetMax !== null && budgetMax !== '' ? parseFloat(budgetMax) : null;
+    return {
+        terms: [...new Set(tokenize(q))],
+        skills: (skills || []).map(normalizeFacet).filter(Boolean),
+        location: normalizeFacet(location),
+        jobType: normalizeFacet(jobType),
+        afterMs: postedAfter ? new Date(postedAfter).getTime() : null,
+        beforeMs: postedBefore ? new Date(postedBefore).getTime() : null,
+        minBudget: minBudget !== null && !isNaN(minBudget) ? minBudget : null,
+        maxBudget: maxBudget !== null && !isNaN(maxBudget) ? maxBudget : null
+    };
+}
+
+/**
+ * Match an index entry against compiled criteria.
+ *
+ * @returns {number} Relevance score, or -1 if the entry does not match
+ */
+export function matchEntry(entry, criteria) {
+    const score = scoreEntry(entry, criteria.terms);
+    if (score < 0) return -1;
+    if (criteria.jobType && entry.jobType !== criteria.jobType) return -1;
+    if (criteria.location && !entry.location.includes(criteria.location)) return -1;
+    if (criteria.skills.length && !criteria.skills.every(s => entry.skills.includes(s))) return -1;
+    if (criteria.afterMs && entry.createdAtMs < criteria.afterMs) return -1;
+    if (criteria.beforeMs && entry.createdAtMs > criteria.beforeMs) return -1;
+    if (criteria.minBudget !== null && (entry.budgetMax === null || entry.budgetMax < criteria.minBudget)) return -1;
+    if (criteria.maxBudget !== null && (entry.budgetMin === null || entry.budgetMin > criteria.maxBudget)) return -1;
+    return score;
+}
+
+// Read index entries in query order from `position` (exclusive) and keep those matching the
+// criteria, until `maxMatches` matched (when given), MAX_SCAN entries read or the end
+async function scanIndex(baseQuery, order, criteria, filter, position, maxMatches = Infinity) {
+    const matched = [];
+    let lastRead = null;
+    let scanned = 0;
+    let exhausted = false;
+
+    while (matched.length < maxMatches && scanned < MAX_SCAN) {
+        const batchSize = Math.min(SCAN_BATCH, MAX_SCAN - scanned);
+        let query = baseQuery.limit(batchSize);
+        if (position) query = query.startAfter(position.v, position.id);
+        const snapshot = await query.get();
+
+        for (const doc of snapshot.docs) {
+            scanned++;
+            lastRead = doc;
+            const entry = doc.data();
+            if (filter && !filter(entry)) continue;
+            const score = matchEntry(entry, criteria);
+            if (score < 0) continue;
+            matched.push({ ...entry, jobId: entry.jobId || doc.id, score, doc });
+            if (matched.length >= maxMatches) break;
+        }
+
+        if (snapshot.size < batchSize) {
+            exhausted = matched.length < maxMatches;
+            break;
+        }
+        position = { v: lastRead.get(order[0]), id: lastRead.id };
+    }
+
+    return { matched, lastRead, exhausted };
+}
+
+/**
+ * Search open jobs.
+ *
+ * Each request reads at most MAX_SCAN index entries. The first page (no cursor) reads the
+ * whole result set up to that cap, so its `total` and `facets` count every matching job;
+ * when the cap was hit they only cover the first MAX_SCAN entries and `capped` is true.
+ * Later pages read only until their page is full and return `total` and `facets` as null.
+ * When MAX_SCAN entries are read without filling a page (criteria checked in memory are
+ * very selective), the page is returned short with a cursor to continue from. With
+ * `sort=relevance`, pages follow recency and title matches rank first within each page.
+ *
+ * @param {Object} params
+ * @param {string} params.q             - Keywords matched against title/description/skills
+ * @param {number} params.budgetMin     - Minimum budget
+ * @param {number} params.budgetMax     - Maximum budget
+ * @param {string} params.location      - Location (case-insensitive, substring)
+ * @param {string} params.jobType       - Job type (exact, case-insensitive)
+ * @param {string[]} params.skills      - Required skills (job must list all of them)
+ * @param {string} params.postedAfter   - ISO date
+ * @param {string} params.postedBefore  - ISO date
+ * @param {string} params.sort          - relevance | newest | budget_high | budget_low
+ * @param {number} params.limit         - Page size
+ * @param {string} params.cursor        - Opaque cursor from the previous page
+ * @param {Function} params.filter      - Optional extra predicate on index entries
+ * @returns {Promise<{ jobs: Array, facets: Object|null, total: number|null, capped: boolean, nextCursor: string|null }>}
+ */
+export async function searchJobs({
+    q = '',
+    budgetMin = null,
+    budgetMax = null,
+    location = '',
+    jobType = '',
+    skills = [],
+    postedAfter = null,
+    postedBefore = null,
+    sort = 'relevance',
+    limit = DEFAULT_LIMIT,
+    cursor = null,
+    filter = null
+} = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const criteria = compileCriteria({ q, budgetMin, budgetMax, location, jobType, skills, postedAfter, postedBefore });
+    const order = SORT_FIELDS[sort] || SORT_FIELDS.relevance;
+    const baseQuery = buildIndexQuery(criteria, order);
+
+    // The first page reads the full result set (for total and facets); later pages read
+    // until the page plus one entry (to know there is more) is full
+    const firstPage = !cursor;
+    const { matched, lastRead, exhausted } = await scanIndex(
+        baseQuery, order, criteria, filter, firstPage ? null : decodeCursor(cursor), firstPage ? Infinity : pageSize + 1
+    );
+
+    const page = matched.slice(0, pageSize);
+    let nextCursor = null;
+    if (matched.length > pageSize) {
+        const last = page[page.length - 1].doc;
+        nextCursor = encodeCursor(last.get(order[0]), last.id);
+    } else if (!exhausted && lastRead) {
+        nextCursor = encodeCursor(lastRead.get(order[0]), lastRead.id);
+    }
+
+    if (sort === 'relevance' && criteria.terms.length) {
+        page.sort((a, b) => b.score - a.score || b.createdAtMs - a.createdAtMs);
+    }
+
+    let jobs = [];
+    if (page.length > 0) {
+        const refs = page.map(m => adminDb.collection('jobs').doc(m.jobId));
+        const docs = await adminDb.getAll(...refs);
+        const byId = new Map(docs.filter(d => d.exists).map(d => [d.id, d.data()]));
+        jobs = page
+            .filter(m => byId.has(m.jobId) && byId.get(m.jobId).status === 'open')
+            .map(m => ({ id: m.jobId, ...byId.get(m.jobId), relevance: m.score }));
+    }
+
+    return {
+        jobs,
+        facets: firstPage ? buildFacets(matched, Date.now()) : null,
+        total: firstPage ? matched.length : null,
+        capped: firstPage && !exhausted,
+        nextCursor
+    };
+}
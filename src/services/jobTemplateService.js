@@ -0,0 +1,230 @@
+// src/services/jobTemplateService.js
+// Reusable job templates for contractors, and the shared "new draft from a source" logic
+// used when a job is created from a template or cloned from an older job. Attachments are
+// copied inside Firebase Storage so templates and clones own their files independently of
+// the job they came from (which may later be archived and purged).
+
+import { adminDb, admin } from '../config/firebase.js';
+import { copyFileInFirebase, deleteFileFromFirebase, resolveStoragePath } from '../utils/firebaseStorage.js';
+import { initialStatusHistory } from './jobLifecycle.js';
+import { applyRevisions } from './drawingRevisionService.js';
+
+const COLLECTION = 'job_templates';
+const MAX_TEMPLATES_PER_USER = 50;
+
+// Job fields a template carries over
+const TEMPLATE_FIELDS = ['title', 'description', 'budget', 'location', 'jobType', 'skills', 'link'];
+
+function parseSkills(value) {
+    if (Array.isArray(value)) return value.map(s => String(s).trim()).filter(Boolean);
+    if (typeof value === 'string') return value.split(',').map(s => s.trim()).filter(Boolean);
+    return [];
+}
+
+function pickJobFields(source) {
+    const fields = {};
+    for (const key of TEMPLATE_FIELDS) {
+        if (source[key] === undefined) continue;
+        fields[key] = key === 'skills' ? parseSkills(source[key]) : String(source[key] ?? '').trim();
+    }
+    return fields;
+}
+
+/**
+ * Validate a template from the request body. With `existing`, only provided fields change.
+ *
+ * @returns {{ template?: Object, error?: string }}
+ */
+export function normalizeTemplate(body, existing = null) {
+    const template = { ...(existing ? pickJobFields(existing) : {}), ...pickJobFields(body) };
+
+    const name = body.name !== undefined ? String(body.name || '').trim() : existing?.name;
+    template.name = name || template.title || '';
+    if (!template.name) {
+        return { error: 'A template needs a name or a title.' };
+    }
+    if (template.name.length > 120) {
+        return { error: 'Template name cannot exceed 120 characters.' };
+    }
+    return { template };
+}
+
+/**
+ * Template fields taken from an existing job.
+ */
+export function templateFromJob(jobData, name) {
+    return { ...pickJobFields(jobData), name: String(name || '').trim() || jobData.title || 'Untitled template' };
+}
+
+/**
+ * Copy attachments into `folder/userId/` in Firebase Storage, keeping drawing sheet and
+ * revision tags. Attachments whose storage path cannot be resolved or whose copy fails are
+ * skipped and returned in `skipped`.
+ *
+ * @returns {Promise<{ attachments: Object[], skipped: string[] }>}
+ */
+export async function copyAttachments(attachments = [], folder, userId) {
+    const copied = [];
+    const skipped = [];
+
+    for (const [index, attachment] of attachments.entries()) {
+        const sourcePath = resolveStoragePath(attachment);
+        const name = attachment.name || 'Unknown File';
+        if (!sourcePath) {
+            skipped.push(name);
+            continue;
+        }
+        const fileName = sourcePath.split('/').pop().replace(/^\d+_\d+_/, '');
+        try {
+            const file = await copyFileInFirebase(sourcePath, `${folder}/${userId}/${Date.now()}_${index}_${fileName}`);
+            copied.push({
+                name,
+                url: file.url,
+                path: file.path,
+                uploadedAt: file.uploadedAt,
+                size: file.size || attachment.size || 0,
+                ...(attachment.sheetNumber && { sheetNumber: attachment.sheetNumber, revision: attachment.revision })
+            });
+        } catch (error) {
+            console.warn(`[JOB-TEMPLATES] Could not copy attachment ${sourcePath}:`, error.message);
+            skipped.push(name);
+        }
+    }
+
+    return { attachments: copied, skipped };
+}
+
+/**
+ * Delete stored files of attachments (best effort).
+ */
+export async function deleteAttachmentFiles(attachments = []) {
+    for (const attachment of attachments) {
+        const path = resolveStoragePath(attachment);
+        if (!path) continue;
+        try {
+            await deleteFileFromFirebase(path);
+        } catch (error) {
+            console.warn(`[JOB-TEMPLATES] Could not delete storage file ${path}:`, error.message);
+        }
+    }
+}
+
+/**
+ * A contractor's templates, most recently updated first.
+ */
+export async function listTemplates(userId) {
+    const snapshot = await adminDb.collection(COLLECTION).where('ownerId', '==', userId).get();
+    const templates = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    templates.sort((a, b) => new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0));
+    return templates;
+}
+
+/**
+ * Load a template by id (or null).
+ */
+export async function getTemplate(templateId) {
+    const doc = await adminDb.collection(COLLECTION).doc(templateId).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+}
+
+/**
+ * Create a template. `attachments` must already be owned by the template (uploaded or
+ * copied). Returns null when the user is at the limit.
+ */
+export async function createTemplate(userId, template, attachments = [], sourceJobId = null) {
+    const existing = await adminDb.collection(COLLECTION).where('ownerId', '==', userId).get();
+    if (existing.size >= MAX_TEMPLATES_PER_USER) return null;
+
+    const now = new Date().toISOString();
+    const data = {
+        ownerId: userId,
+        ...template,
+        attachments,
+        sourceJobId,
+        usageCount: 0,
+        lastUsedAt: null,
+        createdAt: now,
+        updatedAt: now
+    };
+    const ref = await adminDb.collection(COLLECTION).add(data);
+    return { id: ref.id, ...data };
+}
+
+export async function updateTemplate(templateId, updates) {
+    const updateData = { ...updates, updatedAt: new Date().toISOString() };
+    await adminDb.collection(COLLECTION).doc(templateId).update(updateData);
+    return updateData;
+}
+
+/**
+ * Delete a template together with its stored attachment copies.
+ */
+export async function deleteTemplate(template) {
+    await adminDb.collection(COLLECTION).doc(template.id).delete();
+    await deleteAttachmentFiles(template.attachments);
+}
+
+/**
+ * Record that a template was used to create a job.
+ */
+export async function markTemplateUsed(templateId) {
+    await adminDb.collection(COLLECTION).doc(templateId).update({
+        usageCount: admin.firestore.FieldValue.increment(1),
+        lastUsedAt: new Date().toISOString()
+    });
+}
+
+/**
+ * Create a draft job from a template or an older job. Fields in `overrides` replace the
+ * source's; attachments are copied, and tagged drawings start the new job's revision
+ * history at their current revision. A private source job stays private and its invitees
+ * are invited when the draft is published.
+ *
+ * @param {Object} source    - Template or job data
+ * @param {Object} overrides - Request body
+ * @param {Object} user      - req.user
+ * @param {Object} origin    - { templateId } or { clonedFromJobId }
+ * @returns {Promise<{ job?: Object, skippedAttachments?: string[], error?: string }>}
+ */
+export async function createDraftFromSource(source, overrides, user, origin) {
+    const fields = { ...pickJobFields(source), ...pickJobFields(overrides || {}) };
+    if (!fields.title || !fields.description) {
+        return { error: 'Title and description are required' };
+    }
+    const { attachments: copied, skipped } = await copyAttachments(source.attachments || [], 'job-attachments', user.userId);
+    const tags = copied.map(a => a.sheetNumber ? { sheetNumber: a.sheetNumber, revision: a.revision } : null);
+    const { attachments, drawingRevisions } = applyRevisions({}, copied.map(({ sheetNumber, revision, ...file }) => file), tags, user);
+
+    const isPrivate = source.visibility === 'private' && (source.invitedDesignerIds || []).length > 0;
+    const jobData = {
+        title: fields.title,
+        description: fields.description,
+        budget: fields.budget || '0',
+        deadline: overrides?.deadline || null,
+        link: fields.link || '',
+        location: fields.location || '',
+        jobType: fields.jobType || '',
+        skills: fields.skills || [],
+        visibility: isPrivate ? 'private' : 'public',
+        invitedDesignerIds: [],
+        ...(isPrivate && { draftInviteeIds: source.invitedDesignerIds }),
+        attachments,
+        drawingRevisions,
+        posterId: user.userId,
+        posterName: user.name || 'Unknown User',
+        status: 'draft',
+        statusHistory: initialStatusHistory('draft', { by: user.userId, byName: user.name || '' }),
+        quotesCount: 0,
+        ...origin,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    const jobRef = await adminDb.collection('jobs').add(jobData);
+    console.log(`[JOB-TEMPLATES] Draft job ${jobRef.id} created from ${origin.templateId ? `template ${origin.templateId}` : `job ${origin.clonedFromJobId}`}`);
+
+    return {
+        job: { id: jobRef.id, ...jobData, createdAt: new Date().toISOString(), updatedAt: new Date().toISOString() },
+        skippedAttachments: skipped
+    };
+}
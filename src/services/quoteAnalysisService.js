@@ -0,0 +1,246 @@
+// src/services/quoteAnalysisService.js
+// Quote comparison for a contractor's job: price and timeline statistics, a ranking under
+// the contractor's scoring criteria (see quoteScoringService), recommendations and the line
+// item comparison matrix. Shared by the JSON analysis endpoint and the PDF/XLSX exports so
+// every view shows the same numbers.
+
+import { adminDb } from '../config/firebase.js';
+import { getUserReputation } from './reputationService.js';
+import { buildComparisonMatrix } from './quoteLineItemService.js';
+import { isBidSealed, ensureBidsOpened, sealedBidSummary } from './sealedBidService.js';
+import { INACTIVE_QUOTE_STATUSES, isQuoteLapsed } from './quoteValidityService.js';
+import { rankQuotes, resolveScoring, DEFAULT_SCORING } from './quoteScoringService.js';
+
+/**
+ * Attach each quote's designer profile and reputation (in place).
+ */
+async function enrichWithDesignerProfiles(quotes) {
+    for (const quote of quotes) {
+        try {
+            if (!quote.designerId) continue;
+            const designerDoc = await adminDb.collection('users').doc(quote.designerId).get();
+            if (designerDoc.exists) {
+                const d = designerDoc.data();
+                quote.designerProfile = {
+                    name: d.name || quote.designerName,
+                    email: d.email || '',
+                    skills: d.skills || [],
+                    experience: d.experience || '',
+                    education: d.education || '',
+                    specializations: d.specializations || [],
+                    bio: d.bio || '',
+                    hourlyRate: d.hourlyRate || null,
+                    profileStatus: d.profileStatus || 'incomplete',
+                    resume: d.resume ? { filename: d.resume.filename, size: d.resume.size } : null,
+                    certificates: (d.certificates || []).map(c => ({ filename: c.filename, size: c.size }))
+                };
+            }
+            quote.reputation = await getUserReputation(quote.designerId);
+        } catch (e) {
+            console.error(`Profile enrichment error for ${quote.designerId}:`, e.message);
+        }
+    }
+}
+
+/**
+ * Score and compare a job's quotes (already enriched with designer profiles).
+ * `scores` keeps the built-in profile/documentation breakdown; the ranking, `weightedScore`
+ * and `breakdown` follow the given scoring criteria.
+ *
+ * @param {Object[]} quotes
+ * @param {{ criteria: Object, presetId?: string|null, presetName?: string }} [scoring]
+ */
+export function analyzeQuotes(quotes, scoring = { criteria: DEFAULT_SCORING.criteria, presetId: null, presetName: 'Default' }) {
+    const amounts = quotes.map(q => parseFloat(q.quoteAmount) || 0).filter(a => a > 0);
+    const timelines = quotes.map(q => parseInt(q.timeline) || 0).filter(t => t > 0);
+
+    // Price statistics
+    const priceStats = {
+        min: amounts.length ? Math.min(...amounts) : 0,
+        max: amounts.length ? Math.max(...amounts) : 0,
+        avg: amounts.length ? Math.round(amounts.reduce((s, a) => s + a, 0) / amounts.length) : 0,
+        median: amounts.length ? amounts.sort((a, b) => a - b)[Math.floor(amounts.length / 2)] : 0,
+        range: amounts.length >= 2 ? Math.max(...amounts) - Math.min(...amounts) : 0,
+        count: amounts.length
+    };
+
+    // Timeline statistics
+    const timelineStats = {
+        min: timelines.length ? Math.min(...timelines) : 0,
+        max: timelines.length ? Math.max(...timelines) : 0,
+        avg: timelines.length ? Math.round(timelines.reduce((s, t) => s + t, 0) / timelines.length) : 0,
+        count: timelines.length
+    };
+
+    // Score each quote (0-100)
+    const scoredQuotes = quotes.map(q => {
+        const amount = parseFloat(q.quoteAmount) || 0;
+        const timeline = parseInt(q.timeline) || 0;
+        const dp = q.designerProfile || {};
+
+        const reputation = q.reputation || {};
+
+        // Price score: lower price = higher score (0-30 points)
+        let priceScore = 0;
+        if (amount > 0 && priceStats.range > 0) {
+            priceScore = Math.round(((priceStats.max - amount) / priceStats.range) * 30);
+        } else if (amount > 0) {
+            priceScore = 21; // Only one quote or all same price
+        }
+
+        // Timeline score: shorter = higher (0-20 points)
+        let timelineScore = 0;
+        if (timeline > 0 && timelineStats.max > timelineStats.min) {
+            timelineScore = Math.round(((timelineStats.max - timeline) / (timelineStats.max - timelineStats.min)) * 20);
+        } else if (timeline > 0) {
+            timelineScore = 14;
+        }
+
+        // Profile score (0-20 points)
+        let profileScore = 0;
+        if (dp.skills?.length > 0) profileScore += Math.min(dp.skills.length * 2, 8);
+        if (dp.experience) profileScore += 5;
+        if (dp.education) profileScore += 3;
+        if (dp.bio) profileScore += 2;
+        if (dp.specializations?.length > 0) profileScore += Math.min(dp.specializations.length, 3);
+        if (dp.resume) profileScore += 2;
+        if (dp.certificates?.length > 0) profileScore += 2;
+        profileScore = Math.min(profileScore, 20);
+
+        // Attachment score (0-15 points) - having relevant docs is positive
+        const attachments = q.attachments || [];
+        let attachmentScore = 0;
+        if (attachments.length > 0) {
+            attachmentScore += Math.min(attachments.length * 3, 9);
+            const hasPdf = attachments.some(a => a.mimetype === 'application/pdf' || a.name?.endsWith('.pdf'));
+            if (hasPdf) attachmentScore += 6;
+        }
+        attachmentScore = Math.min(attachmentScore, 15);
+
+        // Reputation score (0-15 points) - average rating (10) + on-time delivery (5).
+        // Designers without history get a neutral score rather than zero.
+        const ratingPart = reputation.averageRating != null ? Math.round((reputation.averageRating / 5) * 10) : 5;
+        const onTimePart = reputation.onTimeRate != null ? Math.round(reputation.onTimeRate * 5) : 2;
+        const reputationScore = Math.min(ratingPart + onTimePart, 15);
+
+        const totalScore = priceScore + timelineScore + profileScore + attachmentScore + reputationScore;
+
+        // Attachment analysis
+        const attachmentAnalysis = attachments.map(a => ({
+            name: a.name || 'Unnamed file',
+            size: a.size || 0,
+            type: a.mimetype || 'unknown',
+            isPdf: (a.mimetype === 'application/pdf' || (a.name || '').toLowerCase().endsWith('.pdf')),
+            sizeFormatted: a.size ? (a.size > 1024 * 1024 ? (a.size / (1024 * 1024)).toFixed(2) + ' MB' : (a.size / 1024).toFixed(1) + ' KB') : 'Unknown'
+        }));
+
+        return {
+            quoteId: q.id,
+            designerName: q.designerName,
+            designerId: q.designerId,
+            amount,
+            timeline,
+            description: q.description,
+            lineItems: q.lineItems || [],
+            status: q.status,
+            scores: { price: priceScore, timeline: timelineScore, profile: profileScore, attachment: attachmentScore, reputation: reputationScore, total: totalScore },
+            designerProfile: dp,
+            reputation: q.reputation || null,
+            attachmentAnalysis,
+            totalAttachments: attachments.length,
+            pdfCount: attachmentAnalysis.filter(a => a.isPdf).length
+        };
+    });
+
+    // Rank under the contractor's criteria; quotes failing a pass/fail criterion go last
+    const ranking = rankQuotes(scoredQuotes, scoring.criteria);
+    const rankById = new Map(ranking.map(entry => [entry.quoteId, entry]));
+    scoredQuotes.forEach(q => {
+        const { rank, total, passed, failedCriteria, breakdown } = rankById.get(q.quoteId);
+        Object.assign(q, { rank, weightedScore: total, passed, failedCriteria, breakdown });
+    });
+    scoredQuotes.sort((a, b) => a.rank - b.rank);
+    const disqualified = ranking.filter(entry => !entry.passed).length;
+
+    // Generate recommendations
+    const bestValue = scoredQuotes.find(q => q.passed) || null;
+    const cheapest = [...scoredQuotes].sort((a, b) => (a.amount || Infinity) - (b.amount || Infinity))[0] || null;
+    const fastest = [...scoredQuotes].sort((a, b) => (a.timeline || Infinity) - (b.timeline || Infinity))[0] || null;
+    const mostExperienced = [...scoredQuotes].sort((a, b) => b.scores.profile - a.scores.profile)[0] || null;
+    const topRated = [...scoredQuotes]
+        .filter(q => q.reputation?.reviewCount > 0)
+        .sort((a, b) => b.reputation.averageRating - a.reputation.averageRating || b.reputation.reviewCount - a.reputation.reviewCount)[0] || null;
+
+    // Line items of all itemized quotes side by side, aligned by scope item
+    const comparisonMatrix = buildComparisonMatrix(quotes);
+
+    return {
+        totalQuotes: quotes.length,
+        priceStats,
+        timelineStats,
+        scoredQuotes,
+        ranking,
+        scoring: {
+            presetId: scoring.presetId || null,
+            presetName: scoring.presetName || 'Custom',
+            criteria: scoring.criteria,
+            passed: ranking.length - disqualified,
+            disqualified
+        },
+        comparisonMatrix,
+        recommendations: {
+            bestValue: bestValue ? { designerName: bestValue.designerName, quoteId: bestValue.quoteId, score: bestValue.weightedScore, amount: bestValue.amount, reason: `Highest score under the "${scoring.presetName || 'Custom'}" scoring criteria` } : null,
+            cheapest: cheapest ? { designerName: cheapest.designerName, quoteId: cheapest.quoteId, amount: cheapest.amount, reason: 'Lowest quoted price' } : null,
+            fastest: fastest && fastest.timeline > 0 ? { designerName: fastest.designerName, quoteId: fastest.quoteId, timeline: fastest.timeline, reason: 'Shortest delivery timeline' } : null,
+            mostExperienced: mostExperienced ? { designerName: mostExperienced.designerName, quoteId: mostExperienced.quoteId, profileScore: mostExperienced.scores.profile, reason: 'Most detailed profile and credentials' } : null,
+            topRated: topRated ? { designerName: topRated.designerName, quoteId: topRated.quoteId, averageRating: topRated.reputation.averageRating, reviewCount: topRated.reputation.reviewCount, reason: 'Highest rated by previous clients' } : null
+        },
+        summary: `${quotes.length} quote${quotes.length > 1 ? 's' : ''} received. Price range: $${priceStats.min.toLocaleString()} - $${priceStats.max.toLocaleString()} (avg $${priceStats.avg.toLocaleString()}).${timelineStats.count > 0 ? ` Timeline range: ${timelineStats.min} - ${timelineStats.max} days (avg ${timelineStats.avg} days).` : ''}${comparisonMatrix.itemizedQuotes >= 2 ? ` Bids diverge on ${comparisonMatrix.divergentItems} of ${comparisonMatrix.rows.length} scope items.` : ''}${disqualified > 0 ? ` ${disqualified} quote${disqualified > 1 ? 's' : ''} failed a pass/fail criterion.` : ''}`
+    };
+}
+
+/**
+ * Load and analyze the quotes on a contractor's job.
+ * `analysis` is null when there is nothing to compare yet (no quotes, or bids still sealed).
+ *
+ * @param {string} jobId
+ * @param {string} contractorId
+ * @param {{ presetId?: string, criteria?: Object|string }} [scoringOptions] - See resolveScoring
+ * @returns {Promise<{ job?: Object, analysis?: Object|null, message?: string, sealedBid?: Object, error?: string, status?: number }>}
+ */
+export async function getQuoteAnalysis(jobId, contractorId, scoringOptions = {}) {
+    const jobDoc = await adminDb.collection('jobs').doc(jobId).get();
+    if (!jobDoc.exists) {
+        return { status: 404, error: 'Job not found' };
+    }
+    if (jobDoc.data().posterId !== contractorId) {
+        return { status: 403, error: 'Not authorized' };
+    }
+
+    const { scoring, error, status } = await resolveScoring(contractorId, scoringOptions);
+    if (error) {
+        return { status, error };
+    }
+
+    // Sealed bids cannot be analyzed until they are opened
+    const job = { id: jobId, ...(await ensureBidsOpened(jobId, jobDoc.data())) };
+    if (isBidSealed(job)) {
+        const sealedBid = sealedBidSummary(job);
+        return { job, analysis: null, sealedBid, message: sealedBid.message };
+    }
+
+    const quotesSnapshot = await adminDb.collection('quotes').where('jobId', '==', jobId).get();
+    if (quotesSnapshot.empty) {
+        return { job, analysis: null, message: 'No quotes received for this project yet.' };
+    }
+
+    // Withdrawn and expired quotes (including lapsed ones the expiry sweep has not reached) are not compared
+    const quotes = quotesSnapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(quote => !INACTIVE_QUOTE_STATUSES.includes(quote.status) && !isQuoteLapsed(quote));
+    if (quotes.length === 0) {
+        return { job, analysis: null, message: 'No active quotes for this project.' };
+    }
+    await enrichWithDesignerProfiles(quotes);
+    return { job, analysis: analyzeQuotes(quotes, scoring) };
+}
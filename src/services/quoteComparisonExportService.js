@@ -0,0 +1,381 @@
+// src/services/quoteComparisonExportService.js
+// Exports of the quote comparison (see quoteAnalysisService) that contractors can hand
+// to their own clients: a branded PDF report built with PDFKit, laid out like the
+// invoice PDF, and an XLSX workbook with one sheet per view of the analysis.
+
+import * as XLSX from 'xlsx';
+import { criterionLabel } from './quoteScoringService.js';
+
+const COMPANY = {
+    name: 'SteelConnect',
+    legalName: 'SteelConnect LLC',
+    website: 'steelconnectapp.com',
+    tagline: 'Professional Steel & Rebar Design Marketplace',
+};
+
+// Line item columns that fit across a landscape A4 page
+const MAX_MATRIX_COLUMNS = 6;
+
+function formatMoney(amount) {
+    return `$${(Number(amount) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function formatDate(date) {
+    return new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+// Points for a weighted criterion, PASS/FAIL for a pass/fail one
+function criterionCell(entry) {
+    if (!entry) return '';
+    return entry.mode === 'pass_fail' ? (entry.passed ? 'PASS' : 'FAIL') : entry.points;
+}
+
+function formatRating(reputation) {
+    return reputation?.reviewCount > 0 ? `${reputation.averageRating.toFixed(1)} / 5 (${reputation.reviewCount})` : 'No reviews';
+}
+
+/**
+ * File name for an export, e.g. "quote-comparison-warehouse-extension-2026-10-19.pdf".
+ */
+export function exportFileName(job, extension) {
+    const slug = String(job.title || job.id).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 50) || 'job';
+    return `quote-comparison-${slug}-${new Date().toISOString().split('T')[0]}.${extension}`;
+}
+
+// ============================================================
+// Generate the comparison PDF using PDFKit
+// ============================================================
+export async function generateComparisonPDF(job, analysis, preparedFor = '') {
+    const PDFDocument = (await import('pdfkit')).default;
+
+    return new Promise((resolve, reject) => {
+        try {
+            const doc = new PDFDocument({
+                size: 'A4',
+                layout: 'landscape',
+                // Small bottom margin so the page footer can sit below the content area
+                margins: { top: 40, left: 40, right: 40, bottom: 20 },
+                bufferPages: true,
+                info: {
+                    Title: `Quote Comparison - ${job.title}`,
+                    Author: COMPANY.name,
+                    Subject: `Comparison of ${analysis.totalQuotes} quotes`,
+                },
+            });
+
+            const chunks = [];
+            doc.on('data', chunk => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+
+            const left = 40;
+            const pageWidth = doc.page.width - 80;
+            const bottom = doc.page.height - 60;
+            let y;
+
+            const ensureSpace = (height) => {
+                if (y + height > bottom) {
+                    doc.addPage();
+                    y = 40;
+                }
+            };
+
+            const sectionTitle = (title) => {
+                ensureSpace(40);
+                doc.fontSize(12).fillColor('#1e3a8a').font('Helvetica-Bold').text(title, left, y);
+                y += 20;
+            };
+
+            // Draws a table with a header row; `widths` are fractions of the page width
+            const table = (headers, rows, widths, align = []) => {
+                const cols = widths.map(w => w * pageWidth);
+                const drawHeader = () => {
+                    doc.rect(left, y, pageWidth, 22).fill('#1e3a8a');
+                    let x = left;
+                    headers.forEach((h, i) => {
+                        doc.fontSize(8).fillColor('#ffffff').font('Helvetica-Bold')
+                            .text(h, x + 6, y + 7, { width: cols[i] - 12, align: align[i] || 'left', lineBreak: false, ellipsis: true });
+                        x += cols[i];
+                    });
+                    y += 22;
+                };
+
+                ensureSpace(44);
+                drawHeader();
+                rows.forEach((row, r) => {
+                    const cells = row.cells || row;
+                    doc.fontSize(8).font('Helvetica');
+                    const height = Math.max(20, ...cells.map((c, i) => doc.heightOfString(String(c ?? ''), { width: cols[i] - 12 }) + 10));
+                    if (y + height > bottom) {
+                        doc.addPage();
+                        y = 40;
+                        drawHeader();
+                    }
+                    doc.rect(left, y, pageWidth, height).fillAndStroke(row.highlight || (r % 2 ? '#f8fafc' : '#ffffff'), '#e2e8f0');
+                    let x = left;
+                    cells.forEach((c, i) => {
+                        doc.fontSize(8).fillColor('#0f172a').font(i === 0 ? 'Helvetica-Bold' : 'Helvetica')
+                            .text(String(c ?? ''), x + 6, y + 5, { width: cols[i] - 12, align: align[i] || 'left' });
+                        x += cols[i];
+                    });
+                    y += height;
+                });
+                y += 16;
+            };
+
+            // ─── HEADER BAR ──────────────────────────────────
+            doc.rect(0, 0, doc.page.width, 90).fill('#1e3a8a');
+            doc.fontSize(24).fillColor('#ffffff').font('Helvetica-Bold')
+                .text(COMPANY.name, left, 26, { width: 300 });
+            doc.fontSize(9).fillColor('#93c5fd').font('Helvetica')
+                .text(COMPANY.tagline, left, 54, { width: 300 });
+            doc.fontSize(22).fillColor('#ffffff').font('Helvetica-Bold')
+                .text('QUOTE COMPARISON', left + pageWidth - 360, 26, { width: 360, align: 'right' });
+            doc.fontSize(10).fillColor('#93c5fd').font('Helvetica')
+                .text(job.title || '', left + pageWidth - 360, 56, { width: 360, align: 'right', lineBreak: false, ellipsis: true });
+
+            // ─── REPORT META ─────────────────────────────────
+            y = 108;
+            doc.fontSize(9).fillColor('#64748b').font('Helvetica')
+                .text('Project:', left, y)
+                .text('Generated:', left, y + 16)
+                .text('Quotes compared:', left, y + 32);
+            doc.fontSize(9).fillColor('#0f172a').font('Helvetica-Bold')
+                .text(job.title || job.id, left + 95, y, { width: 330 })
+                .text(formatDate(new Date()), left + 95, y + 16)
+                .text(String(analysis.totalQuotes), left + 95, y + 32);
+            if (preparedFor) {
+                doc.fontSize(9).fillColor('#64748b').font('Helvetica').text('Prepared by:', left + 450, y);
+                doc.fontSize(9).fillColor('#0f172a').font('Helvetica-Bold').text(preparedFor, left + 530, y, { width: 230 });
+            }
+            if (job.location) {
+                doc.fontSize(9).fillColor('#64748b').font('Helvetica').text('Location:', left + 450, y + 16);
+                doc.fontSize(9).fillColor('#0f172a').font('Helvetica-Bold').text(job.location, left + 530, y + 16, { width: 230 });
+            }
+            doc.fontSize(9).fillColor('#64748b').font('Helvetica').text('Scoring:', left + 450, y + 32);
+            doc.fontSize(9).fillColor('#0f172a').font('Helvetica-Bold').text(analysis.scoring.presetName, left + 530, y + 32, { width: 230 });
+
+            // ─── SUMMARY ─────────────────────────────────────
+            y += 58;
+            const { priceStats, timelineStats } = analysis;
+            doc.rect(left, y, pageWidth, 64).fillAndStroke('#eff6ff', '#bfdbfe');
+            doc.fontSize(9).fillColor('#1e40af').font('Helvetica-Bold').text('Summary', left + 14, y + 8);
+            doc.fontSize(9).fillColor('#1e3a8a').font('Helvetica')
+                .text(analysis.summary, left + 14, y + 22, { width: pageWidth - 28 })
+                .text(`Price: min ${formatMoney(priceStats.min)} · median ${formatMoney(priceStats.median)} · avg ${formatMoney(priceStats.avg)} · max ${formatMoney(priceStats.max)}`
+                    + (timelineStats.count > 0 ? `     Timeline: ${timelineStats.min} - ${timelineStats.max} days (avg ${timelineStats.avg})` : ''),
+                left + 14, y + 44, { width: pageWidth - 28 });
+            y += 80;
+
+            // ─── RANKING ─────────────────────────────────────
+            const criteria = Object.entries(analysis.scoring.criteria);
+            const criterionWidth = 0.47 / criteria.length;
+            sectionTitle('Ranking');
+            table(
+                ['#', 'Designer', 'Amount', 'Timeline', ...criteria.map(([key, spec]) => criterionLabel(key, spec)), 'Score /100'],
+                analysis.scoredQuotes.map(q => ({
+                    cells: [
+                        q.rank,
+                        q.designerName,
+                        formatMoney(q.amount),
+                        q.timeline ? `${q.timeline} days` : '—',
+                        ...criteria.map(([key]) => criterionCell(q.breakdown[key])),
+                        q.weightedScore
+                    ],
+                    highlight: !q.passed ? '#fef2f2' : q.rank === 1 ? '#f0fdf4' : null
+                })),
+                [0.04, 0.2, 0.12, 0.09, ...criteria.map(() => criterionWidth), 0.08],
+                ['center', 'left', 'right', 'right', ...criteria.map(() => 'center'), 'center']
+            );
+            if (analysis.scoring.disqualified > 0) {
+                ensureSpace(16);
+                doc.fontSize(8).fillColor('#b91c1c').font('Helvetica')
+                    .text(`Highlighted in red: ${analysis.scoring.disqualified} quote(s) failed a pass/fail criterion and are ranked last.`, left, y - 8);
+                y += 8;
+            }
+
+            // ─── RECOMMENDATIONS ─────────────────────────────
+            const recommendationLabels = {
+                bestValue: 'Best value',
+                cheapest: 'Lowest price',
+                fastest: 'Fastest delivery',
+                mostExperienced: 'Most experienced',
+                topRated: 'Top rated'
+            };
+            const recommendations = Object.entries(analysis.recommendations).filter(([, rec]) => rec);
+            if (recommendations.length > 0) {
+                sectionTitle('Recommendations');
+                table(
+                    ['Category', 'Designer', 'Why'],
+                    recommendations.map(([key, rec]) => [recommendationLabels[key] || key, rec.designerName, rec.reason]),
+                    [0.18, 0.27, 0.55]
+                );
+            }
+
+            // ─── DESIGNERS ───────────────────────────────────
+            sectionTitle('Designer Profiles');
+            table(
+                ['Designer', 'Experience', 'Skills', 'Certificates', 'Rating', 'On-time', 'Documents'],
+                analysis.scoredQuotes.map(q => {
+                    const dp = q.designerProfile || {};
+                    return [
+                        q.designerName,
+                        (dp.experience || '—').slice(0, 160),
+                        (dp.skills || []).slice(0, 8).join(', ') || '—',
+                        (dp.certificates || []).length,
+                        formatRating(q.reputation),
+                        q.reputation?.onTimeRate != null ? `${Math.round(q.reputation.onTimeRate * 100)}%` : '—',
+                        `${q.totalAttachments} (${q.pdfCount} PDF)`
+                    ];
+                }),
+                [0.17, 0.25, 0.22, 0.08, 0.11, 0.07, 0.10],
+                ['left', 'left', 'left', 'center', 'center', 'center', 'center']
+            );
+
+            // ─── LINE ITEM COMPARISON ────────────────────────
+            const matrix = analysis.comparisonMatrix;
+            if (matrix && matrix.itemizedQuotes > 0) {
+                const columns = matrix.columns.filter(c => c.itemized).slice(0, MAX_MATRIX_COLUMNS);
+                sectionTitle(`Line Item Comparison${matrix.itemizedQuotes > columns.length ? ` (first ${columns.length} itemized quotes)` : ''}`);
+                const scopeWidth = 0.22;
+                const spreadWidth = 0.1;
+                const cellWidth = (1 - scopeWidth - spreadWidth) / columns.length;
+                table(
+                    ['Scope item', ...columns.map(c => c.designerName), 'Spread'],
+                    matrix.rows.map(row => ({
+                        cells: [
+                            row.scopeItem,
+                            ...columns.map(c => row.cells[c.quoteId] ? formatMoney(row.cells[c.quoteId].amount) : 'not quoted'),
+                            `${row.stats.spreadPct}%`
+                        ],
+                        highlight: row.divergent ? '#fef3c7' : null
+                    })),
+                    [scopeWidth, ...columns.map(() => cellWidth), spreadWidth],
+                    ['left', ...columns.map(() => 'right'), 'right']
+                );
+                ensureSpace(16);
+                doc.fontSize(8).fillColor('#92400e').font('Helvetica')
+                    .text(`Highlighted rows diverge between bids (${matrix.divergentItems} of ${matrix.rows.length} scope items).`, left, y - 8);
+                y += 8;
+            }
+
+            // ─── FOOTER ──────────────────────────────────────
+            const range = doc.bufferedPageRange();
+            for (let i = range.start; i < range.start + range.count; i++) {
+                doc.switchToPage(i);
+                const footerY = doc.page.height - 40;
+                doc.moveTo(left, footerY).lineTo(left + pageWidth, footerY)
+                    .strokeColor('#e2e8f0').lineWidth(0.5).stroke();
+                doc.fontSize(7).fillColor('#94a3b8').font('Helvetica')
+                    .text(`${COMPANY.legalName} • ${COMPANY.website} • Scores are indicative and based on the information submitted with each quote • Page ${i - range.start + 1} of ${range.count}`,
+                        left, footerY + 8, { width: pageWidth, align: 'center', lineBreak: false });
+            }
+
+            doc.end();
+        } catch (err) {
+            reject(err);
+        }
+    });
+}
+
+// ============================================================
+// Generate the comparison workbook (one sheet per view)
+// ============================================================
+export function generateComparisonWorkbook(job, analysis) {
+    const workbook = XLSX.utils.book_new();
+    const addSheet = (name, rows, widths) => {
+        const sheet = XLSX.utils.aoa_to_sheet(rows);
+        sheet['!cols'] = widths.map(wch => ({ wch }));
+        XLSX.utils.book_append_sheet(workbook, sheet, name);
+    };
+    const { priceStats, timelineStats } = analysis;
+    const criteria = Object.entries(analysis.scoring.criteria);
+
+    addSheet('Summary', [
+        ['Quote Comparison', job.title || job.id],
+        ['Generated', new Date().toISOString()],
+        ['Location', job.location || ''],
+        ['Quotes compared', analysis.totalQuotes],
+        [],
+        ['Price', 'Value'],
+        ['Minimum', priceStats.min],
+        ['Median', priceStats.median],
+        ['Average', priceStats.avg],
+        ['Maximum', priceStats.max],
+        ['Range', priceStats.range],
+        [],
+        ['Timeline (days)', 'Value'],
+        ['Shortest', timelineStats.min],
+        ['Average', timelineStats.avg],
+        ['Longest', timelineStats.max],
+        [],
+        ['Scoring', analysis.scoring.presetName],
+        ...criteria.map(([key, spec]) => [criterionLabel(key, spec), spec.mode === 'pass_fail' ? 'pass/fail' : 'weighted']),
+        [],
+        ['Summary', analysis.summary]
+    ], [22, 80]);
+
+    addSheet('Ranking', [
+        ['Rank', 'Designer', 'Amount', 'Timeline (days)', ...criteria.map(([key, spec]) => criterionLabel(key, spec)), 'Score (/100)', 'Passed', 'Failed criteria', 'Status', 'Quote ID'],
+        ...analysis.scoredQuotes.map(q => [
+            q.rank,
+            q.designerName,
+            q.amount,
+            q.timeline || '',
+            ...criteria.map(([key]) => criterionCell(q.breakdown[key])),
+            q.weightedScore,
+            q.passed ? 'yes' : 'no',
+            q.failedCriteria.join(', '),
+            q.status,
+            q.quoteId
+        ])
+    ], [6, 28, 14, 14, ...criteria.map(() => 16), 12, 8, 20, 12, 24]);
+
+    addSheet('Recommendations', [
+        ['Category', 'Designer', 'Amount', 'Reason', 'Quote ID'],
+        ...Object.entries(analysis.recommendations)
+            .filter(([, rec]) => rec)
+            .map(([key, rec]) => [key, rec.designerName, rec.amount ?? '', rec.reason, rec.quoteId])
+    ], [18, 28, 14, 70, 24]);
+
+    addSheet('Designers', [
+        ['Designer', 'Experience', 'Education', 'Skills', 'Specializations', 'Certificates', 'Hourly rate', 'Average rating', 'Reviews', 'On-time rate', 'Attachments', 'PDFs'],
+        ...analysis.scoredQuotes.map(q => {
+            const dp = q.designerProfile || {};
+            return [
+                q.designerName,
+                dp.experience || '',
+                dp.education || '',
+                (dp.skills || []).join(', '),
+                (dp.specializations || []).join(', '),
+                (dp.certificates || []).length,
+                dp.hourlyRate ?? '',
+                q.reputation?.averageRating ?? '',
+                q.reputation?.reviewCount ?? 0,
+                q.reputation?.onTimeRate ?? '',
+                q.totalAttachments,
+                q.pdfCount
+            ];
+        })
+    ], [28, 40, 30, 40, 30, 12, 12, 14, 10, 12, 12, 8]);
+
+    const matrix = analysis.comparisonMatrix;
+    if (matrix && matrix.itemizedQuotes > 0) {
+        const columns = matrix.columns.filter(c => c.itemized);
+        addSheet('Line Items', [
+            ['Scope item', ...columns.map(c => c.designerName), 'Min', 'Median', 'Max', 'Spread %', 'Divergent'],
+            ...matrix.rows.map(row => [
+                row.scopeItem,
+                ...columns.map(c => row.cells[c.quoteId]?.amount ?? ''),
+                row.stats.min,
+                row.stats.median,
+                row.stats.max,
+                row.stats.spreadPct,
+                row.divergent ? 'yes' : 'no'
+            ]),
+            ['Total', ...columns.map(c => c.total)]
+        ], [36, ...columns.map(() => 16), 12, 12, 12, 10, 10]);
+    }
+
+    return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
@@ -0,0 +1,208 @@
+// src/services/quoteLineItemService.js
+// Itemized quotes. A quote may carry structured line items (scope item, hours or quantity,
+// rate, amount); the server recomputes every amount and the total, so `quoteAmount` on an
+// itemized quote is always the sum of its items. The comparison matrix aligns the line
+// items of all quotes on a job by scope item and flags where bids diverge.
+
+const MAX_LINE_ITEMS = 50;
+const UNIT_TYPES = ['hours', 'quantity'];
+const AMOUNT_TOLERANCE = 0.01;
+
+// A scope item whose amounts spread by more than this share of their average is divergent
+const DIVERGENCE_THRESHOLD = 0.25;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Alignment key for a scope item: case, punctuation and extra whitespace are ignored.
+ */
+export function scopeKey(scopeItem) {
+    return String(scopeItem || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Validate line items from a request body (array, or JSON string from multipart forms).
+ *
+ * @returns {{ lineItems?: Object[], total?: number, error?: string }}
+ */
+export function normalizeLineItems(raw) {
+    let items = raw;
+    if (typeof raw === 'string') {
+        try {
+            items = JSON.parse(raw);
+        } catch (error) {
+            return { error: 'lineItems must be a JSON array.' };
+        }
+    }
+    if (!Array.isArray(items)) {
+        return { error: 'lineItems must be an array.' };
+    }
+    if (items.length > MAX_LINE_ITEMS) {
+        return { error: `A quote can have at most ${MAX_LINE_ITEMS} line items.` };
+    }
+
+    const lineItems = [];
+    const keys = new Set();
+    for (const [index, item] of items.entries()) {
+        const label = `Line item ${index + 1}`;
+        const scopeItem = String(item?.scopeItem || '').trim();
+        if (!scopeItem) return { error: `${label}: scope item is required.` };
+        if (scopeItem.length > 200) return { error: `${label}: scope item cannot exceed 200 characters.` };
+
+        const key = scopeKey(scopeItem);
+        if (keys.has(key)) return { error: `${label}: "${scopeItem}" is listed more than once.` };
+        keys.add(key);
+
+        const unitType = item.unitType || 'hours';
+        if (!UNIT_TYPES.includes(unitType)) {
+            return { error: `${label}: unitType must be one of: ${UNIT_TYPES.join(', ')}` };
+        }
+
+        const quantity = parseFloat(item.quantity);
+        const rate = parseFloat(item.rate);
+        if (isNaN(quantity) || quantity <= 0) return { error: `${label}: ${unitType === 'hours' ? 'hours' : 'quantity'} must be greater than zero.` };
+        if (isNaN(rate) || rate < 0) return { error: `${label}: rate must be zero or more.` };
+
+        const amount = round2(quantity * rate);
+        if (item.amount !== undefined && item.amount !== null && item.amount !== '') {
+            const claimed = parseFloat(item.amount);
+            if (isNaN(claimed) || Math.abs(claimed - amount) > AMOUNT_TOLERANCE) {
+                return { error: `${label}: amount ${item.amount} does not match ${quantity} × ${rate} = ${amount}.` };
+            }
+        }
+
+        lineItems.push({
+            scopeItem,
+            description: String(item.description || '').trim().slice(0, 1000),
+            unitType,
+            quantity,
+            rate,
+            amount
+        });
+    }
+
+    return { lineItems, total: round2(lineItems.reduce((sum, item) => sum + item.amount, 0)) };
+}
+
+/**
+ * Resolve a quote's amount and line items from a create/update body.
+ * With line items the amount is their total, and a `quoteAmount` sent alongside must
+ * match it. An empty `lineItems` array turns an itemized quote back into a lump sum.
+ *
+ * @param {Object} body
+ * @param {Object} [existing] - The quote being updated
+ * @returns {{ quoteAmount?: number, lineItems?: Object[], error?: string }}
+ */
+export function resolveQuoteAmount(body, existing = null) {
+    const hasLineItems = body.lineItems !== undefined && body.lineItems !== '';
+    const claimed = body.quoteAmount !== undefined && body.quoteAmount !== '' ? parseFloat(body.quoteAmount) : null;
+
+    if (hasLineItems) {
+        const { lineItems, total, error } = normalizeLineItems(body.lineItems);
+        if (error) return { error };
+        if (lineItems.length > 0) {
+            if (claimed !== null && Math.abs(claimed - total) > AMOUNT_TOLERANCE) {
+                return { error: `Quote amount ${claimed} does not match the line item total ${total}.` };
+            }
+            return { quoteAmount: total, lineItems };
+        }
+        if (claimed === null || isNaN(claimed) || claimed <= 0) {
+            return { error: 'Quote amount is required when no line items are given.' };
+        }
+        return { quoteAmount: claimed, lineItems: [] };
+    }
+
+    // No new line items: keep an itemized quote's total consistent with its items
+    if (existing?.lineItems?.length) {
+        const total = round2(existing.lineItems.reduce((sum, item) => sum + item.amount, 0));
+        if (claimed !== null && Math.abs(claimed - total) > AMOUNT_TOLERANCE) {
+            return { error: 'This quote is itemized; change its line items to change the amount.' };
+        }
+        return { quoteAmount: total, lineItems: existing.lineItems };
+    }
+
+    if (claimed === null && existing) {
+        return { quoteAmount: existing.quoteAmount, lineItems: [] };
+    }
+    if (claimed === null || isNaN(claimed) || claimed <= 0) {
+        return { error: 'Quote amount must be a positive number.' };
+    }
+    return { quoteAmount: claimed, lineItems: [] };
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Side-by-side comparison of the quotes on a job, one row per scope item.
+ * Each cell carries the quote's quantity/rate/amount for that item (null when the quote
+ * does not include it) and its deviation from the row median. A row is divergent when
+ * some itemized quotes omit it or the amounts spread by more than DIVERGENCE_THRESHOLD.
+ *
+ * @param {Object[]} quotes - Quote documents with id
+ * @returns {{ columns: Object[], rows: Object[], divergentItems: number, itemizedQuotes: number }}
+ */
+export function buildComparisonMatrix(quotes) {
+    const columns = quotes.map(q => ({
+        quoteId: q.id,
+        designerName: q.designerName,
+        total: parseFloat(q.quoteAmount) || 0,
+        itemized: (q.lineItems || []).length > 0,
+        lineItemCount: (q.lineItems || []).length
+    }));
+    const itemized = quotes.filter(q => (q.lineItems || []).length > 0);
+
+    const rowsByKey = new Map();
+    for (const quote of itemized) {
+        for (const item of quote.lineItems) {
+            const key = scopeKey(item.scopeItem);
+            if (!rowsByKey.has(key)) rowsByKey.set(key, { key, scopeItem: item.scopeItem, cells: {} });
+            rowsByKey.get(key).cells[quote.id] = {
+                unitType: item.unitType,
+                quantity: item.quantity,
+                rate: item.rate,
+                amount: item.amount
+            };
+        }
+    }
+
+    const rows = [...rowsByKey.values()].map(row => {
+        const amounts = Object.values(row.cells).map(c => c.amount);
+        const min = Math.min(...amounts);
+        const max = Math.max(...amounts);
+        const avg = amounts.reduce((s, a) => s + a, 0) / amounts.length;
+        const mid = median(amounts);
+        const spreadPct = avg > 0 ? round2((max - min) / avg * 100) : 0;
+        const missingFrom = itemized.filter(q => !row.cells[q.id]).map(q => q.id);
+
+        const cells = {};
+        for (const quote of itemized) {
+            const cell = row.cells[quote.id];
+            cells[quote.id] = cell
+                ? { ...cell, deviationPct: mid > 0 ? round2((cell.amount - mid) / mid * 100) : 0 }
+                : null;
+        }
+
+        return {
+            scopeItem: row.scopeItem,
+            key: row.key,
+            cells,
+            stats: { min, max, avg: round2(avg), median: round2(mid), spreadPct },
+            missingFrom,
+            divergent: missingFrom.length > 0 || spreadPct > DIVERGENCE_THRESHOLD * 100
+        };
+    });
+
+    // Items most quotes agree on first, then by spend
+    rows.sort((a, b) => a.missingFrom.length - b.missingFrom.length || b.stats.avg - a.stats.avg);
+
+    return {
+        columns,
+        rows,
+        divergentItems: rows.filter(r => r.divergent).length,
+        itemizedQuotes: itemized.length
+    };
+}
@@ -0,0 +1,161 @@
+// src/services/quoteNegotiationService.js
+// Price/timeline negotiation on submitted quotes. The contractor opens with a counter-offer;
+// from then on the party whose turn it is accepts, rejects or counters again. Every offer is
+// kept in the quote's `offers` array, and the last accepted one is stored as `agreedOffer`,
+// which quote approval uses instead of the original `quoteAmount`/`timeline`.
+
+import crypto from 'crypto';
+
+export const OFFER_STATUSES = ['pending', 'accepted', 'rejected', 'countered'];
+export const NEGOTIATION_STATUSES = ['awaiting_designer', 'awaiting_contractor', 'agreed', 'declined'];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * 'contractor' or 'designer' for a party on the quote, otherwise null.
+ */
+export function negotiationRole(quote, userId) {
+    if (quote.contractorId === userId) return 'contractor';
+    if (quote.designerId === userId) return 'designer';
+    return null;
+}
+
+/**
+ * The offer awaiting a response (or null).
+ */
+export function pendingOffer(quote) {
+    return (quote.offers || []).find(o => o.status === 'pending') || null;
+}
+
+/**
+ * Terms currently in force: the last agreed offer, otherwise the quote as submitted.
+ *
+ * @returns {{ amount: number, timeline: number|null, offerId: string|null }}
+ */
+export function agreedTerms(quote) {
+    if (quote.agreedOffer) {
+        return { amount: quote.agreedOffer.amount, timeline: quote.agreedOffer.timeline, offerId: quote.agreedOffer.offerId };
+    }
+    return {
+        amount: parseFloat(quote.quoteAmount) || 0,
+        timeline: quote.timeline ? parseInt(quote.timeline) : null,
+        offerId: null
+    };
+}
+
+/**
+ * Why `role` may not counter right now, or null when it may.
+ * The contractor may counter unless their own offer is pending; the designer only in
+ * reply to a pending contractor offer.
+ */
+export function counterBlockedReason(quote, role) {
+    const pending = pendingOffer(quote);
+    if (role === 'contractor' && pending?.by === 'contractor') {
+        return 'Your counter-offer is still awaiting the designer\'s response.';
+    }
+    if (role === 'designer' && pending?.by !== 'contractor') {
+        return 'You can only counter a pending offer from the contractor.';
+    }
+    return null;
+}
+
+/**
+ * Validate a counter-offer from the request body. The timeline defaults to the terms
+ * currently in force.
+ *
+ * @returns {{ offer?: Object, error?: string }}
+ */
+export function buildOffer(body, quote, actor) {
+    const amount = parseFloat(body.amount);
+    if (isNaN(amount) || amount <= 0) return { error: 'Offer amount must be a positive number.' };
+
+    const current = agreedTerms(quote);
+    const timeline = body.timeline === undefined || body.timeline === '' ? current.timeline : parseInt(body.timeline);
+    if (timeline !== null && (isNaN(timeline) || timeline <= 0)) {
+        return { error: 'Offer timeline must be a positive whole number of days.' };
+    }
+
+    const note = typeof body.note === 'string' ? body.note.trim() : '';
+    if (note.length > 1000) return { error: 'Offer note cannot exceed 1000 characters.' };
+
+    return {
+        offer: {
+            id: crypto.randomUUID(),
+            by: actor.role,
+            byUserId: actor.userId,
+            byName: actor.name || '',
+            amount: round2(amount),
+            timeline,
+            note,
+            status: 'pending',
+            createdAt: new Date().toISOString(),
+            respondedAt: null
+        }
+    };
+}
+
+/**
+ * Quote fields after `offer` is made. Any pending offer is marked countered; the first
+ * counter records the designer's original terms as the opening entry of the history.
+ *
+ * @returns {{ offers: Object[], negotiationStatus: string }}
+ */
+export function applyCounter(quote, offer) {
+    const now = offer.createdAt;
+    let offers = [...(quote.offers || [])];
+
+    if (offers.length === 0) {
+        offers.push({
+            id: crypto.randomUUID(),
+            by: 'designer',
+            byUserId: quote.designerId,
+            byName: quote.designerName || '',
+            amount: parseFloat(quote.quoteAmount) || 0,
+            timeline: quote.timeline ? parseInt(quote.timeline) : null,
+            note: 'Original quote',
+            status: 'countered',
+            createdAt: now,
+            respondedAt: now
+        });
+    }
+
+    offers = offers.map(o => o.status === 'pending' ? { ...o, status: 'countered', respondedAt: now } : o);
+    offers.push(offer);
+
+    return {
+        offers,
+        negotiationStatus: offer.by === 'contractor' ? 'awaiting_designer' : 'awaiting_contractor'
+    };
+}
+
+/**
+ * Quote fields after the pending offer is accepted or rejected. Rejecting leaves the
+ * previously agreed terms (or the original quote) in force.
+ *
+ * @param {Object} quote
+ * @param {'accept'|'reject'} action
+ * @param {Object} actor - { userId, name }
+ * @returns {{ offers: Object[], negotiationStatus: string, agreedOffer?: Object, offer: Object }}
+ */
+export function applyResponse(quote, action, actor, reason = '') {
+    const now = new Date().toISOString();
+    const pending = pendingOffer(quote);
+    const responded = {
+        ...pending,
+        status: action === 'accept' ? 'accepted' : 'rejected',
+        respondedAt: now,
+        respondedBy: actor.userId,
+        ...(action === 'reject' && reason && { rejectionReason: reason.trim().slice(0, 1000) })
+    };
+    const offers = (quote.offers || []).map(o => o.id === pending.id ? responded : o);
+
+    if (action === 'accept') {
+        return {
+            offers,
+            offer: responded,
+            negotiationStatus: 'agreed',
+            agreedOffer: { offerId: responded.id, amount: responded.amount, timeline: responded.timeline, agreedAt: now }
+        };
+    }
+    return { offers, offer: responded, negotiationStatus: quote.agreedOffer ? 'agreed' : 'declined' };
+}
@@ -0,0 +1,309 @@
+// src/services/quoteScoringService.js
+// Contractor-configurable quote scoring. Each criterion (price, timeline, experience,
+// certification count, rating) is either weighted - contributing its share of a 0-100
+// score - or pass/fail against a threshold, in which case quotes that miss it are ranked
+// after every quote that passes. Contractors can save scoring presets and mark one as
+// their default for quote analysis.
+
+import { adminDb } from '../config/firebase.js';
+import { parseExperienceYears } from './designerMatchingService.js';
+
+const COLLECTION = 'scoring_presets';
+const MAX_PRESETS_PER_USER = 20;
+
+export const SCORING_MODES = ['weighted', 'pass_fail'];
+
+// Experience and certification counts at which a designer gets full marks
+const FULL_EXPERIENCE_YEARS = 10;
+const FULL_CERTIFICATE_COUNT = 5;
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+/**
+ * Criterion definitions. `raw` reads the comparable value off a scored quote (null when
+ * unknown); pass/fail thresholds are a maximum for lower-is-better criteria and a minimum
+ * otherwise.
+ */
+const CRITERIA = {
+    price: {
+        label: 'Price',
+        lowerIsBetter: true,
+        raw: q => q.amount > 0 ? q.amount : null
+    },
+    timeline: {
+        label: 'Timeline',
+        lowerIsBetter: true,
+        raw: q => q.timeline > 0 ? q.timeline : null
+    },
+    experience: {
+        label: 'Experience',
+        raw: q => parseExperienceYears(q.designerProfile?.experience),
+        // Free-text experience without a number of years still counts for something
+        value: (raw, q) => raw !== null ? Math.min(raw / FULL_EXPERIENCE_YEARS, 1) : (q.designerProfile?.experience ? 0.4 : 0)
+    },
+    certifications: {
+        label: 'Certifications',
+        raw: q => (q.designerProfile?.certificates || []).length,
+        value: raw => Math.min(raw / FULL_CERTIFICATE_COUNT, 1)
+    },
+    rating: {
+        label: 'Rating',
+        raw: q => q.reputation?.reviewCount > 0 ? q.reputation.averageRating : null,
+        // Designers without reviews get a neutral score rather than zero
+        value: raw => raw !== null ? raw / 5 : 0.5
+    }
+};
+
+export const SCORING_CRITERIA = Object.keys(CRITERIA);
+
+export const DEFAULT_SCORING = {
+    criteria: {
+        price: { mode: 'weighted', weight: 30 },
+        timeline: { mode: 'weighted', weight: 20 },
+        experience: { mode: 'weighted', weight: 20 },
+        certifications: { mode: 'weighted', weight: 15 },
+        rating: { mode: 'weighted', weight: 15 }
+    }
+};
+
+/**
+ * Validate scoring criteria from a request (object, or JSON string from a query string).
+ * Criteria left out do not count. Weights are relative and are scaled to a 0-100 total.
+ *
+ * @returns {{ criteria?: Object, error?: string }}
+ */
+export function normalizeScoringCriteria(raw) {
+    let input = raw;
+    if (typeof raw === 'string') {
+        try {
+            input = JSON.parse(raw);
+        } catch (error) {
+            return { error: 'Scoring criteria must be valid JSON.' };
+        }
+    }
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Scoring criteria must be an object keyed by criterion.' };
+    }
+
+    const criteria = {};
+    let totalWeight = 0;
+    for (const [key, entry] of Object.entries(input)) {
+        if (!CRITERIA[key]) {
+            return { error: `Unknown scoring criterion "${key}". Use: ${SCORING_CRITERIA.join(', ')}` };
+        }
+        const spec = typeof entry === 'number' ? { weight: entry } : (entry || {});
+        const mode = spec.mode || 'weighted';
+        if (!SCORING_MODES.includes(mode)) {
+            return { error: `${CRITERIA[key].label}: mode must be one of: ${SCORING_MODES.join(', ')}` };
+        }
+
+        if (mode === 'pass_fail') {
+            const threshold = parseFloat(spec.threshold);
+            if (isNaN(threshold) || threshold < 0) {
+                return { error: `${CRITERIA[key].label}: a pass/fail criterion needs a threshold of zero or more.` };
+            }
+            if (key === 'rating' && threshold > 5) {
+                return { error: 'Rating: the pass/fail threshold cannot be above 5.' };
+            }
+            criteria[key] = { mode, threshold };
+            continue;
+        }
+
+        const weight = parseFloat(spec.weight);
+        if (isNaN(weight) || weight < 0) {
+            return { error: `${CRITERIA[key].label}: weight must be zero or more.` };
+        }
+        if (weight === 0) continue;
+        criteria[key] = { mode, weight };
+        totalWeight += weight;
+    }
+
+    if (totalWeight === 0) {
+        return { error: 'At least one criterion needs a weight above zero.' };
+    }
+    for (const spec of Object.values(criteria)) {
+        if (spec.mode === 'weighted') spec.weight = round1(spec.weight / totalWeight * 100);
+    }
+    return { criteria };
+}
+
+/**
+ * Score one criterion of a quote relative to the other quotes on the job.
+ */
+function scoreCriterion(key, spec, quote, bounds) {
+    const criterion = CRITERIA[key];
+    const raw = criterion.raw(quote);
+
+    if (spec.mode === 'pass_fail') {
+        const passed = raw !== null && (criterion.lowerIsBetter ? raw <= spec.threshold : raw >= spec.threshold);
+        return { mode: 'pass_fail', raw, threshold: spec.threshold, passed };
+    }
+
+    let value;
+    if (criterion.value) {
+        value = criterion.value(raw, quote);
+    } else if (raw === null) {
+        value = 0;
+    } else {
+        // Lower-is-better criteria are scored against the range of all quotes
+        const { min, max } = bounds[key];
+        value = max > min ? (max - raw) / (max - min) : 1;
+    }
+    return { mode: 'weighted', raw, value: round1(value * 100) / 100, weight: spec.weight, points: round1(value * spec.weight) };
+}
+
+/**
+ * Rank scored quotes (see quoteAnalysisService) under a scoring configuration.
+ * Quotes that pass every pass/fail criterion come first, each group by total score.
+ *
+ * @param {Object[]} quotes - Scored quotes with amount, timeline, designerProfile, reputation
+ * @param {Object} criteria - From normalizeScoringCriteria
+ * @returns {Object[]} Ranked entries: { rank, quoteId, designerName, total, passed, failedCriteria, breakdown }
+ */
+export function rankQuotes(quotes, criteria) {
+    const bounds = {};
+    for (const key of SCORING_CRITERIA.filter(k => CRITERIA[k].lowerIsBetter)) {
+        const values = quotes.map(q => CRITERIA[key].raw(q)).filter(v => v !== null);
+        bounds[key] = { min: values.length ? Math.min(...values) : 0, max: values.length ? Math.max(...values) : 0 };
+    }
+
+    const ranking = quotes.map(quote => {
+        const breakdown = {};
+        for (const [key, spec] of Object.entries(criteria)) {
+            breakdown[key] = scoreCriterion(key, spec, quote, bounds);
+        }
+        const failedCriteria = Object.keys(breakdown).filter(key => breakdown[key].mode === 'pass_fail' && !breakdown[key].passed);
+        const total = round1(Object.values(breakdown).reduce((sum, b) => sum + (b.points || 0), 0));
+        return {
+            quoteId: quote.quoteId,
+            designerName: quote.designerName,
+            total,
+            passed: failedCriteria.length === 0,
+            failedCriteria,
+            breakdown
+        };
+    });
+
+    ranking.sort((a, b) => Number(b.passed) - Number(a.passed) || b.total - a.total);
+    ranking.forEach((entry, i) => { entry.rank = i + 1; });
+    return ranking;
+}
+
+/**
+ * Column label for a criterion, e.g. "Price (30%)" or "Rating ≥ 4".
+ */
+export function criterionLabel(key, spec) {
+    const criterion = CRITERIA[key];
+    if (spec.mode === 'pass_fail') {
+        return `${criterion.label} ${criterion.lowerIsBetter ? '≤' : '≥'} ${spec.threshold}`;
+    }
+    return `${criterion.label} (${spec.weight}%)`;
+}
+
+/**
+ * Validate a scoring preset from the request body. With `existing`, only provided fields change.
+ *
+ * @returns {{ preset?: Object, error?: string }}
+ */
+export function normalizeScoringPreset(body, existing = null) {
+    const name = body.name !== undefined ? String(body.name || '').trim() : existing?.name;
+    if (!name) return { error: 'Preset name is required.' };
+    if (name.length > 100) return { error: 'Preset name cannot exceed 100 characters.' };
+
+    let criteria = existing?.criteria;
+    if (body.criteria !== undefined || !existing) {
+        const result = normalizeScoringCriteria(body.criteria);
+        if (result.error) return { error: result.error };
+        criteria = result.criteria;
+    }
+
+    return {
+        preset: {
+            name,
+            criteria,
+            isDefault: body.isDefault !== undefined ? body.isDefault === true || body.isDefault === 'true' : (existing?.isDefault || false)
+        }
+    };
+}
+
+/**
+ * A contractor's scoring presets, default first, then by name.
+ */
+export async function listScoringPresets(userId) {
+    const snapshot = await adminDb.collection(COLLECTION).where('ownerId', '==', userId).get();
+    const presets = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    presets.sort((a, b) => Number(b.isDefault) - Number(a.isDefault) || a.name.localeCompare(b.name));
+    return presets;
+}
+
+/**
+ * Load a scoring preset by id (or null).
+ */
+export async function getScoringPreset(presetId) {
+    const doc = await adminDb.collection(COLLECTION).doc(presetId).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+}
+
+// Only one preset per contractor can be the default
+async function clearDefaultPreset(userId, exceptId = null) {
+    const snapshot = await adminDb.collection(COLLECTION)
+        .where('ownerId', '==', userId)
+        .where('isDefault', '==', true)
+        .get();
+    const batch = adminDb.batch();
+    snapshot.docs.filter(doc => doc.id !== exceptId).forEach(doc => batch.update(doc.ref, { isDefault: false }));
+    await batch.commit();
+}
+
+/**
+ * Create a scoring preset. Returns null when the contractor is at the limit.
+ */
+export async function createScoringPreset(userId, preset) {
+    const existing = await adminDb.collection(COLLECTION).where('ownerId', '==', userId).get();
+    if (existing.size >= MAX_PRESETS_PER_USER) return null;
+
+    if (preset.isDefault) await clearDefaultPreset(userId);
+    const now = new Date().toISOString();
+    const data = { ownerId: userId, ...preset, createdAt: now, updatedAt: now };
+    const ref = await adminDb.collection(COLLECTION).add(data);
+    return { id: ref.id, ...data };
+}
+
+export async function updateScoringPreset(presetId, userId, preset) {
+    if (preset.isDefault) await clearDefaultPreset(userId, presetId);
+    const updateData = { ...preset, updatedAt: new Date().toISOString() };
+    await adminDb.collection(COLLECTION).doc(presetId).update(updateData);
+    return updateData;
+}
+
+export async function deleteScoringPreset(presetId) {
+    await adminDb.collection(COLLECTION).doc(presetId).delete();
+}
+
+/**
+ * Scoring configuration for an analysis: criteria given with the request, else the named
+ * preset, else the contractor's default preset, else DEFAULT_SCORING.
+ *
+ * @param {string} userId
+ * @param {{ presetId?: string, criteria?: Object|string }} options
+ * @returns {Promise<{ scoring?: { criteria: Object, presetId: string|null, presetName: string }, error?: string, status?: number }>}
+ */
+export async function resolveScoring(userId, { presetId, criteria } = {}) {
+    if (criteria !== undefined && criteria !== '') {
+        const result = normalizeScoringCriteria(criteria);
+        if (result.error) return { status: 400, error: result.error };
+        return { scoring: { criteria: result.criteria, presetId: null, presetName: 'Custom' } };
+    }
+
+    if (presetId) {
+        const preset = await getScoringPreset(presetId);
+        if (!preset || preset.ownerId !== userId) return { status: 404, error: 'Scoring preset not found' };
+        return { scoring: { criteria: preset.criteria, presetId: preset.id, presetName: preset.name } };
+    }
+
+    const presets = await listScoringPresets(userId);
+    const preset = presets.find(p => p.isDefault);
+    return preset
+        ? { scoring: { criteria: preset.criteria, presetId: preset.id, presetName: preset.name } }
+        : { scoring: { criteria: DEFAULT_SCORING.criteria, presetId: null, presetName: 'Default' } };
+}
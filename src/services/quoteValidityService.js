@@ -0,0 +1,161 @@
+// src/services/quoteValidityService.js
+// Quote validity and withdrawal. A quote may carry a `validUntil` date; a scheduled sweep
+// marks lapsed quotes `expired`, and designers can withdraw a quote that has not been
+// approved. Expired and withdrawn quotes no longer count towards the job's `quotesCount`,
+// and their quote usage is refunded to the designer's plan (see usageMeteringService).
+
+import { adminDb, admin } from '../config/firebase.js';
+import { NotificationService } from './NotificationService.js';
+import { refundUsage } from './usageMeteringService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_VALIDITY_DAYS = 180;
+const SWEEP_INTERVAL = 60 * 60 * 1000; // Check for lapsed quotes every hour
+
+// Quotes that no longer take part in the job's bidding
+export const INACTIVE_QUOTE_STATUSES = ['withdrawn', 'expired'];
+
+let sweepIntervalHandle = null;
+
+/**
+ * Validate an optional validity date from the request body.
+ *
+ * @returns {{ validUntil?: string|null, error?: string }} validUntil is undefined when not sent
+ */
+export function parseValidUntil(value, now = Date.now()) {
+    if (value === undefined) return {};
+    if (value === null || value === '') return { validUntil: null };
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return { error: 'validUntil must be a valid date.' };
+    if (date.getTime() <= now) return { error: 'validUntil must be in the future.' };
+    if (date.getTime() > now + MAX_VALIDITY_DAYS * DAY_MS) {
+        return { error: `A quote can be valid for at most ${MAX_VALIDITY_DAYS} days.` };
+    }
+    return { validUntil: date.toISOString() };
+}
+
+/**
+ * Whether a submitted quote's validity date has passed (the sweep may not have run yet).
+ */
+export function isQuoteLapsed(quote, now = Date.now()) {
+    return quote.status === 'submitted' && !!quote.validUntil && new Date(quote.validUntil).getTime() <= now;
+}
+
+/**
+ * Give back the job's quote count and the quote usage the quote was metered on.
+ */
+async function releaseQuoteCounters(quote, reason) {
+    await adminDb.collection('jobs').doc(quote.jobId).update({
+        quotesCount: admin.firestore.FieldValue.increment(-1)
+    }).catch(error => console.error(`[QUOTE-VALIDITY] Failed to update quotesCount for job ${quote.jobId}:`, error.message));
+
+    await refundUsage(quote.usageReservationId, reason);
+}
+
+/**
+ * Mark a submitted quote expired, release its counters and notify both parties.
+ * Returns false when the quote was no longer submitted.
+ */
+export async function expireQuote(quote) {
+    const quoteRef = adminDb.collection('quotes').doc(quote.id);
+    const expired = await adminDb.runTransaction(async (tx) => {
+        const doc = await tx.get(quoteRef);
+        if (!doc.exists || doc.data().status !== 'submitted') return false;
+        tx.update(quoteRef, { status: 'expired', expiredAt: new Date().toISOString(), updatedAt: new Date() });
+        return true;
+    });
+    if (!expired) return false;
+
+    await releaseQuoteCounters(quote, 'quote_expired');
+    try {
+        const jobDoc = await adminDb.collection('jobs').doc(quote.jobId).get();
+        await NotificationService.notifyQuoteExpired(quote, jobDoc.exists ? { id: jobDoc.id, ...jobDoc.data() } : null);
+    } catch (error) {
+        console.error(`[QUOTE-VALIDITY] Failed to notify expiry of quote ${quote.id}:`, error.message);
+    }
+    return true;
+}
+
+/**
+ * Withdraw a submitted quote on behalf of its designer.
+ *
+ * @returns {Promise<Object|null>} The withdrawn quote, or null when it was no longer submitted
+ */
+export async function withdrawQuote(quote, reason = '') {
+    const quoteRef = adminDb.collection('quotes').doc(quote.id);
+    const now = new Date().toISOString();
+    const update = {
+        status: 'withdrawn',
+        withdrawnAt: now,
+        ...(reason && { withdrawalReason: reason.trim().slice(0, 1000) }),
+        updatedAt: new Date()
+    };
+
+    const withdrawn = await adminDb.runTransaction(async (tx) => {
+        const doc = await tx.get(quoteRef);
+        if (!doc.exists || doc.data().status !== 'submitted') return false;
+        tx.update(quoteRef, update);
+        return true;
+    });
+    if (!withdrawn) return null;
+
+    await releaseQuoteCounters(quote, 'quote_withdrawn');
+    return { ...quote, ...update };
+}
+
+/**
+ * Expire every submitted quote whose validity date has passed.
+ */
+export async function runQuoteExpirySweep() {
+    try {
+        // Needs a composite index on quotes: status ASC, validUntil ASC.
+        const snapshot = await adminDb.collection('quotes')
+            .where('status', '==', 'submitted')
+            .where('validUntil', '<=', new Date().toISOString())
+            .get();
+        let expired = 0;
+
+        for (const doc of snapshot.docs) {
+            const quote = { id: doc.id, ...doc.data() };
+            try {
+                if (await expireQuote(quote)) expired++;
+            } catch (error) {
+                console.error(`[QUOTE-VALIDITY] Failed to expire quote ${doc.id}:`, error.message);
+            }
+        }
+
+        if (expired > 0) console.log(`[QUOTE-VALIDITY] Expiry sweep marked ${expired} quotes expired`);
+        return expired;
+    } catch (error) {
+        console.error('[QUOTE-VALIDITY] Expiry sweep error:', error.message);
+        return 0;
+    }
+}
+
+/**
+ * Start the quote expiry scheduler
+ */
+export function startQuoteExpirySweep() {
+    if (sweepIntervalHandle) {
+        console.log('[QUOTE-VALIDITY] Expiry sweep already running');
+        return;
+    }
+
+    console.log(`[QUOTE-VALIDITY] Starting expiry sweep (checking every ${SWEEP_INTERVAL / 60000} minutes)`);
+    sweepIntervalHandle = setInterval(runQuoteExpirySweep, SWEEP_INTERVAL);
+
+    // Run an initial check after 75 seconds (let server finish starting)
+    setTimeout(runQuoteExpirySweep, 75000);
+}
+
+/**
+ * Stop the quote expiry scheduler
+ */
+export function stopQuoteExpirySweep() {
+    if (sweepIntervalHandle) {
+        clearInterval(sweepIntervalHandle);
+        sweepIntervalHandle = null;
+        console.log('[QUOTE-VALIDITY] Expiry sweep stopped');
+    }
+}
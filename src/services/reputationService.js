@@ -0,0 +1,151 @@
+// src/services/reputationService.js
+// Ratings and reviews left after a job is completed. The contractor and the assigned
+// designer can each review the other once per job. Reputation (average rating, review
+// count, on-time delivery rate) is aggregated from `reviews` and the user's completed jobs.
+
+import { adminDb } from '../config/firebase.js';
+
+const COLLECTION = 'reviews';
+export const REVIEWABLE_JOB_STATUSES = ['completed', 'closed'];
+
+function toMillis(value) {
+    if (!value) return null;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+    if (value._seconds) return value._seconds * 1000;
+    const parsed = new Date(value).getTime();
+    return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * When the job's work was signed off: `completedAt` first, then the last accepted 100%
+ * entry in completionHistory. `completionAcceptedAt` is only a fallback because it is
+ * also set when partial progress updates are accepted.
+ */
+export function getCompletionTime(jobData) {
+    const completedAt = toMillis(jobData.completedAt);
+    if (completedAt) return completedAt;
+    const finalUpdate = [...(jobData.completionHistory || [])]
+        .reverse()
+        .find(u => u.status === 'accepted' && u.percentage >= 100);
+    if (finalUpdate?.respondedAt) return toMillis(finalUpdate.respondedAt);
+    return toMillis(jobData.completionAcceptedAt);
+}
+
+/**
+ * Validate a rating/review submission.
+ *
+ * @returns {{ rating?: number, review?: string, error?: string }}
+ */
+export function validateReview(body) {
+    const rating = parseInt(body.rating);
+    if (isNaN(rating) || rating < 1 || rating > 5) {
+        return { error: 'Rating must be a whole number between 1 and 5.' };
+    }
+    const review = typeof body.review === 'string' ? body.review.trim() : '';
+    if (review.length > 2000) {
+        return { error: 'Reviews are limited to 2000 characters.' };
+    }
+    return { rating, review };
+}
+
+/**
+ * Save a review. Each party can review the other once per job, so the document id is
+ * `${jobId}_${reviewerId}`; returns null if that review already exists.
+ */
+export async function createReview({ jobId, jobData, reviewer, revieweeId, revieweeRole, rating, review }) {
+    const ref = adminDb.collection(COLLECTION).doc(`${jobId}_${reviewer.userId}`);
+    const now = new Date().toISOString();
+    const data = {
+        jobId,
+        jobTitle: jobData.title || '',
+        reviewerId: reviewer.userId,
+        reviewerName: reviewer.name || '',
+        reviewerRole: revieweeRole === 'designer' ? 'contractor' : 'designer',
+        revieweeId,
+        revieweeRole,
+        rating,
+        review,
+        createdAt: now
+    };
+
+    const created = await adminDb.runTransaction(async (tx) => {
+        const existing = await tx.get(ref);
+        if (existing.exists) return null;
+        tx.set(ref, data);
+        return { id: ref.id, ...data };
+    });
+
+    if (created) {
+        // Keep a denormalised snapshot on the user document for cheap listing
+        getUserReputation(revieweeId)
+            .then(reputation => adminDb.collection('users').doc(revieweeId).update({ reputation }))
+            .catch(error => console.error(`[REPUTATION] Failed to refresh snapshot for ${revieweeId}:`, error.message));
+    }
+    return created;
+}
+
+/**
+ * Reviews received by a user, newest first.
+ */
+export async function getReviewsForUser(userId, limit = 20) {
+    const snapshot = await adminDb.collection(COLLECTION).where('revieweeId', '==', userId).get();
+    const reviews = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    reviews.sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0));
+    return limit ? reviews.slice(0, limit) : reviews;
+}
+
+/**
+ * Reviews left on a job (at most two).
+ */
+export async function getReviewsForJob(jobId) {
+    const snapshot = await adminDb.collection(COLLECTION).where('jobId', '==', jobId).get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+/**
+ * Aggregate a user's reputation.
+ *
+ * @returns {Promise<{ averageRating: number|null, reviewCount: number, completedJobs: number,
+ *   onTimeRate: number|null, ratingBreakdown: Object }>}
+ */
+export async function getUserReputation(userId) {
+    const [reviewsSnapshot, jobsSnapshot] = await Promise.all([
+        adminDb.collection(COLLECTION).where('revieweeId', '==', userId).get(),
+        adminDb.collection('jobs').where('assignedTo', '==', userId).get()
+    ]);
+
+    const ratingBreakdown = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    let ratingSum = 0;
+    reviewsSnapshot.docs.forEach(doc => {
+        const { rating } = doc.data();
+        if (ratingBreakdown[rating] !== undefined) ratingBreakdown[rating]++;
+        ratingSum += rating || 0;
+    });
+    const reviewCount = reviewsSnapshot.size;
+
+    // On-time rate: completed jobs with a due date (from the approved quote timeline, or the
+    // contractor's deadline for older jobs) that were signed off by that date
+    let completedJobs = 0;
+    let withDeadline = 0;
+    let onTime = 0;
+    jobsSnapshot.docs.forEach(doc => {
+        const job = doc.data();
+        if (!REVIEWABLE_JOB_STATUSES.includes(job.status)) return;
+        completedJobs++;
+        const deadline = toMillis(job.dueDate) || toMillis(job.deadline);
+        const completedAt = getCompletionTime(job);
+        if (!deadline || !completedAt) return;
+        withDeadline++;
+        // Deadlines are usually dates - count the whole due day as on time
+        if (completedAt <= deadline + 24 * 60 * 60 * 1000) onTime++;
+    });
+
+    return {
+        averageRating: reviewCount > 0 ? Math.round((ratingSum / reviewCount) * 10) / 10 : null,
+        reviewCount,
+        ratingBreakdown,
+        completedJobs,
+        onTimeRate: withDeadline > 0 ? Math.round((onTime / withDeadline) * 100) / 100 : null,
+        updatedAt: new Date().toISOString()
+    };
+}
@@ -0,0 +1,260 @@
+// src/services/savedSearchService.js
+// Saved job searches and job alerts for designers. A saved search stores the same
+// criteria as GET /api/jobs/search; when a job is created or reopened it is matched against
+// every active saved search and the owner is alerted instantly or in a daily digest.
+
+import { adminDb, admin } from '../config/firebase.js';
+import { buildSearchDocument, compileCriteria, matchEntry } from './jobSearchIndex.js';
+import { NotificationService } from './NotificationService.js';
+import { sendJobAlertEmail } from '../utils/emailService.js';
+
+const COLLECTION = 'saved_searches';
+const MAX_SEARCHES_PER_USER = 20;
+const MAX_ALERTED_JOB_IDS = 200;
+const DIGEST_INTERVAL = 24 * 60 * 60 * 1000;
+const DIGEST_CHECK_INTERVAL = 60 * 60 * 1000; // Check for due digests every hour
+
+export const ALERT_FREQUENCIES = ['instant', 'daily'];
+
+let digestIntervalHandle = null;
+
+function parseList(value) {
+    if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean);
+    if (typeof value === 'string') return value.split(',').map(v => v.trim()).filter(Boolean);
+    return [];
+}
+
+function parseAmount(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const parsed = parseFloat(value);
+    return isNaN(parsed) ? undefined : parsed;
+}
+
+/**
+ * Validate a saved search from the request body. With `existing`, only provided fields change.
+ *
+ * @returns {{ search?: Object, error?: string }}
+ */
+export function normalizeSavedSearch(body, existing = null) {
+    const current = existing || { criteria: {}, frequency: 'instant', emailEnabled: false, active: true };
+    const criteria = { ...current.criteria };
+
+    if (body.q !== undefined) criteria.q = String(body.q || '').trim();
+    if (body.skills !== undefined) criteria.skills = parseList(body.skills);
+    if (body.location !== undefined) criteria.location = String(body.location || '').trim();
+    if (body.jobType !== undefined) criteria.jobType = String(body.jobType || '').trim();
+    for (const key of ['budgetMin', 'budgetMax']) {
+        if (body[key] === undefined) continue;
+        const amount = parseAmount(body[key]);
+        if (amount === undefined) return { error: `${key} must be a number.` };
+        criteria[key] = amount;
+    }
+    if (criteria.budgetMin != null && criteria.budgetMax != null && criteria.budgetMin > criteria.budgetMax) {
+        return { error: 'budgetMin cannot be greater than budgetMax.' };
+    }
+    if (!criteria.q && !(criteria.skills || []).length && !criteria.location && !criteria.jobType
+        && criteria.budgetMin == null && criteria.budgetMax == null) {
+        return { error: 'A saved search needs at least one keyword, skill, budget, location or job type.' };
+    }
+
+    const frequency = body.frequency !== undefined ? body.frequency : current.frequency;
+    if (!ALERT_FREQUENCIES.includes(frequency)) {
+        return { error: `Frequency must be one of: ${ALERT_FREQUENCIES.join(', ')}` };
+    }
+
+    const name = body.name !== undefined
+        ? String(body.name || '').trim()
+        : current.name;
+
+    return {
+        search: {
+            name: name || criteria.q || (criteria.skills || []).join(', ') || 'Saved search',
+            criteria,
+            frequency,
+            emailEnabled: body.emailEnabled !== undefined ? body.emailEnabled === true || body.emailEnabled === 'true' : current.emailEnabled,
+            active: body.active !== undefined ? body.active === true || body.active === 'true' : current.active
+        }
+    };
+}
+
+/**
+ * A user's saved searches, newest first.
+ */
+export async function listSavedSearches(userId) {
+    const snapshot = await adminDb.collection(COLLECTION).where('userId', '==', userId).get();
+    const searches = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    searches.sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0));
+    return searches;
+}
+
+/**
+ * Load a saved search by id (or null).
+ */
+export async function getSavedSearch(searchId) {
+    const doc = await adminDb.collection(COLLECTION).doc(searchId).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+}
+
+/**
+ * Create a saved search. Returns null when the user is at the limit.
+ */
+export async function createSavedSearch(userId, search) {
+    const existing = await adminDb.collection(COLLECTION).where('userId', '==', userId).get();
+    if (existing.size >= MAX_SEARCHES_PER_USER) return null;
+
+    const now = new Date().toISOString();
+    const data = {
+        userId,
+        ...search,
+        pendingJobIds: [],
+        alertedJobIds: [],
+        lastAlertAt: null,
+        lastDigestAt: null,
+        createdAt: now,
+        updatedAt: now
+    };
+    const ref = await adminDb.collection(COLLECTION).add(data);
+    return { id: ref.id, ...data };
+}
+
+export async function updateSavedSearch(searchId, search) {
+    const updateData = { ...search, updatedAt: new Date().toISOString() };
+    await adminDb.collection(COLLECTION).doc(searchId).update(updateData);
+    return updateData;
+}
+
+export async function deleteSavedSearch(searchId) {
+    await adminDb.collection(COLLECTION).doc(searchId).delete();
+}
+
+async function getUser(userId) {
+    const doc = await adminDb.collection('users').doc(userId).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+}
+
+// Alerts are deduplicated per time a job is open: a job that is closed and later reopened
+// alerts matching searches again
+function alertKey(jobId, jobData) {
+    return `${jobId}:${jobData.statusChangedAt || jobData.createdAt || ''}`;
+}
+
+async function deliverAlert(search, jobs) {
+    try {
+        await NotificationService.notifySavedSearchMatch(search, jobs);
+    } catch (error) {
+        console.error(`[JOB-ALERTS] In-app alert failed for search ${search.id}:`, error.message);
+    }
+
+    if (!search.emailEnabled) return;
+    const user = await getUser(search.userId);
+    if (user?.email) {
+        await sendJobAlertEmail(user, search, jobs);
+    }
+}
+
+/**
+ * Match a newly created or reopened job against all active saved searches.
+ * Instant searches are alerted now; daily searches queue the job for the next digest.
+ * A job alerts a given saved search once each time it is opened.
+ */
+export async function processJobForAlerts(jobId, jobData) {
+    try {
+        if (jobData.visibility === 'private' || (jobData.status && jobData.status !== 'open')) return 0;
+
+        const entry = buildSearchDocument(jobId, jobData);
+        const snapshot = await adminDb.collection(COLLECTION).where('active', '==', true).get();
+        const job = { id: jobId, title: jobData.title, budget: jobData.budget, location: jobData.location || '' };
+        const key = alertKey(jobId, jobData);
+
+        let matched = 0;
+        for (const doc of snapshot.docs) {
+            const search = { id: doc.id, ...doc.data() };
+            if (search.userId === jobData.posterId) continue;
+            if ((search.alertedJobIds || []).includes(key)) continue;
+            if (matchEntry(entry, compileCriteria(search.criteria)) < 0) continue;
+
+            matched++;
+            const alertedJobIds = [...(search.alertedJobIds || []), key].slice(-MAX_ALERTED_JOB_IDS);
+            if (search.frequency === 'daily') {
+                await doc.ref.update({
+                    pendingJobIds: admin.firestore.FieldValue.arrayUnion(jobId),
+                    alertedJobIds
+                });
+            } else {
+                await doc.ref.update({ alertedJobIds, lastAlertAt: new Date().toISOString() });
+                await deliverAlert(search, [job]);
+            }
+        }
+
+        if (matched > 0) console.log(`[JOB-ALERTS] Job ${jobId} matched ${matched} saved searches`);
+        return matched;
+    } catch (error) {
+        console.error(`[JOB-ALERTS] Failed to process alerts for job ${jobId}:`, error.message);
+        return 0;
+    }
+}
+
+/**
+ * Send daily digests that are due. Jobs that are no longer open are dropped from the digest.
+ */
+export async function sendDueDigests() {
+    try {
+        const snapshot = await adminDb.collection(COLLECTION)
+            .where('frequency', '==', 'daily')
+            .where('active', '==', true)
+            .get();
+        const now = Date.now();
+        let sent = 0;
+
+        for (const doc of snapshot.docs) {
+            const search = { id: doc.id, ...doc.data() };
+            const pending = search.pendingJobIds || [];
+            if (pending.length === 0) continue;
+            if (search.lastDigestAt && now - new Date(search.lastDigestAt).getTime() < DIGEST_INTERVAL) continue;
+
+            const jobDocs = await adminDb.getAll(...pending.map(id => adminDb.collection('jobs').doc(id)));
+            const jobs = jobDocs
+                .filter(d => d.exists && d.data().status === 'open')
+                .map(d => ({ id: d.id, title: d.data().title, budget: d.data().budget, location: d.data().location || '' }));
+
+            await doc.ref.update({ pendingJobIds: [], lastDigestAt: new Date(now).toISOString() });
+            if (jobs.length === 0) continue;
+
+            await deliverAlert(search, jobs);
+            sent++;
+        }
+
+        if (sent > 0) console.log(`[JOB-ALERTS] Sent ${sent} daily digests`);
+        return sent;
+    } catch (error) {
+        console.error('[JOB-ALERTS] Digest run error:', error.message);
+        return 0;
+    }
+}
+
+/**
+ * Start the daily digest scheduler
+ */
+export function startJobAlertDigests() {
+    if (digestIntervalHandle) {
+        console.log('[JOB-ALERTS] Digest scheduler already running');
+        return;
+    }
+
+    console.log(`[JOB-ALERTS] Starting digest scheduler (checking every ${DIGEST_CHECK_INTERVAL / 60000} minutes)`);
+    digestIntervalHandle = setInterval(sendDueDigests, DIGEST_CHECK_INTERVAL);
+
+    // Run an initial check after 60 seconds (let server finish starting)
+    setTimeout(sendDueDigests, 60000);
+}
+
+/**
+ * Stop the daily digest scheduler
+ */
+export function stopJobAlertDigests() {
+    if (digestIntervalHandle) {
+        clearInterval(digestIntervalHandle);
+        digestIntervalHandle = null;
+        console.log('[JOB-ALERTS] Digest scheduler stopped');
+    }
+}
@@ -0,0 +1,219 @@
+// src/services/sealedBidService.js
+// Sealed-bid (tender) mode for jobs. Quotes on a sealed job are hidden from the contractor
+// until the bid-close time; at opening every quote is revealed at once and a bid-opening
+// record (who bid what, when) is stored in `bid_openings` under the job's id. Opening
+// happens in a scheduled sweep, or on first access after close if the sweep has not run.
+
+import { adminDb } from '../config/firebase.js';
+import { NotificationService } from './NotificationService.js';
+
+const COLLECTION = 'bid_openings';
+export const BIDDING_MODES = ['open', 'sealed'];
+const MIN_BIDDING_WINDOW_MS = 60 * 60 * 1000; // A sealed tender stays open at least one hour
+const SWEEP_INTERVAL = 5 * 60 * 1000; // Check for closed tenders every 5 minutes
+
+let sweepIntervalHandle = null;
+
+/**
+ * Validate the bidding mode / bid-close time from a create or update body.
+ * On update, a sealed job cannot be unsealed once it has quotes, and its close time can
+ * only be extended.
+ *
+ * @returns {{ fields?: Object, error?: string }}
+ */
+export function parseBiddingOptions(body, existing = null, now = Date.now()) {
+    const mode = body.biddingMode !== undefined ? body.biddingMode : (existing?.biddingMode || 'open');
+    if (!BIDDING_MODES.includes(mode)) {
+        return { error: `Bidding mode must be one of: ${BIDDING_MODES.join(', ')}` };
+    }
+    if (mode === 'open') {
+        if (existing?.biddingMode === 'sealed' && existing.quotesCount > 0) {
+            return { error: 'A sealed tender that has received bids cannot be unsealed.' };
+        }
+        return { fields: body.biddingMode !== undefined ? { biddingMode: 'open', bidCloseAt: null } : {} };
+    }
+
+    if (existing?.bidsOpenedAt) {
+        return body.bidCloseAt !== undefined || body.biddingMode !== undefined
+            ? { error: 'Bids on this job have already been opened.' }
+            : { fields: {} };
+    }
+
+    const rawClose = body.bidCloseAt !== undefined ? body.bidCloseAt : existing?.bidCloseAt;
+    const closeAt = rawClose ? new Date(rawClose) : null;
+    if (!closeAt || isNaN(closeAt.getTime())) {
+        return { error: 'A sealed-bid job needs a valid bidCloseAt date.' };
+    }
+    if (body.bidCloseAt !== undefined) {
+        if (closeAt.getTime() < now + MIN_BIDDING_WINDOW_MS) {
+            return { error: 'bidCloseAt must be at least one hour in the future.' };
+        }
+        if (existing?.biddingMode === 'sealed' && existing.quotesCount > 0 && closeAt < new Date(existing.bidCloseAt)) {
+            return { error: 'The bid-close time of a tender that has received bids can only be extended.' };
+        }
+    }
+
+    // bidsOpenedAt starts out null so the opening sweep can query for unopened tenders
+    return { fields: { biddingMode: 'sealed', bidCloseAt: closeAt.toISOString(), bidsOpenedAt: null } };
+}
+
+/**
+ * Whether the job's quotes are still hidden from the contractor.
+ */
+export function isBidSealed(jobData) {
+    return jobData.biddingMode === 'sealed' && !jobData.bidsOpenedAt;
+}
+
+/**
+ * Whether a sealed job's bid-close time has passed (no more bids or bid changes).
+ */
+export function isBiddingClosed(jobData, now = Date.now()) {
+    return jobData.biddingMode === 'sealed' && !!jobData.bidCloseAt && new Date(jobData.bidCloseAt).getTime() <= now;
+}
+
+/**
+ * What the contractor may see of a sealed job before opening.
+ */
+export function sealedBidSummary(jobData) {
+    return {
+        biddingMode: 'sealed',
+        bidCloseAt: jobData.bidCloseAt,
+        bidsReceived: jobData.quotesCount || 0,
+        message: `Bids are sealed until ${new Date(jobData.bidCloseAt).toUTCString()}.`
+    };
+}
+
+/**
+ * Open the bids on a sealed job whose close time has passed. Writes the bid-opening
+ * record and reveals every quote in a single transaction.
+ *
+ * @returns {Promise<Object|null>} The opening record, or null when the job is not due
+ */
+export async function openBids(jobId, openedBy = 'system') {
+    const jobRef = adminDb.collection('jobs').doc(jobId);
+    const openingRef = adminDb.collection(COLLECTION).doc(jobId);
+
+    const opening = await adminDb.runTransaction(async (tx) => {
+        const jobDoc = await tx.get(jobRef);
+        if (!jobDoc.exists) return null;
+        const jobData = jobDoc.data();
+        if (!isBidSealed(jobData) || !isBiddingClosed(jobData)) return null;
+
+        const quotesSnapshot = await tx.get(adminDb.collection('quotes').where('jobId', '==', jobId));
+        const openedAt = new Date().toISOString();
+        const bids = quotesSnapshot.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .filter(q => q.status !== 'withdrawn')
+            .map(q => ({
+                quoteId: q.id,
+                designerId: q.designerId,
+                designerName: q.designerName,
+                amount: parseFloat(q.quoteAmount) || 0,
+                timeline: q.timeline || null,
+                status: q.status,
+                submittedAt: q.createdAt?.toDate ? q.createdAt.toDate().toISOString() : q.createdAt || null
+            }))
+            .sort((a, b) => a.amount - b.amount);
+
+        const record = {
+            jobId,
+            jobTitle: jobData.title,
+            contractorId: jobData.posterId,
+            bidCloseAt: jobData.bidCloseAt,
+            openedAt,
+            openedBy,
+            totalBids: bids.length,
+            bids
+        };
+
+        tx.set(openingRef, record);
+        tx.update(jobRef, { bidsOpenedAt: openedAt, updatedAt: openedAt });
+        quotesSnapshot.docs.forEach(doc => tx.update(doc.ref, { revealedAt: openedAt }));
+        return { id: jobId, ...record, jobData: { id: jobId, ...jobData } };
+    });
+
+    if (!opening) return null;
+    const { jobData, ...record } = opening;
+    console.log(`[SEALED-BIDS] Opened ${record.totalBids} bids on job ${jobId} (${openedBy})`);
+
+    try {
+        await NotificationService.notifyBidsOpened(jobData, record);
+    } catch (error) {
+        console.error(`[SEALED-BIDS] Failed to notify bid opening for job ${jobId}:`, error.message);
+    }
+    return record;
+}
+
+/**
+ * Open the bids now if the job is sealed and past its close time. Returns the job data
+ * as it stands afterwards.
+ */
+export async function ensureBidsOpened(jobId, jobData, openedBy = 'system') {
+    if (!isBidSealed(jobData) || !isBiddingClosed(jobData)) return jobData;
+    const opening = await openBids(jobId, openedBy);
+    return opening ? { ...jobData, bidsOpenedAt: opening.openedAt } : jobData;
+}
+
+/**
+ * Load a job's bid-opening record (or null).
+ */
+export async function getBidOpening(jobId) {
+    const doc = await adminDb.collection(COLLECTION).doc(jobId).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+}
+
+/**
+ * Open every sealed job whose bid-close time has passed.
+ */
+export async function runBidOpeningSweep() {
+    try {
+        // Needs a composite index on jobs: bidsOpenedAt ASC, bidCloseAt ASC.
+        const snapshot = await adminDb.collection('jobs')
+            .where('bidsOpenedAt', '==', null)
+            .where('bidCloseAt', '<=', new Date().toISOString())
+            .get();
+        let opened = 0;
+
+        for (const doc of snapshot.docs) {
+            if (!isBidSealed(doc.data())) continue;
+            try {
+                if (await openBids(doc.id)) opened++;
+            } catch (error) {
+                console.error(`[SEALED-BIDS] Failed to open bids on job ${doc.id}:`, error.message);
+            }
+        }
+
+        if (opened > 0) console.log(`[SEALED-BIDS] Sweep opened bids on ${opened} jobs`);
+        return opened;
+    } catch (error) {
+        console.error('[SEALED-BIDS] Sweep error:', error.message);
+        return 0;
+    }
+}
+
+/**
+ * Start the bid opening scheduler
+ */
+export function startBidOpeningSweep() {
+    if (sweepIntervalHandle) {
+        console.log('[SEALED-BIDS] Bid opening sweep already running');
+        return;
+    }
+
+    console.log(`[SEALED-BIDS] Starting bid opening sweep (checking every ${SWEEP_INTERVAL / 60000} minutes)`);
+    sweepIntervalHandle = setInterval(runBidOpeningSweep, SWEEP_INTERVAL);
+
+    // Run an initial check after 45 seconds (let server finish starting)
+    setTimeout(runBidOpeningSweep, 45000);
+}
+
+/**
+ * Stop the bid opening scheduler
+ */
+export function stopBidOpeningSweep() {
+    if (sweepIntervalHandle) {
+        clearInterval(sweepIntervalHandle);
+        sweepIntervalHandle = null;
+        console.log('[SEALED-BIDS] Bid opening sweep stopped');
+    }
+}
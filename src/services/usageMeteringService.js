@@ -0,0 +1,496 @@
+// src/services/usageMeteringService.js
+// Central metering for plan quotas (quotes, AI estimations, AI analyses). Every
+// quota-consuming action reserves a unit before doing the work, commits it once the work
+// has succeeded and releases it if it fails; each step is appended to the UsageLedger.
+// A committed unit is never released, but can be refunded once when its result is
+// withdrawn (a separate `refund` entry).
+// A unit comes from the user's plan allowance, else from a referral reward; users with no
+// plan covering the meter are not limited (their usage is still recorded). Counters reset
+// lazily at billing-cycle boundaries and when a subscription is created; every reset is a
+// ledger entry. A sweep releases reservations that were never settled.
+
+import crypto from 'crypto';
+import { adminDb, admin } from '../config/firebase.js';
+import Subscription from '../models/Subscription.js';
+import UsageLedger from '../models/UsageLedger.js';
+
+const ACTIVE_STATUSES = ['active', 'free_override'];
+const STALE_RESERVATION_MS = 60 * 60 * 1000; // Unsettled reservations are released after an hour
+const STALE_LOOKBACK_MS = 7 * 24 * 60 * 60 * 1000;
+const SWEEP_INTERVAL = 15 * 60 * 1000; // Check for stale reservations every 15 minutes
+
+/**
+ * Meter definitions: which plans carry the allowance, the Subscription fields holding it,
+ * and the referral reward that can stand in for a unit.
+ */
+export const USAGE_METERS = {
+    quote: {
+        label: 'Quotes',
+        plans: /^designer_/,
+        allowedField: 'quotesAllowed',
+        usedField: 'quotesUsed',
+        rewardType: 'free_quote'
+    },
+    ai_estimation: {
+        label: 'AI estimations',
+        plans: /^(estimation_|contractor_ai_estimation$|contractor_pro$)/,
+        allowedField: 'aiEstimationsAllowed',
+        usedField: 'aiEstimationsUsed',
+        rewardType: 'free_estimation'
+    },
+    ai_analysis: {
+        label: 'AI analyses',
+        plans: /^(analysis_|ai_analysis_|contractor_ai_analysis$)/,
+        allowedField: 'aiAnalysisQuota',
+        usedField: 'aiAnalysesUsed',
+        rewardType: 'free_estimation'
+    }
+};
+
+// Settlement entries a reservation must / must not already have for each settlement type
+const SETTLEMENT_RULES = {
+    commit: { requires: null, excludes: ['commit', 'release'] },
+    release: { requires: null, excludes: ['commit', 'release'] },
+    refund: { requires: 'commit', excludes: ['release', 'refund'] }
+};
+
+let sweepIntervalHandle = null;
+
+function meterDefinition(meter) {
+    const def = USAGE_METERS[meter];
+    if (!def) throw new Error(`Unknown usage meter "${meter}"`);
+    return def;
+}
+
+/**
+ * The user's newest active subscription that carries an allowance for the meter (or null).
+ */
+export async function findMeterSubscription(userId, meter) {
+    return Subscription.findOne({
+        userId,
+        plan: meterDefinition(meter).plans,
+        status: { $in: ACTIVE_STATUSES }
+    }).sort({ createdAt: -1 });
+}
+
+// Plan allowances are stated per month, so yearly billing still resets monthly
+function usageCycle(subscription) {
+    return subscription.billingCycle === 'yearly' ? 'monthly' : subscription.billingCycle;
+}
+
+function addCycle(date, cycle) {
+    const next = new Date(date);
+    if (cycle === 'daily') next.setDate(next.getDate() + 1);
+    else if (cycle === 'weekly') next.setDate(next.getDate() + 7);
+    else next.setMonth(next.getMonth() + 1);
+    return next;
+}
+
+function storedPeriodStart(subscription) {
+    return new Date(subscription.usagePeriodStart || subscription.startDate);
+}
+
+/**
+ * The usage period a subscription is in at `now`. Plans without a billing cycle never
+ * reset, so their period has no end.
+ *
+ * @returns {{ start: Date, end: Date|null }}
+ */
+export function currentUsagePeriod(subscription, now = new Date()) {
+    const cycle = usageCycle(subscription);
+    let start = storedPeriodStart(subscription);
+    if (!cycle) return { start, end: null };
+
+    let end = addCycle(start, cycle);
+    while (end <= now) {
+        start = end;
+        end = addCycle(start, cycle);
+    }
+    return { start, end };
+}
+
+/**
+ * Start a new usage period (zeroing every meter's counter) if the subscription has crossed
+ * a billing-cycle boundary. Safe to call concurrently: only one caller performs the reset.
+ *
+ * @returns {Promise<Object>} The subscription as it stands afterwards
+ */
+export async function rollUsagePeriod(subscription, reason = 'billing_cycle') {
+    const { start } = currentUsagePeriod(subscription);
+    if (start.getTime() === storedPeriodStart(subscription).getTime()) return subscription;
+
+    const rolled = await resetUsage(subscription, start, reason, { usagePeriodStart: subscription.usagePeriodStart || null });
+    // Without a result, another request rolled the period first
+    return rolled || (await Subscription.findById(subscription._id)) || subscription;
+}
+
+/**
+ * Start the first usage period of a newly created subscription (new plan, plan change or
+ * admin-created plan) at its start date, with every counter at zero.
+ *
+ * @returns {Promise<Object>} The subscription as it stands afterwards
+ */
+export async function startUsagePeriod(subscription, reason = 'plan_start') {
+    const start = new Date(subscription.startDate || Date.now());
+    return (await resetUsage(subscription, start, reason)) || subscription;
+}
+
+// Zero every meter's counter, move the period start and record a ledger reset entry.
+// `condition` narrows the update; returns null when it no longer matches.
+async function resetUsage(subscription, start, reason, condition = {}) {
+    const previousUsage = Object.fromEntries(
+        Object.values(USAGE_METERS).map(def => [def.usedField, subscription[def.usedField] || 0])
+    );
+    const reset = await Subscription.findOneAndUpdate(
+        { _id: subscription._id, ...condition },
+        { $set: { usagePeriodStart: start, ...Object.fromEntries(Object.keys(previousUsage).map(field => [field, 0])) } },
+        { new: true }
+    );
+    if (!reset) return null;
+
+    await UsageLedger.create({
+        userId: reset.userId,
+        type: 'reset',
+        subscriptionId: String(reset._id),
+        periodStart: start,
+        reason,
+        metadata: { previousUsage }
+    });
+    console.log(`[USAGE] Reset usage for subscription ${reset._id} (period from ${start.toISOString()}, ${reason})`);
+    return reset;
+}
+
+/**
+ * Take one referral reward of the meter's type, if the user has one.
+ */
+async function takeReferralReward(userId, def) {
+    const referralRef = adminDb.collection('referrals').doc(userId);
+    return adminDb.runTransaction(async (tx) => {
+        const doc = await tx.get(referralRef);
+        if (!doc.exists) return false;
+        const data = doc.data();
+        const rewardType = data.userType === 'contractor' ? 'free_estimation' : 'free_quote';
+        if (rewardType !== def.rewardType || (data.rewardsAvailable || 0) <= 0) return false;
+
+        tx.update(referralRef, {
+            rewardsAvailable: admin.firestore.FieldValue.increment(-1),
+            rewardsUsed: admin.firestore.FieldValue.increment(1),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return true;
+    });
+}
+
+async function refundReferralReward(userId) {
+    await adminDb.collection('referrals').doc(userId).update({
+        rewardsAvailable: admin.firestore.FieldValue.increment(1),
+        rewardsUsed: admin.firestore.FieldValue.increment(-1),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+}
+
+// Give a unit back to wherever it was taken from
+async function returnUnit(entry) {
+    const def = meterDefinition(entry.meter);
+    if (entry.source === 'plan' && entry.subscriptionId) {
+        const subscription = await Subscription.findById(entry.subscriptionId);
+        // Units from an earlier period were already wiped by the reset
+        if (subscription && storedPeriodStart(subscription).getTime() === new Date(entry.periodStart).getTime()) {
+            await Subscription.updateOne(
+                { _id: subscription._id, [def.usedField]: { $gt: 0 } },
+                { $inc: { [def.usedField]: -1 } }
+            );
+        }
+    } else if (entry.source === 'referral') {
+        await refundReferralReward(entry.userId);
+    }
+}
+
+/**
+ * Reserve one unit of a meter for the user before doing the work it pays for.
+ * Commit the reservation once the work succeeds, or release it if it fails.
+ *
+ * @param {string} userId
+ * @param {string} meter - One of USAGE_METERS
+ * @param {{ type?: string, id?: string }} [reference] - What the unit is for
+ * @returns {Promise<{ reservationId?: string, source?: string, error?: string, status?: number, code?: string, usage?: Object }>}
+ */
+export async function reserveUsage(userId, meter, reference = {}) {
+    const def = meterDefinition(meter);
+    const entry = {
+        reservationId: crypto.randomUUID(),
+        userId,
+        meter,
+        type: 'reserve',
+        source: null,
+        subscriptionId: null,
+        periodStart: null,
+        reference: { type: reference.type || null, id: reference.id || null }
+    };
+
+    let subscription = await findMeterSubscription(userId, meter);
+    if (subscription) {
+        subscription = await rollUsagePeriod(subscription);
+        const counted = await Subscription.findOneAndUpdate(
+            {
+                _id: subscription._id,
+                $or: [
+                    { [def.allowedField]: null },
+                    { $expr: { $lt: [`$${def.usedField}`, `$${def.allowedField}`] } }
+                ]
+            },
+            { $inc: { [def.usedField]: 1 } },
+            { new: true }
+        );
+        if (counted) {
+            Object.assign(entry, { source: 'plan', subscriptionId: String(counted._id), periodStart: storedPeriodStart(counted) });
+        } else if (await takeReferralReward(userId, def)) {
+            entry.source = 'referral';
+        } else {
+            const { end } = currentUsagePeriod(subscription);
+            return {
+                status: 403,
+                code: 'QUOTA_EXCEEDED',
+                error: `${def.label} limit reached (${subscription[def.usedField]} / ${subscription[def.allowedField]}) on your ${subscription.planLabel || subscription.plan} plan. ${end ? `Usage resets on ${end.toDateString()}.` : 'Please upgrade your plan.'}`,
+                usage: { meter, used: subscription[def.usedField], allowed: subscription[def.allowedField], resetsAt: end }
+            };
+        }
+    } else {
+        entry.source = 'unmetered';
+    }
+
+    try {
+        await UsageLedger.create(entry);
+    } catch (error) {
+        await returnUnit(entry).catch(() => {});
+        throw error;
+    }
+    return { reservationId: entry.reservationId, source: entry.source };
+}
+
+// Append a settlement entry; null if the reservation is unknown or not in a state the
+// settlement type allows (see SETTLEMENT_RULES)
+async function settleReservation(reservationId, type, fields) {
+    const { requires, excludes } = SETTLEMENT_RULES[type];
+    const entries = await UsageLedger.find({ reservationId }).lean();
+    const reserve = entries.find(e => e.type === 'reserve');
+    if (!reserve) return null;
+    if (requires && !entries.some(e => e.type === requires)) return null;
+    if (entries.some(e => excludes.includes(e.type))) return null;
+
+    try {
+        await UsageLedger.create({
+            reservationId,
+            userId: reserve.userId,
+            meter: reserve.meter,
+            type,
+            source: reserve.source,
+            subscriptionId: reserve.subscriptionId,
+            periodStart: reserve.periodStart,
+            ...fields
+        });
+    } catch (error) {
+        if (error.code === 11000) return null; // Settled concurrently
+        throw error;
+    }
+    return reserve;
+}
+
+/**
+ * Confirm a reservation after the work it paid for succeeded.
+ *
+ * @param {string} reservationId
+ * @param {{ type?: string, id?: string }} [reference] - The record that was created
+ * @returns {Promise<boolean>}
+ */
+export async function commitUsage(reservationId, reference = {}) {
+    if (!reservationId) return false;
+    try {
+        const reserve = await settleReservation(reservationId, 'commit', {
+            reference: { type: reference.type || null, id: reference.id || null }
+        });
+        return !!reserve;
+    } catch (error) {
+        console.error(`[USAGE] Failed to commit reservation ${reservationId}:`, error.message);
+        return false;
+    }
+}
+
+/**
+ * Give back a reservation whose work failed. Committed reservations cannot be released;
+ * see refundUsage. Units from a previous period are not returned, since that period's
+ * counters have already been reset.
+ *
+ * @returns {Promise<boolean>} false when the reservation is unknown, committed or already released
+ */
+export async function releaseUsage(reservationId, reason = '') {
+    if (!reservationId) return false;
+    try {
+        const reserve = await settleReservation(reservationId, 'release', { reason });
+        if (!reserve) return false;
+        await returnUnit(reserve);
+        return true;
+    } catch (error) {
+        console.error(`[USAGE] Failed to release reservation ${reservationId}:`, error.message);
+        return false;
+    }
+}
+
+/**
+ * Give back a committed unit whose result was withdrawn (a quote that was withdrawn or
+ * expired). Each unit is refunded at most once, and as with releases, units from a
+ * previous period are not returned.
+ *
+ * @returns {Promise<boolean>} false when the reservation is not committed or already refunded
+ */
+export async function refundUsage(reservationId, reason = '') {
+    if (!reservationId) return false;
+    try {
+        const reserve = await settleReservation(reservationId, 'refund', { reason });
+        if (!reserve) return false;
+        await returnUnit(reserve);
+        return true;
+    } catch (error) {
+        console.error(`[USAGE] Failed to refund reservation ${reservationId}:`, error.message);
+        return false;
+    }
+}
+
+/**
+ * Spend a referral reward directly (outside an action that reserves usage).
+ *
+ * @returns {Promise<boolean>} false when the user has no reward for the meter
+ */
+export async function consumeReferralReward(userId, meter, reference = {}) {
+    const def = meterDefinition(meter);
+    if (!(await takeReferralReward(userId, def))) return false;
+
+    const reservationId = crypto.randomUUID();
+    const entry = {
+        reservationId,
+        userId,
+        meter,
+        source: 'referral',
+        reference: { type: reference.type || null, id: reference.id || null }
+    };
+    await UsageLedger.create({ ...entry, type: 'reserve' });
+    await UsageLedger.create({ ...entry, type: 'commit' });
+    return true;
+}
+
+/**
+ * Usage this period for every meter, plus available referral rewards.
+ */
+export async function getUsageSummary(userId) {
+    const meters = {};
+    for (const [meter, def] of Object.entries(USAGE_METERS)) {
+        let subscription = await findMeterSubscription(userId, meter);
+        if (!subscription) {
+            meters[meter] = { label: def.label, metered: false, plan: null };
+            continue;
+        }
+        subscription = await rollUsagePeriod(subscription);
+        const { start, end } = currentUsagePeriod(subscription);
+        const used = subscription[def.usedField] || 0;
+        const allowed = subscription[def.allowedField] ?? null;
+        meters[meter] = {
+            label: def.label,
+            metered: true,
+            plan: subscription.plan,
+            planLabel: subscription.planLabel,
+            subscriptionId: String(subscription._id),
+            billingCycle: subscription.billingCycle,
+            used,
+            allowed,
+            remaining: allowed === null ? null : Math.max(allowed - used, 0),
+            unlimited: allowed === null,
+            periodStart: start,
+            resetsAt: end
+        };
+    }
+
+    const referralDoc = await adminDb.collection('referrals').doc(userId).get();
+    const referral = referralDoc.exists ? referralDoc.data() : null;
+    const rewardType = referral ? (referral.userType === 'contractor' ? 'free_estimation' : 'free_quote') : null;
+
+    return {
+        meters,
+        referralRewards: {
+            available: referral?.rewardsAvailable || 0,
+            rewardType,
+            appliesTo: Object.keys(USAGE_METERS).filter(meter => USAGE_METERS[meter].rewardType === rewardType)
+        }
+    };
+}
+
+/**
+ * The user's ledger entries, newest first.
+ *
+ * @param {string} userId
+ * @param {{ meter?: string, since?: Date, limit?: number }} [options]
+ */
+export async function getUsageHistory(userId, { meter, since, limit = 50 } = {}) {
+    const query = { userId };
+    if (meter) {
+        meterDefinition(meter);
+        query.meter = meter;
+    }
+    if (since) query.createdAt = { $gte: since };
+    return UsageLedger.find(query)
+        .sort({ createdAt: -1 })
+        .limit(Math.min(Math.max(parseInt(limit) || 50, 1), 200))
+        .lean();
+}
+
+/**
+ * Release reservations that were neither committed nor released within the hour
+ * (the request that made them crashed or never settled them).
+ */
+export async function runStaleReservationSweep() {
+    try {
+        const now = Date.now();
+        const stale = await UsageLedger.aggregate([
+            { $match: { reservationId: { $type: 'string' }, createdAt: { $gte: new Date(now - STALE_LOOKBACK_MS) } } },
+            { $group: { _id: '$reservationId', types: { $addToSet: '$type' }, reservedAt: { $min: '$createdAt' } } },
+            { $match: { types: { $eq: ['reserve'] }, reservedAt: { $lt: new Date(now - STALE_RESERVATION_MS) } } }
+        ]);
+        let released = 0;
+
+        for (const { _id: reservationId } of stale) {
+            if (await releaseUsage(reservationId, 'stale_reservation')) released++;
+        }
+
+        if (released > 0) console.log(`[USAGE] Sweep released ${released} stale reservations`);
+        return released;
+    } catch (error) {
+        console.error('[USAGE] Stale reservation sweep error:', error.message);
+        return 0;
+    }
+}
+
+/**
+ * Start the stale reservation scheduler
+ */
+export function startUsageReservationSweep() {
+    if (sweepIntervalHandle) {
+        console.log('[USAGE] Stale reservation sweep already running');
+        return;
+    }
+
+    console.log(`[USAGE] Starting stale reservation sweep (checking every ${SWEEP_INTERVAL / 60000} minutes)`);
+    sweepIntervalHandle = setInterval(runStaleReservationSweep, SWEEP_INTERVAL);
+
+    // Run an initial check after 90 seconds (let server finish starting)
+    setTimeout(runStaleReservationSweep, 90000);
+}
+
+/**
+ * Stop the stale reservation scheduler
+ */
+export function stopUsageReservationSweep() {
+    if (sweepIntervalHandle) {
+        clearInterval(sweepIntervalHandle);
+        sweepIntervalHandle = null;
+        console.log('[USAGE] Stale reservation sweep stopped');
+    }
+}
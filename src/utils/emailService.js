@@ -757,6 +757,38 @@ export async function sendWebsiteEstimationResultReady(email, name, projectTitle
     }
 }
 
+// ============================================================
+// SAVED SEARCH JOB ALERT (instant or daily digest)
+// ============================================================
+export async function sendJobAlertEmail(designer, savedSearch, jobs) {
+    try {
+        const searchName = savedSearch.name || 'Saved search';
+        const isDigest = savedSearch.frequency === 'daily';
+        const rows = jobs.map(job => `<tr><td ${S.tdLabel}>${job.title}</td><td ${S.tdValue}>${job.budget || 'Budget not specified'}${job.location ? ` · ${job.location}` : ''}</td></tr>`).join('');
+
+        const htmlContent = `
+<h2 ${S.h2}>${isDigest ? 'Your Daily Job Digest' : 'New Project Matches Your Search'}</h2>
+<p ${S.p}>Hi ${designer.name || 'there'},</p>
+<p ${S.p}>${jobs.length} new project${jobs.length > 1 ? 's match' : ' matches'} your saved search <strong>${searchName}</strong>:</p>
+<table ${S.table}>
+${rows}
+</table>
+<p style="margin:20px 0;"><a href="https://steelconnectapp.com/?section=jobs" ${S.btn}>Browse Projects</a></p>
+<p ${S.muted}>You can change the alert frequency or turn off emails for this search in your saved searches.</p>`;
+
+        return await sendEmail({
+            to: designer.email,
+            subject: isDigest
+                ? `${jobs.length} new project${jobs.length > 1 ? 's' : ''} for "${searchName}"`
+                : `New project: "${jobs[0].title}"`,
+            htmlContent,
+        });
+    } catch (error) {
+        console.error('Error sending job alert email:', error);
+        return { success: false, error: error.message || 'Failed to send job alert email' };
+    }
+}
+
 export default {
     sendLoginNotification,
     sendEstimationResultNotification,
@@ -773,4 +805,5 @@ export default {
     sendAnalysisReportReadyEmail,
     sendWebsiteEstimationConfirmation,
     sendWebsiteEstimationResultReady,
+    sendJobAlertEmail,
 };
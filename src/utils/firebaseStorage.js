@@ -302,3 +302,76 @@ export async function getSignedDownloadUrl(filePath) {
         throw new Error(`Failed to generate download URL: ${error.message}`);
     }
 }
+
+/**
+ * Resolve the storage path of a stored file. Older records only kept the signed URL,
+ * so the path is recovered from the URL when `path` is missing.
+ * @param {Object} file - Stored file object ({ path, url })
+ * @returns {string|null} - Storage path, or null when it cannot be determined
+ */
+export function resolveStoragePath(file) {
+    if (!file) return null;
+    if (file.path) return file.path;
+    if (!file.url) return null;
+
+    try {
+        const url = new URL(file.url);
+        const bucketName = storage.bucket().name;
+
+        // Firebase download URL: /v0/b/<bucket>/o/<encoded path>
+        const firebaseMatch = url.pathname.match(/^\/v0\/b\/([^/]+)\/o\/(.+)$/);
+        if (firebaseMatch) {
+            return firebaseMatch[1] === bucketName ? decodeURIComponent(firebaseMatch[2]) : null;
+        }
+
+        // Signed URL: /<bucket>/<path>
+        const prefix = `/${bucketName}/`;
+        if (url.pathname.startsWith(prefix)) {
+            return decodeURIComponent(url.pathname.slice(prefix.length));
+        }
+        return null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Copy a file within Firebase Storage (no re-upload)
+ * @param {string} sourcePath - Path of the existing file
+ * @param {string} destinationPath - Path for the copy
+ * @returns {Promise<Object>} - File object with signed URL and metadata, like uploadToFirebaseStorage
+ */
+export async function copyFileInFirebase(sourcePath, destinationPath) {
+    try {
+        if (!sourcePath || !destinationPath) {
+            throw new Error('Source and destination paths are required');
+        }
+
+        const bucket = storage.bucket();
+        const destination = bucket.file(destinationPath);
+        await bucket.file(sourcePath).copy(destination);
+
+        const [[signedUrl], [metadata]] = await Promise.all([
+            destination.getSignedUrl({
+                action: 'read',
+                expires: Date.now() + 24 * 60 * 60 * 1000, // 24 hours
+            }),
+            destination.getMetadata()
+        ]);
+
+        console.log(`File copied successfully: ${sourcePath} -> ${destinationPath}`);
+        return {
+            url: signedUrl,
+            downloadURL: signedUrl,
+            size: parseInt(metadata.size) || 0,
+            mimetype: metadata.contentType,
+            type: metadata.contentType,
+            path: destinationPath,
+            filename: destinationPath,
+            uploadedAt: new Date().toISOString()
+        };
+    } catch (error) {
+        console.error('Error copying file in Firebase Storage:', error);
+        throw new Error(`File copy failed: ${error.message}`);
+    }
+}
@@ -0,0 +1,54 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildChangeOrder, applyChangeOrder } from '../src/services/changeOrderService.js';
+
+const proposer = { userId: 'contractor-1', name: 'Casey', role: 'contractor' };
+const milestones = [
+    { id: 'm1', title: 'Design', amount: 300, amountShare: 30, status: 'accepted' },
+    { id: 'm2', title: 'Drawings', amount: 300, amountShare: 30, status: 'submitted', dueDate: '2026-05-01T00:00:00.000Z' },
+    { id: 'm3', title: 'Calculations', amount: 400, amountShare: 40, status: 'pending' }
+];
+const job = { approvedAmount: 1000, milestones };
+
+const sum = (list) => Math.round(list.reduce((total, m) => total + m.amount, 0) * 100) / 100;
+
+test('buildChangeOrder only targets milestones that can still change', () => {
+    assert.equal(buildChangeOrder({ description: 'More sheets', amountDelta: 100, milestoneId: 'm2' }, proposer, milestones).changeOrder.milestoneId, 'm2');
+    assert.match(buildChangeOrder({ description: 'More sheets', amountDelta: 100, milestoneId: 'm1' }, proposer, milestones).error, /accepted milestone/);
+    assert.match(buildChangeOrder({ description: 'More sheets', amountDelta: 100, milestoneId: 'nope' }, proposer, milestones).error, /not found/);
+});
+
+test('applyChangeOrder spreads the delta over open milestones and keeps the totals in step', () => {
+    const { changeOrder } = buildChangeOrder({ description: 'Extra bay', amountDelta: 100 }, proposer, milestones);
+    const applied = applyChangeOrder(job, changeOrder);
+
+    assert.equal(applied.approvedAmount, 1100);
+    assert.deepEqual(applied.milestones.map(m => m.amount), [300, 342.86, 457.14]);
+    assert.equal(sum(applied.milestones), 1100);
+    assert.equal(applied.milestones[0].updatedAt, undefined);
+});
+
+test('applyChangeOrder moves the named milestone only', () => {
+    const { changeOrder } = buildChangeOrder(
+        { description: 'Drop a sheet', amountDelta: -50, timelineDeltaDays: 3, milestoneId: 'm2' }, proposer, milestones
+    );
+    const applied = applyChangeOrder(job, changeOrder);
+
+    assert.deepEqual(applied.milestones.map(m => m.amount), [300, 250, 400]);
+    assert.equal(applied.milestones[1].dueDate, '2026-05-04T00:00:00.000Z');
+    assert.deepEqual(applied.milestones.map(m => m.amountShare), [31.58, 26.32, 42.11]);
+});
+
+test('applyChangeOrder refuses reductions larger than the open milestones', () => {
+    const { changeOrder } = buildChangeOrder({ description: 'Descope', amountDelta: -800 }, proposer, milestones);
+    assert.match(applyChangeOrder(job, changeOrder).error, /larger than the milestones/);
+});
+
+test('applyChangeOrder leaves jobs without milestones alone', () => {
+    const { changeOrder } = buildChangeOrder({ description: 'Extra bay', amountDelta: 250 }, proposer);
+    const applied = applyChangeOrder({ approvedAmount: '1000' }, changeOrder);
+
+    assert.equal(applied.approvedAmount, 1250);
+    assert.equal(applied.milestones, null);
+});
@@ -0,0 +1,34 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSnippet } from '../src/services/conversationSearchService.js';
+
+const highlighted = ({ snippet, highlights }) => highlights.map(({ start, end }) => snippet.substring(start, end));
+
+test('buildSnippet returns short text whole with every match highlighted', () => {
+    const result = buildSnippet('Revised beam schedule attached, see Beam B2', ['beam']);
+
+    assert.equal(result.snippet, 'Revised beam schedule attached, see Beam B2');
+    assert.deepEqual(highlighted(result), ['beam', 'Beam']);
+});
+
+test('buildSnippet cuts long text around the first match', () => {
+    const text = `${'x'.repeat(200)} the anchor bolt layout ${'y'.repeat(200)}`;
+    const result = buildSnippet(text, ['anchor', 'bolt']);
+
+    assert.ok(result.snippet.startsWith('...'));
+    assert.ok(result.snippet.endsWith('...'));
+    assert.equal(result.snippet.length, 3 + 180 + 3);
+    assert.deepEqual(highlighted(result), ['anchor', 'bolt']);
+});
+
+test('buildSnippet treats search terms literally', () => {
+    const result = buildSnippet('Use grade (A992) steel', ['(a992)']);
+    assert.deepEqual(highlighted(result), ['(A992)']);
+});
+
+test('buildSnippet without terms returns the start of the text', () => {
+    const text = 'z'.repeat(150);
+    assert.deepEqual(buildSnippet(text, []), { snippet: `${'z'.repeat(120)}...`, highlights: [] });
+    assert.deepEqual(buildSnippet('short', []), { snippet: 'short', highlights: [] });
+});
@@ -0,0 +1,66 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreDesigner, parseExperienceYears } from '../src/services/designerMatchingService.js';
+
+const job = {
+    title: 'Steel connection design for warehouse',
+    description: 'Moment connections and base plates for a portal frame warehouse',
+    skills: ['Connection Design', 'Tekla'],
+    budget: '$2000 - $4000',
+    location: 'Houston, TX'
+};
+
+test('parseExperienceYears reads the years from free text', () => {
+    assert.equal(parseExperienceYears('8 years'), 8);
+    assert.equal(parseExperienceYears('5+ yrs in steel detailing'), 5);
+    assert.equal(parseExperienceYears('senior'), null);
+});
+
+test('scoreDesigner scores a strong match above a weak one', () => {
+    const strong = scoreDesigner(job, {
+        skills: ['Tekla', 'connection design'],
+        specializations: ['Warehouse'],
+        hourlyRate: 60,
+        experience: '12 years',
+        location: 'Houston, TX',
+        reputation: { averageRating: 5, reviewCount: 3 }
+    });
+    const weak = scoreDesigner(job, {
+        skills: ['Revit'],
+        hourlyRate: 500,
+        experience: '1 year',
+        location: 'London, UK'
+    });
+
+    assert.ok(strong.score > weak.score);
+    assert.deepEqual(strong.matchedSkills, ['connection design', 'tekla']);
+    assert.deepEqual(weak.matchedSkills, []);
+});
+
+test('scoreDesigner gives full marks per criterion when everything matches', () => {
+    const { breakdown, reasons } = scoreDesigner(job, {
+        skills: ['Connection Design', 'Tekla'],
+        hourlyRate: 50,
+        experience: '15 years',
+        location: 'Houston TX',
+        reputation: { averageRating: 5, reviewCount: 1 }
+    });
+
+    assert.equal(breakdown.skills, 40);
+    assert.equal(breakdown.rate, 15);
+    assert.equal(breakdown.experience, 10);
+    assert.equal(breakdown.location, 10);
+    assert.equal(breakdown.rating, 10);
+    assert.ok(reasons.includes('Rated 5/5 from 1 review'));
+});
+
+test('scoreDesigner uses neutral scores when the job or profile gives nothing to compare', () => {
+    const { score, breakdown } = scoreDesigner({ title: 'Design' }, {});
+
+    assert.equal(breakdown.skills, 0);
+    assert.equal(breakdown.rate, 8);
+    assert.equal(breakdown.location, 5);
+    assert.equal(breakdown.rating, 5);
+    assert.equal(score, 18);
+});
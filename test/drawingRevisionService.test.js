@@ -0,0 +1,43 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareRevisions, nextRevision, parseRevisionTags } from '../src/services/drawingRevisionService.js';
+
+test('compareRevisions orders single letters before double letters', () => {
+    assert.ok(compareRevisions('A', 'B') < 0);
+    assert.ok(compareRevisions('Z', 'AA') < 0);
+    assert.ok(compareRevisions('AB', 'AA') > 0);
+    assert.equal(compareRevisions('C', 'C'), 0);
+    assert.deepEqual(['AA', 'B', 'Z', 'A', 'AB'].sort(compareRevisions), ['A', 'B', 'Z', 'AA', 'AB']);
+});
+
+test('nextRevision counts A, B, ... Z, AA, AB', () => {
+    assert.equal(nextRevision(null), 'A');
+    assert.equal(nextRevision('A'), 'B');
+    assert.equal(nextRevision('Z'), 'AA');
+    assert.equal(nextRevision('AZ'), 'BA');
+    assert.equal(nextRevision('ZZ'), 'AAA');
+});
+
+test('parseRevisionTags fills in the next revision of each sheet', () => {
+    const files = [{ originalname: 's-101.pdf' }, { originalname: 'notes.pdf' }, { originalname: 's-102.pdf' }];
+    const jobData = { drawingRevisions: [{ sheetNumber: 'S-101', revision: 'B', status: 'current' }] };
+
+    const { tags, error } = parseRevisionTags({ sheetNumbers: 's-101,,S-102' }, files, jobData);
+
+    assert.equal(error, undefined);
+    assert.deepEqual(tags, [
+        { sheetNumber: 'S-101', revision: 'C' },
+        null,
+        { sheetNumber: 'S-102', revision: 'A' }
+    ]);
+});
+
+test('parseRevisionTags rejects revisions that do not move a sheet forward', () => {
+    const files = [{ originalname: 's-101.pdf' }];
+    const jobData = { drawingRevisions: [{ sheetNumber: 'S-101', revision: 'C', status: 'current' }] };
+
+    assert.match(parseRevisionTags({ sheetNumbers: 'S-101', revisions: 'B' }, files, jobData).error, /already at revision C/);
+    assert.match(parseRevisionTags({ revisions: 'A' }, files).error, /has a revision but no sheet number/);
+    assert.match(parseRevisionTags({ sheetNumbers: 'S-101', revisions: '2' }, files).error, /Invalid revision/);
+});
@@ -0,0 +1,13 @@
+// test/helpers/env.js
+// Import first in every test file: the services load the Firebase config on import, which
+// needs credentials. A throwaway key is generated so no real project is ever contacted.
+
+import crypto from 'crypto';
+
+const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+process.env.FIREBASE_PROJECT_ID = 'steelconnect-test';
+process.env.FIREBASE_CLIENT_EMAIL = 'test@steelconnect-test.iam.gserviceaccount.com';
+process.env.FIREBASE_PRIVATE_KEY = privateKey.export({ type: 'pkcs8', format: 'pem' });
+process.env.FIREBASE_STORAGE_BUCKET = 'steelconnect-test.appspot.com';
+process.env.RESEND_API_KEY = 're_test';
@@ -0,0 +1,54 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertTransition, allowedTransitions, JobTransitionError } from '../src/services/jobLifecycle.js';
+
+const rejects = (job, to, options, pattern) => assert.throws(
+    () => assertTransition(job, to, options),
+    (error) => error instanceof JobTransitionError && error.status === 409 && pattern.test(error.message)
+);
+
+test('assertTransition allows the workflow edges', () => {
+    assert.doesNotThrow(() => assertTransition({ status: 'draft' }, 'open', { manual: true }));
+    assert.doesNotThrow(() => assertTransition({ status: 'open' }, 'assigned'));
+    assert.doesNotThrow(() => assertTransition({ status: 'assigned' }, 'in_review'));
+    assert.doesNotThrow(() => assertTransition({ status: 'in_review' }, 'completed', { manual: true }));
+    assert.doesNotThrow(() => assertTransition({ status: 'disputed' }, 'cancelled'));
+});
+
+test('assertTransition treats a job without a status as open', () => {
+    assert.doesNotThrow(() => assertTransition({}, 'assigned'));
+    rejects({}, 'open', {}, /already open/);
+});
+
+test('assertTransition rejects unknown statuses and missing edges', () => {
+    rejects({ status: 'open' }, 'archived', {}, /not a valid job status/);
+    rejects({ status: 'completed' }, 'assigned', {}, /Cannot move a job from completed to assigned/);
+});
+
+test('assertTransition keeps workflow-only edges out of manual changes', () => {
+    rejects({ status: 'open' }, 'assigned', { manual: true }, /cannot be set to assigned directly/);
+    assert.deepEqual(allowedTransitions('assigned', { manualOnly: true }), ['completed']);
+});
+
+test('assertTransition only cancels an assigned job through a dispute', () => {
+    rejects({ status: 'assigned', assignedTo: 'designer-1' }, 'cancelled', { manual: true }, /Cannot move a job from assigned to cancelled/);
+});
+
+test('assertTransition completes a milestone job only once every milestone is accepted', () => {
+    const milestones = [{ id: 'm1', status: 'accepted' }, { id: 'm2', status: 'submitted' }];
+
+    rejects({ status: 'assigned', milestones }, 'completed', { manual: true }, /every milestone is accepted/);
+    rejects({ status: 'in_review', milestones }, 'completed', {}, /every milestone is accepted/);
+    assert.doesNotThrow(() => assertTransition(
+        { status: 'in_review', milestones: milestones.map(m => ({ ...m, status: 'accepted' })) },
+        'completed'
+    ));
+    assert.doesNotThrow(() => assertTransition({ status: 'assigned', milestones: [] }, 'completed', { manual: true }));
+});
+
+test('assertTransition applies guards', () => {
+    rejects({ status: 'open', quotesCount: 2 }, 'draft', { manual: true }, /received quotes/);
+    rejects({ status: 'closed', assignedTo: 'designer-1' }, 'open', { manual: true }, /never assigned/);
+    assert.doesNotThrow(() => assertTransition({ status: 'closed' }, 'open', { manual: true }));
+});
@@ -0,0 +1,59 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assessSchedule, deriveDueDate, shiftDueDate } from '../src/services/jobScheduleService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const assignedAt = '2026-03-01T00:00:00.000Z';
+const dueDate = '2026-03-11T00:00:00.000Z'; // A 10-day schedule
+const dayOf = (days) => new Date(assignedAt).getTime() + days * DAY_MS;
+
+test('deriveDueDate and shiftDueDate work in whole days', () => {
+    assert.equal(deriveDueDate('10', assignedAt), dueDate);
+    assert.equal(deriveDueDate('soon', assignedAt), null);
+    assert.equal(shiftDueDate(dueDate, -3), '2026-03-08T00:00:00.000Z');
+    assert.equal(shiftDueDate(dueDate, 0), dueDate);
+});
+
+test('assessSchedule returns null without a usable schedule', () => {
+    assert.equal(assessSchedule({ assignedAt }), null);
+    assert.equal(assessSchedule({ assignedAt: dueDate, dueDate: assignedAt }), null);
+});
+
+test('assessSchedule keeps a job on track while progress keeps pace', () => {
+    const assessment = assessSchedule({ assignedAt, dueDate, completionPercentage: 40 }, dayOf(5));
+
+    assert.deepEqual(assessment, {
+        scheduleStatus: 'on_track',
+        expectedProgress: 50,
+        actualProgress: 40,
+        elapsedRatio: 0.5,
+        daysRemaining: 5
+    });
+});
+
+test('assessSchedule flags a job at risk when progress trails elapsed time', () => {
+    const job = { assignedAt, dueDate, completionPercentage: 10 };
+
+    // Too early in the schedule to judge
+    assert.equal(assessSchedule(job, dayOf(2)).scheduleStatus, 'on_track');
+    assert.equal(assessSchedule(job, dayOf(5)).scheduleStatus, 'at_risk');
+});
+
+test('assessSchedule uses the latest completion update unless it was rejected', () => {
+    const pending = { assignedAt, dueDate, completionPercentage: 10, completionUpdate: { percentage: 60, status: 'pending' } };
+    const rejected = { ...pending, completionUpdate: { percentage: 60, status: 'rejected' } };
+
+    assert.equal(assessSchedule(pending, dayOf(5)).actualProgress, 60);
+    assert.equal(assessSchedule(rejected, dayOf(5)).actualProgress, 10);
+});
+
+test('assessSchedule marks unfinished jobs past their due date as overdue', () => {
+    const unfinished = assessSchedule({ assignedAt, dueDate, completionPercentage: 90 }, dayOf(12));
+    const finished = assessSchedule({ assignedAt, dueDate, completionPercentage: 100 }, dayOf(12));
+
+    assert.equal(unfinished.scheduleStatus, 'overdue');
+    assert.equal(unfinished.elapsedRatio, 1);
+    assert.equal(unfinished.daysRemaining, -2);
+    assert.equal(finished.scheduleStatus, 'on_track');
+});
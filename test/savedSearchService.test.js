@@ -0,0 +1,46 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeSavedSearch } from '../src/services/savedSearchService.js';
+
+test('normalizeSavedSearch builds a search with defaults', () => {
+    const { search, error } = normalizeSavedSearch({ q: '  steel truss ', skills: 'Tekla, AutoCAD,', budgetMax: '5000' });
+
+    assert.equal(error, undefined);
+    assert.deepEqual(search.criteria, { q: 'steel truss', skills: ['Tekla', 'AutoCAD'], budgetMax: 5000 });
+    assert.equal(search.name, 'steel truss');
+    assert.equal(search.frequency, 'instant');
+    assert.equal(search.emailEnabled, false);
+    assert.equal(search.active, true);
+});
+
+test('normalizeSavedSearch names a skill-only search after its skills', () => {
+    const { search } = normalizeSavedSearch({ skills: ['Revit', 'Tekla'] });
+    assert.equal(search.name, 'Revit, Tekla');
+});
+
+test('normalizeSavedSearch rejects empty and invalid criteria', () => {
+    assert.match(normalizeSavedSearch({}).error, /at least one keyword/);
+    assert.match(normalizeSavedSearch({ q: 'beam', budgetMin: 'lots' }).error, /budgetMin must be a number/);
+    assert.match(normalizeSavedSearch({ q: 'beam', budgetMin: 900, budgetMax: 100 }).error, /budgetMin cannot be greater/);
+    assert.match(normalizeSavedSearch({ q: 'beam', frequency: 'hourly' }).error, /Frequency must be one of/);
+});
+
+test('normalizeSavedSearch only changes the fields given when updating', () => {
+    const existing = {
+        name: 'Warehouses',
+        criteria: { q: 'warehouse', location: 'Texas' },
+        frequency: 'daily',
+        emailEnabled: true,
+        active: true
+    };
+    const { search } = normalizeSavedSearch({ active: 'false', budgetMin: '1000' }, existing);
+
+    assert.deepEqual(search, {
+        name: 'Warehouses',
+        criteria: { q: 'warehouse', location: 'Texas', budgetMin: 1000 },
+        frequency: 'daily',
+        emailEnabled: true,
+        active: false
+    });
+});